@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title AchievementBadges
+ * @notice Soulbound achievement badges for ConfidentialWordGame players
+ * @dev ERC-721 tokens that can be minted but never transferred or approved
+ *      (ERC-5192 "locked"). Only the game mints, by reporting solves and wins
+ *      as they happen. Each player earns each badge at most once.
+ */
+contract AchievementBadges is ERC721, Ownable {
+    // ============ Constants ============
+
+    uint256 public constant SPEED_SOLVE_TIME = 20; // seconds, matches the game's time bonus
+    uint8 public constant CHAMPION_WORD_LENGTH = 5; // Stage a winner must reach for FiveLetterChampion
+    uint256 public constant VETERAN_WINS = 10; // Wins needed for TenWins
+
+    // ============ Enums ============
+
+    enum Badge {
+        FirstTrySolve, // Solved a word on the first attempt
+        SpeedSolver, // Solved a word within SPEED_SOLVE_TIME
+        FirstWin, // Won a game
+        FiveLetterChampion, // Won a game after solving a CHAMPION_WORD_LENGTH word
+        TenWins // Won VETERAN_WINS games
+    }
+
+    // ============ State Variables ============
+
+    address public immutable game;
+    uint256 public totalMinted;
+    string private baseTokenURI;
+
+    // ============ Mappings ============
+
+    mapping(uint256 => Badge) public badgeOf; // tokenId => badge
+    mapping(address => mapping(Badge => uint256)) public badgeTokenId; // 0 = not earned
+    mapping(address => uint256[]) private playerBadges;
+    mapping(address => uint256) public winCount;
+
+    // ============ Events ============
+
+    event BadgeAwarded(
+        address indexed player,
+        Badge indexed badge,
+        uint256 tokenId
+    );
+
+    event BaseURIUpdated(string baseURI);
+
+    // ERC-5192: emitted on mint, as every badge is locked from the start
+    event Locked(uint256 tokenId);
+
+    // ============ Modifiers ============
+
+    modifier onlyGame() {
+        require(msg.sender == game, "Only game");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    constructor(address _game)
+        ERC721("Word Game Badge", "WGB")
+        Ownable(msg.sender)
+    {
+        require(_game != address(0), "Invalid address");
+        game = _game;
+    }
+
+    // ============ Milestones ============
+
+    /**
+     * @notice Award badges for a correct guess
+     * @param player Player who solved the word
+     * @param attemptNumber Attempt the word was solved on (1-based)
+     * @param timeTaken Seconds from round start to the guess
+     */
+    function recordSolve(address player, uint8 attemptNumber, uint256 timeTaken) external onlyGame {
+        if (attemptNumber == 1) {
+            _award(player, Badge.FirstTrySolve);
+        }
+        if (timeTaken < SPEED_SOLVE_TIME) {
+            _award(player, Badge.SpeedSolver);
+        }
+    }
+
+    /**
+     * @notice Count a game win and award win badges
+     * @param player Game winner
+     * @param stageReached Longest word length the winner solved
+     */
+    function recordWin(address player, uint8 stageReached) external onlyGame {
+        uint256 wins = ++winCount[player];
+
+        _award(player, Badge.FirstWin);
+        if (stageReached >= CHAMPION_WORD_LENGTH) {
+            _award(player, Badge.FiveLetterChampion);
+        }
+        if (wins >= VETERAN_WINS) {
+            _award(player, Badge.TenWins);
+        }
+    }
+
+    /**
+     * @notice Mint a badge unless the player already holds it
+     * @dev Uses _mint rather than _safeMint so a contract player can't make
+     *      the game's callback revert
+     */
+    function _award(address player, Badge badge) private {
+        if (badgeTokenId[player][badge] != 0) return;
+
+        uint256 tokenId = ++totalMinted;
+        badgeOf[tokenId] = badge;
+        badgeTokenId[player][badge] = tokenId;
+        playerBadges[player].push(tokenId);
+
+        _mint(player, tokenId);
+
+        emit Locked(tokenId);
+        emit BadgeAwarded(player, badge, tokenId);
+    }
+
+    // ============ Soulbound ============
+
+    /**
+     * @dev Every ownership change except minting is rejected
+     */
+    function _update(address to, uint256 tokenId, address auth)
+        internal
+        override
+        returns (address)
+    {
+        require(_ownerOf(tokenId) == address(0), "Badges are soulbound");
+        return super._update(to, tokenId, auth);
+    }
+
+    function approve(address, uint256) public pure override {
+        revert("Badges are soulbound");
+    }
+
+    function setApprovalForAll(address, bool) public pure override {
+        revert("Badges are soulbound");
+    }
+
+    /**
+     * @notice ERC-5192: badges are always locked to their holder
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return true;
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == 0xb45a3c0e || super.supportsInterface(interfaceId); // ERC-5192
+    }
+
+    // ============ Metadata ============
+
+    /**
+     * @notice Set the metadata base URI; a badge's URI is the base plus its badge number
+     */
+    function setBaseURI(string calldata baseURI) external onlyOwner {
+        baseTokenURI = baseURI;
+        emit BaseURIUpdated(baseURI);
+    }
+
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+
+        if (bytes(baseTokenURI).length == 0) return "";
+        return string.concat(baseTokenURI, Strings.toString(uint8(badgeOf[tokenId])));
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get a player's badges in the order they were earned
+     * @return tokenIds Badge token IDs
+     * @return badges Badge type of each token
+     */
+    function getBadges(address player)
+        external
+        view
+        returns (uint256[] memory tokenIds, Badge[] memory badges)
+    {
+        tokenIds = playerBadges[player];
+        badges = new Badge[](tokenIds.length);
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            badges[i] = badgeOf[tokenIds[i]];
+        }
+    }
+}
@@ -5,6 +5,18 @@ import "fhevm/lib/TFHE.sol";
 import "fhevm/gateway/GatewayCaller.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./GameTypes.sol";
+import "./XPSeasons.sol";
+import "./AchievementBadges.sol";
+import "./libraries/RoundLogic.sol";
+
+/**
+ * @notice A contract deployed for one game, such as Tournaments
+ */
+interface IGameExtension {
+    function game() external view returns (address);
+}
 
 /**
  * @title ConfidentialWordGame
@@ -12,12 +24,14 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * @dev Implements Gateway-based decryption for game logic validation
  *
  * Game Flow:
- * 1. Players deposit encrypted balances
+ * 1. Players deposit ETH, held as encrypted balance credits
  * 2. Room creator starts a game with encrypted word
  * 3. Players submit encrypted guesses (character-by-character)
  * 4. Contract computes homomorphic equality
  * 5. Gateway decrypts result and calls back
- * 6. Winners receive encrypted prize distribution
+ * 6. 2-4 qualified players advance to the next stage (3 -> 4 -> 5 letters)
+ * 7. Winners receive encrypted prize distribution
+ * 8. Players withdraw encrypted balances back to ETH via Gateway callback
  *
  * Security Features:
  * - All sensitive data encrypted (balances, words, guesses)
@@ -26,7 +40,7 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * - Reentrancy protection
  * - Time-based round management
  */
-contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
+contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard, Pausable {
 
     // ============ Constants ============
 
@@ -36,65 +50,44 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
     uint8 public constant MAX_WORD_LENGTH = 5;
     uint8 public constant MAX_ATTEMPTS_PER_ROUND = 2;
     uint8 public constant LETTER_ENCODING_BASE = 65; // ASCII 'A' = 65
+    uint8 public constant MAX_WORD_BANK_SIZE = 32; // Drawable words per length; each draw selects over all of them
 
     uint256 public constant ENTRY_FEE = 10 ether;
+    uint256 public constant CREDIT_UNIT = 0.001 ether; // Wei per balance credit (keeps balances within euint32)
+    uint32 public constant ENTRY_FEE_CREDITS = uint32(ENTRY_FEE / CREDIT_UNIT);
     uint256 public constant ROUND_TIME_LIMIT = 60; // seconds
-    uint256 public constant GATEWAY_CALLBACK_TIMEOUT = 100; // blocks
+    uint256 public constant GATEWAY_CALLBACK_TIMEOUT = 100; // seconds the Gateway has to answer a decryption request; balance requests can be cancelled after it
+    uint256 public constant STALE_GUESS_TIMEOUT = 20; // seconds before a guess can be cancelled; under MIN_ROUND_TIME so a restored attempt can be used
     uint256 public constant RELAYER_TRANSFER_DELAY = 24 hours; // Delay for relayer transfer
 
+    // Per-room rule bounds (the values above are the default rules)
+    uint8 public constant MIN_PLAYERS_PER_ROOM = 2;
+    uint32 public constant MAX_ENTRY_FEE_CREDITS = 1_000_000; // 1000 ETH
+    uint32 public constant MIN_ROUND_TIME = 30; // seconds
+    uint32 public constant MAX_ROUND_TIME = 600; // seconds
+    uint8 public constant MAX_ATTEMPTS_LIMIT = 6;
+
     // Prize distribution percentages (basis points, 10000 = 100%)
     uint256 public constant WINNER_SHARE = 7000; // 70%
     uint256 public constant RUNNER_UP_SHARE = 2000; // 20%
     uint256 public constant THIRD_PLACE_SHARE = 1000; // 10%
+    uint256 public constant BASIS_POINTS = 10000;
 
     // ============ State Variables ============
 
     uint256 public roomCounter;
     uint256 public gameCounter;
-    address public relayer; // Trusted relayer for word generation
+    address public relayer; // Trusted relayer that runs rounds and reveals words
     address public pendingRelayer; // Pending relayer for two-step transfer
     uint256 public relayerProposalTime; // Timestamp of relayer proposal
+    XPSeasons public seasons; // Per-season XP ledger (unset = no seasons)
+    AchievementBadges public badges; // Soulbound badge registry (unset = no badges)
+    address public guardian; // Can pause the contract alongside the owner (unset = owner only)
+    address public tournaments; // Reserves rooms for tournament matches (unset = no tournaments)
 
     // ============ Structs ============
 
-    struct Player {
-        address wallet;
-        euint32 encryptedBalance;
-        uint8 score;
-        uint8 roundsWon;
-        bool isActive;
-        bool hasGuessed;
-        bool isCorrect; // Set by Gateway callback
-        uint256 lastGuessTime;
-        uint8 attemptsUsed;
-        string displayName;
-    }
-
-    struct Room {
-        uint256 roomId;
-        address creator;
-        address[] playerAddresses;
-        mapping(address => Player) players;
-        uint8 playerCount;
-        euint32 encryptedPrizePool;
-        bool isActive;
-        uint256 createdAt;
-        uint256 currentGameId;
-    }
-
-    struct GameRound {
-        uint256 gameId;
-        uint256 roomId;
-        euint8[] encryptedWordLetters; // Each letter as euint8 (65-90 for A-Z)
-        uint8 wordLength;
-        uint8 currentStage; // 3, 4, or 5 letter words
-        uint256 roundStartTime;
-        uint256 roundEndTime;
-        uint8 qualifiedPlayerCount;
-        address[] qualifiedPlayers;
-        bool isComplete;
-        bool prizeDistributed;
-    }
+    // Player, GuessFeedback, RoomRules, Room, GameRound, Placement, WordBank and IdIndex are declared in GameTypes.sol
 
     struct GuessRequest {
         uint256 gameId;
@@ -107,34 +100,88 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         address player;
         euint32 amount;
         bool isAddition; // true = add, false = subtract
+        uint256 timestamp; // When the Gateway request was made
     }
 
     // ============ Mappings ============
 
-    mapping(uint256 => Room) public rooms;
+    mapping(uint256 => Room) private rooms; // Read through getRoomInfo
     mapping(uint256 => GameRound) public gameRounds;
     mapping(address => euint32) public playerBalances;
     mapping(address => bool) public hasBalance;
     mapping(address => uint256) public playerXP;
+    mapping(uint256 => mapping(address => bool)) public roomAllowlist;
+
+    // Placement tracking (keyed by the game's final round ID)
+    mapping(uint256 => address[]) private gamePlacements;
+    mapping(uint256 => mapping(address => uint8)) public placementOf;
+    mapping(address => Placement[]) private playerPlacements;
+
+    // Per-letter feedback, readable only by the guesser once the Gateway answers (gameId => player => attempt)
+    mapping(uint256 => mapping(address => mapping(uint8 => GuessFeedback))) private guessFeedback;
+
+    // Guess that qualified each player, used to rank by speed (gameId => player)
+    mapping(uint256 => mapping(address => RoundLogic.QualifyingGuess)) private qualifyingGuesses;
+
+    // Encrypted word bank per word length
+    mapping(uint8 => WordBank) private wordBanks;
+
+    // Paginated lookups, so clients don't scan every room and game ID
+    IdIndex private activeRooms; // Rooms still open
+    IdIndex private activeGames; // Rounds not yet complete
+    mapping(address => uint256[]) private playerRooms; // Rooms a player is seated in or played, join order
 
     // Gateway callback tracking
     mapping(uint256 => GuessRequest) public pendingGuessRequests;
     mapping(uint256 => BalanceUpdate) public pendingBalanceChecks;
+    mapping(uint256 => BalanceUpdate) public pendingWithdrawals;
+    mapping(uint256 => uint256) public pendingWordIndexRequests; // requestId => gameId
+    mapping(uint256 => uint256) public pendingWordChecks; // requestId => gameId of a revealed word
 
     // ============ Events ============
 
+    // Emitted by RoundLogic.openRoom, declared here for the ABI
     event RoomCreated(
         uint256 indexed roomId,
         address indexed creator,
         uint256 timestamp
     );
 
+    // Emitted by RoundLogic.openRoom, declared here for the ABI
+    event RoomRulesSet(
+        uint256 indexed roomId,
+        uint32 entryFeeCredits,
+        uint8 maxPlayers,
+        uint32 roundTimeLimit,
+        uint8 maxAttempts
+    );
+
+    event RoomAccessUpdated(
+        uint256 indexed roomId,
+        bool isPrivate,
+        bool hasJoinCode
+    );
+
+    event RoomAllowlistUpdated(
+        uint256 indexed roomId,
+        address indexed player,
+        bool allowed
+    );
+
+    // Emitted by RoundLogic.joinRoom, declared here for the ABI
     event PlayerJoined(
         uint256 indexed roomId,
         address indexed player,
         string displayName
     );
 
+    event PlayerLeft(
+        uint256 indexed roomId,
+        address indexed player,
+        bool kicked
+    );
+
+    // Emitted by RoundLogic.createGameRound, declared here for the ABI
     event GameStarted(
         uint256 indexed roomId,
         uint256 indexed gameId,
@@ -142,11 +189,43 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         uint256 startTime
     );
 
+    event StageAdvanced(
+        uint256 indexed roomId,
+        uint256 indexed previousGameId,
+        uint256 indexed gameId,
+        uint8 stage
+    );
+
+    // Emitted by RoundLogic.createGameRound, declared here for the ABI
     event EncryptedWordSet(
         uint256 indexed gameId,
         uint8 wordLength
     );
 
+    // Emitted by RoundLogic.addWords, declared here for the ABI
+    event WordBankLoaded(
+        uint8 indexed wordLength,
+        uint256 wordsAdded,
+        uint256 bankSize
+    );
+
+    event WordIndexRevealed(
+        uint256 indexed gameId,
+        uint16 wordIndex,
+        bytes32 wordCommitment
+    );
+
+    event WordRevealed(
+        uint256 indexed gameId,
+        string word,
+        bytes32 salt
+    );
+
+    event WordRevealVerified(
+        uint256 indexed gameId,
+        bool matchesPlayedWord
+    );
+
     event GuessSubmitted(
         uint256 indexed gameId,
         address indexed player,
@@ -167,38 +246,85 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         address[] qualifiedPlayers
     );
 
+    // Emitted by RoundLogic.rankQualifiedPlayers, declared here for the ABI
+    event QualifiedPlayersRanked(
+        uint256 indexed gameId,
+        address[] ranking,
+        uint256[] guessTimes,
+        uint8[] attempts
+    );
+
     event GameEnded(
         uint256 indexed gameId,
         address indexed winner,
         uint256 timestamp
     );
 
+    event RoomEmergencyPaused(
+        uint256 indexed roomId,
+        uint256 indexed gameId // 0 if no game had started, so nothing was refunded
+    );
+
+    // Emitted by RoundLogic.settleGame, declared here for the ABI
     event PrizeDistributed(
         uint256 indexed gameId,
         address indexed player,
         uint256 position
     );
 
+    // Emitted by RoundLogic.settleGame, declared here for the ABI
+    event PlacementRecorded(
+        uint256 indexed gameId,
+        address indexed player,
+        uint8 position,
+        uint8 stageReached
+    );
+
     event BalanceDeposited(
         address indexed player,
         uint256 timestamp
     );
 
-    event BalanceWithdrawn(
+    event BalanceRevealed(
         address indexed player,
         uint256 amount,
         uint256 timestamp
     );
 
+    event WithdrawalRequested(
+        address indexed player,
+        uint256 gatewayRequestId
+    );
+
+    event BalanceWithdrawn(
+        address indexed player,
+        uint256 credits,
+        uint256 amountWei,
+        uint256 timestamp
+    );
+
+    event WithdrawalFailed(
+        address indexed player,
+        uint256 gatewayRequestId,
+        uint256 credits
+    );
+
     event BalanceCheckRequested(
         address indexed player,
         uint256 gatewayRequestId
     );
 
+    event GatewayRequestCancelled(
+        uint256 indexed gatewayRequestId,
+        address indexed player,
+        uint256 indexed gameId // 0 for balance checks and withdrawals
+    );
+
     event XPAwarded(
         address indexed player,
         uint256 amount,
-        string reason
+        string reason,
+        uint256 indexed season // 0 when no season is open
     );
 
     event RelayerProposed(
@@ -216,6 +342,11 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         address indexed canceledRelayer
     );
 
+    event GuardianUpdated(
+        address indexed previousGuardian,
+        address indexed newGuardian
+    );
+
     // ============ Modifiers ============
 
     modifier onlyRelayer() {
@@ -223,8 +354,9 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         _;
     }
 
+    // Checks live in functions so the revert code isn't copied into every use
     modifier onlyActiveRoom(uint256 _roomId) {
-        require(rooms[_roomId].isActive, "Room not active");
+        _checkActiveRoom(_roomId);
         _;
     }
 
@@ -233,6 +365,11 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         _;
     }
 
+    modifier onlyRoomCreator(uint256 _roomId) {
+        _checkRoomCreator(_roomId);
+        _;
+    }
+
     modifier gameNotComplete(uint256 _gameId) {
         require(!gameRounds[_gameId].isComplete, "Game already complete");
         _;
@@ -247,6 +384,16 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         _;
     }
 
+    function _checkActiveRoom(uint256 _roomId) internal view {
+        require(rooms[_roomId].isActive, "Room not active");
+    }
+
+    // Match rooms are run by the tournament, so their creator has no say over seats
+    function _checkRoomCreator(uint256 _roomId) internal view {
+        require(rooms[_roomId].creator == msg.sender, "Only room creator");
+        require(!rooms[_roomId].isMatchRoom, "Tournament room");
+    }
+
     // ============ Constructor ============
 
     constructor(address _relayer) Ownable(msg.sender) {
@@ -258,33 +405,35 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
     // ============ Balance Management ============
 
     /**
-     * @notice Deposit encrypted balance
-     * @param encryptedAmount Encrypted amount from client
-     * @param inputProof Proof for encrypted input
+     * @notice Deposit ETH as encrypted balance credits
+     * @dev msg.value is converted at CREDIT_UNIT wei per credit. The deposit
+     *      amount is public; the running balance stays encrypted.
      */
-    function depositBalance(
-        einput encryptedAmount,
-        bytes calldata inputProof
-    ) external nonReentrant {
-        euint32 amount = TFHE.asEuint32(encryptedAmount, inputProof);
-
-        if (hasBalance[msg.sender]) {
-            // Add to existing balance
-            playerBalances[msg.sender] = TFHE.add(
-                playerBalances[msg.sender],
-                amount
-            );
-        } else {
-            // Initialize new balance
-            playerBalances[msg.sender] = amount;
-            hasBalance[msg.sender] = true;
-        }
+    function depositBalance() external payable nonReentrant whenNotPaused {
+        _deposit(msg.sender);
+    }
+
+    /**
+     * @notice Deposit ETH as encrypted balance credits for another player
+     * @dev Lets contracts such as Tournaments pay ETH prizes into a player's
+     *      game balance
+     * @param player Player to credit
+     */
+    function depositBalanceFor(address player) external payable nonReentrant whenNotPaused {
+        require(player != address(0), "Invalid address");
+        _deposit(player);
+    }
+
+    function _deposit(address player) internal {
+        require(msg.value >= CREDIT_UNIT, "Deposit too small");
+        require(msg.value % CREDIT_UNIT == 0, "Not a whole credit amount");
+
+        uint256 credits = msg.value / CREDIT_UNIT;
+        require(credits <= type(uint32).max, "Deposit too large");
 
-        // Allow player to view their own balance
-        TFHE.allowThis(playerBalances[msg.sender]);
-        TFHE.allow(playerBalances[msg.sender], msg.sender);
+        RoundLogic.deposit(playerBalances, hasBalance, player, uint32(credits));
 
-        emit BalanceDeposited(msg.sender, block.timestamp);
+        emit BalanceDeposited(player, block.timestamp);
     }
 
     /**
@@ -303,21 +452,16 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
     function requestBalanceDecryption() external returns (uint256) {
         require(hasBalance[msg.sender], "No balance");
 
-        uint256[] memory cts = new uint256[](1);
-        cts[0] = Gateway.toUint256(playerBalances[msg.sender]);
-
-        uint256 requestId = Gateway.requestDecryption(
-            cts,
-            this.callbackBalanceDecryption.selector,
-            0,
-            block.timestamp + GATEWAY_CALLBACK_TIMEOUT,
-            false
+        uint256 requestId = _requestDecryption(
+            Gateway.toUint256(playerBalances[msg.sender]),
+            this.callbackBalanceDecryption.selector
         );
 
         pendingBalanceChecks[requestId] = BalanceUpdate({
             player: msg.sender,
             amount: euint32.wrap(0),
-            isAddition: false
+            isAddition: false,
+            timestamp: block.timestamp
         });
 
         emit BalanceCheckRequested(msg.sender, requestId);
@@ -335,9 +479,10 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         uint32 decryptedBalance
     ) public onlyGateway nonReentrant returns (bool) {
         BalanceUpdate memory update = pendingBalanceChecks[requestId];
+        require(update.player != address(0), "Unknown request");
 
         // Emit event with decrypted balance for client
-        emit BalanceWithdrawn(
+        emit BalanceRevealed(
             update.player,
             decryptedBalance,
             block.timestamp
@@ -348,43 +493,130 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Internal function to deduct entry fee with validation
-     * @param player Player address
+     * @notice Request a withdrawal of encrypted balance to ETH
+     * @dev The amount is debited up front only if the balance covers it
+     *      (otherwise zero is debited), so concurrent requests cannot
+     *      overdraw. The Gateway reveals the debited amount and the
+     *      callback pays it out at CREDIT_UNIT wei per credit.
+     * @param encryptedAmount Encrypted number of credits to withdraw
+     * @param inputProof Proof for encrypted input
+     * @return requestId Gateway request ID
      */
-    function _deductEntryFee(address player) internal {
-        euint32 fee = TFHE.asEuint32(ENTRY_FEE);
-        euint32 currentBalance = playerBalances[player];
-
-        // Check if player has sufficient balance
-        ebool hasSufficientFunds = TFHE.ge(currentBalance, fee);
+    function requestWithdrawal(
+        einput encryptedAmount,
+        bytes calldata inputProof
+    ) external nonReentrant returns (uint256) {
+        require(hasBalance[msg.sender], "No balance");
 
-        // Compute new balance
-        euint32 newBalance = TFHE.sub(currentBalance, fee);
+        // Withdraw the requested amount, or nothing if it exceeds the balance
+        euint32 debit = RoundLogic.debitBalance(playerBalances, msg.sender, encryptedAmount, inputProof);
 
-        // Conditionally update balance (only if sufficient funds)
-        playerBalances[player] = TFHE.select(
-            hasSufficientFunds,
-            newBalance,
-            currentBalance
+        uint256 requestId = _requestDecryption(
+            Gateway.toUint256(debit),
+            this.callbackWithdrawal.selector
         );
 
-        TFHE.allowThis(playerBalances[player]);
-        TFHE.allow(playerBalances[player], player);
+        pendingWithdrawals[requestId] = BalanceUpdate({
+            player: msg.sender,
+            amount: debit,
+            isAddition: false,
+            timestamp: block.timestamp
+        });
+
+        emit WithdrawalRequested(msg.sender, requestId);
+
+        return requestId;
+    }
+
+    /**
+     * @notice Gateway callback for withdrawals
+     * @dev Credits are restored if the contract cannot pay the ETH out
+     * @param requestId The decryption request ID
+     * @param decryptedAmount Number of credits debited from the balance
+     */
+    function callbackWithdrawal(
+        uint256 requestId,
+        uint32 decryptedAmount
+    ) public onlyGateway nonReentrant returns (bool) {
+        BalanceUpdate memory update = pendingWithdrawals[requestId];
+        require(update.player != address(0), "Unknown request");
+
+        delete pendingWithdrawals[requestId];
+
+        if (decryptedAmount == 0) {
+            emit WithdrawalFailed(update.player, requestId, 0);
+            return true;
+        }
+
+        uint256 amountWei = uint256(decryptedAmount) * CREDIT_UNIT;
+        bool paid = false;
+        if (address(this).balance >= amountWei) {
+            (paid, ) = payable(update.player).call{value: amountWei}("");
+        }
+
+        if (!paid) {
+            RoundLogic.credit(playerBalances, update.player, update.amount);
+            emit WithdrawalFailed(update.player, requestId, decryptedAmount);
+            return true;
+        }
+
+        emit BalanceWithdrawn(
+            update.player,
+            decryptedAmount,
+            amountWei,
+            block.timestamp
+        );
+        return true;
     }
 
     /**
-     * @notice Add encrypted amount to player balance
-     * @param player Player address
-     * @param amount Amount to add
+     * @notice Cancel a balance check or withdrawal the Gateway never answered
+     * @dev Callable by anyone once GATEWAY_CALLBACK_TIMEOUT has passed, when
+     *      the Gateway can no longer answer. A cancelled withdrawal returns the
+     *      debited credits to the balance.
+     * @param requestId The decryption request ID
      */
-    function _addToBalance(address player, euint32 amount) internal {
-        playerBalances[player] = TFHE.add(
-            playerBalances[player],
-            amount
+    function cancelStaleBalanceRequest(uint256 requestId) external nonReentrant {
+        BalanceUpdate memory update = pendingWithdrawals[requestId];
+        bool isWithdrawal = update.player != address(0);
+        if (isWithdrawal) {
+            delete pendingWithdrawals[requestId];
+        } else {
+            update = pendingBalanceChecks[requestId];
+            delete pendingBalanceChecks[requestId];
+        }
+
+        require(update.player != address(0), "Unknown request");
+        require(
+            block.timestamp > update.timestamp + GATEWAY_CALLBACK_TIMEOUT,
+            "Request not stale"
         );
 
-        TFHE.allowThis(playerBalances[player]);
-        TFHE.allow(playerBalances[player], player);
+        if (isWithdrawal) {
+            RoundLogic.credit(playerBalances, update.player, update.amount);
+        }
+
+        emit GatewayRequestCancelled(requestId, update.player, 0);
+    }
+
+    /**
+     * @notice Ask the Gateway to decrypt a single ciphertext
+     * @dev The Gateway must answer within GATEWAY_CALLBACK_TIMEOUT seconds
+     * @param ct Ciphertext handle
+     * @param callbackSelector Callback that receives the plaintext
+     * @return requestId Gateway request ID
+     */
+    function _requestDecryption(uint256 ct, bytes4 callbackSelector) internal returns (uint256) {
+        uint256[] memory cts = new uint256[](1);
+        cts[0] = ct;
+
+        return Gateway.requestDecryption(
+            cts,
+            callbackSelector,
+            0,
+            block.timestamp + GATEWAY_CALLBACK_TIMEOUT,
+            false
+        );
     }
 
     // ============ Room Management ============
@@ -392,160 +624,289 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
     /**
      * @notice Create a new game room
      * @param displayName Player's display name
+     * @param rules Entry fee, player cap, round time and attempts for the room
      * @return roomId The created room ID
      */
-    function createRoom(string memory displayName)
+    function createRoom(string calldata displayName, RoomRules calldata rules)
         external
+        whenNotPaused
         returns (uint256)
     {
         require(hasBalance[msg.sender], "Deposit balance first");
-        require(bytes(displayName).length > 0, "Name required");
-        require(bytes(displayName).length <= 20, "Name too long");
 
         roomCounter++;
         uint256 roomId = roomCounter;
 
-        Room storage room = rooms[roomId];
-        room.roomId = roomId;
-        room.creator = msg.sender;
-        room.playerCount = 1;
-        room.isActive = true;
-        room.createdAt = block.timestamp;
-        room.encryptedPrizePool = TFHE.asEuint32(0);
-
-        // Add creator as first player
-        room.playerAddresses.push(msg.sender);
-        room.players[msg.sender] = Player({
-            wallet: msg.sender,
-            encryptedBalance: playerBalances[msg.sender],
-            score: 0,
-            roundsWon: 0,
-            isActive: true,
-            hasGuessed: false,
-            isCorrect: false,
-            lastGuessTime: 0,
-            attemptsUsed: 0,
-            displayName: displayName
+        RoundLogic.openRoom(
+            rooms[roomId],
+            roomId,
+            rules,
+            RoomRules(1, MIN_PLAYERS_PER_ROOM, MIN_ROUND_TIME, 1),
+            RoomRules(MAX_ENTRY_FEE_CREDITS, MAX_PLAYERS_PER_ROOM, MAX_ROUND_TIME, MAX_ATTEMPTS_LIMIT),
+            playerBalances[msg.sender],
+            displayName,
+            playerRooms[msg.sender]
+        );
+        _indexAdd(activeRooms, roomId);
+
+        return roomId;
+    }
+
+    /**
+     * @notice Default rules, for clients that don't customize a room
+     */
+    function getDefaultRoomRules() external pure returns (RoomRules memory) {
+        return RoomRules({
+            entryFeeCredits: ENTRY_FEE_CREDITS,
+            maxPlayers: MAX_PLAYERS_PER_ROOM,
+            roundTimeLimit: uint32(ROUND_TIME_LIMIT),
+            maxAttempts: MAX_ATTEMPTS_PER_ROUND
         });
+    }
 
-        emit RoomCreated(roomId, msg.sender, block.timestamp);
+    /**
+     * @notice Make a room private or public again
+     * @dev The code travels in plaintext when a player joins with it, so it
+     *      keeps the room out of the lobby rather than acting as a secret;
+     *      use the allowlist when only specific wallets may join
+     * @param roomId Room to update
+     * @param isPrivate Whether joins need an invite
+     * @param joinCodeHash keccak256(abi.encodePacked(roomId, code)), or 0 to allow only the allowlist
+     */
+    function setRoomAccess(uint256 roomId, bool isPrivate, bytes32 joinCodeHash)
+        external
+        onlyActiveRoom(roomId)
+        onlyRoomCreator(roomId)
+    {
+        Room storage room = rooms[roomId];
+        room.isPrivate = isPrivate;
+        room.joinCodeHash = joinCodeHash;
 
-        return roomId;
+        emit RoomAccessUpdated(roomId, isPrivate, joinCodeHash != bytes32(0));
+    }
+
+    /**
+     * @notice Add or remove players from a private room's allowlist
+     * @param roomId Room to update
+     * @param players Wallets to update
+     * @param allowed Whether the wallets may join without a code
+     */
+    function setRoomAllowlist(uint256 roomId, address[] calldata players, bool allowed)
+        external
+        onlyActiveRoom(roomId)
+        onlyRoomCreator(roomId)
+    {
+        for (uint256 i = 0; i < players.length; i++) {
+            roomAllowlist[roomId][players[i]] = allowed;
+            emit RoomAllowlistUpdated(roomId, players[i], allowed);
+        }
     }
 
     /**
      * @notice Join an existing room
+     * @dev Private rooms admit allowlisted wallets and anyone with the join code
      * @param roomId Room to join
      * @param displayName Player's display name
+     * @param joinCode Code shared by the creator of a private room, or "" otherwise
+     */
+    function joinRoom(
+        uint256 roomId,
+        string calldata displayName,
+        string calldata joinCode
+    ) external whenNotPaused onlyActiveRoom(roomId) {
+        require(hasBalance[msg.sender], "Deposit balance first");
+
+        RoundLogic.joinRoom(
+            rooms[roomId],
+            roomAllowlist[roomId],
+            playerBalances[msg.sender],
+            displayName,
+            joinCode,
+            playerRooms[msg.sender]
+        );
+    }
+
+    /**
+     * @notice Reserve a waiting room for a tournament match (tournaments contract only)
+     * @dev Only the seeds may join from then on, and the creator can no longer
+     *      kick players or change the room's access
+     * @param roomId Room linked to the match
+     * @param seeds The match's seeded players
+     */
+    function reserveMatchRoom(uint256 roomId, address[] calldata seeds) external {
+        require(msg.sender == tournaments, "Not tournaments");
+        RoundLogic.reserveMatchRoom(rooms[roomId], seeds);
+    }
+
+    /**
+     * @notice Leave a room before its game starts
+     * @dev If the creator leaves, the earliest remaining player becomes creator;
+     *      a room nobody is left in is closed
+     * @param roomId Room to leave
+     */
+    function leaveRoom(uint256 roomId)
+        external
+        onlyActiveRoom(roomId)
+        onlyPlayerInRoom(roomId)
+    {
+        _removePlayer(roomId, msg.sender, false);
+    }
+
+    /**
+     * @notice Remove a player from a room before its game starts (creator only)
+     * @dev Also revokes the player's allowlist entry for private rooms. A kicked
+     *      player can't rejoin the room, even with its join code.
+     * @param roomId Room to remove the player from
+     * @param playerAddr Player to remove
      */
-    function joinRoom(uint256 roomId, string memory displayName)
+    function kickPlayer(uint256 roomId, address playerAddr)
         external
         onlyActiveRoom(roomId)
+        onlyRoomCreator(roomId)
     {
+        require(playerAddr != msg.sender, "Use leaveRoom");
+        require(rooms[roomId].players[playerAddr].isActive, "Not in room");
+
+        roomAllowlist[roomId][playerAddr] = false;
+        _removePlayer(roomId, playerAddr, true);
+    }
+
+    /**
+     * @notice Internal function to remove a player and compact playerAddresses
+     * @dev Entry fees are only deducted in startGame, so there is nothing to refund
+     */
+    function _removePlayer(uint256 roomId, address playerAddr, bool kicked) internal {
         Room storage room = rooms[roomId];
+        require(room.currentGameId == 0, "Game in progress");
 
-        require(
-            room.playerCount < MAX_PLAYERS_PER_ROOM,
-            "Room full"
-        );
-        require(
-            !room.players[msg.sender].isActive,
-            "Already in room"
-        );
-        require(hasBalance[msg.sender], "Deposit balance first");
-        require(bytes(displayName).length > 0, "Name required");
-        require(bytes(displayName).length <= 20, "Name too long");
-
-        room.playerCount++;
-        room.playerAddresses.push(msg.sender);
-        room.players[msg.sender] = Player({
-            wallet: msg.sender,
-            encryptedBalance: playerBalances[msg.sender],
-            score: 0,
-            roundsWon: 0,
-            isActive: true,
-            hasGuessed: false,
-            isCorrect: false,
-            lastGuessTime: 0,
-            attemptsUsed: 0,
-            displayName: displayName
-        });
+        RoundLogic.removePlayer(room, playerAddr, kicked, playerRooms[playerAddr]);
+        if (!room.isActive) {
+            _indexRemove(activeRooms, roomId);
+        }
 
-        emit PlayerJoined(roomId, msg.sender, displayName);
+        emit PlayerLeft(roomId, playerAddr, kicked);
     }
 
     // ============ Game Management ============
 
     /**
-     * @notice Start a game round (called by relayer with encrypted word)
-     * @param roomId Room to start game in
-     * @param encryptedLetters Array of encrypted letter codes (65-90 for A-Z)
-     * @param wordLength Length of the word
+     * @notice Add a batch of encrypted words to the word bank
+     * @dev Letters are flattened word by word. Each commitment is
+     *      keccak256(abi.encodePacked(word, salt)) for the word at the same position.
+     * @param wordLength Length of every word in the batch
+     * @param encryptedLetters Encrypted letter codes (65-90 for A-Z)
+     * @param inputProofs Proofs for encrypted inputs
+     * @param wordCommitments Salted hash of each word, checked when it is revealed
      */
-    function startGame(
-        uint256 roomId,
+    function addWordsToBank(
+        uint8 wordLength,
         einput[] calldata encryptedLetters,
         bytes[] calldata inputProofs,
-        uint8 wordLength
-    )
+        bytes32[] calldata wordCommitments
+    ) external onlyOwner {
+        require(
+            wordLength >= INITIAL_WORD_LENGTH &&
+            wordLength <= MAX_WORD_LENGTH,
+            "Invalid word length"
+        );
+
+        RoundLogic.addWords(
+            wordBanks[wordLength],
+            wordLength,
+            MAX_WORD_BANK_SIZE,
+            encryptedLetters,
+            inputProofs,
+            wordCommitments
+        );
+    }
+
+    /**
+     * @notice Start a game round with a word drawn from the encrypted word bank
+     * @param roomId Room to start game in
+     * @param wordLength Length of the word
+     */
+    function startGame(uint256 roomId, uint8 wordLength)
         external
+        whenNotPaused
         onlyRelayer
         onlyActiveRoom(roomId)
         returns (uint256)
     {
         Room storage room = rooms[roomId];
 
+        require(room.currentGameId == 0, "Game in progress");
         require(room.playerCount >= 2, "Need 2+ players");
         require(
             wordLength >= INITIAL_WORD_LENGTH &&
             wordLength <= MAX_WORD_LENGTH,
             "Invalid word length"
         );
-        require(
-            encryptedLetters.length == wordLength,
-            "Letters count mismatch"
-        );
 
-        // Deduct entry fee from all players
-        for (uint i = 0; i < room.playerAddresses.length; i++) {
-            address playerAddr = room.playerAddresses[i];
-            _deductEntryFee(playerAddr);
-        }
+        uint256 gameId = _createGameRound(roomId, wordLength);
 
-        // Update prize pool
-        euint32 totalFees = TFHE.asEuint32(ENTRY_FEE * room.playerCount);
-        room.encryptedPrizePool = TFHE.add(
-            room.encryptedPrizePool,
-            totalFees
-        );
-        TFHE.allowThis(room.encryptedPrizePool);
+        // Deduct entry fee from all players; only fees actually paid go into the pool
+        RoundLogic.collectEntryFees(room, playerBalances);
 
-        // Create new game round
-        gameCounter++;
-        uint256 gameId = gameCounter;
+        return gameId;
+    }
 
-        GameRound storage game = gameRounds[gameId];
-        game.gameId = gameId;
-        game.roomId = roomId;
-        game.wordLength = wordLength;
-        game.currentStage = wordLength;
-        game.roundStartTime = block.timestamp;
-        game.roundEndTime = block.timestamp + ROUND_TIME_LIMIT;
-        game.qualifiedPlayerCount = 0;
-        game.isComplete = false;
-        game.prizeDistributed = false;
-
-        // Store encrypted letters
-        for (uint i = 0; i < wordLength; i++) {
-            euint8 letter = TFHE.asEuint8(encryptedLetters[i], inputProofs[i]);
-            game.encryptedWordLetters.push(letter);
-            TFHE.allowThis(letter);
-        }
+    /**
+     * @notice Start the next stage for players who qualified in a completed round
+     * @dev Called by relayer after RoundCompleted; draws a word one letter longer
+     * @param previousGameId The completed round the qualified players advance from
+     * @return gameId The new game round ID
+     */
+    function startNextStage(uint256 previousGameId)
+        external
+        whenNotPaused
+        onlyRelayer
+        returns (uint256)
+    {
+        GameRound storage previous = gameRounds[previousGameId];
+        uint256 roomId = previous.roomId;
+        Room storage room = rooms[roomId];
+
+        require(room.isActive, "Room not active");
+        require(previous.isComplete, "Round not complete");
+        require(previous.nextGameId == 0, "Stage already advanced");
+        require(room.currentGameId == previousGameId, "Not current round");
+        require(previous.qualifiedPlayerCount >= 2, "Not enough qualified");
+        require(previous.currentStage < MAX_WORD_LENGTH, "Final stage reached");
+
+        uint8 wordLength = previous.currentStage + 1;
+
+        // Qualified players advance with fresh attempts, everyone else is eliminated
+        RoundLogic.advanceQualifiedPlayers(room);
+
+        uint256 gameId = _createGameRound(roomId, wordLength);
+        gameRounds[gameId].previousGameId = previousGameId;
+        previous.nextGameId = gameId;
+
+        emit StageAdvanced(roomId, previousGameId, gameId, wordLength);
 
-        room.currentGameId = gameId;
+        return gameId;
+    }
+
+    /**
+     * @notice Create a game round for a room and draw its word from the bank
+     * @dev The index is random and encrypted, so nobody learns which word was
+     *      drawn until the round completes and the index is decrypted.
+     * @param roomId Room the round belongs to
+     * @param wordLength Length of the word (also the stage)
+     * @return gameId The created game round ID
+     */
+    function _createGameRound(uint256 roomId, uint8 wordLength) internal returns (uint256) {
+        gameCounter++;
+        uint256 gameId = gameCounter;
 
-        emit GameStarted(roomId, gameId, wordLength, block.timestamp);
-        emit EncryptedWordSet(gameId, wordLength);
+        RoundLogic.createGameRound(
+            rooms[roomId],
+            gameRounds[gameId],
+            wordBanks[wordLength],
+            gameId,
+            wordLength
+        );
+        _indexAdd(activeGames, gameId);
 
         return gameId;
     }
@@ -562,6 +923,7 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         bytes[] calldata inputProofs
     )
         external
+        whenNotPaused
         gameNotComplete(gameId)
         withinTimeLimit(gameId)
         nonReentrant
@@ -573,7 +935,7 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
 
         require(player.isActive, "Not in game");
         require(
-            player.attemptsUsed < MAX_ATTEMPTS_PER_ROUND,
+            player.attemptsUsed < room.rules.maxAttempts,
             "No attempts left"
         );
         require(
@@ -585,36 +947,19 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         player.hasGuessed = true;
         player.lastGuessTime = block.timestamp;
 
-        // Convert encrypted inputs to euint8 array
-        euint8[] memory guessLetters = new euint8[](game.wordLength);
-        for (uint i = 0; i < game.wordLength; i++) {
-            guessLetters[i] = TFHE.asEuint8(
-                encryptedGuessLetters[i],
-                inputProofs[i]
-            );
-        }
-
-        // Compute homomorphic character-by-character equality
-        ebool allMatch = TFHE.asEbool(true);
-
-        for (uint i = 0; i < game.wordLength; i++) {
-            ebool charMatch = TFHE.eq(
-                guessLetters[i],
-                game.encryptedWordLetters[i]
-            );
-            allMatch = TFHE.and(allMatch, charMatch);
-        }
+        // Compute homomorphic character-by-character equality and per-letter feedback
+        (ebool allMatch, ebool[] memory correct, ebool[] memory present) = RoundLogic.computeGuessFeedback(
+            game.encryptedWordLetters,
+            encryptedGuessLetters,
+            inputProofs,
+            player.feePaid
+        );
+        guessFeedback[gameId][msg.sender][player.attemptsUsed] = GuessFeedback(correct, present);
 
         // Request decryption via Gateway
-        uint256[] memory cts = new uint256[](1);
-        cts[0] = Gateway.toUint256(allMatch);
-
-        uint256 requestId = Gateway.requestDecryption(
-            cts,
-            this.callbackGuessResult.selector,
-            0,
-            block.timestamp + GATEWAY_CALLBACK_TIMEOUT,
-            false
+        uint256 requestId = _requestDecryption(
+            Gateway.toUint256(allMatch),
+            this.callbackGuessResult.selector
         );
 
         // Store request for callback
@@ -650,24 +995,27 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         returns (bool)
     {
         GuessRequest memory request = pendingGuessRequests[requestId];
+        require(request.player != address(0), "Unknown request");
         GameRound storage game = gameRounds[request.gameId];
-        Room storage room = rooms[game.roomId];
-        Player storage player = room.players[request.player];
 
-        if (isCorrect && !player.isCorrect) {
-            player.isCorrect = true;
-            player.score++;
-            player.roundsWon++;
-
-            // Prevent DOS via unbounded array growth
-            require(
-                game.qualifiedPlayerCount < MAX_QUALIFIED_PLAYERS,
-                "Max qualified players reached"
-            );
-
-            game.qualifiedPlayerCount++;
-            game.qualifiedPlayers.push(request.player);
+        // The guess has been answered, so its feedback can be shown
+        RoundLogic.allowFeedback(
+            guessFeedback[request.gameId][request.player][request.attemptNumber],
+            request.player
+        );
 
+        if (
+            isCorrect &&
+            RoundLogic.qualifyPlayer(
+                rooms[game.roomId],
+                game,
+                qualifyingGuesses[request.gameId],
+                request.player,
+                request.timestamp,
+                request.attemptNumber,
+                MAX_QUALIFIED_PLAYERS
+            )
+        ) {
             // Award XP and time bonus
             uint256 xpGained = 100;
             uint256 timeBonus = 0;
@@ -684,13 +1032,11 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
                 xpGained += 25; // First attempt bonus
             }
 
-            playerXP[request.player] += xpGained;
+            _awardXP(request.player, xpGained, "Correct guess");
 
-            emit XPAwarded(
-                request.player,
-                xpGained,
-                "Correct guess"
-            );
+            if (address(badges) != address(0)) {
+                badges.recordSolve(request.player, request.attemptNumber, timeTaken);
+            }
         }
 
         emit GuessValidated(
@@ -708,32 +1054,48 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         return true;
     }
 
+    /**
+     * @notice Cancel a guess the Gateway never validated
+     * @dev Callable by anyone once STALE_GUESS_TIMEOUT has passed. The
+     *      guess's feedback is discarded unread, the player gets the attempt
+     *      back if the round is still open, and the round is re-checked since
+     *      the pending guess may have been the last. A callback arriving
+     *      later, before the Gateway deadline, is rejected.
+     * @param requestId The decryption request ID
+     */
+    function cancelStaleGuess(uint256 requestId) external nonReentrant {
+        GuessRequest memory request = pendingGuessRequests[requestId];
+        require(request.player != address(0), "Unknown request");
+        require(
+            block.timestamp > request.timestamp + STALE_GUESS_TIMEOUT,
+            "Request not stale"
+        );
+
+        delete pendingGuessRequests[requestId];
+        delete guessFeedback[request.gameId][request.player][request.attemptNumber];
+
+        GameRound storage game = gameRounds[request.gameId];
+        Player storage player = rooms[game.roomId].players[request.player];
+        if (!game.isComplete && player.attemptsUsed > 0) {
+            player.attemptsUsed--;
+        }
+
+        emit GatewayRequestCancelled(requestId, request.player, request.gameId);
+
+        _checkRoundCompletion(request.gameId);
+    }
+
     /**
      * @notice Check if round is complete and handle completion
      * @param gameId Game ID to check
      */
     function _checkRoundCompletion(uint256 gameId) internal {
         GameRound storage game = gameRounds[gameId];
-        Room storage room = rooms[game.roomId];
-
-        // Count players who have finished (guessed or timed out)
-        uint8 finishedCount = 0;
-        for (uint i = 0; i < room.playerAddresses.length; i++) {
-            address playerAddr = room.playerAddresses[i];
-            Player storage p = room.players[playerAddr];
-
-            if (!p.isActive) continue;
-
-            if (p.attemptsUsed >= MAX_ATTEMPTS_PER_ROUND || p.isCorrect) {
-                finishedCount++;
-            }
-        }
 
         // Round complete if all finished or time expired
         bool timeExpired = block.timestamp > game.roundEndTime;
-        bool allFinished = finishedCount >= room.playerCount;
 
-        if (timeExpired || allFinished) {
+        if (timeExpired || RoundLogic.allPlayersFinished(rooms[game.roomId])) {
             _completeRound(gameId);
         }
     }
@@ -748,6 +1110,17 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         if (game.isComplete) return;
 
         game.isComplete = true;
+        _indexRemove(activeGames, gameId);
+
+        // Decrypt the word index so the drawn word's commitment is known for the reveal
+        uint256 requestId = _requestDecryption(
+            Gateway.toUint256(game.encryptedWordIndex),
+            this.callbackWordIndex.selector
+        );
+        pendingWordIndexRequests[requestId] = gameId;
+
+        // Order by when each guess was made and keep the top 4
+        RoundLogic.rankQualifiedPlayers(rooms[game.roomId], game, qualifyingGuesses[gameId], 4);
 
         emit RoundCompleted(
             gameId,
@@ -756,39 +1129,37 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         );
 
         // Handle end game scenarios
-        if (game.qualifiedPlayerCount == 1) {
-            // Single winner
-            _endGameAndDistributePrizes(gameId);
-        } else if (game.qualifiedPlayerCount == 0) {
+        if (game.qualifiedPlayerCount == 0 && game.previousGameId == 0) {
             // No winners - refund entry fees
             _refundEntryFees(gameId);
-        } else if (game.qualifiedPlayerCount > 4) {
-            // Too many qualified - keep top 4 by time
-            _pruneToTopFour(gameId);
+        } else if (
+            game.qualifiedPlayerCount <= 1 ||
+            game.currentStage >= MAX_WORD_LENGTH
+        ) {
+            // Single winner, final stage reached, or nobody cleared a later stage
+            _endGameAndDistributePrizes(gameId);
         }
-        // If 2-4 qualified, game continues (would need next round)
+        // Otherwise 2-4 qualified advance; relayer starts the next stage via startNextStage
     }
 
     /**
-     * @notice Prune qualified players to top 4 by guess time
-     * @param gameId Game ID
+     * @notice Add lifetime XP and count it towards the open season, if any
+     * @param player Player earning the XP
+     * @param amount XP to award
+     * @param reason Shown to players in XPAwarded
      */
-    function _pruneToTopFour(uint256 gameId) internal {
-        GameRound storage game = gameRounds[gameId];
-        Room storage room = rooms[game.roomId];
+    function _awardXP(address player, uint256 amount, string memory reason) internal {
+        playerXP[player] += amount;
 
-        // Simple pruning: keep first 4 who qualified (in production, sort by time)
-        for (uint i = 4; i < game.qualifiedPlayers.length; i++) {
-            address playerAddr = game.qualifiedPlayers[i];
-            room.players[playerAddr].isActive = false;
-            room.players[playerAddr].isCorrect = false;
-        }
+        uint256 season = address(seasons) == address(0) ? 0 : seasons.recordXP(player, amount);
 
-        game.qualifiedPlayerCount = 4;
+        emit XPAwarded(player, amount, reason, season);
     }
 
     /**
      * @notice End game and distribute prizes
+     * @dev Splits the pool 70/20/10 across the top three placements. Shares for
+     *      places nobody reached, plus rounding dust, go to the winner.
      * @param gameId Game ID
      */
     function _endGameAndDistributePrizes(uint256 gameId) internal {
@@ -798,41 +1169,146 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         if (game.prizeDistributed) return;
         game.prizeDistributed = true;
 
-        address winner = game.qualifiedPlayers[0];
-
-        // Calculate prize amounts
-        euint32 totalPrize = room.encryptedPrizePool;
-
-        // Winner gets full pot (in single winner scenario)
-        _addToBalance(winner, totalPrize);
+        address[] storage ranked = gamePlacements[gameId];
+        uint8 winnerStage = RoundLogic.settleGame(
+            gameRounds,
+            gameId,
+            room,
+            ranked,
+            placementOf[gameId],
+            playerPlacements,
+            playerBalances,
+            RUNNER_UP_SHARE,
+            THIRD_PLACE_SHARE,
+            BASIS_POINTS
+        );
+        address winner = ranked[0];
 
         // Award winner XP bonus
-        playerXP[winner] += 500;
+        _awardXP(winner, 500, "Game winner");
+
+        if (address(badges) != address(0)) {
+            badges.recordWin(winner, winnerStage);
+        }
 
-        emit PrizeDistributed(gameId, winner, 1);
-        emit XPAwarded(winner, 500, "Game winner");
         emit GameEnded(gameId, winner, block.timestamp);
 
-        room.isActive = false;
+        _closeRoom(game.roomId);
     }
 
     /**
-     * @notice Refund entry fees to all players
+     * @notice Refund paid entry fees and end the game
      * @param gameId Game ID
      */
     function _refundEntryFees(uint256 gameId) internal {
         GameRound storage game = gameRounds[gameId];
         Room storage room = rooms[game.roomId];
 
-        euint32 refundAmount = TFHE.asEuint32(ENTRY_FEE);
-
-        for (uint i = 0; i < room.playerAddresses.length; i++) {
-            address playerAddr = room.playerAddresses[i];
-            _addToBalance(playerAddr, refundAmount);
-        }
+        RoundLogic.refundEntryFees(room, playerBalances);
 
         emit GameEnded(gameId, address(0), block.timestamp);
-        room.isActive = false;
+        _closeRoom(game.roomId);
+    }
+
+    /**
+     * @notice Mark a room inactive and drop it from the open room index
+     */
+    function _closeRoom(uint256 roomId) internal {
+        rooms[roomId].isActive = false;
+        _indexRemove(activeRooms, roomId);
+    }
+
+    /**
+     * @dev Callers add each ID once
+     */
+    function _indexAdd(IdIndex storage index, uint256 id) internal {
+        index.ids.push(id);
+        index.position[id] = index.ids.length;
+    }
+
+    /**
+     * @dev Moves the last ID into the gap; no-op for IDs not in the index
+     */
+    function _indexRemove(IdIndex storage index, uint256 id) internal {
+        uint256 position = index.position[id];
+        if (position == 0) return;
+
+        uint256 lastId = index.ids[index.ids.length - 1];
+        index.ids[position - 1] = lastId;
+        index.position[lastId] = position;
+        index.ids.pop();
+        delete index.position[id];
+    }
+
+    /**
+     * @notice Gateway callback for a completed round's word index
+     * @dev Retires the drawn slot, since its word is about to be revealed
+     * @param requestId The decryption request ID
+     * @param wordIndex Bank slot of the drawn word
+     */
+    function callbackWordIndex(
+        uint256 requestId,
+        uint16 wordIndex
+    ) public onlyGateway returns (bool) {
+        uint256 gameId = pendingWordIndexRequests[requestId];
+        require(gameId != 0, "Unknown request");
+
+        GameRound storage game = gameRounds[gameId];
+        WordBank storage bank = wordBanks[game.wordLength];
+        game.wordCommitment = bank.commitments[wordIndex];
+        _indexRemove(bank.active, wordIndex);
+
+        emit WordIndexRevealed(gameId, wordIndex, game.wordCommitment);
+
+        delete pendingWordIndexRequests[requestId];
+        return true;
+    }
+
+    /**
+     * @notice Publish a finished round's word so players can check the commitment
+     * @dev The plaintext must match the commitment the owner loaded with the
+     *      drawn bank word, which is known once the index is decrypted. That
+     *      proves which bank word was drawn; the word is also compared with
+     *      the round's encrypted letters, and WordRevealVerified reports
+     *      whether they spelled it. Owner only, as the owner alone holds the
+     *      salts.
+     * @param gameId Completed round
+     * @param word Plaintext word
+     * @param salt Salt used in the commitment
+     */
+    function revealWord(uint256 gameId, string calldata word, bytes32 salt)
+        external
+        onlyOwner
+    {
+        GameRound storage game = gameRounds[gameId];
+        require(game.isComplete, "Round not complete");
+        require(
+            keccak256(abi.encodePacked(word, salt)) == game.wordCommitment,
+            "Reveal mismatch"
+        );
+
+        ebool matched = RoundLogic.matchRevealedWord(game, bytes(word));
+        uint256 requestId = _requestDecryption(
+            Gateway.toUint256(matched),
+            this.callbackWordCheck.selector
+        );
+        pendingWordChecks[requestId] = gameId;
+
+        emit WordRevealed(gameId, word, salt);
+    }
+
+    /**
+     * @notice Gateway callback for a revealed word's letter check
+     * @param requestId The decryption request ID
+     * @param matched Whether the revealed word spells the round's letters
+     */
+    function callbackWordCheck(uint256 requestId, bool matched) public onlyGateway returns (bool) {
+        uint256 gameId = pendingWordChecks[requestId];
+        require(gameId != 0, "Unknown request");
+        delete pendingWordChecks[requestId];
+
+        emit WordRevealVerified(gameId, matched);
+        return true;
     }
 
     /**
@@ -868,7 +1344,9 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
             bool isActive,
             uint256 createdAt,
             uint256 currentGameId,
-            address[] memory playerAddresses
+            address[] memory playerAddresses,
+            RoomRules memory rules,
+            bool isPrivate
         )
     {
         Room storage room = rooms[roomId];
@@ -879,7 +1357,9 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
             room.isActive,
             room.createdAt,
             room.currentGameId,
-            room.playerAddresses
+            room.playerAddresses,
+            room.rules,
+            room.isPrivate
         );
     }
 
@@ -950,6 +1430,64 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         return playerXP[player];
     }
 
+    /**
+     * @notice Get final placements for a game (index 0 = winner)
+     * @param gameId Final round of the game
+     */
+    function getGamePlacements(uint256 gameId)
+        external
+        view
+        returns (address[] memory)
+    {
+        return gamePlacements[gameId];
+    }
+
+    /**
+     * @notice Get a player's placement history across all games
+     */
+    function getPlayerPlacements(address player)
+        external
+        view
+        returns (Placement[] memory)
+    {
+        return playerPlacements[player];
+    }
+
+    /**
+     * @notice Get the caller's encrypted per-letter feedback for an attempt
+     * @dev The caller can decrypt it once GuessValidated is emitted for the attempt
+     * @param gameId Game ID
+     * @param attempt Attempt number (1-based)
+     * @return correct Per-position "right letter, right place" flags
+     * @return present Per-position "letter is elsewhere in the word" flags
+     */
+    function getGuessFeedback(uint256 gameId, uint8 attempt)
+        external
+        view
+        returns (ebool[] memory correct, ebool[] memory present)
+    {
+        GuessFeedback storage feedback = guessFeedback[gameId][msg.sender][attempt];
+        require(feedback.correct.length > 0, "No feedback");
+        return (feedback.correct, feedback.present);
+    }
+
+    /**
+     * @notice Get whether your entry fee was covered when the room's game started
+     * @dev Encrypted; only you can read it via reencryption. If false, your
+     *      guesses never match and you cannot win.
+     */
+    function getEntryFeePaid(uint256 roomId) external view returns (ebool) {
+        return rooms[roomId].players[msg.sender].feePaid;
+    }
+
+    /**
+     * @notice Get a room's encrypted prize pool: the entry fees its current game escrowed
+     * @dev Only the contract may decrypt it; it is zero once the game pays out or refunds
+     */
+    function getPrizePool(uint256 roomId) external view returns (euint32) {
+        return rooms[roomId].encryptedPrizePool;
+    }
+
     /**
      * @notice Get qualified players for a game
      */
@@ -961,6 +1499,58 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
         return gameRounds[gameId].qualifiedPlayers;
     }
 
+    /**
+     * @notice Get a page of open room IDs, waiting or playing
+     * @dev Order is not stable: closing a room moves the last ID into its slot
+     * @param offset Index of the first ID to return
+     * @param limit Maximum number of IDs to return
+     * @return roomIds Open room IDs in this page
+     * @return total Number of open rooms
+     */
+    function getActiveRooms(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory roomIds, uint256 total)
+    {
+        return RoundLogic.pageOf(activeRooms.ids, offset, limit);
+    }
+
+    /**
+     * @notice Get a page of game rounds that are still in progress
+     * @dev Same ordering caveat as getActiveRooms
+     * @return gameIds Active game IDs in this page
+     * @return total Number of active games
+     */
+    function getActiveGames(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory gameIds, uint256 total)
+    {
+        return RoundLogic.pageOf(activeGames.ids, offset, limit);
+    }
+
+    /**
+     * @notice Get a page of the rooms a player is in or has played in, oldest first
+     * @dev Rooms the player left before a game started are not listed
+     * @return roomIds Room IDs in this page
+     * @return total Number of rooms for the player
+     */
+    function getPlayerRooms(address player, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory roomIds, uint256 total)
+    {
+        return RoundLogic.pageOf(playerRooms[player], offset, limit);
+    }
+
+    /**
+     * @notice Get the number of words still drawable for a word length
+     * @dev Revealed words are retired and no longer counted
+     */
+    function getWordBankSize(uint8 wordLength) external view returns (uint256) {
+        return wordBanks[wordLength].active.ids.length;
+    }
+
     // ============ Admin Functions ============
 
     /**
@@ -1026,9 +1616,89 @@ contract ConfidentialWordGame is GatewayCaller, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Emergency pause a room
+     * @notice Set the contract that tracks XP per season
+     * @dev The seasons contract must be deployed for this game; pass
+     *      address(0) to stop tracking seasons
      */
-    function emergencyPauseRoom(uint256 roomId) external onlyOwner {
-        rooms[roomId].isActive = false;
+    function setSeasons(XPSeasons newSeasons) external onlyOwner {
+        require(
+            address(newSeasons) == address(0) || newSeasons.game() == address(this),
+            "Seasons not for this game"
+        );
+        seasons = newSeasons;
+    }
+
+    /**
+     * @notice Set the contract that mints achievement badges
+     * @dev The badge contract must be deployed for this game; pass
+     *      address(0) to stop awarding badges
+     */
+    function setBadges(AchievementBadges newBadges) external onlyOwner {
+        require(
+            address(newBadges) == address(0) || newBadges.game() == address(this),
+            "Badges not for this game"
+        );
+        badges = newBadges;
+    }
+
+    /**
+     * @notice Set the contract that reserves rooms for tournament matches
+     * @dev The tournaments contract must be deployed for this game; pass
+     *      address(0) to stop reserving match rooms
+     */
+    function setTournaments(address newTournaments) external onlyOwner {
+        require(
+            newTournaments == address(0) || IGameExtension(newTournaments).game() == address(this),
+            "Tournaments not for this game"
+        );
+        tournaments = newTournaments;
+    }
+
+    /**
+     * @notice Set the guardian allowed to pause the contract
+     * @dev Pass address(0) to leave pausing to the owner alone
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        emit GuardianUpdated(guardian, newGuardian);
+        guardian = newGuardian;
+    }
+
+    /**
+     * @notice Pause deposits, room creation, joins, game starts and guesses
+     * @dev Gateway callbacks, withdrawals, leaving rooms and round timeouts
+     *      keep working so funds and running rounds are never stuck
+     */
+    function pause() external {
+        require(msg.sender == owner() || msg.sender == guardian, "Not owner or guardian");
+        _pause();
+    }
+
+    /**
+     * @notice Lift a contract-wide pause (owner only, so a guardian key can't undo it)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Emergency pause a room, refunding its escrowed entry fees
+     * @dev Ends the current game without prizes or XP; every player whose
+     *      fee was deducted gets it back. Emits RoomEmergencyPaused only, not
+     *      GameEnded, so listeners can tell it from a game nobody won.
+     */
+    function emergencyPauseRoom(uint256 roomId) external onlyOwner onlyActiveRoom(roomId) {
+        Room storage room = rooms[roomId];
+        uint256 gameId = room.currentGameId;
+        GameRound storage game = gameRounds[gameId];
+
+        if (gameId != 0 && !game.prizeDistributed) {
+            game.isComplete = true;
+            game.prizeDistributed = true;
+            _indexRemove(activeGames, gameId);
+            RoundLogic.refundEntryFees(room, playerBalances);
+        }
+        _closeRoom(roomId);
+
+        emit RoomEmergencyPaused(roomId, gameId);
     }
 }
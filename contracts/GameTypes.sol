@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "fhevm/lib/TFHE.sol";
+
+/**
+ * @notice Core game state shared by ConfidentialWordGame and its libraries
+ * @dev Declared at file level so linked libraries can take storage pointers to them
+ */
+
+struct Player {
+    address wallet;
+    euint32 encryptedBalance;
+    uint8 score;
+    uint8 roundsWon;
+    bool isActive;
+    bool hasGuessed;
+    bool isCorrect; // Set by Gateway callback
+    uint256 lastGuessTime;
+    uint8 attemptsUsed;
+    string displayName;
+    ebool feePaid; // Entry fee was covered at game start; unpaid guesses never match
+}
+
+struct GuessFeedback {
+    ebool[] correct; // Letter is in this position
+    ebool[] present; // Letter is in the word, but elsewhere
+}
+
+struct RoomRules {
+    uint32 entryFeeCredits; // Deducted from each player when a game starts
+    uint8 maxPlayers;
+    uint32 roundTimeLimit; // seconds
+    uint8 maxAttempts; // Guesses per player per round
+}
+
+struct Room {
+    uint256 roomId;
+    address creator;
+    address[] playerAddresses;
+    mapping(address => Player) players;
+    uint8 playerCount;
+    euint32 encryptedPrizePool;
+    bool isActive;
+    uint256 createdAt;
+    uint256 currentGameId;
+    RoomRules rules;
+    bool isPrivate; // Hidden from the lobby; joins need an invite
+    bytes32 joinCodeHash; // keccak256(roomId, code), or 0 for allowlist only
+    mapping(address => bool) kicked; // Removed by the creator; can't rejoin
+    bool isMatchRoom; // Reserved for a tournament match; only its seeds may join
+    mapping(address => bool) matchSeeds; // The match's seeded players
+}
+
+struct GameRound {
+    uint256 gameId;
+    uint256 roomId;
+    euint8[] encryptedWordLetters; // Each letter as euint8 (65-90 for A-Z)
+    uint8 wordLength;
+    uint8 currentStage; // 3, 4, or 5 letter words
+    uint256 roundStartTime;
+    uint256 roundEndTime;
+    uint8 qualifiedPlayerCount;
+    address[] qualifiedPlayers;
+    bool isComplete;
+    bool prizeDistributed;
+    uint256 previousGameId; // Stage this round advanced from (0 for first stage)
+    uint256 nextGameId; // Stage this round advanced to (0 if none yet)
+    euint16 encryptedWordIndex; // Word bank slot drawn with FHE randomness
+    bytes32 wordCommitment; // Drawn bank word's keccak256(abi.encodePacked(word, salt)), set once the index is decrypted
+}
+
+struct Placement {
+    uint256 gameId; // Final round of the game
+    uint256 roomId;
+    uint8 position; // 1 = winner
+    uint8 stageReached; // Longest word length the player solved
+    uint256 timestamp;
+}
+
+struct WordBank {
+    euint8[] letters; // Flattened word by word
+    bytes32[] commitments; // keccak256(abi.encodePacked(word, salt)) per word
+    IdIndex active; // Slots still drawable; a slot is retired once its word is revealed
+}
+
+struct IdIndex {
+    uint256[] ids; // Unordered; removal swaps the last ID into the gap
+    mapping(uint256 => uint256) position; // id => index + 1, 0 when absent
+}
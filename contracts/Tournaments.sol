@@ -0,0 +1,535 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./ConfidentialWordGame.sol";
+
+/**
+ * @title Tournaments
+ * @notice Multi-room knockout tournaments on top of ConfidentialWordGame
+ * @dev Registered players are seeded into matches of up to roomSize players.
+ *      Each match is played in a game room created by one of its seeded
+ *      players and linked here by the relayer. Linking reserves the room for
+ *      the match's seeds, and its creator can no longer kick them or change
+ *      who may join, so this contract must be set as the game's tournaments
+ *      contract. A match's winner is read
+ *      from the game's placements, so anyone can record results. Winners are
+ *      re-seeded into the next round until one champion remains, who claims
+ *      the prize pool. The pool is the entry fees in plain ETH, held here
+ *      until the end; it is not encrypted while the tournament runs. The
+ *      prize only ever leaves as encrypted game balance credits.
+ */
+contract Tournaments is Ownable, ReentrancyGuard {
+    // ============ Constants ============
+
+    uint16 public constant MAX_TOURNAMENT_PLAYERS = 125; // Bounds seeding loops
+    uint256 public constant MATCH_START_TIMEOUT = 1 hours; // Matches with no game started go to the best seed who showed up
+
+    // ============ Enums ============
+
+    enum TournamentStatus {
+        Registration,
+        Running,
+        Finished,
+        Cancelled
+    }
+
+    // ============ Structs ============
+
+    struct Tournament {
+        string name;
+        uint256 entryFee; // wei, a whole number of game credits
+        uint256 prizePool; // wei
+        uint256 registrationEnds;
+        uint256 roundStartTime; // When the current round was seeded
+        uint16 maxPlayers;
+        uint8 roomSize;
+        uint8 currentRound; // 0 until started
+        uint16 matchesLeft; // Undecided matches in the current round
+        TournamentStatus status;
+        address champion;
+        address[] players; // Registration order
+    }
+
+    struct Match {
+        uint256 roomId; // 0 until linked
+        address[] players; // Seeded players, top seed first
+        address winner; // address(0) until decided
+    }
+
+    struct MatchRef {
+        uint256 tournamentId; // 0 = room is not a tournament match
+        uint8 round;
+        uint16 matchIndex;
+    }
+
+    // ============ State Variables ============
+
+    ConfidentialWordGame public immutable game;
+    uint256 public tournamentCount;
+
+    // ============ Mappings ============
+
+    mapping(uint256 => Tournament) private tournaments;
+    mapping(uint256 => mapping(uint8 => Match[])) private rounds; // tournamentId => round => matches
+    mapping(uint256 => mapping(address => bool)) public isRegistered;
+    mapping(uint256 => mapping(address => bool)) public refundClaimed;
+    mapping(uint256 => MatchRef) public matchOfRoom; // roomId => match
+
+    // ============ Events ============
+
+    event TournamentCreated(
+        uint256 indexed tournamentId,
+        string name,
+        uint256 entryFee,
+        uint8 roomSize,
+        uint16 maxPlayers,
+        uint256 registrationEnds
+    );
+
+    event PlayerRegistered(
+        uint256 indexed tournamentId,
+        address indexed player,
+        uint256 playerCount
+    );
+
+    event TournamentStarted(
+        uint256 indexed tournamentId,
+        uint256 playerCount,
+        uint256 prizePool
+    );
+
+    event MatchSeeded(
+        uint256 indexed tournamentId,
+        uint8 indexed round,
+        uint16 matchIndex,
+        address[] players
+    );
+
+    event MatchRoomLinked(
+        uint256 indexed tournamentId,
+        uint8 indexed round,
+        uint16 matchIndex,
+        uint256 indexed roomId
+    );
+
+    event MatchDecided(
+        uint256 indexed tournamentId,
+        uint8 indexed round,
+        uint16 matchIndex,
+        address winner
+    );
+
+    event TournamentFinished(
+        uint256 indexed tournamentId,
+        address indexed champion,
+        uint256 prize
+    );
+
+    event TournamentCancelled(uint256 indexed tournamentId);
+
+    event RefundClaimed(
+        uint256 indexed tournamentId,
+        address indexed player,
+        uint256 amount
+    );
+
+    event PrizeClaimed(
+        uint256 indexed tournamentId,
+        address indexed champion,
+        uint256 amount
+    );
+
+    // ============ Modifiers ============
+
+    modifier onlyRelayer() {
+        require(msg.sender == game.relayer() || msg.sender == owner(), "Not authorized relayer");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    constructor(ConfidentialWordGame _game) Ownable(msg.sender) {
+        require(address(_game) != address(0), "Invalid address");
+        game = _game;
+    }
+
+    // ============ Registration ============
+
+    /**
+     * @notice Create a tournament open for registration
+     * @param name Display name
+     * @param entryFee Entry fee in wei; must be a whole number of game credits
+     * @param roomSize Players per match room
+     * @param maxPlayers Registration cap
+     * @param registrationPeriod Seconds registration stays open
+     * @return tournamentId The new tournament ID
+     */
+    function createTournament(
+        string calldata name,
+        uint256 entryFee,
+        uint8 roomSize,
+        uint16 maxPlayers,
+        uint256 registrationPeriod
+    ) external onlyOwner returns (uint256) {
+        require(
+            roomSize >= game.MIN_PLAYERS_PER_ROOM() && roomSize <= game.MAX_PLAYERS_PER_ROOM(),
+            "Invalid room size"
+        );
+        require(maxPlayers >= 2 && maxPlayers <= MAX_TOURNAMENT_PLAYERS, "Invalid player cap");
+        require(entryFee % game.CREDIT_UNIT() == 0, "Not a whole credit amount");
+
+        tournamentCount++;
+        uint256 tournamentId = tournamentCount;
+
+        Tournament storage tournament = tournaments[tournamentId];
+        tournament.name = name;
+        tournament.entryFee = entryFee;
+        tournament.roomSize = roomSize;
+        tournament.maxPlayers = maxPlayers;
+        tournament.registrationEnds = block.timestamp + registrationPeriod;
+
+        emit TournamentCreated(
+            tournamentId,
+            name,
+            entryFee,
+            roomSize,
+            maxPlayers,
+            tournament.registrationEnds
+        );
+
+        return tournamentId;
+    }
+
+    /**
+     * @notice Register for a tournament by paying its entry fee
+     * @param tournamentId Tournament ID
+     */
+    function register(uint256 tournamentId) external payable {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(tournament.maxPlayers != 0, "Unknown tournament");
+        require(
+            tournament.status == TournamentStatus.Registration &&
+            block.timestamp < tournament.registrationEnds,
+            "Registration closed"
+        );
+        require(!isRegistered[tournamentId][msg.sender], "Already registered");
+        require(tournament.players.length < tournament.maxPlayers, "Tournament full");
+        require(msg.value == tournament.entryFee, "Wrong entry fee");
+
+        isRegistered[tournamentId][msg.sender] = true;
+        tournament.players.push(msg.sender);
+        tournament.prizePool += msg.value;
+
+        emit PlayerRegistered(tournamentId, msg.sender, tournament.players.length);
+    }
+
+    // ============ Bracket Progression ============
+
+    /**
+     * @notice Close registration and seed the first round
+     * @dev Allowed once registration has ended or the tournament is full
+     * @param tournamentId Tournament ID
+     */
+    function startTournament(uint256 tournamentId) external onlyRelayer {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(tournament.status == TournamentStatus.Registration, "Not in registration");
+        require(
+            block.timestamp >= tournament.registrationEnds ||
+            tournament.players.length == tournament.maxPlayers,
+            "Registration open"
+        );
+        require(tournament.players.length >= 2, "Not enough players");
+
+        tournament.status = TournamentStatus.Running;
+        emit TournamentStarted(tournamentId, tournament.players.length, tournament.prizePool);
+
+        _seedRound(tournamentId, tournament.players);
+    }
+
+    /**
+     * @notice Link a game room to a seeded match
+     * @dev The room must be created by one of the match's players, not have
+     *      started a game yet, seat only the match's players and have room for
+     *      all of them. The game then reserves it for them. A match whose room
+     *      closed before its game started can be linked to a new room.
+     */
+    function linkMatchRoom(
+        uint256 tournamentId,
+        uint8 round,
+        uint16 matchIndex,
+        uint256 roomId
+    ) external onlyRelayer {
+        Match storage matchInfo = _currentMatch(tournamentId, round, matchIndex);
+        if (matchInfo.roomId != 0) {
+            (, , , bool linkedActive, , uint256 linkedGameId, , , ) = game.getRoomInfo(matchInfo.roomId);
+            require(!linkedActive && linkedGameId == 0, "Match already linked");
+        }
+        require(matchOfRoom[roomId].tournamentId == 0, "Room already linked");
+
+        (, address creator, , bool isActive, , uint256 currentGameId, , , ) = game.getRoomInfo(roomId);
+        require(isActive && currentGameId == 0, "Room not waiting");
+        require(_isMatchPlayer(matchInfo, creator), "Creator not in match");
+
+        matchInfo.roomId = roomId;
+        matchOfRoom[roomId] = MatchRef(tournamentId, round, matchIndex);
+        game.reserveMatchRoom(roomId, matchInfo.players);
+
+        emit MatchRoomLinked(tournamentId, round, matchIndex, roomId);
+    }
+
+    /**
+     * @notice Record a match winner from its room's finished game
+     * @dev Anyone can call this. The winner is the best-placed seeded player;
+     *      if none placed, the top seed advances. A match that started no game
+     *      within MATCH_START_TIMEOUT goes to the best seed seated in its
+     *      waiting room, so a seed can't win by staying away; if its room
+     *      closed or it never got one, the top seed advances.
+     */
+    function recordMatchResult(uint256 tournamentId, uint8 round, uint16 matchIndex)
+        external
+        nonReentrant
+    {
+        Match storage matchInfo = _currentMatch(tournamentId, round, matchIndex);
+        address winner = matchInfo.players[0];
+
+        bool isActive;
+        uint256 currentGameId;
+        if (matchInfo.roomId != 0) {
+            (, , , isActive, , currentGameId, , , ) = game.getRoomInfo(matchInfo.roomId);
+        }
+
+        if (currentGameId == 0) {
+            require(
+                block.timestamp >= tournaments[tournamentId].roundStartTime + MATCH_START_TIMEOUT,
+                "Match not finished"
+            );
+
+            for (uint256 i = 0; isActive && i < matchInfo.players.length; i++) {
+                (, , , bool seated, , , , ) = game.getPlayerInfo(matchInfo.roomId, matchInfo.players[i]);
+                if (seated) {
+                    winner = matchInfo.players[i];
+                    break;
+                }
+            }
+        } else {
+            require(!isActive, "Match not finished");
+
+            address[] memory placements = game.getGamePlacements(currentGameId);
+            for (uint256 i = 0; i < placements.length; i++) {
+                if (_isMatchPlayer(matchInfo, placements[i])) {
+                    winner = placements[i];
+                    break;
+                }
+            }
+        }
+
+        _decideMatch(tournamentId, round, matchIndex, winner);
+    }
+
+    /**
+     * @notice Seed players into the next round's matches
+     * @dev Players are dealt round-robin, so seeds spread across matches and
+     *      match sizes differ by at most one. A match left with a single player
+     *      is a bye and is decided immediately.
+     */
+    function _seedRound(uint256 tournamentId, address[] memory entrants) private {
+        Tournament storage tournament = tournaments[tournamentId];
+        uint8 round = ++tournament.currentRound;
+        tournament.roundStartTime = block.timestamp;
+
+        uint256 matchCount = (entrants.length + tournament.roomSize - 1) / tournament.roomSize;
+        Match[] storage matches = rounds[tournamentId][round];
+
+        for (uint256 i = 0; i < matchCount; i++) {
+            matches.push();
+        }
+        for (uint256 i = 0; i < entrants.length; i++) {
+            matches[i % matchCount].players.push(entrants[i]);
+        }
+
+        tournament.matchesLeft = uint16(matchCount);
+        for (uint16 i = 0; i < matchCount; i++) {
+            emit MatchSeeded(tournamentId, round, i, matches[i].players);
+        }
+
+        // Byes; decided last, as deciding the final match may end the round
+        for (uint16 i = 0; i < matchCount; i++) {
+            if (matches[i].players.length == 1) {
+                _decideMatch(tournamentId, round, i, matches[i].players[0]);
+            }
+        }
+    }
+
+    /**
+     * @notice Record a match winner and advance the bracket once the round is done
+     */
+    function _decideMatch(uint256 tournamentId, uint8 round, uint16 matchIndex, address winner) private {
+        Tournament storage tournament = tournaments[tournamentId];
+        Match[] storage matches = rounds[tournamentId][round];
+        matches[matchIndex].winner = winner;
+        tournament.matchesLeft--;
+
+        emit MatchDecided(tournamentId, round, matchIndex, winner);
+
+        if (tournament.matchesLeft > 0) return;
+
+        if (matches.length == 1) {
+            _finishTournament(tournamentId, winner);
+            return;
+        }
+
+        address[] memory winners = new address[](matches.length);
+        for (uint256 i = 0; i < matches.length; i++) {
+            winners[i] = matches[i].winner;
+        }
+        _seedRound(tournamentId, winners);
+    }
+
+    /**
+     * @notice Crown the champion, who then claims the prize pool
+     * @dev Paying out is left to claimPrize, so a paused game can't hold up
+     *      the final match
+     */
+    function _finishTournament(uint256 tournamentId, address champion) private {
+        Tournament storage tournament = tournaments[tournamentId];
+        tournament.status = TournamentStatus.Finished;
+        tournament.champion = champion;
+
+        emit TournamentFinished(tournamentId, champion, tournament.prizePool);
+    }
+
+    /**
+     * @notice Claim a finished tournament's prize pool (champion only)
+     * @dev The prize is credited to the champion's encrypted game balance,
+     *      so claiming waits while the game is paused
+     * @param tournamentId Tournament ID
+     */
+    function claimPrize(uint256 tournamentId) external nonReentrant {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(tournament.status == TournamentStatus.Finished, "Not finished");
+        require(msg.sender == tournament.champion, "Not the champion");
+
+        uint256 prize = tournament.prizePool;
+        require(prize > 0, "Nothing to claim");
+        tournament.prizePool = 0;
+
+        game.depositBalanceFor{value: prize}(msg.sender);
+
+        emit PrizeClaimed(tournamentId, msg.sender, prize);
+    }
+
+    // ============ Cancellation ============
+
+    /**
+     * @notice Cancel a tournament that hasn't finished; players reclaim their fees
+     */
+    function cancelTournament(uint256 tournamentId) external onlyOwner {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(
+            tournament.status == TournamentStatus.Registration ||
+            tournament.status == TournamentStatus.Running,
+            "Tournament over"
+        );
+
+        tournament.status = TournamentStatus.Cancelled;
+        emit TournamentCancelled(tournamentId);
+    }
+
+    /**
+     * @notice Reclaim the entry fee of a cancelled tournament
+     */
+    function claimRefund(uint256 tournamentId) external nonReentrant {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(tournament.status == TournamentStatus.Cancelled, "Not cancelled");
+        require(isRegistered[tournamentId][msg.sender], "Not registered");
+        require(!refundClaimed[tournamentId][msg.sender], "Already refunded");
+
+        refundClaimed[tournamentId][msg.sender] = true;
+        tournament.prizePool -= tournament.entryFee;
+
+        (bool success, ) = payable(msg.sender).call{value: tournament.entryFee}("");
+        require(success, "Refund failed");
+
+        emit RefundClaimed(tournamentId, msg.sender, tournament.entryFee);
+    }
+
+    // ============ Internal Helpers ============
+
+    /**
+     * @notice Get an undecided match of a running tournament's current round
+     */
+    function _currentMatch(uint256 tournamentId, uint8 round, uint16 matchIndex)
+        private
+        view
+        returns (Match storage matchInfo)
+    {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(tournament.status == TournamentStatus.Running, "Tournament not running");
+        require(round == tournament.currentRound, "Not the current round");
+        require(matchIndex < rounds[tournamentId][round].length, "Unknown match");
+
+        matchInfo = rounds[tournamentId][round][matchIndex];
+        require(matchInfo.winner == address(0), "Match already decided");
+    }
+
+    function _isMatchPlayer(Match storage matchInfo, address player) private view returns (bool) {
+        for (uint256 i = 0; i < matchInfo.players.length; i++) {
+            if (matchInfo.players[i] == player) return true;
+        }
+        return false;
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get a tournament's details
+     */
+    function getTournamentInfo(uint256 tournamentId)
+        external
+        view
+        returns (
+            string memory name,
+            uint256 entryFee,
+            uint256 prizePool,
+            uint256 registrationEnds,
+            uint8 roomSize,
+            uint16 maxPlayers,
+            uint256 playerCount,
+            uint8 currentRound,
+            TournamentStatus status,
+            address champion
+        )
+    {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(tournament.maxPlayers != 0, "Unknown tournament");
+
+        return (
+            tournament.name,
+            tournament.entryFee,
+            tournament.prizePool,
+            tournament.registrationEnds,
+            tournament.roomSize,
+            tournament.maxPlayers,
+            tournament.players.length,
+            tournament.currentRound,
+            tournament.status,
+            tournament.champion
+        );
+    }
+
+    /**
+     * @notice Get a tournament's registered players in registration order
+     */
+    function getTournamentPlayers(uint256 tournamentId) external view returns (address[] memory) {
+        return tournaments[tournamentId].players;
+    }
+
+    /**
+     * @notice Get one bracket round's matches
+     */
+    function getRoundMatches(uint256 tournamentId, uint8 round) external view returns (Match[] memory) {
+        return rounds[tournamentId][round];
+    }
+}
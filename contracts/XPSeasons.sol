@@ -0,0 +1,212 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title XPSeasons
+ * @notice Per-season XP ledger and archived standings for ConfidentialWordGame
+ * @dev The game reports every XP award here. Lifetime XP stays in the game's
+ *      playerXP; this contract only counts XP earned while a season is open.
+ *      A closed season is never written to again, so its XP and top players
+ *      remain as the season's archive.
+ */
+contract XPSeasons is Ownable {
+    // ============ Constants ============
+
+    uint8 public constant TOP_PLAYERS = 10; // Standings kept sorted on-chain per season
+
+    // ============ State Variables ============
+
+    address public immutable game;
+    uint256 public seasonCount;
+    uint256 public currentSeason; // 0 when no season is open
+
+    // ============ Structs ============
+
+    struct Season {
+        string name;
+        uint256 startTime;
+        uint256 endTime; // 0 while the season is open
+        uint256 totalXP;
+        address[] topPlayers; // Highest season XP first, earlier achiever first on ties
+    }
+
+    // ============ Mappings ============
+
+    mapping(uint256 => Season) private seasons;
+    mapping(uint256 => mapping(address => uint256)) public seasonXP;
+    mapping(uint256 => address[]) private seasonPlayers;
+
+    // ============ Events ============
+
+    event SeasonStarted(
+        uint256 indexed seasonId,
+        string name,
+        uint256 startTime
+    );
+
+    event SeasonEnded(
+        uint256 indexed seasonId,
+        uint256 endTime,
+        address[] topPlayers,
+        uint256[] topXP
+    );
+
+    // ============ Modifiers ============
+
+    modifier onlyGame() {
+        require(msg.sender == game, "Only game");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    constructor(address _game) Ownable(msg.sender) {
+        require(_game != address(0), "Invalid address");
+        game = _game;
+    }
+
+    // ============ Season Management ============
+
+    /**
+     * @notice Open a new season; XP awarded from now on counts towards it
+     * @param name Display name, e.g. "Season 1"
+     * @return seasonId The new season ID
+     */
+    function startSeason(string calldata name) external onlyOwner returns (uint256) {
+        require(currentSeason == 0, "Season already open");
+
+        seasonCount++;
+        uint256 seasonId = seasonCount;
+
+        Season storage season = seasons[seasonId];
+        season.name = name;
+        season.startTime = block.timestamp;
+        currentSeason = seasonId;
+
+        emit SeasonStarted(seasonId, name, block.timestamp);
+
+        return seasonId;
+    }
+
+    /**
+     * @notice Close the open season and archive its final standings
+     */
+    function endSeason() external onlyOwner {
+        uint256 seasonId = currentSeason;
+        require(seasonId != 0, "No open season");
+
+        Season storage season = seasons[seasonId];
+        season.endTime = block.timestamp;
+        currentSeason = 0;
+
+        (address[] memory topPlayers, uint256[] memory topXP) = getSeasonStandings(seasonId);
+        emit SeasonEnded(seasonId, block.timestamp, topPlayers, topXP);
+    }
+
+    // ============ XP Tracking ============
+
+    /**
+     * @notice Count an XP award towards the open season
+     * @param player Player who earned the XP
+     * @param amount XP awarded
+     * @return seasonId Season the XP counted towards (0 if none is open)
+     */
+    function recordXP(address player, uint256 amount) external onlyGame returns (uint256 seasonId) {
+        seasonId = currentSeason;
+        if (seasonId == 0 || amount == 0) return seasonId;
+
+        if (seasonXP[seasonId][player] == 0) {
+            seasonPlayers[seasonId].push(player);
+        }
+        seasonXP[seasonId][player] += amount;
+        seasons[seasonId].totalXP += amount;
+
+        _updateTopPlayers(seasonId, player);
+    }
+
+    /**
+     * @notice Move a player up the season's top players after their XP grew
+     * @dev XP only grows, so a player can only move up. A newcomer replaces
+     *      the last top player once they have strictly more XP.
+     */
+    function _updateTopPlayers(uint256 seasonId, address player) private {
+        address[] storage top = seasons[seasonId].topPlayers;
+        mapping(address => uint256) storage xp = seasonXP[seasonId];
+
+        uint256 i = 0;
+        while (i < top.length && top[i] != player) i++;
+
+        if (i == top.length) {
+            if (top.length < TOP_PLAYERS) {
+                top.push(player);
+            } else if (xp[player] > xp[top[i - 1]]) {
+                i--;
+                top[i] = player;
+            } else {
+                return;
+            }
+        }
+
+        while (i > 0 && xp[top[i - 1]] < xp[player]) {
+            top[i] = top[i - 1];
+            top[i - 1] = player;
+            i--;
+        }
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get a season's details
+     */
+    function getSeasonInfo(uint256 seasonId)
+        external
+        view
+        returns (
+            string memory name,
+            uint256 startTime,
+            uint256 endTime,
+            uint256 totalXP,
+            uint256 playerCount,
+            bool isOpen
+        )
+    {
+        Season storage season = seasons[seasonId];
+        require(season.startTime != 0, "Unknown season");
+
+        return (
+            season.name,
+            season.startTime,
+            season.endTime,
+            season.totalXP,
+            seasonPlayers[seasonId].length,
+            seasonId == currentSeason
+        );
+    }
+
+    /**
+     * @notice Get a season's top players and their season XP, highest first
+     * @dev Final standings once the season has ended
+     */
+    function getSeasonStandings(uint256 seasonId)
+        public
+        view
+        returns (address[] memory players, uint256[] memory xp)
+    {
+        players = seasons[seasonId].topPlayers;
+        xp = new uint256[](players.length);
+
+        for (uint256 i = 0; i < players.length; i++) {
+            xp[i] = seasonXP[seasonId][players[i]];
+        }
+    }
+
+    /**
+     * @notice Get every player who earned XP in a season, in order of their first award
+     */
+    function getSeasonPlayers(uint256 seasonId) external view returns (address[] memory) {
+        return seasonPlayers[seasonId];
+    }
+}
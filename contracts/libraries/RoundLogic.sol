@@ -0,0 +1,941 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "fhevm/lib/TFHE.sol";
+import "../GameTypes.sol";
+
+/**
+ * @title RoundLogic
+ * @notice Room setup, word draws, guess evaluation, round and balance bookkeeping, and prize splits for ConfidentialWordGame
+ * @dev Functions are external so the game contract stays under the contract size
+ *      limit. They run via delegatecall, so FHE operations, ACL permissions and
+ *      events all belong to the calling game contract. Link this library when
+ *      deploying the game.
+ */
+library RoundLogic {
+    struct QualifyingGuess {
+        uint256 timestamp; // When the qualifying guess was submitted
+        uint8 attemptNumber;
+    }
+
+    event RoomCreated(uint256 indexed roomId, address indexed creator, uint256 timestamp);
+
+    event RoomRulesSet(
+        uint256 indexed roomId,
+        uint32 entryFeeCredits,
+        uint8 maxPlayers,
+        uint32 roundTimeLimit,
+        uint8 maxAttempts
+    );
+
+    event PlayerJoined(uint256 indexed roomId, address indexed player, string displayName);
+
+    event WordBankLoaded(uint8 indexed wordLength, uint256 wordsAdded, uint256 bankSize);
+
+    event GameStarted(
+        uint256 indexed roomId,
+        uint256 indexed gameId,
+        uint8 wordLength,
+        uint256 startTime
+    );
+
+    event EncryptedWordSet(uint256 indexed gameId, uint8 wordLength);
+
+    event PlacementRecorded(
+        uint256 indexed gameId,
+        address indexed player,
+        uint8 position,
+        uint8 stageReached
+    );
+
+    event PrizeDistributed(
+        uint256 indexed gameId,
+        address indexed player,
+        uint256 position
+    );
+
+    event QualifiedPlayersRanked(
+        uint256 indexed gameId,
+        address[] ranking,
+        uint256[] guessTimes,
+        uint8[] attempts
+    );
+
+    /**
+     * @notice Compute per-letter feedback and overall match for a guess
+     * @dev Feedback flags are only allowed for this contract until the Gateway
+     *      answers (see allowFeedback), so a guess cancelled as stale never
+     *      shows the guesser its feedback. "Present" ignores letter counts, so a
+     *      repeated guess letter is flagged at every position it could belong to.
+     *      Ineligible guessers get no match and all-absent feedback.
+     * @param wordLetters Encrypted letters of the round's word
+     * @param encryptedGuessLetters Encrypted guess letters, one per word letter
+     * @param inputProofs Proofs for encrypted inputs
+     * @param eligible Whether the guesser paid the entry fee
+     * @return allMatch Whether every letter is in the correct position
+     * @return correct Per position: letter is in this position
+     * @return present Per position: letter is in the word, but elsewhere
+     */
+    function computeGuessFeedback(
+        euint8[] memory wordLetters,
+        einput[] calldata encryptedGuessLetters,
+        bytes[] calldata inputProofs,
+        ebool eligible
+    ) external returns (ebool allMatch, ebool[] memory correct, ebool[] memory present) {
+        euint8[] memory guessLetters = new euint8[](wordLetters.length);
+        for (uint256 i = 0; i < wordLetters.length; i++) {
+            guessLetters[i] = TFHE.asEuint8(encryptedGuessLetters[i], inputProofs[i]);
+        }
+
+        correct = new ebool[](guessLetters.length);
+        present = new ebool[](guessLetters.length);
+        allMatch = eligible;
+
+        for (uint256 i = 0; i < guessLetters.length; i++) {
+            ebool charMatch = TFHE.eq(guessLetters[i], wordLetters[i]);
+            allMatch = TFHE.and(allMatch, charMatch);
+
+            ebool elsewhere = TFHE.asEbool(false);
+            for (uint256 j = 0; j < wordLetters.length; j++) {
+                if (j != i) {
+                    elsewhere = TFHE.or(
+                        elsewhere,
+                        TFHE.eq(guessLetters[i], wordLetters[j])
+                    );
+                }
+            }
+            ebool isPresent = TFHE.and(elsewhere, TFHE.not(charMatch));
+
+            charMatch = TFHE.and(charMatch, eligible);
+            isPresent = TFHE.and(isPresent, eligible);
+
+            TFHE.allowThis(charMatch);
+            TFHE.allowThis(isPresent);
+            correct[i] = charMatch;
+            present[i] = isPresent;
+        }
+    }
+
+    /**
+     * @notice Compare a revealed word with the letters a round was played with
+     * @param game Completed round
+     * @param word Plaintext word being revealed
+     * @return matched Whether every letter matches; false for a wrong length
+     */
+    function matchRevealedWord(
+        GameRound storage game,
+        bytes calldata word
+    ) external returns (ebool matched) {
+        euint8[] storage letters = game.encryptedWordLetters;
+        matched = TFHE.asEbool(word.length == letters.length);
+
+        for (uint256 i = 0; i < letters.length && i < word.length; i++) {
+            matched = TFHE.and(matched, TFHE.eq(letters[i], uint8(word[i])));
+        }
+
+        TFHE.allowThis(matched);
+    }
+
+    /**
+     * @notice Let the guesser decrypt an answered guess's per-letter feedback
+     * @param feedback Feedback stored for the guess
+     * @param player Guesser
+     */
+    function allowFeedback(GuessFeedback storage feedback, address player) external {
+        for (uint256 i = 0; i < feedback.correct.length; i++) {
+            TFHE.allow(feedback.correct[i], player);
+            TFHE.allow(feedback.present[i], player);
+        }
+    }
+
+    /**
+     * @notice Add a batch of encrypted words and their commitments to a bank
+     * @dev `maxSize` caps the drawable words, so retired slots free room for
+     *      new ones; the slot count itself is capped by the euint16 index
+     * @param bank Word bank for `wordLength`
+     * @param wordLength Length of every word in the batch
+     * @param maxSize Maximum number of drawable words the bank may hold
+     * @param encryptedLetters Encrypted letter codes, flattened word by word
+     * @param inputProofs Proofs for encrypted inputs
+     * @param wordCommitments Salted hash of each word
+     */
+    function addWords(
+        WordBank storage bank,
+        uint8 wordLength,
+        uint8 maxSize,
+        einput[] calldata encryptedLetters,
+        bytes[] calldata inputProofs,
+        bytes32[] calldata wordCommitments
+    ) external {
+        require(
+            encryptedLetters.length == wordCommitments.length * wordLength,
+            "Letters count mismatch"
+        );
+        require(
+            bank.active.ids.length + wordCommitments.length <= maxSize &&
+            bank.commitments.length + wordCommitments.length <= type(uint16).max,
+            "Word bank full"
+        );
+
+        for (uint256 i = 0; i < wordCommitments.length; i++) {
+            require(wordCommitments[i] != bytes32(0), "Missing word commitment");
+            bank.active.ids.push(bank.commitments.length);
+            bank.active.position[bank.commitments.length] = bank.active.ids.length;
+            bank.commitments.push(wordCommitments[i]);
+        }
+
+        for (uint256 i = 0; i < encryptedLetters.length; i++) {
+            euint8 letter = TFHE.asEuint8(encryptedLetters[i], inputProofs[i]);
+            TFHE.allowThis(letter);
+            bank.letters.push(letter);
+        }
+
+        emit WordBankLoaded(wordLength, wordCommitments.length, bank.active.ids.length);
+    }
+
+    /**
+     * @notice Set up a room's new game round and draw its word from the bank
+     * @param room Room the round belongs to; its current game becomes this round
+     * @param game Empty round at the new game ID
+     * @param bank Word bank for the round's word length
+     * @param gameId New game ID
+     * @param wordLength Length of the word (also the stage)
+     */
+    function createGameRound(
+        Room storage room,
+        GameRound storage game,
+        WordBank storage bank,
+        uint256 gameId,
+        uint8 wordLength
+    ) external {
+        require(bank.active.ids.length > 0, "Word bank empty");
+
+        game.gameId = gameId;
+        game.roomId = room.roomId;
+        game.wordLength = wordLength;
+        game.currentStage = wordLength;
+        game.roundStartTime = block.timestamp;
+        game.roundEndTime = block.timestamp + room.rules.roundTimeLimit;
+        _drawWord(bank, game);
+
+        room.currentGameId = gameId;
+
+        emit GameStarted(room.roomId, gameId, wordLength, block.timestamp);
+        emit EncryptedWordSet(gameId, wordLength);
+    }
+
+    /**
+     * @notice Draw a round's word from its bank's drawable slots at random
+     * @dev Selects over every drawable word so the slot never leaves FHE:
+     *      (drawable - 1) * (wordLength + 1) selects per draw. The modulo
+     *      bias is negligible for a bank capped well below 2^16 words. Rounds
+     *      drawn before a slot is retired can still share its word.
+     * @param bank Word bank for the round's word length
+     * @param game Round being created; receives the slot and letters
+     */
+    function _drawWord(WordBank storage bank, GameRound storage game) private {
+        uint256[] storage slots = bank.active.ids;
+        uint16 drawable = uint16(slots.length);
+        uint8 wordLength = game.wordLength;
+
+        euint16 position = TFHE.rem(TFHE.randEuint16(), drawable);
+        euint16 slot = TFHE.asEuint16(uint16(slots[0]));
+
+        euint8[] memory letters = new euint8[](wordLength);
+        for (uint256 p = 0; p < wordLength; p++) {
+            letters[p] = bank.letters[slots[0] * wordLength + p];
+        }
+
+        for (uint16 k = 1; k < drawable; k++) {
+            ebool chosen = TFHE.eq(position, k);
+            slot = TFHE.select(chosen, TFHE.asEuint16(uint16(slots[k])), slot);
+            for (uint256 p = 0; p < wordLength; p++) {
+                letters[p] = TFHE.select(chosen, bank.letters[slots[k] * wordLength + p], letters[p]);
+            }
+        }
+
+        TFHE.allowThis(slot);
+        game.encryptedWordIndex = slot;
+
+        for (uint256 p = 0; p < wordLength; p++) {
+            TFHE.allowThis(letters[p]);
+            game.encryptedWordLetters.push(letters[p]);
+        }
+    }
+
+    /**
+     * @notice Qualify a player whose guess the Gateway confirmed as correct
+     * @dev Does nothing for a player who already qualified or a round that
+     *      already completed, so late callbacks never leak into the next stage
+     * @param room Room the round is played in
+     * @param game Round the guess was made in
+     * @param guesses Each player's qualifying guess in the round
+     * @param playerAddr Guesser
+     * @param guessTime When the guess was submitted
+     * @param attemptNumber Attempt the guess used
+     * @param maxQualified Cap on qualified players per round
+     * @return qualified Whether the player qualified with this guess
+     */
+    function qualifyPlayer(
+        Room storage room,
+        GameRound storage game,
+        mapping(address => QualifyingGuess) storage guesses,
+        address playerAddr,
+        uint256 guessTime,
+        uint8 attemptNumber,
+        uint8 maxQualified
+    ) external returns (bool qualified) {
+        Player storage player = room.players[playerAddr];
+        if (player.isCorrect || game.isComplete) return false;
+
+        player.isCorrect = true;
+        player.score++;
+        player.roundsWon++;
+
+        // Prevent DOS via unbounded array growth
+        require(game.qualifiedPlayerCount < maxQualified, "Max qualified players reached");
+
+        game.qualifiedPlayerCount++;
+        game.qualifiedPlayers.push(playerAddr);
+        guesses[playerAddr] = QualifyingGuess({
+            timestamp: guessTime,
+            attemptNumber: attemptNumber
+        });
+        return true;
+    }
+
+    /**
+     * @notice Rank a completed round's qualified players and drop the slowest
+     *         beyond `maxAdvancing`
+     * @dev Callbacks arrive in Gateway order, so players are sorted by when
+     *      each qualifying guess was made. Dropped players are eliminated.
+     * @param room Room the round is played in
+     * @param game Completed round
+     * @param guesses Each player's qualifying guess in the round
+     * @param maxAdvancing Number of players allowed to advance
+     */
+    function rankQualifiedPlayers(
+        Room storage room,
+        GameRound storage game,
+        mapping(address => QualifyingGuess) storage guesses,
+        uint8 maxAdvancing
+    ) external {
+        _rank(game.gameId, game.qualifiedPlayers, guesses);
+
+        if (game.qualifiedPlayerCount > maxAdvancing) {
+            _prune(room, game, maxAdvancing);
+        }
+    }
+
+    /**
+     * @notice Sort qualified players by guess time, fewer attempts first on ties
+     * @dev Insertion sort; the game caps the list at MAX_QUALIFIED_PLAYERS
+     * @param gameId Game ID, for the ranking event
+     * @param qualified Qualified players in callback order, sorted in place
+     * @param guesses Each player's qualifying guess
+     */
+    function _rank(
+        uint256 gameId,
+        address[] storage qualified,
+        mapping(address => QualifyingGuess) storage guesses
+    ) private {
+        uint256 count = qualified.length;
+
+        address[] memory ranking = new address[](count);
+        uint256[] memory guessTimes = new uint256[](count);
+        uint8[] memory attempts = new uint8[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            address playerAddr = qualified[i];
+            uint256 guessTime = guesses[playerAddr].timestamp;
+            uint8 attempt = guesses[playerAddr].attemptNumber;
+
+            uint256 j = i;
+            while (
+                j > 0 &&
+                (guessTimes[j - 1] > guessTime ||
+                    (guessTimes[j - 1] == guessTime && attempts[j - 1] > attempt))
+            ) {
+                ranking[j] = ranking[j - 1];
+                guessTimes[j] = guessTimes[j - 1];
+                attempts[j] = attempts[j - 1];
+                j--;
+            }
+            ranking[j] = playerAddr;
+            guessTimes[j] = guessTime;
+            attempts[j] = attempt;
+        }
+
+        for (uint256 i = 0; i < count; i++) {
+            qualified[i] = ranking[i];
+        }
+
+        emit QualifiedPlayersRanked(gameId, ranking, guessTimes, attempts);
+    }
+
+    /**
+     * @notice Record a finished game's placements and pay out its prize pool
+     * @param rounds All game rounds
+     * @param gameId Final round of the game
+     * @param room Room whose game ended
+     * @param ranked Players by position (index 0 = winner), filled in here
+     * @param positions The game's placement per player
+     * @param placements Placement history per player
+     * @param balances Encrypted player balances
+     * @param runnerUpShareBps Second place share in basis points
+     * @param thirdPlaceShareBps Third place share in basis points
+     * @param basisPoints Basis point denominator
+     * @return winnerStage Longest word length the winner solved
+     */
+    function settleGame(
+        mapping(uint256 => GameRound) storage rounds,
+        uint256 gameId,
+        Room storage room,
+        address[] storage ranked,
+        mapping(address => uint8) storage positions,
+        mapping(address => Placement[]) storage placements,
+        mapping(address => euint32) storage balances,
+        uint256 runnerUpShareBps,
+        uint256 thirdPlaceShareBps,
+        uint256 basisPoints
+    ) external returns (uint8 winnerStage) {
+        winnerStage = _recordPlacements(rounds, gameId, ranked, positions, placements);
+        _distributePrizePool(room, gameId, ranked, balances, runnerUpShareBps, thirdPlaceShareBps, basisPoints);
+    }
+
+    /**
+     * @notice Rank every player who cleared a stage of the game
+     * @dev Walks the stage chain backwards from the final round. Players who
+     *      cleared a later stage rank above those eliminated earlier; within a
+     *      stage, qualified order is kept.
+     * @param rounds All game rounds
+     * @param gameId Final round of the game
+     * @param ranked Players by position (index 0 = winner), filled in here
+     * @param positions The game's placement per player
+     * @param placements Placement history per player
+     * @return winnerStage Longest word length the winner solved
+     */
+    function _recordPlacements(
+        mapping(uint256 => GameRound) storage rounds,
+        uint256 gameId,
+        address[] storage ranked,
+        mapping(address => uint8) storage positions,
+        mapping(address => Placement[]) storage placements
+    ) private returns (uint8 winnerStage) {
+        uint256 roomId = rounds[gameId].roomId;
+
+        uint256 roundId = gameId;
+        while (roundId != 0) {
+            GameRound storage round = rounds[roundId];
+
+            for (uint256 i = 0; i < round.qualifiedPlayers.length; i++) {
+                address playerAddr = round.qualifiedPlayers[i];
+                if (positions[playerAddr] != 0) continue;
+
+                ranked.push(playerAddr);
+                uint8 position = uint8(ranked.length);
+                positions[playerAddr] = position;
+                if (position == 1) winnerStage = round.currentStage;
+
+                placements[playerAddr].push(Placement({
+                    gameId: gameId,
+                    roomId: roomId,
+                    position: position,
+                    stageReached: round.currentStage,
+                    timestamp: block.timestamp
+                }));
+
+                emit PlacementRecorded(gameId, playerAddr, position, round.currentStage);
+            }
+
+            roundId = round.previousGameId;
+        }
+    }
+
+    /**
+     * @notice Split a room's encrypted prize pool across the top three placements
+     *         and credit each share to the player's balance
+     * @dev Shares for places nobody reached, plus rounding dust, go to the winner.
+     *      The pool is reset to zero afterwards.
+     * @param room Room whose game ended
+     * @param gameId Game being paid out
+     * @param ranked Final placements, winner first
+     * @param balances Encrypted player balances
+     * @param runnerUpShareBps Second place share in basis points
+     * @param thirdPlaceShareBps Third place share in basis points
+     * @param basisPoints Basis point denominator
+     */
+    function _distributePrizePool(
+        Room storage room,
+        uint256 gameId,
+        address[] storage ranked,
+        mapping(address => euint32) storage balances,
+        uint256 runnerUpShareBps,
+        uint256 thirdPlaceShareBps,
+        uint256 basisPoints
+    ) private {
+        euint32 totalPrize = room.encryptedPrizePool;
+        euint32 winnerPrize = totalPrize;
+
+        if (ranked.length > 1) {
+            euint32 runnerUpPrize = _share(totalPrize, runnerUpShareBps, basisPoints);
+            winnerPrize = TFHE.sub(winnerPrize, runnerUpPrize);
+            _credit(balances, ranked[1], runnerUpPrize);
+            emit PrizeDistributed(gameId, ranked[1], 2);
+        }
+        if (ranked.length > 2) {
+            euint32 thirdPlacePrize = _share(totalPrize, thirdPlaceShareBps, basisPoints);
+            winnerPrize = TFHE.sub(winnerPrize, thirdPlacePrize);
+            _credit(balances, ranked[2], thirdPlacePrize);
+            emit PrizeDistributed(gameId, ranked[2], 3);
+        }
+
+        _credit(balances, ranked[0], winnerPrize);
+        emit PrizeDistributed(gameId, ranked[0], 1);
+
+        room.encryptedPrizePool = TFHE.asEuint32(0);
+        TFHE.allowThis(room.encryptedPrizePool);
+    }
+
+    /**
+     * @notice Credit a deposit, opening the player's balance on their first one
+     * @param balances Encrypted player balances
+     * @param hasBalance Whether each player has a balance yet
+     * @param player Player to credit
+     * @param credits Number of credits deposited
+     */
+    function deposit(
+        mapping(address => euint32) storage balances,
+        mapping(address => bool) storage hasBalance,
+        address player,
+        uint32 credits
+    ) external {
+        euint32 amount = TFHE.asEuint32(credits);
+
+        if (hasBalance[player]) {
+            balances[player] = TFHE.add(balances[player], amount);
+        } else {
+            balances[player] = amount;
+            hasBalance[player] = true;
+        }
+
+        TFHE.allowThis(balances[player]);
+        TFHE.allow(balances[player], player);
+    }
+
+    /**
+     * @notice Add an encrypted amount to a player's balance
+     * @param balances Encrypted player balances
+     * @param player Player to credit
+     * @param amount Encrypted number of credits
+     */
+    function credit(
+        mapping(address => euint32) storage balances,
+        address player,
+        euint32 amount
+    ) external {
+        _credit(balances, player, amount);
+    }
+
+    /**
+     * @notice Add an encrypted amount to a player's balance
+     */
+    function _credit(
+        mapping(address => euint32) storage balances,
+        address player,
+        euint32 amount
+    ) private {
+        balances[player] = TFHE.add(balances[player], amount);
+        TFHE.allowThis(balances[player]);
+        TFHE.allow(balances[player], player);
+    }
+
+    /**
+     * @notice Compute a basis-point share of an encrypted amount
+     * @dev Widens to euint64 so the multiplication cannot overflow
+     */
+    function _share(
+        euint32 amount,
+        uint256 shareBps,
+        uint256 basisPoints
+    ) private returns (euint32) {
+        euint64 scaled = TFHE.mul(TFHE.asEuint64(amount), uint64(shareBps));
+        return TFHE.asEuint32(TFHE.div(scaled, uint64(basisPoints)));
+    }
+
+    /**
+     * @notice Deduct the room's entry fee from every player who can cover it
+     * @dev A balance that cannot cover the fee is left unchanged. Each player's
+     *      encrypted feePaid flag is recorded, and only fees actually deducted
+     *      are added to the prize pool.
+     * @param room Room whose game is starting
+     * @param balances Encrypted player balances
+     */
+    function collectEntryFees(
+        Room storage room,
+        mapping(address => euint32) storage balances
+    ) external {
+        euint32 fee = TFHE.asEuint32(room.rules.entryFeeCredits);
+        euint32 noFee = TFHE.asEuint32(0);
+
+        for (uint256 i = 0; i < room.playerAddresses.length; i++) {
+            address playerAddr = room.playerAddresses[i];
+            Player storage p = room.players[playerAddr];
+            euint32 currentBalance = balances[playerAddr];
+
+            p.feePaid = TFHE.ge(currentBalance, fee);
+            TFHE.allowThis(p.feePaid);
+            TFHE.allow(p.feePaid, playerAddr);
+
+            balances[playerAddr] = TFHE.select(
+                p.feePaid,
+                TFHE.sub(currentBalance, fee),
+                currentBalance
+            );
+            TFHE.allowThis(balances[playerAddr]);
+            TFHE.allow(balances[playerAddr], playerAddr);
+
+            room.encryptedPrizePool = TFHE.add(
+                room.encryptedPrizePool,
+                TFHE.select(p.feePaid, fee, noFee)
+            );
+        }
+        TFHE.allowThis(room.encryptedPrizePool);
+    }
+
+    /**
+     * @notice Debit an encrypted amount from a balance, or nothing if it exceeds the balance
+     * @param balances Encrypted player balances
+     * @param player Player to debit
+     * @param encryptedAmount Encrypted number of credits
+     * @param inputProof Proof for encrypted input
+     * @return debit The amount actually debited
+     */
+    function debitBalance(
+        mapping(address => euint32) storage balances,
+        address player,
+        einput encryptedAmount,
+        bytes calldata inputProof
+    ) external returns (euint32 debit) {
+        euint32 amount = TFHE.asEuint32(encryptedAmount, inputProof);
+        euint32 currentBalance = balances[player];
+
+        ebool hasSufficientFunds = TFHE.le(amount, currentBalance);
+        debit = TFHE.select(hasSufficientFunds, amount, TFHE.asEuint32(0));
+
+        balances[player] = TFHE.sub(currentBalance, debit);
+        TFHE.allowThis(balances[player]);
+        TFHE.allow(balances[player], player);
+        TFHE.allowThis(debit);
+    }
+
+    /**
+     * @notice Return the entry fee to every player whose fee was deducted
+     * @dev Empties the prize pool, which held exactly those fees
+     * @param room Room whose game is being refunded
+     * @param balances Encrypted player balances
+     */
+    function refundEntryFees(
+        Room storage room,
+        mapping(address => euint32) storage balances
+    ) external {
+        euint32 refundAmount = TFHE.asEuint32(room.rules.entryFeeCredits);
+        euint32 noRefund = TFHE.asEuint32(0);
+
+        for (uint256 i = 0; i < room.playerAddresses.length; i++) {
+            address playerAddr = room.playerAddresses[i];
+            euint32 refund = TFHE.select(room.players[playerAddr].feePaid, refundAmount, noRefund);
+
+            balances[playerAddr] = TFHE.add(balances[playerAddr], refund);
+            TFHE.allowThis(balances[playerAddr]);
+            TFHE.allow(balances[playerAddr], playerAddr);
+        }
+
+        room.encryptedPrizePool = noRefund;
+        TFHE.allowThis(noRefund);
+    }
+
+    /**
+     * @notice Whether every player still in the game has qualified or run out of attempts
+     * @param room Room the round is played in
+     */
+    function allPlayersFinished(Room storage room) external view returns (bool) {
+        for (uint256 i = 0; i < room.playerAddresses.length; i++) {
+            Player storage p = room.players[room.playerAddresses[i]];
+
+            if (p.isActive && !p.isCorrect && p.attemptsUsed < room.rules.maxAttempts) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @notice Drop the slowest qualified players until `maxQualified` remain
+     * @dev Expects _rank to have run, so the slowest are last.
+     *      Dropped players are eliminated from the room.
+     * @param room Room the round is played in
+     * @param game Completed round
+     * @param maxQualified Number of players to keep
+     */
+    function _prune(
+        Room storage room,
+        GameRound storage game,
+        uint8 maxQualified
+    ) private {
+        while (game.qualifiedPlayers.length > maxQualified) {
+            address playerAddr = game.qualifiedPlayers[game.qualifiedPlayers.length - 1];
+            room.players[playerAddr].isActive = false;
+            room.players[playerAddr].isCorrect = false;
+            game.qualifiedPlayers.pop();
+        }
+
+        game.qualifiedPlayerCount = maxQualified;
+    }
+
+    /**
+     * @notice Give qualified players fresh attempts and eliminate everyone else
+     * @param room Room advancing to its next stage
+     */
+    function advanceQualifiedPlayers(Room storage room) external {
+        for (uint256 i = 0; i < room.playerAddresses.length; i++) {
+            Player storage p = room.players[room.playerAddresses[i]];
+
+            if (!p.isActive) continue;
+
+            if (p.isCorrect) {
+                p.isCorrect = false;
+                p.hasGuessed = false;
+                p.attemptsUsed = 0;
+            } else {
+                p.isActive = false;
+            }
+        }
+    }
+
+    /**
+     * @notice Set up a new room with the caller as creator and first player
+     * @param room Empty room at the new room ID
+     * @param roomId New room ID
+     * @param rules Rules chosen by the creator
+     * @param minRules Lowest allowed value of each rule
+     * @param maxRules Highest allowed value of each rule
+     * @param balance Creator's encrypted balance
+     * @param displayName Creator's display name
+     * @param playerRoomIds The creator's room list
+     */
+    function openRoom(
+        Room storage room,
+        uint256 roomId,
+        RoomRules calldata rules,
+        RoomRules memory minRules,
+        RoomRules memory maxRules,
+        euint32 balance,
+        string calldata displayName,
+        uint256[] storage playerRoomIds
+    ) external {
+        require(
+            rules.entryFeeCredits >= minRules.entryFeeCredits &&
+                rules.entryFeeCredits <= maxRules.entryFeeCredits,
+            "Invalid entry fee"
+        );
+        require(
+            rules.maxPlayers >= minRules.maxPlayers &&
+                rules.maxPlayers <= maxRules.maxPlayers,
+            "Invalid player cap"
+        );
+        require(
+            rules.roundTimeLimit >= minRules.roundTimeLimit &&
+                rules.roundTimeLimit <= maxRules.roundTimeLimit,
+            "Invalid round time"
+        );
+        require(
+            rules.maxAttempts >= minRules.maxAttempts &&
+                rules.maxAttempts <= maxRules.maxAttempts,
+            "Invalid attempts"
+        );
+
+        room.roomId = roomId;
+        room.creator = msg.sender;
+        room.isActive = true;
+        room.createdAt = block.timestamp;
+        room.rules = rules;
+        room.encryptedPrizePool = TFHE.asEuint32(0);
+        TFHE.allowThis(room.encryptedPrizePool);
+
+        _addPlayer(room, msg.sender, balance, displayName, playerRoomIds);
+
+        emit RoomCreated(roomId, msg.sender, block.timestamp);
+        emit RoomRulesSet(
+            roomId,
+            rules.entryFeeCredits,
+            rules.maxPlayers,
+            rules.roundTimeLimit,
+            rules.maxAttempts
+        );
+    }
+
+    /**
+     * @notice Seat the caller in a room that has not started
+     * @dev Tournament match rooms admit only the match's seeds. Private rooms
+     *      admit allowlisted wallets and anyone with the join code.
+     * @param room Room to join
+     * @param allowlist The room's allowlist
+     * @param balance Caller's encrypted balance
+     * @param displayName Name shown to other players
+     * @param joinCode Code for a private room, or "" otherwise
+     * @param playerRoomIds The caller's room list
+     */
+    function joinRoom(
+        Room storage room,
+        mapping(address => bool) storage allowlist,
+        euint32 balance,
+        string calldata displayName,
+        string calldata joinCode,
+        uint256[] storage playerRoomIds
+    ) external {
+        if (room.isMatchRoom) {
+            require(room.matchSeeds[msg.sender], "Not a seeded player");
+        } else if (room.isPrivate && !allowlist[msg.sender]) {
+            require(
+                room.joinCodeHash != bytes32(0) &&
+                    keccak256(abi.encodePacked(room.roomId, joinCode)) == room.joinCodeHash,
+                "Invite required"
+            );
+        }
+        require(room.playerCount < room.rules.maxPlayers, "Room full");
+        require(!room.players[msg.sender].isActive, "Already in room");
+        require(room.currentGameId == 0, "Game in progress");
+
+        _addPlayer(room, msg.sender, balance, displayName, playerRoomIds);
+
+        emit PlayerJoined(room.roomId, msg.sender, displayName);
+    }
+
+    /**
+     * @notice Reserve a waiting room for a tournament match's seeded players
+     * @dev From now on only the seeds may join, whatever the room's access
+     *      settings. Every player already seated must be a seed, none of the
+     *      seeds may have been kicked, and the room must fit them all.
+     * @param room Room linked to the match
+     * @param seeds The match's seeded players
+     */
+    function reserveMatchRoom(Room storage room, address[] calldata seeds) external {
+        require(room.isActive && room.currentGameId == 0, "Room not waiting");
+        require(seeds.length <= room.rules.maxPlayers, "Room too small for match");
+
+        for (uint256 i = 0; i < seeds.length; i++) {
+            require(!room.kicked[seeds[i]], "Seed kicked from room");
+            room.matchSeeds[seeds[i]] = true;
+        }
+        for (uint256 i = 0; i < room.playerAddresses.length; i++) {
+            require(room.matchSeeds[room.playerAddresses[i]], "Unseeded player in room");
+        }
+
+        room.isMatchRoom = true;
+    }
+
+    /**
+     * @notice Seat a player in a room that has not started
+     * @dev The entry fee is only deducted when the game starts
+     * @param room Room to join
+     * @param playerAddr Player joining
+     * @param balance Player's encrypted balance
+     * @param displayName Name shown to other players (1-20 bytes)
+     * @param playerRoomIds The player's room list, which the room is appended to
+     */
+    function _addPlayer(
+        Room storage room,
+        address playerAddr,
+        euint32 balance,
+        string calldata displayName,
+        uint256[] storage playerRoomIds
+    ) private {
+        require(bytes(displayName).length > 0, "Name required");
+        require(bytes(displayName).length <= 20, "Name too long");
+        require(!room.kicked[playerAddr], "Kicked from room");
+
+        room.playerCount++;
+        room.playerAddresses.push(playerAddr);
+        room.players[playerAddr] = Player({
+            wallet: playerAddr,
+            encryptedBalance: balance,
+            score: 0,
+            roundsWon: 0,
+            isActive: true,
+            hasGuessed: false,
+            isCorrect: false,
+            lastGuessTime: 0,
+            attemptsUsed: 0,
+            displayName: displayName,
+            feePaid: ebool.wrap(0) // Set when the game starts
+        });
+        playerRoomIds.push(room.roomId);
+    }
+
+    /**
+     * @notice Remove a player from a room that has not started, keeping join order
+     * @dev Closes the room when it empties; if the creator left, the earliest
+     *      remaining player becomes creator.
+     * @param room Room to leave
+     * @param playerAddr Player to remove
+     * @param kicked Whether the creator removed them, which bars them from rejoining
+     * @param playerRoomIds The player's room list, which the room is dropped from
+     */
+    function removePlayer(
+        Room storage room,
+        address playerAddr,
+        bool kicked,
+        uint256[] storage playerRoomIds
+    ) external {
+        // Shift later players down to keep join order
+        address[] storage addrs = room.playerAddresses;
+        uint256 i = 0;
+        while (addrs[i] != playerAddr) i++;
+        for (; i + 1 < addrs.length; i++) {
+            addrs[i] = addrs[i + 1];
+        }
+        addrs.pop();
+
+        delete room.players[playerAddr];
+        room.playerCount--;
+        if (kicked) room.kicked[playerAddr] = true;
+
+        if (room.playerCount == 0) {
+            room.isActive = false;
+        } else if (playerAddr == room.creator) {
+            room.creator = addrs[0];
+        }
+
+        // The room was joined most recently, so search from the end
+        uint256 j = playerRoomIds.length;
+        while (playerRoomIds[j - 1] != room.roomId) j--;
+        for (; j < playerRoomIds.length; j++) {
+            playerRoomIds[j - 1] = playerRoomIds[j];
+        }
+        playerRoomIds.pop();
+    }
+
+    /**
+     * @notice Copy one page of an ID list
+     * @param ids Full list
+     * @param offset Index of the first ID to return
+     * @param limit Maximum number of IDs to return
+     * @return items IDs from offset on, empty once offset passes the end
+     * @return total Length of the full list
+     */
+    function pageOf(uint256[] storage ids, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory items, uint256 total)
+    {
+        total = ids.length;
+        if (offset >= total) return (new uint256[](0), total);
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        items = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            items[i - offset] = ids[i];
+        }
+    }
+}
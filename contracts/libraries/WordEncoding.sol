@@ -7,8 +7,8 @@ pragma solidity ^0.8.24;
  * @dev Provides utilities for converting between strings and numeric representations
  */
 library WordEncoding {
-    uint8 constant LETTER_A_CODE = 65; // ASCII 'A'
-    uint8 constant LETTER_Z_CODE = 90; // ASCII 'Z'
+    uint8 internal constant LETTER_A_CODE = 65; // ASCII 'A'
+    uint8 internal constant LETTER_Z_CODE = 90; // ASCII 'Z'
 
     /**
      * @notice Validate that a character is an uppercase letter
@@ -28,7 +28,7 @@ library WordEncoding {
         bytes memory wordBytes = bytes(word);
         uint8[] memory codes = new uint8[](wordBytes.length);
 
-        for (uint i = 0; i < wordBytes.length; i++) {
+        for (uint256 i = 0; i < wordBytes.length; i++) {
             uint8 char = uint8(wordBytes[i]);
 
             // Convert lowercase to uppercase if needed
@@ -51,7 +51,7 @@ library WordEncoding {
     function decodeWord(uint8[] memory codes) internal pure returns (string memory) {
         bytes memory wordBytes = new bytes(codes.length);
 
-        for (uint i = 0; i < codes.length; i++) {
+        for (uint256 i = 0; i < codes.length; i++) {
             require(isValidLetter(codes[i]), "Invalid letter code");
             wordBytes[i] = bytes1(codes[i]);
         }
@@ -76,7 +76,7 @@ library WordEncoding {
             return false;
         }
 
-        for (uint i = 0; i < wordBytes.length; i++) {
+        for (uint256 i = 0; i < wordBytes.length; i++) {
             uint8 char = uint8(wordBytes[i]);
 
             // Accept both upper and lowercase
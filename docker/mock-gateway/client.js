@@ -0,0 +1,133 @@
+/**
+ * Mock Gateway Admin Client
+ *
+ * Drives the fault injection API from scripts and mocha tests. Uses the
+ * global fetch (Node 18+), so it can be required without installing the
+ * gateway's dependencies:
+ *
+ *   const { MockGatewayClient } = require('../docker/mock-gateway/client');
+ *   const gateway = new MockGatewayClient();
+ *
+ *   beforeEach(() => gateway.reset({ requests: true }));
+ *
+ *   it('handles a lost guess callback', async () => {
+ *     await gateway.addRule({ match: { callback: 'callbackGuessResult(uint256,bool)' }, drop: true });
+ *     // ...submit a guess, then check the contract cancels the stale request
+ *   });
+ */
+
+const DEFAULT_URL = process.env.MOCK_GATEWAY_URL || 'http://localhost:7077';
+
+class MockGatewayClient {
+  constructor(url = DEFAULT_URL) {
+    this.url = url.replace(/\/$/, '');
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`${method} ${path} failed (${response.status}): ${data.error || response.statusText}`);
+    }
+    return data;
+  }
+
+  /**
+   * Whether the gateway is up, e.g. to skip tests when it isn't
+   */
+  async isAvailable() {
+    try {
+      await this.request('GET', '/health');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getFaults() {
+    return this.request('GET', '/admin/faults');
+  }
+
+  /**
+   * Update global settings: any of { latencyMs, dropRate, duplicateRate }
+   */
+  setFaults(settings) {
+    return this.request('PUT', '/admin/faults', settings);
+  }
+
+  /**
+   * Add a rule: { match: { requestId, contractCaller, from, callback }, latencyMs, drop, duplicate, result, times }
+   * @returns {Promise<Object>} The rule, with its id
+   */
+  addRule(rule) {
+    return this.request('POST', '/admin/faults/rules', rule);
+  }
+
+  /**
+   * Force the next matching callback's result, e.g.
+   * forceNextResult({ from: player, callback: 'callbackGuessResult(uint256,bool)', result: true })
+   */
+  forceNextResult({ result, times = 1, ...match }) {
+    return this.addRule({ match, result, times });
+  }
+
+  removeRule(ruleId) {
+    return this.request('DELETE', `/admin/faults/rules/${ruleId}`);
+  }
+
+  /**
+   * Clear all faults, and the request log with { requests: true }
+   */
+  reset({ requests = false } = {}) {
+    return this.request('POST', `/admin/reset${requests ? '?requests=true' : ''}`);
+  }
+
+  /**
+   * Plaintext the store tracks for a ciphertext handle, e.g. to check an
+   * encrypted balance from a test
+   * @param {bigint|string} handle - Handle as returned by the contract
+   * @returns {Promise<bigint|boolean|string>} bigint for integer types
+   */
+  async getPlaintext(handle) {
+    const key = `0x${BigInt(handle).toString(16).padStart(64, '0')}`;
+    const { type, value } = await this.request('GET', `/gateway/plaintexts/${key}`);
+    return type === 'uint256' ? BigInt(value) : value;
+  }
+
+  /**
+   * Register the plaintexts behind encrypted input handles, so the store can
+   * follow them once the contract verifies the input
+   * @param {Array<{handle: string, value: *}>} plaintexts
+   */
+  registerPlaintexts(plaintexts) {
+    return this.request('POST', '/gateway/plaintexts', { plaintexts });
+  }
+
+  async getRequests() {
+    const { requests } = await this.request('GET', '/gateway/requests');
+    return requests;
+  }
+
+  /**
+   * Poll the request log until a request matches
+   * @param {Function} predicate - e.g. request => request.status === 'fulfilled'
+   */
+  async waitForRequest(predicate, { timeoutMs = 10000, intervalMs = 100 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const match = (await this.getRequests()).find(predicate);
+      if (match) return match;
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+
+    throw new Error(`No matching gateway request within ${timeoutMs}ms`);
+  }
+}
+
+module.exports = { MockGatewayClient };
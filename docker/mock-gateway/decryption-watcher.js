@@ -0,0 +1,286 @@
+const { ethers } = require('ethers');
+const { abiTypeOf } = require('./plaintext-store');
+const { isOpen } = require('./request-store');
+
+/**
+ * Decryption Watcher
+ *
+ * Follows the local hardhat node block by block:
+ * - Feeds mock TFHEExecutor logs into the plaintext store
+ * - Picks up EventDecryption from the Gateway contract
+ * - Decrypts the requested handles from the store and sends fulfillRequest,
+ *   which calls the requesting contract back (e.g. callbackGuessResult)
+ * - Delays, drops, duplicates or overrides callbacks as the fault injector says
+ *
+ * Logs from both contracts are processed in chain order, so a request is
+ * always answered from the state the same transaction computed.
+ *
+ * The chain is replayed from the start on every run to rebuild the store.
+ * Requests the persisted log already settled are not answered again;
+ * requests interrupted by a restart are.
+ */
+
+const GATEWAY_ABI = [
+  'event EventDecryption(uint256 indexed requestID, uint256[] cts, address contractCaller, bytes4 callbackSelector, uint256 msgValue, uint256 maxTimestamp, bool passSignaturesToCaller)',
+  'event ResultCallback(uint256 indexed requestID, bool success, bytes result)',
+  'function fulfillRequest(uint256 requestID, bytes decryptedCts, bytes[] signatures) payable',
+];
+
+class DecryptionWatcher {
+  /**
+   * @param {Object} options
+   * @param {ethers.Provider} options.provider - Hardhat node provider
+   * @param {ethers.Signer} options.relayer - Account registered as a relayer on the Gateway contract
+   * @param {string} options.gatewayAddress - Gateway contract address
+   * @param {string} options.executorAddress - Mock TFHEExecutor address
+   * @param {PlaintextStore} options.store - Plaintext store to decrypt from
+   * @param {RequestStore} options.requests - Persistent request log shared with the HTTP API
+   * @param {FaultInjector} options.faults - Decides latency, drops, duplicates and forced results
+   * @param {ethers.Wallet[]} options.kmsSigners - Mock KMS signers, if the KMSVerifier checks signatures
+   * @param {string} options.kmsVerifierAddress - KMSVerifier address (for signatures)
+   * @param {string} options.aclAddress - ACL address (for signatures)
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.relayer = options.relayer;
+    this.store = options.store;
+    this.requests = options.requests;
+    this.faults = options.faults;
+    this.executorAddress = options.executorAddress;
+    this.kmsSigners = options.kmsSigners || [];
+    this.kmsVerifierAddress = options.kmsVerifierAddress;
+    this.aclAddress = options.aclAddress;
+
+    this.gateway = new ethers.Contract(options.gatewayAddress, GATEWAY_ABI, options.relayer);
+    this.lastBlock = -1;
+    this.processing = Promise.resolve();
+  }
+
+  /**
+   * Replay the chain so far, then follow new blocks
+   */
+  async start() {
+    const network = await this.provider.getNetwork();
+    this.chainId = network.chainId;
+
+    await this.processUpTo(await this.provider.getBlockNumber());
+
+    this.provider.on('block', blockNumber => {
+      // Serialize, so overlapping block notifications don't process a range twice
+      this.processing = this.processing
+        .then(() => this.processUpTo(blockNumber))
+        .catch(error => console.error(`  ❌ Failed to process block ${blockNumber}: ${error.message}`));
+    });
+
+    console.log(`👀 Watching ${this.gateway.target} for decryption requests from block ${this.lastBlock + 1}`);
+  }
+
+  stop() {
+    this.provider.removeAllListeners('block');
+  }
+
+  async processUpTo(toBlock) {
+    if (toBlock <= this.lastBlock) return;
+
+    const logs = await this.provider.getLogs({
+      address: [this.executorAddress, this.gateway.target],
+      fromBlock: this.lastBlock + 1,
+      toBlock,
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const decryptions = [];
+    for (const log of logs) {
+      if (log.address.toLowerCase() === this.executorAddress.toLowerCase()) {
+        this.store.applyLog(log);
+        continue;
+      }
+
+      const event = this.gateway.interface.parseLog(log);
+      if (event?.name === 'EventDecryption') {
+        const settled = this.requests.get(`chain-${event.args.requestID}`);
+        if (settled && !isOpen(settled)) continue;
+
+        decryptions.push(await this.recordRequest(event, log));
+      }
+    }
+
+    this.lastBlock = toBlock;
+
+    // Decrypt now, while the store matches this block; delivery may come later
+    for (const request of decryptions) {
+      this.schedule(request);
+    }
+  }
+
+  async recordRequest(event, log) {
+    const { requestID, cts, contractCaller, callbackSelector, maxTimestamp } = event.args;
+    const requestId = `chain-${requestID}`;
+    const tx = await this.provider.getTransaction(log.transactionHash);
+
+    const request = {
+      requestId,
+      source: 'chain',
+      gatewayRequestId: requestID.toString(),
+      ciphertexts: cts.map(ct => ethers.toBeHex(ct, 32)),
+      contractCaller,
+      callbackSelector,
+      maxTimestamp: Number(maxTimestamp),
+      from: tx?.from, // e.g. the player whose guess needs validating
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      timestamp: Date.now(),
+      status: 'pending',
+    };
+    this.requests.set(requestId, request);
+
+    console.log(`  📥 Decryption request #${requestID} from ${contractCaller} (${cts.length} handle${cts.length === 1 ? '' : 's'})`);
+    return request;
+  }
+
+  /**
+   * Decrypt a request's handles and plan its delivery
+   */
+  schedule(request) {
+    const { requestId } = request;
+    const plan = this.faults.plan(request);
+    this.requests.update(requestId, { faults: plan });
+
+    // Forced results don't need the store, so they also cover unregistered inputs
+    let decrypted;
+    try {
+      if (plan.result !== undefined) {
+        decrypted = forceValues(request.ciphertexts, plan.result);
+        console.log(`  🎭 Request #${request.gatewayRequestId} forced to [${[].concat(plan.result).join(', ')}]`);
+      } else {
+        decrypted = request.ciphertexts.map(handle => this.store.decrypt(handle));
+      }
+    } catch (error) {
+      this.requests.update(requestId, { status: 'failed', error: error.message });
+      console.log(`  ⚠️  Request #${request.gatewayRequestId} not fulfilled: ${error.message}`);
+      return;
+    }
+
+    this.requests.update(requestId, {
+      decryptedValues: decrypted.map(({ value }) =>
+        typeof value === 'bigint' ? value.toString() : value
+      ),
+    });
+
+    if (plan.drop) {
+      this.requests.update(requestId, { status: 'dropped' });
+      console.log(`  🕳️  Request #${request.gatewayRequestId} dropped`);
+      return;
+    }
+
+    const decryptedCts = ethers.AbiCoder.defaultAbiCoder().encode(
+      decrypted.map(({ type }) => type),
+      decrypted.map(({ value }) => value)
+    );
+
+    this.requests.update(requestId, { status: 'scheduled', deliveries: [] });
+    setTimeout(async () => {
+      await this.deliver(request, decryptedCts);
+      if (plan.duplicate) {
+        console.log(`  👯 Delivering request #${request.gatewayRequestId} again`);
+        await this.deliver(request, decryptedCts);
+      }
+    }, plan.latencyMs);
+  }
+
+  /**
+   * Send one fulfillRequest for a request
+   */
+  async deliver(request, decryptedCts) {
+    const { requestId } = request;
+    const delivery = { sentAt: new Date().toISOString() };
+    const index = this.requests.get(requestId).deliveries.length;
+    this.logDelivery(requestId, index, delivery);
+
+    try {
+      const signatures = await this.signResult(request.ciphertexts, decryptedCts);
+      const tx = await this.gateway.fulfillRequest(request.gatewayRequestId, decryptedCts, signatures);
+      delivery.tx = tx.hash;
+      const receipt = await tx.wait();
+
+      const callback = receipt.logs
+        .map(log => {
+          try {
+            return this.gateway.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(event => event?.name === 'ResultCallback');
+
+      delivery.status = callback && !callback.args.success ? 'callback-reverted' : 'fulfilled';
+      const { decryptedValues } = this.requests.get(requestId);
+      console.log(`  ✅ Request #${request.gatewayRequestId} fulfilled with [${decryptedValues.join(', ')}]${delivery.status === 'callback-reverted' ? ' (callback reverted)' : ''}`);
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = error.shortMessage || error.message;
+      console.error(`  ❌ fulfillRequest #${request.gatewayRequestId} failed: ${delivery.error}`);
+    }
+
+    // The first delivery decides the request's outcome; duplicates only add to the log
+    const first = this.logDelivery(requestId, index, delivery).deliveries[0];
+    this.requests.update(requestId, {
+      status: first.status || 'scheduled',
+      fulfillTx: first.tx,
+      error: first.error,
+    });
+  }
+
+  /**
+   * Write one delivery attempt into the request log
+   * @returns {Object} The updated request
+   */
+  logDelivery(requestId, index, delivery) {
+    const deliveries = [...this.requests.get(requestId).deliveries];
+    deliveries[index] = delivery;
+    return this.requests.update(requestId, { deliveries });
+  }
+
+  /**
+   * Mock KMS signatures over the decryption result, as the KMSVerifier expects
+   */
+  async signResult(handles, decryptedCts) {
+    if (this.kmsSigners.length === 0) return [];
+
+    const domain = {
+      name: 'KMSVerifier',
+      version: '1',
+      chainId: this.chainId,
+      verifyingContract: this.kmsVerifierAddress,
+    };
+    const types = {
+      DecryptionResult: [
+        { name: 'aclAddress', type: 'address' },
+        { name: 'handlesList', type: 'uint256[]' },
+        { name: 'decryptedResult', type: 'bytes' },
+      ],
+    };
+    const message = { aclAddress: this.aclAddress, handlesList: handles, decryptedResult: decryptedCts };
+
+    return Promise.all(this.kmsSigners.map(signer => signer.signTypedData(domain, types, message)));
+  }
+}
+
+/**
+ * Typed callback values from a forced result, one per handle
+ */
+function forceValues(handles, result) {
+  const forced = [].concat(result);
+  if (forced.length !== handles.length) {
+    throw new Error(`Forced result has ${forced.length} values for ${handles.length} handles`);
+  }
+
+  return handles.map((handle, i) => {
+    const type = abiTypeOf(handle);
+    if (type === 'bool') return { type, value: forced[i] === true || forced[i] === 'true' };
+    if (type === 'uint256') return { type, value: BigInt(forced[i]) };
+    return { type, value: forced[i] };
+  });
+}
+
+module.exports = { DecryptionWatcher, GATEWAY_ABI, forceValues };
@@ -0,0 +1,137 @@
+const { ethers } = require('ethers');
+
+/**
+ * Fault Injection for the Mock Gateway
+ *
+ * Decides, per decryption request, how it is delivered:
+ * - latencyMs: delay before the callback is sent (unequal delays reorder callbacks)
+ * - drop: never answer, as if the Gateway lost the request
+ * - duplicate: send the callback a second time
+ * - result: answer with forced values instead of the real plaintexts
+ *
+ * Global settings apply to every request. Rules match specific requests and
+ * override them; a rule with `times` expires after that many matches.
+ */
+
+const DEFAULT_GLOBAL = {
+  latencyMs: 100,
+  dropRate: 0, // 0-1
+  duplicateRate: 0, // 0-1
+};
+
+const RULE_FIELDS = ['latencyMs', 'drop', 'duplicate', 'result'];
+
+/**
+ * Selector for a callback given as a signature, e.g. "callbackGuessResult(uint256,bool)"
+ */
+function toSelector(callback) {
+  return /^0x[0-9a-fA-F]{8}$/.test(callback) ? callback.toLowerCase() : ethers.id(callback).slice(0, 10);
+}
+
+class FaultInjector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.global = { ...DEFAULT_GLOBAL };
+    this.rules = [];
+    this.ruleIdCounter = 1;
+  }
+
+  /**
+   * Update global settings
+   */
+  setGlobal(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      if (!(key in DEFAULT_GLOBAL)) {
+        throw new Error(`Unknown setting: ${key}`);
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0 || (key !== 'latencyMs' && number > 1)) {
+        throw new Error(`Invalid ${key}: ${value}`);
+      }
+      this.global[key] = number;
+    }
+    return this.global;
+  }
+
+  /**
+   * Add a rule for matching requests
+   * @param {Object} rule
+   * @param {Object} rule.match - Any of requestId, contractCaller, from (transaction sender), callback
+   * @param {number} rule.times - Matches before the rule expires (default: unlimited, 1 with a forced result)
+   */
+  addRule({ match = {}, times, ...faults }) {
+    if (!RULE_FIELDS.some(field => faults[field] !== undefined)) {
+      throw new Error(`Rule needs one of: ${RULE_FIELDS.join(', ')}`);
+    }
+
+    const rule = {
+      id: this.ruleIdCounter++,
+      match: {
+        ...match,
+        ...(match.callback ? { callbackSelector: toSelector(match.callback) } : {}),
+      },
+      remaining: times ?? (faults.result !== undefined ? 1 : null),
+      matched: 0,
+    };
+    for (const field of RULE_FIELDS) {
+      if (faults[field] !== undefined) rule[field] = faults[field];
+    }
+
+    this.rules.push(rule);
+    return rule;
+  }
+
+  removeRule(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.id !== Number(id));
+    return this.rules.length < before;
+  }
+
+  matches(rule, request) {
+    const { requestId, contractCaller, from, callbackSelector } = rule.match;
+    const sameAddress = (a, b) => !!b && a.toLowerCase() === b.toLowerCase();
+
+    return (requestId === undefined ||
+        String(requestId) === String(request.gatewayRequestId ?? request.requestId)) &&
+      (!contractCaller || sameAddress(contractCaller, request.contractCaller)) &&
+      (!from || sameAddress(from, request.from)) &&
+      (!callbackSelector || callbackSelector === request.callbackSelector?.toLowerCase());
+  }
+
+  /**
+   * Decide how to deliver a request, consuming matching rules
+   * @returns {{ latencyMs: number, drop: boolean, duplicate: boolean, result: *, ruleIds: number[] }}
+   */
+  plan(request) {
+    const plan = {
+      latencyMs: this.global.latencyMs,
+      drop: Math.random() < this.global.dropRate,
+      duplicate: Math.random() < this.global.duplicateRate,
+      result: undefined,
+      ruleIds: [],
+    };
+
+    for (const rule of this.rules) {
+      if (!this.matches(rule, request)) continue;
+
+      for (const field of RULE_FIELDS) {
+        if (rule[field] !== undefined) plan[field] = rule[field];
+      }
+      rule.matched++;
+      plan.ruleIds.push(rule.id);
+      if (rule.remaining !== null) rule.remaining--;
+    }
+
+    this.rules = this.rules.filter(rule => rule.remaining === null || rule.remaining > 0);
+    return plan;
+  }
+
+  toJSON() {
+    return { global: this.global, rules: this.rules };
+  }
+}
+
+module.exports = { FaultInjector };
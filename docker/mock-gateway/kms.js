@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * Mock KMS
+ *
+ * Stands in for the KMS behind Zama's Gateway:
+ * - Holds a real TFHE key set, so fhevmjs `createInstance` can load the
+ *   network public key and encrypt inputs with it
+ * - Answers user reencryption requests for handles the ACL shares with the
+ *   user, after checking the user's EIP-712 authorization
+ *
+ * Plaintexts come from the plaintext store rather than from decrypting with
+ * the client key. Responses carry the plaintext in the clear, because the
+ * real signcrypted format needs the KMS's production signing keys; the
+ * frontend reads them through its mock reencryption path.
+ */
+
+const ACL_ABI = ['function persistAllowed(uint256 handle, address account) view returns (bool)'];
+
+// EIP-712 authorization signed by the user, as built by fhevmjs `createEIP712`
+const REENCRYPT_TYPES = {
+  Reencrypt: [{ name: 'publicKey', type: 'bytes' }],
+};
+
+const strip0x = value => String(value).replace(/^0x/, '');
+
+class MockKms {
+  /**
+   * @param {Object} options
+   * @param {string} options.keysPath - JSON file the key set is kept in across restarts
+   * @param {PlaintextStore} options.store - Plaintext store to answer reencryptions from
+   * @param {ethers.Provider} options.provider - Hardhat node provider, for ACL checks
+   * @param {string} options.aclAddress - ACL address; without it, ACL checks are skipped
+   * @param {number} options.chainId - Chain ID the EIP-712 authorization is signed for
+   */
+  constructor(options) {
+    this.keysPath = options.keysPath;
+    this.store = options.store;
+    this.chainId = options.chainId;
+    this.acl = options.aclAddress && options.provider
+      ? new ethers.Contract(options.aclAddress, ACL_ABI, options.provider)
+      : null;
+  }
+
+  /**
+   * Load the key set, generating it on first start
+   */
+  loadKeys() {
+    if (fs.existsSync(this.keysPath)) {
+      this.keys = JSON.parse(fs.readFileSync(this.keysPath, 'utf8'));
+      console.log(`🔑 Loaded mock KMS keys from ${this.keysPath}`);
+      return this.keys;
+    }
+
+    // fhevmjs bundles TFHE, so the keys match what createInstance deserializes
+    const { createTfheKeypair } = require('fhevmjs');
+    const { clientKey, publicKey } = createTfheKeypair();
+
+    this.keys = {
+      publicKey: Buffer.from(publicKey.serialize()).toString('hex'),
+      clientKey: Buffer.from(clientKey.serialize()).toString('hex'),
+      createdAt: new Date().toISOString(),
+    };
+
+    fs.mkdirSync(path.dirname(this.keysPath), { recursive: true });
+    fs.writeFileSync(this.keysPath, JSON.stringify(this.keys));
+    console.log(`🔑 Generated mock KMS keys in ${this.keysPath}`);
+    return this.keys;
+  }
+
+  get publicKey() {
+    return this.keys?.publicKey;
+  }
+
+  /**
+   * Answer a reencryption request in the format fhevmjs `reencrypt` sends
+   * @param {Object} request - { signature, user_address, enc_key, ciphertext_handle, eip712_verifying_contract }
+   * @returns {Promise<{ handle: string, value: bigint }>}
+   */
+  async reencrypt(request) {
+    const { signature, user_address, enc_key, ciphertext_handle, eip712_verifying_contract } = request;
+    if (!signature || !user_address || !enc_key || !ciphertext_handle || !eip712_verifying_contract) {
+      throw new KmsError(400, 'signature, user_address, enc_key, ciphertext_handle and eip712_verifying_contract required');
+    }
+
+    const user = ethers.getAddress(`0x${strip0x(user_address)}`);
+    const contractAddress = ethers.getAddress(eip712_verifying_contract);
+    const handle = ethers.toBeHex(BigInt(`0x${strip0x(ciphertext_handle)}`), 32);
+
+    if (user === contractAddress) {
+      throw new KmsError(400, 'user_address should not be equal to the verifying contract');
+    }
+
+    // The user authorized this reencryption key for this contract
+    const domain = {
+      name: 'Authorization token',
+      version: '1',
+      chainId: this.chainId,
+      verifyingContract: contractAddress,
+    };
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(
+        domain,
+        REENCRYPT_TYPES,
+        { publicKey: `0x${strip0x(enc_key)}` },
+        `0x${strip0x(signature)}`
+      );
+    } catch (error) {
+      throw new KmsError(401, `Invalid signature: ${error.message}`);
+    }
+    if (signer !== user) {
+      throw new KmsError(401, `Signature is from ${signer}, not ${user}`);
+    }
+
+    // Both the user and the contract must be allowed on the handle
+    if (this.acl) {
+      const [userAllowed, contractAllowed] = await Promise.all([
+        this.acl.persistAllowed(handle, user),
+        this.acl.persistAllowed(handle, contractAddress),
+      ]);
+      if (!userAllowed || !contractAllowed) {
+        throw new KmsError(403, `${user} is not allowed to reencrypt ${handle}`);
+      }
+    }
+
+    if (!this.store.has(handle)) {
+      throw new KmsError(404, `No plaintext for handle ${handle}`);
+    }
+
+    return { handle, value: this.store.get(handle) };
+  }
+
+  toJSON() {
+    return {
+      publicKeyBytes: this.publicKey ? this.publicKey.length / 2 : 0,
+      createdAt: this.keys?.createdAt,
+      aclChecks: !!this.acl,
+      chainId: this.chainId,
+    };
+  }
+}
+
+/**
+ * Reencryption failure with the HTTP status to answer with
+ */
+class KmsError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = { MockKms, KmsError };
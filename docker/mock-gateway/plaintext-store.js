@@ -0,0 +1,218 @@
+const { ethers } = require('ethers');
+
+/**
+ * Mock-FHE Plaintext Store
+ *
+ * Tracks the plaintext behind every ciphertext handle on the local chain by
+ * replaying the FHE operations the mock TFHEExecutor logs:
+ * - Trivial encryptions and casts carry their plaintext in the event
+ * - Arithmetic, comparison and select results are computed from their operands
+ * - Encrypted inputs are registered by the client that encrypted them
+ * - Random values are derived from the event seed, so replays are deterministic
+ *
+ * A handle whose operands were never seen stays unknown, and decryption
+ * requests for it fail instead of returning a made-up value.
+ */
+
+// FHE types, as encoded in byte 30 of a handle
+const FHE_TYPES = {
+  0: { name: 'ebool', bits: 1 },
+  1: { name: 'euint4', bits: 4 },
+  2: { name: 'euint8', bits: 8 },
+  3: { name: 'euint16', bits: 16 },
+  4: { name: 'euint32', bits: 32 },
+  5: { name: 'euint64', bits: 64 },
+  6: { name: 'euint128', bits: 128 },
+  7: { name: 'eaddress', bits: 160 },
+  8: { name: 'euint256', bits: 256 },
+  9: { name: 'ebytes64', bits: 512 },
+  10: { name: 'ebytes128', bits: 1024 },
+  11: { name: 'ebytes256', bits: 2048 },
+};
+
+// Events logged by the mock TFHEExecutor for each FHE operation
+const EXECUTOR_EVENTS = [
+  ...['FheAdd', 'FheSub', 'FheMul', 'FheDiv', 'FheRem', 'FheBitAnd', 'FheBitOr', 'FheBitXor',
+    'FheShl', 'FheShr', 'FheRotl', 'FheRotr', 'FheEq', 'FheNe', 'FheGe', 'FheGt', 'FheLe',
+    'FheLt', 'FheMin', 'FheMax'].map(
+    name => `event ${name}(uint256 lhs, uint256 rhs, bytes1 scalarByte, uint256 result)`
+  ),
+  'event FheEqBytes(uint256 lhs, bytes rhs, bytes1 scalarByte, uint256 result)',
+  'event FheNeBytes(uint256 lhs, bytes rhs, bytes1 scalarByte, uint256 result)',
+  'event FheNeg(uint256 ct, uint256 result)',
+  'event FheNot(uint256 ct, uint256 result)',
+  'event VerifyCiphertext(bytes32 inputHandle, address userAddress, bytes inputProof, bytes1 inputType, uint256 result)',
+  'event Cast(uint256 ct, bytes1 toType, uint256 result)',
+  'event TrivialEncrypt(uint256 pt, bytes1 toType, uint256 result)',
+  'event TrivialEncryptBytes(bytes pt, bytes1 toType, uint256 result)',
+  'event FheIfThenElse(uint256 control, uint256 ifTrue, uint256 ifFalse, uint256 result)',
+  'event FheRand(bytes1 randType, bytes16 seed, uint256 result)',
+  'event FheRandBounded(uint256 upperBound, bytes1 randType, bytes16 seed, uint256 result)',
+];
+
+const executorInterface = new ethers.Interface(EXECUTOR_EVENTS);
+
+const toKey = handle => ethers.toBeHex(BigInt(handle), 32);
+
+/**
+ * FHE type encoded in a ciphertext handle
+ */
+function handleType(handle) {
+  return Number((BigInt(handle) >> 8n) & 0xffn);
+}
+
+/**
+ * ABI type a handle's plaintext takes as a callback argument
+ */
+function abiTypeOf(handle) {
+  const type = handleType(handle);
+  if (type === 0) return 'bool';
+  if (type === 7) return 'address';
+  if (type >= 9) return 'bytes';
+  return 'uint256';
+}
+
+function mask(type) {
+  const fheType = FHE_TYPES[type];
+  if (!fheType) {
+    throw new Error(`Unknown FHE type ${type}`);
+  }
+  return (1n << BigInt(fheType.bits)) - 1n;
+}
+
+function rotate(value, shift, bits, left) {
+  const n = BigInt(bits);
+  const s = shift % n;
+  const m = (1n << n) - 1n;
+  return left
+    ? ((value << s) | (value >> (n - s))) & m
+    : ((value >> s) | (value << (n - s))) & m;
+}
+
+// Binary operators, on plaintexts already reduced to the operand type
+const BINARY_OPS = {
+  FheAdd: (a, b) => a + b,
+  FheSub: (a, b, m) => (a - b) & m,
+  FheMul: (a, b) => a * b,
+  FheDiv: (a, b, m) => (b === 0n ? m : a / b),
+  FheRem: (a, b) => (b === 0n ? a : a % b),
+  FheBitAnd: (a, b) => a & b,
+  FheBitOr: (a, b) => a | b,
+  FheBitXor: (a, b) => a ^ b,
+  FheShl: (a, b, m, bits) => a << (b % BigInt(bits)),
+  FheShr: (a, b, m, bits) => a >> (b % BigInt(bits)),
+  FheRotl: (a, b, m, bits) => rotate(a, b, bits, true),
+  FheRotr: (a, b, m, bits) => rotate(a, b, bits, false),
+  FheEq: (a, b) => BigInt(a === b),
+  FheNe: (a, b) => BigInt(a !== b),
+  FheGe: (a, b) => BigInt(a >= b),
+  FheGt: (a, b) => BigInt(a > b),
+  FheLe: (a, b) => BigInt(a <= b),
+  FheLt: (a, b) => BigInt(a < b),
+  FheMin: (a, b) => (a < b ? a : b),
+  FheMax: (a, b) => (a > b ? a : b),
+};
+
+class PlaintextStore {
+  constructor() {
+    this.values = new Map(); // handle (0x-prefixed, 32 bytes) => bigint
+  }
+
+  get size() {
+    return this.values.size;
+  }
+
+  has(handle) {
+    return this.values.has(toKey(handle));
+  }
+
+  get(handle) {
+    return this.values.get(toKey(handle));
+  }
+
+  /**
+   * Record a plaintext, reduced to the handle's type
+   */
+  set(handle, value) {
+    const plaintext = BigInt(value) & mask(handleType(handle));
+    this.values.set(toKey(handle), plaintext);
+    return plaintext;
+  }
+
+  /**
+   * Plaintext of a handle in the form its callback argument takes
+   * @returns {{ type: string, value: bigint|boolean|string }}
+   */
+  decrypt(handle) {
+    if (!this.has(handle)) {
+      throw new Error(`No plaintext for handle ${toKey(handle)}`);
+    }
+
+    const type = abiTypeOf(handle);
+    const value = this.get(handle);
+
+    if (type === 'bool') return { type, value: value === 1n };
+    if (type === 'address') return { type, value: ethers.getAddress(ethers.toBeHex(value, 20)) };
+    if (type === 'bytes') return { type, value: ethers.toBeHex(value, FHE_TYPES[handleType(handle)].bits / 8) };
+    return { type, value };
+  }
+
+  /**
+   * Replay one mock TFHEExecutor log
+   * @returns {boolean} Whether the log was an FHE operation this store understands
+   */
+  applyLog(log) {
+    let event;
+    try {
+      event = executorInterface.parseLog(log);
+    } catch {
+      return false;
+    }
+    if (!event) return false;
+
+    const args = event.args;
+    const name = event.name;
+
+    if (BINARY_OPS[name]) {
+      this._applyBinary(name, args.lhs, args.rhs, args.scalarByte === '0x01', args.result);
+    } else if (name === 'FheEqBytes' || name === 'FheNeBytes') {
+      this._applyBinary(name === 'FheEqBytes' ? 'FheEq' : 'FheNe', args.lhs, BigInt(args.rhs), true, args.result);
+    } else if (name === 'FheNot' || name === 'FheNeg') {
+      if (!this.has(args.ct)) return true;
+      const m = mask(handleType(args.ct));
+      const value = this.get(args.ct);
+      this.set(args.result, name === 'FheNot' ? ~value & m : (m + 1n - value) & m);
+    } else if (name === 'Cast') {
+      if (this.has(args.ct)) this.set(args.result, this.get(args.ct));
+    } else if (name === 'TrivialEncrypt') {
+      this.set(args.result, args.pt);
+    } else if (name === 'TrivialEncryptBytes') {
+      this.set(args.result, BigInt(args.pt));
+    } else if (name === 'FheIfThenElse') {
+      if (!this.has(args.control)) return true;
+      const chosen = this.get(args.control) === 1n ? args.ifTrue : args.ifFalse;
+      if (this.has(chosen)) this.set(args.result, this.get(chosen));
+    } else if (name === 'VerifyCiphertext') {
+      // Inputs are known only if the encrypting client registered them
+      if (this.has(args.inputHandle)) this.set(args.result, this.get(args.inputHandle));
+    } else if (name === 'FheRand' || name === 'FheRandBounded') {
+      const random = BigInt(ethers.keccak256(args.seed));
+      this.set(args.result, name === 'FheRandBounded' ? random % args.upperBound : random);
+    }
+
+    return true;
+  }
+
+  _applyBinary(name, lhs, rhs, isScalar, result) {
+    if (!this.has(lhs) || (!isScalar && !this.has(rhs))) return;
+
+    const type = handleType(lhs);
+    const m = mask(type);
+    const a = this.get(lhs);
+    const b = (isScalar ? BigInt(rhs) : this.get(rhs)) & m;
+
+    this.set(result, BINARY_OPS[name](a, b, m, FHE_TYPES[type].bits));
+  }
+}
+
+module.exports = { PlaintextStore, FHE_TYPES, handleType, abiTypeOf, executorInterface };
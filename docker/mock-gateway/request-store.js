@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/**
+ * Persistent Request Log
+ *
+ * Keeps every decryption request, from HTTP and from the chain, in a JSON
+ * file so the log survives container restarts. Every lifecycle change is
+ * also emitted as a 'change' event for the WebSocket stream:
+ * - { type: 'created', request }
+ * - { type: 'updated', request }
+ * - { type: 'deleted', requestId }
+ * - { type: 'cleared' }
+ *
+ * Requests are plain objects. Reads and change events hand out copies, so a
+ * request only changes through update(), which saves and streams the change.
+ */
+
+// Statuses a request can still move on from
+const OPEN_STATUSES = ['pending', 'scheduled'];
+
+class RequestStore extends EventEmitter {
+  /**
+   * @param {string} filePath - JSON file the log is kept in
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.requests = new Map(); // requestId => request
+    this.nextHttpId = 1;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read the log saved by a previous run
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return this;
+
+    const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const request of saved.requests) {
+      this.requests.set(request.requestId, request);
+    }
+    this.nextHttpId = saved.nextHttpId || 1;
+
+    console.log(`📂 Loaded ${this.requests.size} requests from ${this.filePath}`);
+    return this;
+  }
+
+  get size() {
+    return this.requests.size;
+  }
+
+  has(requestId) {
+    return this.requests.has(requestId);
+  }
+
+  get(requestId) {
+    const request = this.requests.get(requestId);
+    return request && structuredClone(request);
+  }
+
+  *values() {
+    for (const request of this.requests.values()) {
+      yield structuredClone(request);
+    }
+  }
+
+  /**
+   * Next numeric ID for a request made over HTTP
+   */
+  nextId() {
+    const requestId = this.nextHttpId++;
+    this.scheduleSave();
+    return requestId;
+  }
+
+  set(requestId, request) {
+    this.requests.set(requestId, structuredClone(request));
+    this.changed({ type: 'created', request: structuredClone(request) });
+    return this;
+  }
+
+  /**
+   * Apply changes to a request
+   * @returns {Object|null} A copy of the updated request, or null if unknown
+   */
+  update(requestId, changes) {
+    const request = this.requests.get(requestId);
+    if (!request) return null;
+
+    const updated = { ...request, ...structuredClone(changes) };
+    this.requests.set(requestId, updated);
+    this.changed({ type: 'updated', request: structuredClone(updated) });
+    return structuredClone(updated);
+  }
+
+  delete(requestId) {
+    const deleted = this.requests.delete(requestId);
+    if (deleted) this.changed({ type: 'deleted', requestId });
+    return deleted;
+  }
+
+  clear() {
+    this.requests.clear();
+    this.changed({ type: 'cleared' });
+  }
+
+  changed(change) {
+    this.emit('change', change);
+    this.scheduleSave();
+  }
+
+  /**
+   * Batch writes, so a busy block doesn't rewrite the file once per request
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 50);
+  }
+
+  /**
+   * Write the log now (also used on shutdown)
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const data = JSON.stringify({
+      nextHttpId: this.nextHttpId,
+      requests: Array.from(this.requests.values()),
+    });
+
+    // Write then rename, so a crash mid-write never leaves a truncated log
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(`${this.filePath}.tmp`, data);
+      fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    } catch (error) {
+      console.error(`  ❌ Could not save requests to ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Whether a request can still change (its delivery hasn't been decided)
+ */
+function isOpen(request) {
+  return OPEN_STATUSES.includes(request.status);
+}
+
+/**
+ * Request as listed by /gateway/requests and the stream
+ */
+function summarize(request) {
+  return {
+    requestId: request.requestId,
+    source: request.source,
+    status: request.status,
+    ciphertextCount: request.ciphertexts.length,
+    contractCaller: request.contractCaller,
+    callbackSelector: request.callbackSelector,
+    from: request.from,
+    decryptedValues: request.decryptedValues,
+    faults: request.faults,
+    deliveries: request.deliveries,
+    fulfillTx: request.fulfillTx,
+    error: request.error,
+    timestamp: new Date(request.timestamp).toISOString(),
+  };
+}
+
+module.exports = { RequestStore, isOpen, summarize };
@@ -1,14 +1,27 @@
+const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const { WebSocketServer } = require('ws');
+const { ethers } = require('ethers');
+const { PlaintextStore } = require('./plaintext-store');
+const { DecryptionWatcher, forceValues } = require('./decryption-watcher');
+const { FaultInjector } = require('./faults');
+const { MockKms } = require('./kms');
+const { RequestStore, isOpen, summarize } = require('./request-store');
 
 /**
  * Mock FHE Gateway Server
  *
  * Simulates Zama's Gateway for local development:
- * - Accepts decryption requests
- * - Returns mock decrypted values instantly
- * - Logs requests for debugging
+ * - Watches the hardhat node for Gateway decryption requests and calls the
+ *   requesting contract back with the decrypted values
+ * - Decrypts from a plaintext store that replays the mock TFHEExecutor's
+ *   FHE operations, so results match what the contract computed
+ * - Injects latency, drops, duplicates and forced results for QA via /admin
+ * - Serves mock KMS key material and user reencryption for fhevmjs
+ * - Persists requests across restarts and streams their lifecycle over a
+ *   WebSocket, with an inspector page at /inspector
  * - No real FHE operations (plaintext simulation)
  *
  * This allows rapid local development without needing:
@@ -20,6 +33,20 @@ const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 7077;
 
+// Local chain and the fhEVM mock contracts deployed on it
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+const GATEWAY_CONTRACT_ADDRESS = process.env.GATEWAY_CONTRACT_ADDRESS;
+const TFHE_EXECUTOR_ADDRESS = process.env.TFHE_EXECUTOR_ADDRESS;
+const GATEWAY_RELAYER_PRIVATE_KEY = process.env.GATEWAY_RELAYER_PRIVATE_KEY;
+const KMS_VERIFIER_ADDRESS = process.env.KMS_VERIFIER_ADDRESS;
+const ACL_ADDRESS = process.env.ACL_ADDRESS;
+const KMS_SIGNER_PRIVATE_KEYS = (process.env.KMS_SIGNER_PRIVATE_KEYS || '')
+  .split(',')
+  .filter(Boolean);
+const CHAIN_ID = Number(process.env.CHAIN_ID || 31337);
+const KMS_KEYS_PATH = process.env.KMS_KEYS_PATH || './data/kms-keys.json';
+const REQUESTS_PATH = process.env.REQUESTS_PATH || './data/requests.json';
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -32,9 +59,26 @@ app.use((req, res, next) => {
   next();
 });
 
-// In-memory storage for pending requests
-const pendingRequests = new Map();
-let requestIdCounter = 1;
+// Requests from HTTP and from the chain, kept across restarts
+const pendingRequests = new RequestStore(REQUESTS_PATH).load();
+
+// HTTP requests only wait out their latency; one interrupted by a restart is decided now
+for (const request of pendingRequests.values()) {
+  if (request.source === 'http' && isOpen(request)) {
+    pendingRequests.update(request.requestId, { status: request.error ? 'failed' : 'ready' });
+  }
+}
+
+const plaintexts = new PlaintextStore();
+const faults = new FaultInjector();
+const kms = new MockKms({
+  keysPath: KMS_KEYS_PATH,
+  store: plaintexts,
+  provider: ACL_ADDRESS ? new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID, { staticNetwork: true }) : null,
+  aclAddress: ACL_ADDRESS,
+  chainId: CHAIN_ID,
+});
+let watcher = null;
 
 /**
  * Health check endpoint
@@ -44,6 +88,10 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     service: 'mock-fhe-gateway',
     version: '1.0.0',
+    watchingChain: !!watcher,
+    lastBlock: watcher ? watcher.lastBlock : null,
+    knownPlaintexts: plaintexts.size,
+    kmsKeys: !!kms.publicKey,
     timestamp: new Date().toISOString(),
   });
 });
@@ -63,45 +111,51 @@ app.post('/gateway/requestDecryption', (req, res) => {
     });
   }
 
-  const requestId = requestIdCounter++;
+  const requestId = pendingRequests.nextId();
+  const plan = faults.plan({ requestId, callbackSelector });
 
-  // Generate mock decrypted values
-  // For boolean (guess validation): randomly return true/false
-  // For numbers (balance): return a reasonable mock value
-  const decryptedValues = ciphertexts.map((ct, index) => {
-    // Guess validation requests typically have 1 ciphertext (boolean)
-    // Balance requests also have 1 ciphertext (uint32)
+  // Decrypt from the plaintext store (or the forced result); unknown handles fail the request
+  let decryptedValues = null;
+  let error = null;
+  try {
+    const forced = plan.result !== undefined ? forceValues(ciphertexts, plan.result) : null;
+    decryptedValues = ciphertexts.map((ct, index) => {
+      const { value } = forced ? forced[index] : plaintexts.decrypt(ct);
+      const result = typeof value === 'bigint' ? value.toString() : value;
 
-    // Simple heuristic: if it looks like a balance request, return larger number
-    // Otherwise assume it's a boolean guess result
-    const mockValue = Math.random() > 0.5 ? true : false;
+      console.log(`  📥 Decryption request #${requestId}.${index}:`);
+      console.log(`     Ciphertext: ${String(ct).substring(0, 20)}...`);
+      console.log(`     Plaintext: ${result}`);
 
-    console.log(`  📥 Decryption request #${requestId}.${index}:`);
-    console.log(`     Ciphertext: ${ct.substring(0, 20)}...`);
-    console.log(`     Mock result: ${mockValue}`);
-
-    return mockValue;
-  });
+      return result;
+    });
+  } catch (err) {
+    error = err.message;
+    console.log(`  ⚠️  Decryption request #${requestId} failed: ${error}`);
+  }
 
   // Store request
   pendingRequests.set(requestId, {
     requestId,
+    source: 'http',
     ciphertexts,
     decryptedValues,
     callbackSelector,
     callbackGasLimit,
     timestamp: Date.now(),
-    status: 'pending',
+    status: plan.drop ? 'dropped' : 'pending',
+    faults: plan,
+    error,
   });
 
-  // Simulate instant "decryption" by immediately marking as ready
-  setTimeout(() => {
-    const request = pendingRequests.get(requestId);
-    if (request) {
-      request.status = 'ready';
-      console.log(`  ✅ Decryption #${requestId} ready for callback`);
-    }
-  }, 100); // Small delay to simulate processing
+  // Simulate processing; a dropped request never becomes ready
+  if (!plan.drop) {
+    setTimeout(() => {
+      if (pendingRequests.update(requestId, { status: error ? 'failed' : 'ready' }) && !error) {
+        console.log(`  ✅ Decryption #${requestId} ready for callback`);
+      }
+    }, plan.latencyMs);
+  }
 
   res.json({
     requestId,
@@ -117,7 +171,10 @@ app.post('/gateway/requestDecryption', (req, res) => {
  * Returns mock decrypted values for a request
  */
 app.get('/gateway/getResult/:requestId', (req, res) => {
-  const requestId = parseInt(req.params.requestId, 10);
+  // HTTP requests have numeric IDs, on-chain ones are "chain-<gateway request ID>"
+  const requestId = /^\d+$/.test(req.params.requestId)
+    ? parseInt(req.params.requestId, 10)
+    : req.params.requestId;
 
   if (!pendingRequests.has(requestId)) {
     return res.status(404).json({
@@ -128,7 +185,15 @@ app.get('/gateway/getResult/:requestId', (req, res) => {
 
   const request = pendingRequests.get(requestId);
 
-  if (request.status !== 'ready') {
+  if (request.status === 'failed') {
+    return res.status(422).json({
+      status: 'failed',
+      error: request.error,
+      requestId,
+    });
+  }
+
+  if (!request.decryptedValues || request.status === 'pending') {
     return res.status(202).json({
       status: 'pending',
       message: 'Decryption still in progress',
@@ -149,12 +214,7 @@ app.get('/gateway/getResult/:requestId', (req, res) => {
  * GET /gateway/requests
  */
 app.get('/gateway/requests', (req, res) => {
-  const requests = Array.from(pendingRequests.values()).map(req => ({
-    requestId: req.requestId,
-    status: req.status,
-    ciphertextCount: req.ciphertexts.length,
-    timestamp: new Date(req.timestamp).toISOString(),
-  }));
+  const requests = Array.from(pendingRequests.values()).map(summarize);
 
   res.json({
     count: requests.length,
@@ -162,6 +222,58 @@ app.get('/gateway/requests', (req, res) => {
   });
 });
 
+/**
+ * Live view of the request log
+ * GET /inspector
+ *
+ * Follows /gateway/stream, for watching decryptions during local play
+ */
+app.get('/inspector', (req, res) => {
+  res.sendFile(path.join(__dirname, 'inspector.html'));
+});
+
+/**
+ * Register plaintexts for encrypted inputs
+ * POST /gateway/plaintexts
+ *
+ * The mock encryption used in local dev knows each input's plaintext; the
+ * store needs it to follow the handle once the contract verifies the input.
+ * Body: { handle, value } or { plaintexts: [{ handle, value }, ...] }
+ */
+app.post('/gateway/plaintexts', (req, res) => {
+  const entries = Array.isArray(req.body.plaintexts) ? req.body.plaintexts : [req.body];
+
+  try {
+    for (const { handle, value } of entries) {
+      if (handle === undefined || value === undefined) {
+        throw new Error('handle and value required');
+      }
+      plaintexts.set(handle, typeof value === 'boolean' ? Number(value) : value);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid plaintext: ${error.message}` });
+  }
+
+  res.json({ registered: entries.length, knownPlaintexts: plaintexts.size });
+});
+
+/**
+ * Look up the plaintext behind a handle (for debugging)
+ * GET /gateway/plaintexts/:handle
+ */
+app.get('/gateway/plaintexts/:handle', (req, res) => {
+  try {
+    const { type, value } = plaintexts.decrypt(req.params.handle);
+    res.json({
+      handle: req.params.handle,
+      type,
+      value: typeof value === 'bigint' ? value.toString() : value,
+    });
+  } catch (error) {
+    res.status(404).json({ error: error.message, handle: req.params.handle });
+  }
+});
+
 /**
  * Clear old requests (cleanup endpoint)
  * DELETE /gateway/requests/cleanup
@@ -171,9 +283,9 @@ app.delete('/gateway/requests/cleanup', (req, res) => {
   const now = Date.now();
   let deletedCount = 0;
 
-  for (const [requestId, request] of pendingRequests.entries()) {
+  for (const request of Array.from(pendingRequests.values())) {
     if (now - request.timestamp > maxAge) {
-      pendingRequests.delete(requestId);
+      pendingRequests.delete(request.requestId);
       deletedCount++;
     }
   }
@@ -185,6 +297,135 @@ app.delete('/gateway/requests/cleanup', (req, res) => {
   });
 });
 
+// ============ Mock KMS ============
+
+/**
+ * Coprocessor JSON-RPC, as fhevmjs `createInstance({ coprocessorUrl })` calls it
+ * POST /coprocessor
+ *
+ * Only eth_getPublicFhevmKey is served; inputs are encrypted client-side.
+ */
+app.post('/coprocessor', (req, res) => {
+  const { id = null, method } = req.body;
+
+  if (method !== 'eth_getPublicFhevmKey') {
+    return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not supported: ${method}` } });
+  }
+  if (!kms.publicKey) {
+    return res.json({ jsonrpc: '2.0', id, error: { code: -32000, message: 'KMS keys not loaded' } });
+  }
+
+  res.json({ jsonrpc: '2.0', id, result: { publicKey: kms.publicKey } });
+});
+
+/**
+ * Network public key as hex (for scripts and debugging)
+ * GET /kms/public-key
+ */
+app.get('/kms/public-key', (req, res) => {
+  if (!kms.publicKey) {
+    return res.status(503).json({ error: 'KMS keys not loaded' });
+  }
+  res.json({ publicKey: kms.publicKey, ...kms.toJSON() });
+});
+
+/**
+ * User reencryption, as fhevmjs `reencrypt` sends it
+ * POST /reencrypt
+ * Body: { signature, user_address, enc_key, ciphertext_handle, eip712_verifying_contract }
+ *
+ * The signature is the user's EIP-712 Reencrypt authorization for enc_key
+ */
+app.post('/reencrypt', async (req, res) => {
+  try {
+    const { handle, value } = await kms.reencrypt(req.body);
+    console.log(`  🔓 Reencrypted ${handle.substring(0, 20)}... for 0x${String(req.body.user_address).replace(/^0x/, '')}`);
+
+    res.json({
+      status: 'success',
+      response: {
+        mock: true,
+        handle,
+        value: value.toString(),
+      },
+    });
+  } catch (error) {
+    console.log(`  ⚠️  Reencryption refused: ${error.message}`);
+    res.status(error.status || 500).json({ status: 'failure', error: error.message });
+  }
+});
+
+// ============ Fault Injection (admin) ============
+
+/**
+ * Show global fault settings and active rules
+ * GET /admin/faults
+ */
+app.get('/admin/faults', (req, res) => {
+  res.json(faults);
+});
+
+/**
+ * Update global fault settings
+ * PUT /admin/faults
+ * Body: any of { latencyMs, dropRate, duplicateRate }
+ */
+app.put('/admin/faults', (req, res) => {
+  try {
+    faults.setGlobal(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  console.log(`  🧪 Global faults: ${JSON.stringify(faults.global)}`);
+  res.json(faults);
+});
+
+/**
+ * Add a fault rule for matching requests
+ * POST /admin/faults/rules
+ * Body: { match: { requestId, contractCaller, from, callback }, latencyMs, drop, duplicate, result, times }
+ *
+ * e.g. the next guess by 0xabc returns true:
+ *   { match: { from: '0xabc...', callback: 'callbackGuessResult(uint256,bool)' }, result: true }
+ */
+app.post('/admin/faults/rules', (req, res) => {
+  let rule;
+  try {
+    rule = faults.addRule(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  console.log(`  🧪 Fault rule #${rule.id}: ${JSON.stringify(rule)}`);
+  res.status(201).json(rule);
+});
+
+/**
+ * Remove a fault rule
+ * DELETE /admin/faults/rules/:ruleId
+ */
+app.delete('/admin/faults/rules/:ruleId', (req, res) => {
+  if (!faults.removeRule(req.params.ruleId)) {
+    return res.status(404).json({ error: 'Rule not found', ruleId: req.params.ruleId });
+  }
+  res.json(faults);
+});
+
+/**
+ * Clear all faults, and optionally the request log
+ * POST /admin/reset?requests=true
+ */
+app.post('/admin/reset', (req, res) => {
+  faults.reset();
+  if (req.query.requests === 'true') {
+    pendingRequests.clear();
+  }
+
+  console.log('  🧪 Faults reset');
+  res.json({ ...faults.toJSON(), requests: pendingRequests.size });
+});
+
 /**
  * Mock Gateway Info endpoint
  * GET /gateway/info
@@ -195,22 +436,48 @@ app.get('/gateway/info', (req, res) => {
     version: '1.0.0',
     description: 'Local development gateway for Confidential Word Game',
     features: [
-      'Instant decryption simulation',
+      'Fulfills on-chain Gateway decryption requests with callbacks',
+      'Plaintexts tracked by replaying mock TFHEExecutor operations',
+      'Fault injection: latency, drops, duplicates and forced results',
+      'Mock KMS: network public key and EIP-712 authorized reencryption',
       'No real FHE operations',
-      'Request logging and debugging',
+      'Requests persisted across restarts and streamed over WebSocket',
       'Compatible with fhevmjs',
     ],
     warnings: [
       'FOR DEVELOPMENT ONLY',
       'No privacy guarantees',
       'Not suitable for production',
-      'All values are mock/random',
+      'Random values are derived from the on-chain seed, not sampled',
     ],
+    chain: {
+      rpcUrl: RPC_URL,
+      gatewayContract: GATEWAY_CONTRACT_ADDRESS || null,
+      tfheExecutor: TFHE_EXECUTOR_ADDRESS || null,
+      watching: !!watcher,
+    },
+    kms: {
+      mock: true,
+      ...kms.toJSON(),
+      aclAddress: ACL_ADDRESS || null,
+    },
     endpoints: {
       health: 'GET /health',
       requestDecryption: 'POST /gateway/requestDecryption',
       getResult: 'GET /gateway/getResult/:requestId',
       listRequests: 'GET /gateway/requests',
+      stream: 'WS /gateway/stream',
+      inspector: 'GET /inspector',
+      registerPlaintexts: 'POST /gateway/plaintexts',
+      getPlaintext: 'GET /gateway/plaintexts/:handle',
+      coprocessor: 'POST /coprocessor (eth_getPublicFhevmKey)',
+      publicKey: 'GET /kms/public-key',
+      reencrypt: 'POST /reencrypt',
+      getFaults: 'GET /admin/faults',
+      setFaults: 'PUT /admin/faults',
+      addFaultRule: 'POST /admin/faults/rules',
+      removeFaultRule: 'DELETE /admin/faults/rules/:ruleId',
+      reset: 'POST /admin/reset',
       cleanup: 'DELETE /gateway/requests/cleanup',
       info: 'GET /gateway/info',
     },
@@ -235,26 +502,102 @@ app.use((err, req, res, next) => {
   });
 });
 
+/**
+ * Follow the hardhat node's Gateway contract, if the mock contracts are configured
+ */
+async function startWatcher() {
+  if (!GATEWAY_CONTRACT_ADDRESS || !TFHE_EXECUTOR_ADDRESS || !GATEWAY_RELAYER_PRIVATE_KEY) {
+    console.log('ℹ️  Set GATEWAY_CONTRACT_ADDRESS, TFHE_EXECUTOR_ADDRESS and GATEWAY_RELAYER_PRIVATE_KEY');
+    console.log('   to fulfill on-chain decryption requests. HTTP endpoints only for now.\n');
+    return;
+  }
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const relayer = new ethers.Wallet(GATEWAY_RELAYER_PRIVATE_KEY, provider);
+
+  const chainWatcher = new DecryptionWatcher({
+    provider,
+    relayer: new ethers.NonceManager(relayer),
+    gatewayAddress: GATEWAY_CONTRACT_ADDRESS,
+    executorAddress: TFHE_EXECUTOR_ADDRESS,
+    store: plaintexts,
+    requests: pendingRequests,
+    faults,
+    kmsSigners: KMS_SIGNER_PRIVATE_KEYS.map(key => new ethers.Wallet(key)),
+    kmsVerifierAddress: KMS_VERIFIER_ADDRESS,
+    aclAddress: ACL_ADDRESS,
+  });
+
+  // The hardhat node may still be starting
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await chainWatcher.start();
+      watcher = chainWatcher;
+      console.log(`🔑 Relayer: ${relayer.address}\n`);
+      return;
+    } catch (error) {
+      if (attempt >= 30) throw error;
+      console.log(`⏳ Waiting for ${RPC_URL} (${error.shortMessage || error.message})`);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  }
+}
+
+// Key material must be in place before fhevmjs clients connect
+kms.loadKeys();
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log('\n🔐 Mock FHE Gateway Server Started');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`📡 Listening on: http://0.0.0.0:${PORT}`);
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
   console.log(`ℹ️  Info: http://localhost:${PORT}/gateway/info`);
+  console.log(`🔎 Inspector: http://localhost:${PORT}/inspector`);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('⚠️  WARNING: This is a MOCK gateway for development only!');
   console.log('   No real FHE operations - all values are simulated.');
   console.log('   DO NOT use in production!\n');
+
+  startWatcher().catch(error => {
+    console.error(`❌ Could not watch ${RPC_URL}: ${error.message}`);
+  });
+});
+
+/**
+ * Request lifecycle stream
+ * WS /gateway/stream
+ *
+ * Sends { type: 'snapshot', requests } on connect, then one message per change:
+ * { type: 'created' | 'updated', request }, { type: 'deleted', requestId } or { type: 'cleared' }
+ */
+const stream = new WebSocketServer({ server, path: '/gateway/stream' });
+
+stream.on('connection', socket => {
+  socket.send(JSON.stringify({
+    type: 'snapshot',
+    requests: Array.from(pendingRequests.values()).map(summarize),
+  }));
+});
+
+pendingRequests.on('change', change => {
+  const message = JSON.stringify(
+    change.request ? { ...change, request: summarize(change.request) } : change
+  );
+  for (const socket of stream.clients) {
+    if (socket.readyState === socket.OPEN) socket.send(message);
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n📴 Shutting down mock gateway...');
+  pendingRequests.save();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\n📴 Shutting down mock gateway...');
+  pendingRequests.save();
   process.exit(0);
 });
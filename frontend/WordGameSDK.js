@@ -1,6 +1,33 @@
 import { ethers } from 'ethers';
 import { createInstance } from 'fhevmjs';
 
+// Read-only subset of the XPSeasons contract used by the SDK
+const SEASONS_ABI = [
+  'function seasonCount() view returns (uint256)',
+  'function currentSeason() view returns (uint256)',
+  'function seasonXP(uint256 seasonId, address player) view returns (uint256)',
+  'function getSeasonInfo(uint256 seasonId) view returns (string name, uint256 startTime, uint256 endTime, uint256 totalXP, uint256 playerCount, bool isOpen)',
+  'function getSeasonStandings(uint256 seasonId) view returns (address[] players, uint256[] xp)'
+];
+
+// Read-only subset of the AchievementBadges contract used by the SDK
+const BADGES_ABI = [
+  'function getBadges(address player) view returns (uint256[] tokenIds, uint8[] badges)'
+];
+
+// AchievementBadges.Badge enum, in order
+export const BADGES = [
+  { key: 'FirstTrySolve', name: 'First-Try Solve', description: 'Solved a word on the first attempt' },
+  { key: 'SpeedSolver', name: 'Speed Solver', description: 'Solved a word in under 20 seconds' },
+  { key: 'FirstWin', name: 'First Win', description: 'Won a game' },
+  { key: 'FiveLetterChampion', name: '5-Letter Champion', description: 'Won a game after solving a 5-letter word' },
+  { key: 'TenWins', name: '10 Wins', description: 'Won 10 games' }
+];
+
+// Mirrors the contract's INITIAL_WORD_LENGTH and MAX_WORD_LENGTH stage bounds
+const INITIAL_WORD_LENGTH = 3;
+const MAX_WORD_LENGTH = 5;
+
 /**
  * WordGameSDK - Frontend SDK for Confidential Word Game
  *
@@ -19,6 +46,9 @@ export class WordGameSDK {
     this.contract = null;
     this.fhevmInstance = null;
     this.eventListeners = new Map();
+    this.reencryptionKeys = null;
+    this.seasonsContract = undefined; // null once known to be unset
+    this.badgesContract = undefined; // null once known to be unset
   }
 
   /**
@@ -54,6 +84,29 @@ export class WordGameSDK {
     }
   }
 
+  /**
+   * Initialize SDK for reading and event streaming only (no wallet, no FHE)
+   * @param {string|Object} rpc - RPC URL or an ethers provider
+   */
+  async initializeReadOnly(rpc) {
+    try {
+      this.provider = typeof rpc === 'string' ? new ethers.JsonRpcProvider(rpc) : rpc;
+      this.signer = null;
+
+      this.contract = new ethers.Contract(
+        this.contractAddress,
+        this.contractABI,
+        this.provider
+      );
+
+      console.log('✅ SDK initialized (read-only)');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize SDK:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get Gateway URL based on chain ID
    */
@@ -75,39 +128,36 @@ export class WordGameSDK {
   }
 
   /**
-   * Encrypt amount for deposit
-   * @param {number|string} amount - Amount to encrypt (in wei or ether)
-   * @param {boolean} isEther - Whether amount is in ether (true) or wei (false)
+   * Convert an ETH amount to balance credits
+   * @param {number|string} amountEther - Amount in ether
+   * @returns {Object} { value, credits } - value in wei, credits as a number
    */
-  async encryptAmount(amount, isEther = true) {
-    const amountWei = isEther ? ethers.parseEther(amount.toString()) : BigInt(amount);
-    const amountNumber = Number(amountWei);
+  async toCredits(amountEther) {
+    const value = ethers.parseEther(amountEther.toString());
+    const creditUnit = await this.contract.CREDIT_UNIT();
 
-    // Encrypt as euint32 (max 4.2 billion wei, ~4.2 gwei)
-    // For larger amounts, use euint64 or euint128
-    const encrypted = this.fhevmInstance.encrypt32(amountNumber);
+    if (value % creditUnit !== 0n) {
+      throw new Error(`Amount must be a multiple of ${ethers.formatEther(creditUnit)} ETH`);
+    }
 
     return {
-      data: encrypted.data,
-      signature: encrypted.signature
+      value,
+      credits: Number(value / creditUnit)
     };
   }
 
   /**
-   * Deposit encrypted balance
-   * @param {number} amountEther - Amount in ether
+   * Deposit ETH as encrypted balance credits
+   * @param {number|string} amountEther - Amount in ether
    */
   async depositBalance(amountEther) {
     try {
-      const encrypted = await this.encryptAmount(amountEther, true);
+      const { value, credits } = await this.toCredits(amountEther);
 
-      const tx = await this.contract.depositBalance(
-        encrypted.data,
-        encrypted.signature
-      );
+      const tx = await this.contract.depositBalance({ value });
 
       const receipt = await tx.wait();
-      console.log('✅ Balance deposited:', receipt.hash);
+      console.log(`✅ Deposited ${credits} credits:`, receipt.hash);
 
       return receipt;
     } catch (error) {
@@ -161,13 +211,88 @@ export class WordGameSDK {
     }
   }
 
+  /**
+   * Withdraw encrypted balance back to ETH
+   * NOTE: The amount is checked against your balance homomorphically. The Gateway
+   * callback pays out and emits `BalanceWithdrawn`, or `WithdrawalFailed` if the
+   * amount exceeded your balance or could not be paid out.
+   * @param {number} credits - Number of balance credits to withdraw
+   * @returns {bigint} Gateway request ID
+   */
+  async withdraw(credits) {
+    try {
+      const encrypted = this.fhevmInstance.encrypt32(Number(credits));
+
+      const tx = await this.contract.requestWithdrawal(
+        encrypted.data,
+        encrypted.signature
+      );
+      const receipt = await tx.wait();
+      console.log('✅ Withdrawal requested:', receipt.hash);
+
+      const event = receipt.logs.find(log => {
+        try {
+          const parsed = this.contract.interface.parseLog(log);
+          return parsed?.name === 'WithdrawalRequested';
+        } catch {
+          return false;
+        }
+      });
+
+      if (event) {
+        const parsed = this.contract.interface.parseLog(event);
+        return parsed.args.gatewayRequestId;
+      }
+
+      return receipt;
+    } catch (error) {
+      console.error('Failed to withdraw:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rules used for rooms created without overrides
+   * @returns {Object} Entry fee (credits and ETH), player cap, round time (seconds) and attempts
+   */
+  async getDefaultRoomRules() {
+    const [rules, creditUnit] = await Promise.all([
+      this.contract.getDefaultRoomRules(),
+      this.contract.CREDIT_UNIT()
+    ]);
+    return this._formatRoomRules(rules, creditUnit);
+  }
+
+  /**
+   * Convert on-chain room rules to plain JS values
+   * @private
+   */
+  _formatRoomRules(rules, creditUnit) {
+    return {
+      entryFeeCredits: Number(rules.entryFeeCredits),
+      entryFee: ethers.formatEther(rules.entryFeeCredits * creditUnit),
+      maxPlayers: Number(rules.maxPlayers),
+      roundTimeLimit: Number(rules.roundTimeLimit),
+      maxAttempts: Number(rules.maxAttempts)
+    };
+  }
+
   /**
    * Create a new game room
    * @param {string} displayName - Player display name
+   * @param {Object} rules - Optional overrides for entryFeeCredits, maxPlayers, roundTimeLimit and maxAttempts
    */
-  async createRoom(displayName) {
+  async createRoom(displayName, rules = {}) {
     try {
-      const tx = await this.contract.createRoom(displayName);
+      const defaults = await this.contract.getDefaultRoomRules();
+      const roomRules = {
+        entryFeeCredits: rules.entryFeeCredits ?? defaults.entryFeeCredits,
+        maxPlayers: rules.maxPlayers ?? defaults.maxPlayers,
+        roundTimeLimit: rules.roundTimeLimit ?? defaults.roundTimeLimit,
+        maxAttempts: rules.maxAttempts ?? defaults.maxAttempts
+      };
+
+      const tx = await this.contract.createRoom(displayName, roomRules);
       const receipt = await tx.wait();
 
       // Extract room ID from event
@@ -195,14 +320,72 @@ export class WordGameSDK {
     }
   }
 
+  /**
+   * Hash a join code the way the contract checks it
+   * @param {number|string} roomId - Room ID
+   * @param {string} joinCode - Plaintext join code
+   */
+  hashJoinCode(roomId, joinCode) {
+    return ethers.solidityPackedKeccak256(['uint256', 'string'], [roomId, joinCode]);
+  }
+
+  /**
+   * Make a room private (creator only)
+   * @param {number|string} roomId - Room ID
+   * @param {Object} options - `isPrivate` (default true) and an optional `joinCode`
+   * @returns {Object} Receipt and, when a code is set, a shareable invite link
+   */
+  async setRoomAccess(roomId, { isPrivate = true, joinCode = null } = {}) {
+    try {
+      const codeHash = joinCode ? this.hashJoinCode(roomId, joinCode) : ethers.ZeroHash;
+      const tx = await this.contract.setRoomAccess(roomId, isPrivate, codeHash);
+      const receipt = await tx.wait();
+
+      return {
+        receipt,
+        inviteLink: isPrivate && joinCode ? this.getInviteLink(roomId, joinCode) : null
+      };
+    } catch (error) {
+      console.error('Failed to set room access:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or remove wallets from a private room's allowlist (creator only)
+   * @param {number|string} roomId - Room ID
+   * @param {string[]} players - Wallet addresses
+   * @param {boolean} allowed - Whether they may join without a code
+   */
+  async setRoomAllowlist(roomId, players, allowed = true) {
+    try {
+      const tx = await this.contract.setRoomAllowlist(roomId, players, allowed);
+      return await tx.wait();
+    } catch (error) {
+      console.error('Failed to update allowlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build an invite link that pre-fills the join code in the app
+   * @param {number|string} roomId - Room ID
+   * @param {string} joinCode - Plaintext join code
+   * @param {string} baseUrl - App origin (defaults to the current page's)
+   */
+  getInviteLink(roomId, joinCode, baseUrl = globalThis.location?.origin || '') {
+    return `${baseUrl}/room/${roomId}?code=${encodeURIComponent(joinCode)}`;
+  }
+
   /**
    * Join an existing room
    * @param {number|string} roomId - Room ID
    * @param {string} displayName - Player display name
+   * @param {string} joinCode - Join code for private rooms (optional)
    */
-  async joinRoom(roomId, displayName) {
+  async joinRoom(roomId, displayName, joinCode = '') {
     try {
-      const tx = await this.contract.joinRoom(roomId, displayName);
+      const tx = await this.contract.joinRoom(roomId, displayName, joinCode);
       const receipt = await tx.wait();
 
       console.log('✅ Joined room:', roomId);
@@ -213,6 +396,38 @@ export class WordGameSDK {
     }
   }
 
+  /**
+   * Leave a room before its game starts
+   * @param {number|string} roomId - Room ID
+   */
+  async leaveRoom(roomId) {
+    try {
+      const tx = await this.contract.leaveRoom(roomId);
+      const receipt = await tx.wait();
+
+      console.log('👋 Left room:', roomId);
+      return receipt;
+    } catch (error) {
+      console.error('Failed to leave room:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a player from your room before its game starts (creator only)
+   * @param {number|string} roomId - Room ID
+   * @param {string} playerAddress - Player to remove
+   */
+  async kickPlayer(roomId, playerAddress) {
+    try {
+      const tx = await this.contract.kickPlayer(roomId, playerAddress);
+      return await tx.wait();
+    } catch (error) {
+      console.error('Failed to kick player:', error);
+      throw error;
+    }
+  }
+
   /**
    * Encrypt a word for submission
    * @param {string} word - The word to encrypt
@@ -272,6 +487,7 @@ export class WordGameSDK {
         const parsed = this.contract.interface.parseLog(event);
         return {
           requestId: parsed.args.gatewayRequestId.toString(),
+          attempt: Number(parsed.args.attemptNumber),
           receipt
         };
       }
@@ -289,7 +505,10 @@ export class WordGameSDK {
    */
   async getRoomInfo(roomId) {
     try {
-      const info = await this.contract.getRoomInfo(roomId);
+      const [info, creditUnit] = await Promise.all([
+        this.contract.getRoomInfo(roomId),
+        this.contract.CREDIT_UNIT()
+      ]);
 
       return {
         id: info.id.toString(),
@@ -298,7 +517,9 @@ export class WordGameSDK {
         isActive: info.isActive,
         createdAt: Number(info.createdAt),
         currentGameId: info.currentGameId.toString(),
-        playerAddresses: info.playerAddresses
+        playerAddresses: info.playerAddresses,
+        rules: this._formatRoomRules(info.rules, creditUnit),
+        isPrivate: info.isPrivate
       };
     } catch (error) {
       console.error('Failed to get room info:', error);
@@ -338,7 +559,10 @@ export class WordGameSDK {
    */
   async getGameInfo(gameId) {
     try {
-      const info = await this.contract.getGameInfo(gameId);
+      const [info, round] = await Promise.all([
+        this.contract.getGameInfo(gameId),
+        this.contract.gameRounds(gameId)
+      ]);
 
       const now = Math.floor(Date.now() / 1000);
       const endTime = Number(info.roundEndTime);
@@ -349,11 +573,16 @@ export class WordGameSDK {
         roomId: info.roomId.toString(),
         wordLength: Number(info.wordLength),
         currentStage: Number(info.currentStage),
+        stageNumber: Number(info.currentStage) - INITIAL_WORD_LENGTH + 1,
+        totalStages: MAX_WORD_LENGTH - INITIAL_WORD_LENGTH + 1,
+        previousGameId: round.previousGameId.toString(),
+        nextGameId: round.nextGameId.toString(),
         roundStartTime: Number(info.roundStartTime),
         roundEndTime: endTime,
         timeLeft: timeLeft,
         qualifiedPlayerCount: Number(info.qualifiedPlayerCount),
-        isComplete: info.isComplete
+        isComplete: info.isComplete,
+        wordCommitment: round.wordCommitment
       };
     } catch (error) {
       console.error('Failed to get game info:', error);
@@ -361,6 +590,197 @@ export class WordGameSDK {
     }
   }
 
+  /**
+   * Check a round's revealed word against the drawn bank word's commitment
+   * NOTE: The owner reveals words once the whole game has ended. lettersMatch
+   * is the Gateway's check of the word against the letters played, null until
+   * WordRevealVerified arrives.
+   * @param {number|string} gameId - Game ID
+   * @returns {Object} { revealed, verified, lettersMatch, word, salt, commitment }
+   */
+  async verifyWordReveal(gameId) {
+    try {
+      const [round, reveals, checks] = await Promise.all([
+        this.contract.gameRounds(gameId),
+        this.contract.queryFilter(this.contract.filters.WordRevealed(gameId)),
+        this.contract.queryFilter(this.contract.filters.WordRevealVerified(gameId))
+      ]);
+
+      const commitment = round.wordCommitment;
+      if (reveals.length === 0) {
+        return { revealed: false, verified: false, lettersMatch: null, word: null, salt: null, commitment };
+      }
+
+      const { word, salt } = reveals[0].args;
+      const computed = ethers.solidityPackedKeccak256(['string', 'bytes32'], [word, salt]);
+
+      return {
+        revealed: true,
+        verified: computed === commitment,
+        lettersMatch: checks.length > 0 ? checks[0].args.matchesPlayedWord : null,
+        word,
+        salt,
+        commitment
+      };
+    } catch (error) {
+      console.error('Failed to verify word reveal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stage a room is currently on
+   * @param {number|string} roomId - Room ID
+   * @returns {Object|null} Current round and stage, or null if no game has started
+   */
+  async getRoomStage(roomId) {
+    try {
+      const room = await this.getRoomInfo(roomId);
+      if (room.currentGameId === '0') {
+        return null;
+      }
+
+      const game = await this.getGameInfo(room.currentGameId);
+      return {
+        gameId: game.id,
+        wordLength: game.wordLength,
+        stageNumber: game.stageNumber,
+        totalStages: game.totalStages,
+        isComplete: game.isComplete
+      };
+    } catch (error) {
+      console.error('Failed to get room stage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a page of open room IDs (waiting for players or playing)
+   * NOTE: Order is not stable between calls; closing a room moves another into its slot
+   * @param {Object} page - { offset, limit }
+   * @returns {Object} { ids, total }
+   */
+  async getActiveRooms({ offset = 0, limit = 50 } = {}) {
+    return this._fetchPage(this.contract.getActiveRooms(offset, limit), 'active rooms');
+  }
+
+  /**
+   * Get a page of the rooms a player is in or has played in, oldest first
+   * @param {string} playerAddress - Player address (optional, defaults to current user)
+   * @param {Object} page - { offset, limit }
+   * @returns {Object} { ids, total }
+   */
+  async getPlayerRooms(playerAddress = null, { offset = 0, limit = 50 } = {}) {
+    const address = playerAddress || await this.getAddress();
+    return this._fetchPage(this.contract.getPlayerRooms(address, offset, limit), 'player rooms');
+  }
+
+  /**
+   * Get a page of game rounds still in progress
+   * @param {Object} page - { offset, limit }
+   * @returns {Object} { ids, total }
+   */
+  async getActiveGames({ offset = 0, limit = 50 } = {}) {
+    return this._fetchPage(this.contract.getActiveGames(offset, limit), 'active games');
+  }
+
+  /**
+   * Format a paginated view's (ids, total) result
+   */
+  async _fetchPage(call, label) {
+    try {
+      const [ids, total] = await call;
+      return { ids: ids.map(id => id.toString()), total: Number(total) };
+    } catch (error) {
+      console.error(`Failed to get ${label}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get keypair and EIP-712 signature for reencryption, signing once per session
+   */
+  async _getReencryptionKeys() {
+    if (!this.reencryptionKeys) {
+      const { publicKey, privateKey } = this.fhevmInstance.generateKeypair();
+      const eip712 = this.fhevmInstance.createEIP712(publicKey, this.contractAddress);
+      const signature = await this.signer.signTypedData(
+        eip712.domain,
+        { Reencrypt: eip712.types.Reencrypt },
+        eip712.message
+      );
+
+      this.reencryptionKeys = { publicKey, privateKey, signature: signature.replace('0x', '') };
+    }
+
+    return this.reencryptionKeys;
+  }
+
+  /**
+   * Decrypt ciphertext handles the user has been granted access to
+   * @param {bigint[]} handles - Ciphertext handles
+   */
+  async _userDecrypt(handles) {
+    const { publicKey, privateKey, signature } = await this._getReencryptionKeys();
+    const userAddress = await this.getAddress();
+
+    return Promise.all(handles.map(handle =>
+      this.fhevmInstance.reencrypt(
+        handle,
+        privateKey,
+        publicKey,
+        signature,
+        this.contractAddress,
+        userAddress
+      )
+    ));
+  }
+
+  /**
+   * Get Wordle-style feedback for one of your guesses
+   * NOTE: Feedback is encrypted and only readable by the guesser via reencryption,
+   * once GuessValidated has been emitted for the attempt
+   * @param {number|string} gameId - Game ID
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {string[]} Per-letter status: 'correct', 'present' or 'absent'
+   */
+  async getGuessFeedback(gameId, attempt) {
+    try {
+      const [correct, present] = await this.contract.getGuessFeedback(gameId, attempt);
+      const [isCorrect, isPresent] = await Promise.all([
+        this._userDecrypt(correct),
+        this._userDecrypt(present)
+      ]);
+
+      return isCorrect.map((value, i) => {
+        if (value) return 'correct';
+        return isPresent[i] ? 'present' : 'absent';
+      });
+    } catch (error) {
+      console.error('Failed to get guess feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether your entry fee was deducted when the room's game started
+   * NOTE: Unpaid players can still submit guesses, but they never match
+   * @param {number|string} roomId - Room ID
+   * @returns {boolean|null} null if no game has started for you yet
+   */
+  async hasPaidEntryFee(roomId) {
+    try {
+      const handle = await this.contract.getEntryFeePaid(roomId);
+      if (BigInt(handle) === 0n) return null;
+
+      const [paid] = await this._userDecrypt([handle]);
+      return Boolean(paid);
+    } catch (error) {
+      console.error('Failed to check entry fee:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get qualified players for a game
    * @param {number|string} gameId - Game ID
@@ -390,6 +810,138 @@ export class WordGameSDK {
     }
   }
 
+  /**
+   * Get final placements for a game, ordered 1st, 2nd, 3rd, ...
+   * @param {number|string} gameId - Game ID of the final stage
+   */
+  async getGamePlacements(gameId) {
+    try {
+      const players = await this.contract.getGamePlacements(gameId);
+      return players;
+    } catch (error) {
+      console.error('Failed to get game placements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a player's placement history
+   * @param {string} playerAddress - Player address (optional)
+   */
+  async getPlayerPlacements(playerAddress = null) {
+    try {
+      const address = playerAddress || await this.getAddress();
+      const placements = await this.contract.getPlayerPlacements(address);
+      return placements.map(p => ({
+        gameId: p.gameId.toString(),
+        roomId: p.roomId.toString(),
+        position: Number(p.position),
+        stageReached: Number(p.stageReached),
+        timestamp: Number(p.timestamp)
+      }));
+    } catch (error) {
+      console.error('Failed to get player placements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the game's XP seasons contract, or null if seasons are not enabled
+   */
+  async _getSeasonsContract() {
+    if (this.seasonsContract === undefined) {
+      const address = await this.contract.seasons();
+      this.seasonsContract = address === ethers.ZeroAddress
+        ? null
+        : new ethers.Contract(address, SEASONS_ABI, this.provider);
+    }
+    return this.seasonsContract;
+  }
+
+  /**
+   * Get every XP season, newest first (empty if seasons are not enabled)
+   */
+  async getSeasons() {
+    try {
+      const seasons = await this._getSeasonsContract();
+      if (!seasons) return [];
+
+      const count = Number(await seasons.seasonCount());
+      const result = [];
+      for (let id = count; id >= 1; id--) {
+        const info = await seasons.getSeasonInfo(id);
+        result.push({
+          seasonId: id,
+          name: info.name,
+          startTime: Number(info.startTime),
+          endTime: Number(info.endTime), // 0 while open
+          totalXP: Number(info.totalXP),
+          playerCount: Number(info.playerCount),
+          isOpen: info.isOpen
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error('Failed to get seasons:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a season's top players, highest season XP first
+   * @param {number} seasonId - Season ID (defaults to the open season)
+   */
+  async getSeasonStandings(seasonId = null) {
+    try {
+      const seasons = await this._getSeasonsContract();
+      if (!seasons) return [];
+
+      const id = seasonId ?? Number(await seasons.currentSeason());
+      if (!id) return [];
+
+      const [players, xp] = await seasons.getSeasonStandings(id);
+      return players.map((player, i) => ({ player, xp: Number(xp[i]) }));
+    } catch (error) {
+      console.error('Failed to get season standings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the game's badge contract, or null if badges are not enabled
+   */
+  async _getBadgesContract() {
+    if (this.badgesContract === undefined) {
+      const address = await this.contract.badges();
+      this.badgesContract = address === ethers.ZeroAddress
+        ? null
+        : new ethers.Contract(address, BADGES_ABI, this.provider);
+    }
+    return this.badgesContract;
+  }
+
+  /**
+   * Get a player's soulbound badges in the order they were earned
+   * @param {string} playerAddress - Player address (optional)
+   */
+  async getBadges(playerAddress = null) {
+    try {
+      const badges = await this._getBadgesContract();
+      if (!badges) return [];
+
+      const address = playerAddress || await this.getAddress();
+      const [tokenIds, types] = await badges.getBadges(address);
+      return tokenIds.map((tokenId, i) => ({
+        tokenId: tokenId.toString(),
+        badge: Number(types[i]),
+        ...BADGES[Number(types[i])]
+      }));
+    } catch (error) {
+      console.error('Failed to get badges:', error);
+      throw error;
+    }
+  }
+
   /**
    * Listen to contract events
    * @param {string} eventName - Event name
@@ -406,6 +958,95 @@ export class WordGameSDK {
     return () => this.off(eventName);
   }
 
+  /**
+   * Convert a guess event to a spectator activity entry
+   */
+  _toGuessActivity(type, args, event) {
+    return {
+      type,
+      player: args.player,
+      attemptNumber: Number(args.attemptNumber),
+      isCorrect: type === 'GuessValidated' ? args.isCorrect : null,
+      blockNumber: event.blockNumber
+    };
+  }
+
+  /**
+   * Get every guess submitted and validated in a game so far, oldest first
+   * @param {number|string} gameId - Game ID
+   * @returns {Promise<Array<{ type, player, attemptNumber, isCorrect, blockNumber }>>}
+   */
+  async getGameActivity(gameId) {
+    try {
+      const [submitted, validated] = await Promise.all([
+        this.contract.queryFilter(this.contract.filters.GuessSubmitted(gameId)),
+        this.contract.queryFilter(this.contract.filters.GuessValidated(gameId))
+      ]);
+
+      return [
+        ...submitted.map(e => this._toGuessActivity('GuessSubmitted', e.args, e)),
+        ...validated.map(e => this._toGuessActivity('GuessValidated', e.args, e))
+      ].sort((a, b) => a.blockNumber - b.blockNumber);
+    } catch (error) {
+      console.error('Failed to get game activity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream one game's guesses and round completion
+   * @param {number|string} gameId - Game ID
+   * @param {Object} handlers - Callbacks:
+   *   onActivity(entry) for GuessSubmitted / GuessValidated (same shape as getGameActivity),
+   *   onRoundCompleted({ qualifiedPlayers }),
+   *   onStageAdvanced({ gameId, stage }) with the next stage's game ID,
+   *   onRoomEmergencyPaused({ roomId }) when the owner closes the room and
+   *   refunds the game (no GameEnded is emitted then)
+   * @returns {function} Stops watching
+   */
+  watchGame(gameId, { onActivity, onRoundCompleted, onStageAdvanced, onRoomEmergencyPaused } = {}) {
+    const subscriptions = [];
+    const subscribe = (filter, listener) => {
+      this.contract.on(filter, listener);
+      subscriptions.push([filter, listener]);
+    };
+
+    if (onActivity) {
+      subscribe(this.contract.filters.GuessSubmitted(gameId), (...args) => {
+        const event = args[args.length - 1];
+        onActivity(this._toGuessActivity('GuessSubmitted', event.args, event.log));
+      });
+      subscribe(this.contract.filters.GuessValidated(gameId), (...args) => {
+        const event = args[args.length - 1];
+        onActivity(this._toGuessActivity('GuessValidated', event.args, event.log));
+      });
+    }
+
+    if (onRoundCompleted) {
+      subscribe(this.contract.filters.RoundCompleted(gameId), (id, count, qualifiedPlayers) => {
+        onRoundCompleted({ qualifiedPlayers: [...qualifiedPlayers] });
+      });
+    }
+
+    if (onStageAdvanced) {
+      subscribe(this.contract.filters.StageAdvanced(null, gameId), (roomId, previousGameId, nextGameId, stage) => {
+        onStageAdvanced({ gameId: nextGameId.toString(), stage: Number(stage) });
+      });
+    }
+
+    if (onRoomEmergencyPaused) {
+      subscribe(this.contract.filters.RoomEmergencyPaused(null, gameId), (roomId) => {
+        onRoomEmergencyPaused({ roomId: roomId.toString() });
+      });
+    }
+
+    return () => {
+      for (const [filter, listener] of subscriptions) {
+        this.contract.off(filter, listener);
+      }
+    };
+  }
+
   /**
    * Remove event listener
    * @param {string} eventName - Event name
@@ -433,6 +1074,7 @@ export class WordGameSDK {
     return {
       maxPlayersPerRoom: Number(await this.contract.MAX_PLAYERS_PER_ROOM()),
       entryFee: ethers.formatEther(await this.contract.ENTRY_FEE()),
+      creditUnit: ethers.formatEther(await this.contract.CREDIT_UNIT()),
       roundTimeLimit: Number(await this.contract.ROUND_TIME_LIMIT()),
       maxAttemptsPerRound: Number(await this.contract.MAX_ATTEMPTS_PER_ROUND()),
       initialWordLength: Number(await this.contract.INITIAL_WORD_LENGTH()),
@@ -440,6 +1082,15 @@ export class WordGameSDK {
     };
   }
 
+  /**
+   * Check whether the contract is paused for maintenance
+   * While paused, deposits, room creation, joins, game starts and guesses
+   * revert; withdrawals and balance checks still work.
+   */
+  async isPaused() {
+    return await this.contract.paused();
+  }
+
   /**
    * Check if user has balance
    */
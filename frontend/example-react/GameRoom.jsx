@@ -163,12 +163,12 @@ export default function GameRoom() {
       const requestId = await sdk.requestBalanceDecryption();
       setStatus(`Balance decryption requested. Check events for result.`);
 
-      // Listen for BalanceWithdrawn event
-      const listener = sdk.on('BalanceWithdrawn', (player, amount, timestamp) => {
+      // Listen for BalanceRevealed event
+      const listener = sdk.on('BalanceRevealed', (player, amount, timestamp) => {
         if (player.toLowerCase() === userAddress.toLowerCase()) {
           setBalance(amount.toString());
           setStatus(`Your balance: ${amount.toString()} wei`);
-          sdk.off('BalanceWithdrawn');
+          sdk.off('BalanceRevealed');
         }
       });
     } catch (error) {
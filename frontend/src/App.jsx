@@ -8,6 +8,9 @@ import Home from './pages/Home';
 import CreateRoom from './pages/CreateRoom';
 import Room from './pages/Room';
 import GamePlay from './pages/GamePlay';
+import Spectate from './pages/Spectate';
+import Tournaments from './pages/Tournaments';
+import Tournament from './pages/Tournament';
 import Leaderboard from './pages/Leaderboard';
 import Profile from './pages/Profile';
 
@@ -46,6 +49,9 @@ function App() {
               <Route path="/create-room" element={<CreateRoom />} />
               <Route path="/room/:roomId" element={<Room />} />
               <Route path="/game/:gameId" element={<GamePlay />} />
+              <Route path="/spectate/:gameId" element={<Spectate />} />
+              <Route path="/tournaments" element={<Tournaments />} />
+              <Route path="/tournaments/:tournamentId" element={<Tournament />} />
               <Route path="/leaderboard" element={<Leaderboard />} />
               <Route path="/profile" element={<Profile />} />
             </Routes>
@@ -1,17 +1,20 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Home, Plus, Trophy, User, Menu, X, Lock } from 'lucide-react';
+import { Home, Plus, Trophy, User, Menu, X, Lock, Swords, AlertTriangle } from 'lucide-react';
 import WalletButton from './WalletButton';
 import { useWallet } from '../contexts/WalletContext';
+import { useGame } from '../contexts/GameContext';
 
 const Layout = ({ children }) => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const location = useLocation();
   const { isConnected } = useWallet();
+  const { isPaused } = useGame();
 
   const navItems = [
     { path: '/', label: 'Home', icon: Home },
     { path: '/create-room', label: 'Create Room', icon: Plus },
+    { path: '/tournaments', label: 'Tournaments', icon: Swords },
     { path: '/leaderboard', label: 'Leaderboard', icon: Trophy },
     { path: '/profile', label: 'Profile', icon: User },
   ];
@@ -102,6 +105,15 @@ const Layout = ({ children }) => {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {isPaused && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start space-x-3">
+            <AlertTriangle className="w-5 h-5 text-red-600 flex-shrink-0" />
+            <p className="text-red-800 text-sm">
+              <span className="font-semibold">Under maintenance.</span> Deposits, new rooms, joins and
+              guesses are paused for now. Your balance is safe and withdrawals still work.
+            </p>
+          </div>
+        )}
         {!isConnected && location.pathname !== '/' && (
           <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
             <p className="text-yellow-800 text-sm">
@@ -1,6 +1,13 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
 import { useWallet } from './WalletContext';
 import toast from 'react-hot-toast';
+import { ethers } from 'ethers';
+import SEASONS_ABI from '../contracts/XPSeasons.json';
+import BADGES_ABI from '../contracts/AchievementBadges.json';
+import TOURNAMENTS_ABI from '../contracts/Tournaments.json';
+
+// Tournaments aren't referenced by the game contract, so their address is configured
+const TOURNAMENTS_ADDRESS = import.meta.env.VITE_TOURNAMENTS_ADDRESS || '';
 
 const GameContext = createContext();
 
@@ -12,8 +19,82 @@ export const useGame = () => {
   return context;
 };
 
+// Convert on-chain room rules to plain numbers
+const parseRoomRules = (rules) => ({
+  entryFeeCredits: Number(rules.entryFeeCredits),
+  maxPlayers: Number(rules.maxPlayers),
+  roundTimeLimit: Number(rules.roundTimeLimit),
+  maxAttempts: Number(rules.maxAttempts),
+});
+
+const parseRoomInfo = (roomId, roomInfo) => ({
+  roomId,
+  creator: roomInfo.creator,
+  playerCount: Number(roomInfo.playerCount),
+  isActive: roomInfo.isActive,
+  createdAt: new Date(Number(roomInfo.createdAt) * 1000),
+  currentGameId: Number(roomInfo.currentGameId),
+  players: roomInfo.playerAddresses,
+  rules: parseRoomRules(roomInfo.rules),
+  isPrivate: roomInfo.isPrivate,
+});
+
+// IDs per call to the contract's paginated views
+const PAGE_SIZE = 50;
+
+// Collect every ID from a paginated (offset, limit) => (ids, total) view
+const fetchAllIds = async (fetchPage) => {
+  const ids = [];
+  let total;
+  do {
+    const [page, pageTotal] = await fetchPage(ids.length, PAGE_SIZE);
+    if (page.length === 0) break;
+    ids.push(...page.map(Number));
+    total = Number(pageTotal);
+  } while (ids.length < total);
+  return ids;
+};
+
+// Tournaments.TournamentStatus, in order
+const TOURNAMENT_STATUSES = ['registration', 'running', 'finished', 'cancelled'];
+
+const parseTournamentInfo = (tournamentId, info) => ({
+  tournamentId,
+  name: info.name,
+  entryFee: info.entryFee, // wei
+  prizePool: info.prizePool, // wei
+  registrationEnds: new Date(Number(info.registrationEnds) * 1000),
+  roomSize: Number(info.roomSize),
+  maxPlayers: Number(info.maxPlayers),
+  playerCount: Number(info.playerCount),
+  currentRound: Number(info.currentRound),
+  status: TOURNAMENT_STATUSES[Number(info.status)],
+  champion: info.champion === ethers.ZeroAddress ? null : info.champion,
+});
+
+const parseSeasonInfo = (seasonId, info) => ({
+  seasonId,
+  name: info.name,
+  startTime: new Date(Number(info.startTime) * 1000),
+  endTime: Number(info.endTime) > 0 ? new Date(Number(info.endTime) * 1000) : null,
+  totalXP: Number(info.totalXP),
+  playerCount: Number(info.playerCount),
+  isOpen: info.isOpen,
+});
+
 export const GameProvider = ({ children }) => {
-  const { contract, account, isConnected } = useWallet();
+  const { contract, readOnlyContract, account, isConnected } = useWallet();
+  // Views work without a wallet so games can be spectated
+  const viewContract = contract || readOnlyContract;
+
+  // Signs with the wallet when connected, read-only otherwise
+  const tournamentsContract = useMemo(
+    () =>
+      TOURNAMENTS_ADDRESS
+        ? new ethers.Contract(TOURNAMENTS_ADDRESS, TOURNAMENTS_ABI.abi, viewContract.runner)
+        : null,
+    [viewContract]
+  );
 
   const [rooms, setRooms] = useState([]);
   const [currentRoom, setCurrentRoom] = useState(null);
@@ -21,64 +102,204 @@ export const GameProvider = ({ children }) => {
   const [playerInfo, setPlayerInfo] = useState(null);
   const [playerXP, setPlayerXP] = useState(0);
   const [loading, setLoading] = useState(false);
+  const [creditUnit, setCreditUnit] = useState(null); // wei per balance credit
+  const [entryFee, setEntryFee] = useState(null); // wei, default rules
+  const [defaultRules, setDefaultRules] = useState(null);
+  const [seasonsContract, setSeasonsContract] = useState(null); // null when the game has no seasons
+  const [badgesContract, setBadgesContract] = useState(null); // null when the game has no badges
+  const [isPaused, setIsPaused] = useState(false); // Contract-wide maintenance pause
+
+  // Fetch deposit conversion constants and default room rules
+  useEffect(() => {
+    if (!contract) return;
+
+    Promise.all([contract.CREDIT_UNIT(), contract.ENTRY_FEE(), contract.getDefaultRoomRules()])
+      .then(([unit, fee, rules]) => {
+        setCreditUnit(unit);
+        setEntryFee(fee);
+        setDefaultRules(parseRoomRules(rules));
+      })
+      .catch((error) => console.error('Error fetching credit unit:', error));
+  }, [contract]);
+
+  // Connect to the game's XP seasons contract, if one is set
+  useEffect(() => {
+    if (!contract) return;
+
+    contract
+      .seasons()
+      .then((address) => {
+        setSeasonsContract(
+          address === ethers.ZeroAddress
+            ? null
+            : new ethers.Contract(address, SEASONS_ABI.abi, contract.runner)
+        );
+      })
+      .catch((error) => console.error('Error fetching seasons contract:', error));
+  }, [contract]);
+
+  // Connect to the game's achievement badge contract, if one is set
+  useEffect(() => {
+    if (!contract) return;
+
+    contract
+      .badges()
+      .then((address) => {
+        setBadgesContract(
+          address === ethers.ZeroAddress
+            ? null
+            : new ethers.Contract(address, BADGES_ABI.abi, contract.runner)
+        );
+      })
+      .catch((error) => console.error('Error fetching badges contract:', error));
+  }, [contract]);
+
+  // Track the contract-wide pause, with or without a wallet
+  useEffect(() => {
+    const handlePaused = () => setIsPaused(true);
+    const handleUnpaused = () => setIsPaused(false);
 
-  // Fetch all rooms
+    viewContract
+      .paused()
+      .then(setIsPaused)
+      .catch((error) => console.error('Error fetching pause state:', error));
+
+    viewContract.on('Paused', handlePaused);
+    viewContract.on('Unpaused', handleUnpaused);
+
+    return () => {
+      viewContract.off('Paused', handlePaused);
+      viewContract.off('Unpaused', handleUnpaused);
+    };
+  }, [viewContract]);
+
+  // Fetch all open rooms
   const fetchRooms = useCallback(async () => {
     if (!contract) return;
 
     try {
-      const roomCounter = await contract.roomCounter();
+      const roomIds = await fetchAllIds((offset, limit) => contract.getActiveRooms(offset, limit));
       const roomsData = [];
 
-      for (let i = 1; i <= roomCounter; i++) {
+      await Promise.all(roomIds.map(async (roomId) => {
         try {
-          const roomInfo = await contract.getRoomInfo(i);
-          if (roomInfo.isActive) {
-            roomsData.push({
-              roomId: i,
-              creator: roomInfo.creator,
-              playerCount: Number(roomInfo.playerCount),
-              isActive: roomInfo.isActive,
-              createdAt: new Date(Number(roomInfo.createdAt) * 1000),
-              currentGameId: Number(roomInfo.currentGameId),
-              players: roomInfo.playerAddresses,
-            });
+          const roomInfo = await contract.getRoomInfo(roomId);
+          // Private rooms are only listed for players already in them
+          const isMember = roomInfo.playerAddresses.some(
+            (player) => player.toLowerCase() === account?.toLowerCase()
+          );
+          if (roomInfo.isActive && (!roomInfo.isPrivate || isMember)) {
+            roomsData.push(parseRoomInfo(roomId, roomInfo));
           }
         } catch (error) {
-          console.error(`Error fetching room ${i}:`, error);
+          console.error(`Error fetching room ${roomId}:`, error);
         }
-      }
+      }));
 
-      setRooms(roomsData);
+      // The active room list is unordered
+      setRooms(roomsData.sort((a, b) => a.roomId - b.roomId));
     } catch (error) {
       console.error('Error fetching rooms:', error);
     }
-  }, [contract]);
+  }, [contract, account]);
+
+  // Fetch the rooms a player is in or has played in, newest first
+  const fetchPlayerRooms = useCallback(async (player) => {
+    if (!viewContract || !player) return [];
+
+    try {
+      const roomIds = await fetchAllIds(
+        (offset, limit) => viewContract.getPlayerRooms(player, offset, limit)
+      );
+      const roomInfos = await Promise.all(
+        roomIds.map((roomId) => viewContract.getRoomInfo(roomId))
+      );
+      return roomInfos
+        .map((roomInfo, i) => parseRoomInfo(roomIds[i], roomInfo))
+        .reverse();
+    } catch (error) {
+      console.error('Error fetching player rooms:', error);
+      return [];
+    }
+  }, [viewContract]);
+
+  // Fetch a single room, including its rules
+  const fetchRoomInfo = useCallback(async (roomId) => {
+    if (!viewContract || !roomId) return null;
+
+    try {
+      const roomInfo = await viewContract.getRoomInfo(roomId);
+      if (Number(roomInfo.id) === 0) return null;
+      return parseRoomInfo(Number(roomId), roomInfo);
+    } catch (error) {
+      console.error('Error fetching room info:', error);
+      return null;
+    }
+  }, [viewContract]);
 
   // Fetch current game info
   const fetchGameInfo = useCallback(async (gameId) => {
-    if (!contract || !gameId) return null;
+    if (!viewContract || !gameId) return null;
 
     try {
-      const gameInfo = await contract.getGameInfo(gameId);
-      const qualifiedPlayers = await contract.getQualifiedPlayers(gameId);
+      const gameInfo = await viewContract.getGameInfo(gameId);
+      const qualifiedPlayers = await viewContract.getQualifiedPlayers(gameId);
+      const round = await viewContract.gameRounds(gameId);
+      const placements = await viewContract.getGamePlacements(gameId);
+      const [initialWordLength, maxWordLength] = await Promise.all([
+        viewContract.INITIAL_WORD_LENGTH(),
+        viewContract.MAX_WORD_LENGTH(),
+      ]);
 
       return {
         gameId,
         roomId: Number(gameInfo.roomId),
         wordLength: Number(gameInfo.wordLength),
         currentStage: Number(gameInfo.currentStage),
+        stageNumber: Number(gameInfo.currentStage) - Number(initialWordLength) + 1,
+        totalStages: Number(maxWordLength) - Number(initialWordLength) + 1,
+        previousGameId: Number(round.previousGameId),
+        nextGameId: Number(round.nextGameId),
         roundStartTime: new Date(Number(gameInfo.roundStartTime) * 1000),
         roundEndTime: new Date(Number(gameInfo.roundEndTime) * 1000),
         qualifiedPlayerCount: Number(gameInfo.qualifiedPlayerCount),
         isComplete: gameInfo.isComplete,
+        status: gameInfo.isComplete ? 'completed' : 'active',
+        winner: placements[0] || null, // Placements are only recorded for a game's final round
+        wordCommitment: round.wordCommitment,
         qualifiedPlayers,
       };
     } catch (error) {
       console.error('Error fetching game info:', error);
       return null;
     }
-  }, [contract]);
+  }, [viewContract]);
+
+  // Check a round's revealed word against its commitment (null until revealed)
+  // and the Gateway's check against the letters played (lettersMatch null until it lands)
+  const verifyWordReveal = useCallback(async (gameId) => {
+    if (!viewContract || !gameId) return null;
+
+    try {
+      const [round, reveals, checks] = await Promise.all([
+        viewContract.gameRounds(gameId),
+        viewContract.queryFilter(viewContract.filters.WordRevealed(gameId)),
+        viewContract.queryFilter(viewContract.filters.WordRevealVerified(gameId)),
+      ]);
+      if (reveals.length === 0) return null;
+
+      const { word, salt } = reveals[0].args;
+      const computed = ethers.solidityPackedKeccak256(['string', 'bytes32'], [word, salt]);
+      return {
+        word,
+        verified: computed === round.wordCommitment,
+        lettersMatch: checks.length > 0 ? checks[0].args.matchesPlayedWord : null,
+      };
+    } catch (error) {
+      console.error('Error verifying word reveal:', error);
+      return null;
+    }
+  }, [viewContract]);
 
   // Fetch player info in a room
   const fetchPlayerInfo = useCallback(async (roomId) => {
@@ -114,6 +335,143 @@ export const GameProvider = ({ children }) => {
     }
   }, [contract, account]);
 
+  // Fetch a player's soulbound badges in the order they were earned
+  const fetchBadges = useCallback(async (address = account) => {
+    if (!badgesContract || !address) return [];
+
+    try {
+      const [tokenIds, badges] = await badgesContract.getBadges(address);
+      return tokenIds.map((tokenId, i) => ({
+        tokenId: tokenId.toString(),
+        badge: Number(badges[i]),
+      }));
+    } catch (error) {
+      console.error('Error fetching badges:', error);
+      return [];
+    }
+  }, [badgesContract, account]);
+
+  // Fetch every tournament, newest first
+  const fetchTournaments = useCallback(async () => {
+    if (!tournamentsContract) return [];
+
+    try {
+      const tournamentCount = Number(await tournamentsContract.tournamentCount());
+      const tournaments = [];
+
+      for (let i = tournamentCount; i >= 1; i--) {
+        tournaments.push(parseTournamentInfo(i, await tournamentsContract.getTournamentInfo(i)));
+      }
+
+      return tournaments;
+    } catch (error) {
+      console.error('Error fetching tournaments:', error);
+      return [];
+    }
+  }, [tournamentsContract]);
+
+  // Fetch a tournament with its bracket: one array of matches per seeded round
+  const fetchTournament = useCallback(async (tournamentId) => {
+    if (!tournamentsContract || !tournamentId) return null;
+
+    try {
+      const info = parseTournamentInfo(
+        Number(tournamentId),
+        await tournamentsContract.getTournamentInfo(tournamentId)
+      );
+      const [players, isRegistered, refundClaimed] = await Promise.all([
+        tournamentsContract.getTournamentPlayers(tournamentId),
+        account ? tournamentsContract.isRegistered(tournamentId, account) : false,
+        account ? tournamentsContract.refundClaimed(tournamentId, account) : false,
+      ]);
+
+      const rounds = [];
+      for (let round = 1; round <= info.currentRound; round++) {
+        const matches = await tournamentsContract.getRoundMatches(tournamentId, round);
+        rounds.push(
+          matches.map((match) => ({
+            roomId: Number(match.roomId),
+            players: [...match.players],
+            winner: match.winner === ethers.ZeroAddress ? null : match.winner,
+          }))
+        );
+      }
+
+      return { ...info, players: [...players], isRegistered, refundClaimed, rounds };
+    } catch (error) {
+      console.error('Error fetching tournament:', error);
+      return null;
+    }
+  }, [tournamentsContract, account]);
+
+  // Fetch every season, newest first
+  const fetchSeasons = useCallback(async () => {
+    if (!seasonsContract) return [];
+
+    try {
+      const seasonCount = Number(await seasonsContract.seasonCount());
+      const seasons = [];
+
+      for (let i = seasonCount; i >= 1; i--) {
+        seasons.push(parseSeasonInfo(i, await seasonsContract.getSeasonInfo(i)));
+      }
+
+      return seasons;
+    } catch (error) {
+      console.error('Error fetching seasons:', error);
+      return [];
+    }
+  }, [seasonsContract]);
+
+  // Fetch leaderboard rows for a season, or all-time XP when season is null.
+  // Games and wins count the placements recorded inside the season's window.
+  const fetchLeaderboard = useCallback(async (season = null) => {
+    if (!contract) return [];
+
+    try {
+      let players;
+      if (season) {
+        players = await seasonsContract.getSeasonPlayers(season.seasonId);
+      } else {
+        const awards = await contract.queryFilter(contract.filters.XPAwarded());
+        players = [...new Set(awards.map((event) => event.args.player))];
+      }
+
+      return await Promise.all(
+        players.map(async (address) => {
+          const [xp, placements] = await Promise.all([
+            season
+              ? seasonsContract.seasonXP(season.seasonId, address)
+              : contract.getPlayerXP(address),
+            contract.getPlayerPlacements(address),
+          ]);
+
+          const counted = placements.filter((placement) => {
+            if (!season) return true;
+            const time = Number(placement.timestamp) * 1000;
+            return (
+              time >= season.startTime.getTime() &&
+              (!season.endTime || time <= season.endTime.getTime())
+            );
+          });
+          const gamesPlayed = counted.length;
+          const gamesWon = counted.filter((placement) => Number(placement.position) === 1).length;
+
+          return {
+            address,
+            xp: Number(xp),
+            gamesPlayed,
+            gamesWon,
+            winRate: gamesPlayed > 0 ? (gamesWon / gamesPlayed) * 100 : 0,
+          };
+        })
+      );
+    } catch (error) {
+      console.error('Error fetching leaderboard:', error);
+      return [];
+    }
+  }, [contract, seasonsContract]);
+
   // Listen to events
   useEffect(() => {
     if (!contract) return;
@@ -131,6 +489,17 @@ export const GameProvider = ({ children }) => {
       }
     };
 
+    const handlePlayerLeft = (roomId, player, kicked) => {
+      console.log(kicked ? 'Player kicked:' : 'Player left:', player);
+      fetchRooms();
+      if (player.toLowerCase() === account?.toLowerCase()) {
+        if (kicked) {
+          toast.error(`You were removed from room #${roomId.toString()}`);
+        }
+        setCurrentRoom(null);
+      }
+    };
+
     const handleGameStarted = (roomId, gameId, wordLength) => {
       console.log('Game started:', { roomId: roomId.toString(), gameId: gameId.toString() });
       toast.success(`Game #${gameId.toString()} started! ${wordLength} letter word.`);
@@ -162,6 +531,19 @@ export const GameProvider = ({ children }) => {
       fetchPlayerXP();
     };
 
+    // Emergency pauses refund the game without a GameEnded
+    const handleRoomEmergencyPaused = (roomId, gameId) => {
+      console.log('Room emergency paused:', { roomId: roomId.toString(), gameId: gameId.toString() });
+      fetchRooms();
+      if (currentRoom === Number(roomId)) {
+        toast.error(`Room #${roomId.toString()} was closed by the owner; entry fees are refunded`, {
+          id: `room-paused-${roomId.toString()}`,
+        });
+        setCurrentRoom(null);
+        setCurrentGame(null);
+      }
+    };
+
     const handleXPAwarded = (player, amount, reason) => {
       if (player.toLowerCase() === account?.toLowerCase()) {
         toast.success(`⭐ +${amount.toString()} XP: ${reason}`);
@@ -171,17 +553,21 @@ export const GameProvider = ({ children }) => {
 
     contract.on('RoomCreated', handleRoomCreated);
     contract.on('PlayerJoined', handlePlayerJoined);
+    contract.on('PlayerLeft', handlePlayerLeft);
     contract.on('GameStarted', handleGameStarted);
     contract.on('GuessValidated', handleGuessValidated);
     contract.on('GameEnded', handleGameEnded);
+    contract.on('RoomEmergencyPaused', handleRoomEmergencyPaused);
     contract.on('XPAwarded', handleXPAwarded);
 
     return () => {
       contract.off('RoomCreated', handleRoomCreated);
       contract.off('PlayerJoined', handlePlayerJoined);
+      contract.off('PlayerLeft', handlePlayerLeft);
       contract.off('GameStarted', handleGameStarted);
       contract.off('GuessValidated', handleGuessValidated);
       contract.off('GameEnded', handleGameEnded);
+      contract.off('RoomEmergencyPaused', handleRoomEmergencyPaused);
       contract.off('XPAwarded', handleXPAwarded);
     };
   }, [contract, account, currentRoom, fetchRooms, fetchGameInfo, fetchPlayerInfo, fetchPlayerXP]);
@@ -201,9 +587,24 @@ export const GameProvider = ({ children }) => {
     playerInfo,
     playerXP,
     loading,
+    creditUnit,
+    entryFee,
+    defaultRules,
+    seasonsContract,
+    badgesContract,
+    tournamentsContract,
+    isPaused,
     fetchRooms,
+    fetchRoomInfo,
+    fetchPlayerRooms,
     fetchGameInfo,
+    verifyWordReveal,
     fetchPlayerInfo,
+    fetchBadges,
+    fetchTournaments,
+    fetchTournament,
+    fetchSeasons,
+    fetchLeaderboard,
     setCurrentRoom,
     setCurrentGame,
   };
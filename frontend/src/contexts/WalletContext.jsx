@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { createInstance } from 'fhevmjs';
 import toast from 'react-hot-toast';
@@ -24,10 +24,21 @@ export const WalletProvider = ({ children }) => {
   const [balance, setBalance] = useState('0');
   const [isConnecting, setIsConnecting] = useState(false);
   const [isInitializing, setIsInitializing] = useState(false);
+  const reencryptionKeys = useRef(null); // { account, publicKey, privateKey, signature }
+  const mockKms = useRef(false); // The local mock gateway answers reencryptions in the clear
 
   // Contract address from environment
   const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3';
-  const GATEWAY_URL = import.meta.env.VITE_GATEWAY_URL || '';
+  const GATEWAY_URL = (import.meta.env.VITE_GATEWAY_URL || '').replace(/\/$/, '');
+  const ACL_ADDRESS = import.meta.env.VITE_ACL_ADDRESS || '';
+  const RPC_URL = import.meta.env.VITE_RPC_URL || 'http://localhost:8545';
+
+  // Read-only access for visitors without a wallet (e.g. spectators)
+  const readOnlyProvider = useMemo(() => new ethers.JsonRpcProvider(RPC_URL), [RPC_URL]);
+  const readOnlyContract = useMemo(
+    () => new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI.abi, readOnlyProvider),
+    [CONTRACT_ADDRESS, readOnlyProvider]
+  );
 
   // Initialize FHE instance
   const initializeFHE = useCallback(async (provider, networkChainId) => {
@@ -37,10 +48,18 @@ export const WalletProvider = ({ children }) => {
     try {
       console.log('Initializing FHE instance...');
 
+      // The mock gateway serves the network public key over the coprocessor API
+      const info = GATEWAY_URL
+        ? await fetch(`${GATEWAY_URL}/gateway/info`).then((res) => res.json()).catch(() => null)
+        : null;
+      mockKms.current = Boolean(info?.kms?.mock);
+
       const instance = await createInstance({
         chainId: Number(networkChainId),
         networkUrl: provider.connection?.url || 'http://localhost:8545',
         gatewayUrl: GATEWAY_URL || undefined,
+        coprocessorUrl: mockKms.current ? `${GATEWAY_URL}/coprocessor` : undefined,
+        aclAddress: ACL_ADDRESS || info?.kms?.aclAddress || undefined,
       });
 
       console.log('✅ FHE instance initialized');
@@ -51,7 +70,7 @@ export const WalletProvider = ({ children }) => {
     } finally {
       setIsInitializing(false);
     }
-  }, [GATEWAY_URL]);
+  }, [GATEWAY_URL, ACL_ADDRESS]);
 
   // Connect wallet
   const connectWallet = useCallback(async () => {
@@ -177,11 +196,68 @@ export const WalletProvider = ({ children }) => {
     return fhevmInstance.encrypt32(value);
   }, [fhevmInstance]);
 
+  // Same request fhevmjs sends; the mock KMS checks the signature and ACL, then
+  // returns the plaintext instead of a signcrypted share
+  const mockReencrypt = useCallback(async (handle, publicKey, signature) => {
+    const response = await fetch(`${GATEWAY_URL}/reencrypt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        signature,
+        user_address: account.replace(/^0x/, ''),
+        enc_key: publicKey.replace(/^0x/, ''),
+        ciphertext_handle: BigInt(handle).toString(16).padStart(64, '0'),
+        eip712_verifying_contract: CONTRACT_ADDRESS,
+      }),
+    });
+    const json = await response.json();
+
+    if (!response.ok) {
+      throw new Error(json.error || 'Reencryption failed');
+    }
+    return BigInt(json.response.value);
+  }, [GATEWAY_URL, account, CONTRACT_ADDRESS]);
+
+  // Decrypt handles shared with the user (e.g. guess feedback) via reencryption.
+  // The EIP-712 signature is requested once per account and reused.
+  const userDecrypt = useCallback(async (handles) => {
+    if (!fhevmInstance || !signer) {
+      throw new Error('FHE not initialized');
+    }
+
+    if (reencryptionKeys.current?.account !== account) {
+      const { publicKey, privateKey } = fhevmInstance.generateKeypair();
+      const eip712 = fhevmInstance.createEIP712(publicKey, CONTRACT_ADDRESS);
+      const signature = await signer.signTypedData(
+        eip712.domain,
+        { Reencrypt: eip712.types.Reencrypt },
+        eip712.message
+      );
+      reencryptionKeys.current = {
+        account,
+        publicKey,
+        privateKey,
+        signature: signature.replace('0x', ''),
+      };
+    }
+
+    const { publicKey, privateKey, signature } = reencryptionKeys.current;
+    return Promise.all(
+      handles.map((handle) =>
+        mockKms.current
+          ? mockReencrypt(handle, publicKey, signature)
+          : fhevmInstance.reencrypt(handle, privateKey, publicKey, signature, CONTRACT_ADDRESS, account)
+      )
+    );
+  }, [fhevmInstance, signer, account, CONTRACT_ADDRESS, mockReencrypt]);
+
   const value = {
     account,
     provider,
     signer,
     contract,
+    readOnlyProvider,
+    readOnlyContract,
     fhevmInstance,
     chainId,
     balance,
@@ -193,6 +269,7 @@ export const WalletProvider = ({ children }) => {
     disconnectWallet,
     encrypt8,
     encrypt32,
+    userDecrypt,
   };
 
   return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
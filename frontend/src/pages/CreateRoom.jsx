@@ -1,26 +1,73 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useWallet } from '../contexts/WalletContext';
 import { useGame } from '../contexts/GameContext';
 import toast from 'react-hot-toast';
 import { ethers } from 'ethers';
-import { Plus, Users, DollarSign, Lock, Loader } from 'lucide-react';
+import { Plus, Users, DollarSign, Lock, Loader, Clock, Target, Settings, KeyRound } from 'lucide-react';
+
+// Converts an ETH input string to whole balance credits for display
+const formatCredits = (ethAmount, creditUnit) => {
+  try {
+    return (ethers.parseEther(ethAmount || '0') / creditUnit).toString();
+  } catch {
+    return '0';
+  }
+};
+
+// Random code for private room invites
+const generateJoinCode = () => Math.random().toString(36).slice(2, 10);
+
+// Mirrors the room rule bounds enforced by createRoom on-chain
+const RULE_LIMITS = {
+  minPlayers: 2,
+  maxPlayers: 5,
+  minRoundTime: 30,
+  maxRoundTime: 600,
+  maxAttempts: 6,
+};
 
 const CreateRoom = () => {
   const navigate = useNavigate();
-  const { isConnected, contract, fhevmInstance } = useWallet();
-  const { refreshRooms } = useGame();
+  const { isConnected, contract } = useWallet();
+  const { fetchRooms, creditUnit, defaultRules } = useGame();
 
   const [formData, setFormData] = useState({
-    roomName: '',
-    deposit: '100',
+    displayName: '',
+    deposit: '10',
+    entryFee: '',
+    maxPlayers: '',
+    roundTimeLimit: '',
+    maxAttempts: '',
+    isPrivate: false,
+    joinCode: generateJoinCode(),
   });
   const [isCreating, setIsCreating] = useState(false);
 
+  // Prefill the rule fields with the contract defaults once they load
+  useEffect(() => {
+    if (!defaultRules || !creditUnit) return;
+
+    setFormData((current) => ({
+      ...current,
+      entryFee: current.entryFee || ethers.formatEther(BigInt(defaultRules.entryFeeCredits) * creditUnit),
+      maxPlayers: current.maxPlayers || String(defaultRules.maxPlayers),
+      roundTimeLimit: current.roundTimeLimit || String(defaultRules.roundTimeLimit),
+      maxAttempts: current.maxAttempts || String(defaultRules.maxAttempts),
+    }));
+  }, [defaultRules, creditUnit]);
+
+  let entryFee = null;
+  try {
+    entryFee = ethers.parseEther(formData.entryFee || '0');
+  } catch {
+    // Invalid input, validated on submit
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value,
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
     });
   };
 
@@ -32,42 +79,76 @@ const CreateRoom = () => {
       return;
     }
 
-    if (!fhevmInstance) {
-      toast.error('FHE instance not initialized. Please reconnect your wallet.');
+    if (!formData.displayName.trim()) {
+      toast.error('Please enter a display name');
       return;
     }
 
-    if (!formData.roomName.trim()) {
-      toast.error('Please enter a room name');
+    if (!entryFee || !creditUnit || entryFee % creditUnit !== 0n) {
+      toast.error(`Entry fee must be a positive multiple of ${creditUnit ? ethers.formatEther(creditUnit) : 'the credit unit'} ETH`);
       return;
     }
 
-    const depositAmount = parseFloat(formData.deposit);
-    if (isNaN(depositAmount) || depositAmount < 10) {
-      toast.error('Minimum deposit is 10 tokens');
+    const rules = {
+      entryFeeCredits: Number(entryFee / creditUnit),
+      maxPlayers: Number(formData.maxPlayers),
+      roundTimeLimit: Number(formData.roundTimeLimit),
+      maxAttempts: Number(formData.maxAttempts),
+    };
+
+    if (rules.maxPlayers < RULE_LIMITS.minPlayers || rules.maxPlayers > RULE_LIMITS.maxPlayers) {
+      toast.error(`Max players must be between ${RULE_LIMITS.minPlayers} and ${RULE_LIMITS.maxPlayers}`);
       return;
     }
 
-    setIsCreating(true);
-    const loadingToast = toast.loading('Creating encrypted room...');
+    if (rules.roundTimeLimit < RULE_LIMITS.minRoundTime || rules.roundTimeLimit > RULE_LIMITS.maxRoundTime) {
+      toast.error(`Round time must be between ${RULE_LIMITS.minRoundTime} and ${RULE_LIMITS.maxRoundTime} seconds`);
+      return;
+    }
 
+    if (rules.maxAttempts < 1 || rules.maxAttempts > RULE_LIMITS.maxAttempts) {
+      toast.error(`Attempts must be between 1 and ${RULE_LIMITS.maxAttempts}`);
+      return;
+    }
+
+    if (formData.isPrivate && !formData.joinCode.trim()) {
+      toast.error('Please enter a join code for your private room');
+      return;
+    }
+
+    let depositWei;
     try {
-      // Encrypt the deposit amount using FHE
-      const encryptedDeposit = fhevmInstance.encrypt32(Math.floor(depositAmount));
+      depositWei = ethers.parseEther(formData.deposit || '0');
+    } catch {
+      toast.error('Enter a valid ETH amount');
+      return;
+    }
 
-      console.log('Creating room with encrypted deposit:', {
-        roomName: formData.roomName,
-        depositAmount,
-        encryptedDeposit: encryptedDeposit.toString(),
-      });
+    if (depositWei < entryFee) {
+      toast.error(`Minimum deposit is ${ethers.formatEther(entryFee)} ETH`);
+      return;
+    }
+
+    if (creditUnit && depositWei % creditUnit !== 0n) {
+      toast.error(`Deposit must be a multiple of ${ethers.formatEther(creditUnit)} ETH`);
+      return;
+    }
 
-      // Create room with encrypted deposit
-      const tx = await contract.depositBalance(encryptedDeposit, {
+    setIsCreating(true);
+    const loadingToast = toast.loading('Depositing ETH...');
+
+    try {
+      // ETH is converted to encrypted balance credits on-chain
+      const depositTx = await contract.depositBalance({
+        value: depositWei,
         gasLimit: 500000,
       });
 
-      toast.loading('Waiting for transaction confirmation...', { id: loadingToast });
+      toast.loading('Waiting for deposit confirmation...', { id: loadingToast });
+      await depositTx.wait();
 
+      toast.loading('Creating room...', { id: loadingToast });
+      const tx = await contract.createRoom(formData.displayName.trim(), rules);
       const receipt = await tx.wait();
 
       // Find the RoomCreated event
@@ -79,22 +160,34 @@ const CreateRoom = () => {
             return null;
           }
         })
-        .find(parsed => parsed && parsed.name === 'BalanceDeposited');
+        .find(parsed => parsed && parsed.name === 'RoomCreated');
 
-      if (roomCreatedEvent) {
-        const roomId = roomCreatedEvent.args.player;
-        toast.success('Room created successfully!', { id: loadingToast });
+      if (roomCreatedEvent && formData.isPrivate) {
+        const roomId = roomCreatedEvent.args.roomId.toString();
+        const joinCode = formData.joinCode.trim();
+
+        toast.loading('Making room private...', { id: loadingToast });
+        const accessTx = await contract.setRoomAccess(
+          roomId,
+          true,
+          ethers.solidityPackedKeccak256(['uint256', 'string'], [roomId, joinCode])
+        );
+        await accessTx.wait();
 
-        // Refresh rooms list
-        await refreshRooms();
+        await fetchRooms();
+        toast.success('Private room created! Share the invite link.', { id: loadingToast });
+        navigate(`/room/${roomId}?code=${encodeURIComponent(joinCode)}`);
+        return;
+      }
+
+      await fetchRooms();
 
-        // Navigate to the room
-        setTimeout(() => {
-          navigate('/');
-        }, 1000);
+      if (roomCreatedEvent) {
+        const roomId = roomCreatedEvent.args.roomId.toString();
+        toast.success('Room created successfully!', { id: loadingToast });
+        navigate(`/room/${roomId}`);
       } else {
         toast.success('Deposit made successfully!', { id: loadingToast });
-        await refreshRooms();
         navigate('/');
       }
 
@@ -147,25 +240,25 @@ const CreateRoom = () => {
 
       <div className="card">
         <form onSubmit={handleSubmit} className="space-y-6">
-          {/* Room Name */}
+          {/* Display Name */}
           <div>
-            <label htmlFor="roomName" className="block text-sm font-medium mb-2">
+            <label htmlFor="displayName" className="block text-sm font-medium mb-2">
               <Users className="w-4 h-4 inline mr-2" />
-              Room Name
+              Display Name
             </label>
             <input
               type="text"
-              id="roomName"
-              name="roomName"
-              value={formData.roomName}
+              id="displayName"
+              name="displayName"
+              value={formData.displayName}
               onChange={handleChange}
-              placeholder="Enter room name"
+              placeholder="Enter your display name"
               className="input w-full"
-              maxLength={32}
+              maxLength={20}
               required
             />
             <p className="text-sm text-gray-400 mt-1">
-              Choose a memorable name for your room
+              Shown to other players in your room
             </p>
           </div>
 
@@ -173,7 +266,7 @@ const CreateRoom = () => {
           <div>
             <label htmlFor="deposit" className="block text-sm font-medium mb-2">
               <DollarSign className="w-4 h-4 inline mr-2" />
-              Initial Deposit (Tokens)
+              Initial Deposit (ETH)
             </label>
             <input
               type="number"
@@ -181,15 +274,57 @@ const CreateRoom = () => {
               name="deposit"
               value={formData.deposit}
               onChange={handleChange}
-              placeholder="100"
-              min="10"
-              step="1"
+              placeholder="10"
+              min={entryFee ? ethers.formatEther(entryFee) : '0'}
+              step={creditUnit ? ethers.formatEther(creditUnit) : 'any'}
               className="input w-full"
               required
             />
             <p className="text-sm text-gray-400 mt-1">
-              Minimum deposit: 10 tokens. This will be encrypted on-chain.
+              {creditUnit
+                ? `= ${formatCredits(formData.deposit, creditUnit)} credits at ${ethers.formatEther(creditUnit)} ETH per credit. `
+                : ''}
+              Your running balance is encrypted on-chain.
+            </p>
+          </div>
+
+          {/* Private Room */}
+          <div className="bg-gray-800/50 rounded-lg p-4">
+            <label className="flex items-center font-medium">
+              <input
+                type="checkbox"
+                name="isPrivate"
+                checked={formData.isPrivate}
+                onChange={handleChange}
+                className="mr-3"
+              />
+              <KeyRound className="w-4 h-4 mr-2" />
+              Private Room
+            </label>
+            <p className="text-sm text-gray-400 mt-1">
+              Hidden from the lobby. Players join with an invite link or after
+              you add their wallet to the allowlist.
             </p>
+            {formData.isPrivate && (
+              <div className="mt-3">
+                <label htmlFor="joinCode" className="block text-sm font-medium mb-2">
+                  Join Code
+                </label>
+                <input
+                  type="text"
+                  id="joinCode"
+                  name="joinCode"
+                  value={formData.joinCode}
+                  onChange={handleChange}
+                  className="input w-full font-mono"
+                  maxLength={32}
+                />
+                <p className="text-sm text-gray-400 mt-1">
+                  Only its hash is stored on-chain. It becomes visible once someone
+                  joins with it, so use the allowlist for strictly invite-only rooms.
+                </p>
+              </div>
+            )}
           </div>
 
           {/* Privacy Notice */}
@@ -201,29 +336,103 @@ const CreateRoom = () => {
                   Fully Encrypted
                 </p>
                 <p className="text-gray-400">
-                  Your deposit amount will be encrypted using Fully Homomorphic
-                  Encryption (FHE) before being stored on-chain. Nobody can see
-                  your actual balance.
+                  Your deposit is converted to credits and added to a balance
+                  encrypted with Fully Homomorphic Encryption (FHE). The deposit
+                  transaction itself is public, but nobody can see your balance
+                  after entry fees, prizes and withdrawals.
                 </p>
               </div>
             </div>
           </div>
 
-          {/* Info Cards */}
-          <div className="grid md:grid-cols-2 gap-4">
-            <div className="bg-gray-800/50 rounded-lg p-4">
-              <h4 className="font-medium mb-1">Entry Fee</h4>
-              <p className="text-2xl font-bold text-primary-400">10 Tokens</p>
-              <p className="text-sm text-gray-400 mt-1">
-                Per game entry
-              </p>
-            </div>
-            <div className="bg-gray-800/50 rounded-lg p-4">
-              <h4 className="font-medium mb-1">Max Players</h4>
-              <p className="text-2xl font-bold text-primary-400">5</p>
-              <p className="text-sm text-gray-400 mt-1">
-                Players per room
-              </p>
+          {/* Room Rules */}
+          <div>
+            <h3 className="text-sm font-medium mb-3">
+              <Settings className="w-4 h-4 inline mr-2" />
+              Room Rules
+            </h3>
+            <div className="grid md:grid-cols-2 gap-4">
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <label htmlFor="entryFee" className="block font-medium mb-2">
+                  <DollarSign className="w-4 h-4 inline mr-1" />
+                  Entry Fee (ETH)
+                </label>
+                <input
+                  type="number"
+                  id="entryFee"
+                  name="entryFee"
+                  value={formData.entryFee}
+                  onChange={handleChange}
+                  min={creditUnit ? ethers.formatEther(creditUnit) : '0'}
+                  step={creditUnit ? ethers.formatEther(creditUnit) : 'any'}
+                  className="input w-full"
+                  required
+                />
+                <p className="text-sm text-gray-400 mt-1">
+                  Per game entry
+                  {creditUnit ? ` (${formatCredits(formData.entryFee, creditUnit)} credits)` : ''}
+                </p>
+              </div>
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <label htmlFor="maxPlayers" className="block font-medium mb-2">
+                  <Users className="w-4 h-4 inline mr-1" />
+                  Max Players
+                </label>
+                <input
+                  type="number"
+                  id="maxPlayers"
+                  name="maxPlayers"
+                  value={formData.maxPlayers}
+                  onChange={handleChange}
+                  min={RULE_LIMITS.minPlayers}
+                  max={RULE_LIMITS.maxPlayers}
+                  className="input w-full"
+                  required
+                />
+                <p className="text-sm text-gray-400 mt-1">
+                  {RULE_LIMITS.minPlayers}-{RULE_LIMITS.maxPlayers} players per room
+                </p>
+              </div>
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <label htmlFor="roundTimeLimit" className="block font-medium mb-2">
+                  <Clock className="w-4 h-4 inline mr-1" />
+                  Round Time (seconds)
+                </label>
+                <input
+                  type="number"
+                  id="roundTimeLimit"
+                  name="roundTimeLimit"
+                  value={formData.roundTimeLimit}
+                  onChange={handleChange}
+                  min={RULE_LIMITS.minRoundTime}
+                  max={RULE_LIMITS.maxRoundTime}
+                  className="input w-full"
+                  required
+                />
+                <p className="text-sm text-gray-400 mt-1">
+                  {RULE_LIMITS.minRoundTime}-{RULE_LIMITS.maxRoundTime} seconds per stage
+                </p>
+              </div>
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <label htmlFor="maxAttempts" className="block font-medium mb-2">
+                  <Target className="w-4 h-4 inline mr-1" />
+                  Attempts per Round
+                </label>
+                <input
+                  type="number"
+                  id="maxAttempts"
+                  name="maxAttempts"
+                  value={formData.maxAttempts}
+                  onChange={handleChange}
+                  min={1}
+                  max={RULE_LIMITS.maxAttempts}
+                  className="input w-full"
+                  required
+                />
+                <p className="text-sm text-gray-400 mt-1">
+                  Up to {RULE_LIMITS.maxAttempts} guesses per stage
+                </p>
+              </div>
             </div>
           </div>
 
@@ -267,7 +476,7 @@ const CreateRoom = () => {
               1
             </span>
             <span>
-              Create a room with your encrypted deposit
+              Deposit ETH and create a room
             </span>
           </li>
           <li className="flex items-start">
@@ -13,14 +13,16 @@ import {
   Lock,
   CheckCircle,
   XCircle,
-  AlertCircle
+  AlertCircle,
+  ShieldCheck,
+  ShieldAlert
 } from 'lucide-react';
 
 const GamePlay = () => {
   const { gameId } = useParams();
   const navigate = useNavigate();
-  const { isConnected, contract, account, fhevmInstance } = useWallet();
-  const { fetchGameInfo } = useGame();
+  const { isConnected, contract, account, fhevmInstance, userDecrypt } = useWallet();
+  const { fetchGameInfo, verifyWordReveal } = useGame();
 
   const [game, setGame] = useState(null);
   const [guess, setGuess] = useState('');
@@ -29,6 +31,8 @@ const GamePlay = () => {
   const [guessHistory, setGuessHistory] = useState([]);
   const [timeRemaining, setTimeRemaining] = useState(60);
   const [letterInputs, setLetterInputs] = useState([]);
+  const [feePaid, setFeePaid] = useState(null); // null until decrypted
+  const [wordReveal, setWordReveal] = useState(null); // { word, verified, lettersMatch } once revealed
 
   useEffect(() => {
     if (gameId && contract) {
@@ -38,6 +42,68 @@ const GamePlay = () => {
     }
   }, [gameId, contract]);
 
+  // Follow qualified players into the next stage, or out of a room the owner closed
+  useEffect(() => {
+    if (!contract) return;
+
+    const handleStageAdvanced = (roomId, previousGameId, newGameId, stage) => {
+      if (previousGameId.toString() === gameId.toString()) {
+        toast.success(`Stage advanced! Next word has ${stage} letters.`);
+        navigate(`/game/${newGameId.toString()}`);
+      }
+    };
+
+    // Emergency pauses refund the game without a GameEnded
+    const handleRoomEmergencyPaused = (roomId, pausedGameId) => {
+      if (pausedGameId.toString() === gameId.toString()) {
+        toast.error(`Room #${roomId.toString()} was closed by the owner; entry fees are refunded`, {
+          id: `room-paused-${roomId.toString()}`,
+        });
+        navigate('/');
+      }
+    };
+
+    contract.on('StageAdvanced', handleStageAdvanced);
+    contract.on('RoomEmergencyPaused', handleRoomEmergencyPaused);
+    return () => {
+      contract.off('StageAdvanced', handleStageAdvanced);
+      contract.off('RoomEmergencyPaused', handleRoomEmergencyPaused);
+    };
+  }, [contract, gameId, navigate]);
+
+  // Players whose balance didn't cover the entry fee can guess, but never match
+  useEffect(() => {
+    if (!contract || !fhevmInstance || !account || !game?.roomId) return;
+
+    let cancelled = false;
+    contract.getEntryFeePaid(game.roomId)
+      .then((handle) => (BigInt(handle) === 0n ? [null] : userDecrypt([handle])))
+      .then(([paid]) => {
+        if (!cancelled) setFeePaid(paid === null ? null : Boolean(paid));
+      })
+      .catch((error) => console.error('Error checking entry fee:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, fhevmInstance, account, game?.roomId, userDecrypt]);
+
+  // Guess history and feedback are per stage
+  useEffect(() => {
+    setGuessHistory([]);
+    setWordReveal(null);
+  }, [gameId]);
+
+  // The owner reveals the word after the game ends, and the Gateway then checks
+  // it against the letters played; keep checking on each refresh until both land
+  useEffect(() => {
+    if (game?.status !== 'completed' || (wordReveal && wordReveal.lettersMatch !== null)) return;
+
+    verifyWordReveal(gameId).then((reveal) => {
+      if (reveal) setWordReveal(reveal);
+    });
+  }, [game, gameId, wordReveal, verifyWordReveal]);
+
   // Countdown timer
   useEffect(() => {
     if (!game || game.status === 'completed') return;
@@ -94,6 +160,55 @@ const GamePlay = () => {
     }
   };
 
+  // Decrypt per-letter feedback for one of our attempts (only we can read it)
+  const loadFeedback = async (attempt) => {
+    try {
+      const [correct, present] = await contract.getGuessFeedback(gameId, attempt);
+      const [isCorrect, isPresent] = await Promise.all([
+        userDecrypt(correct),
+        userDecrypt(present),
+      ]);
+
+      const feedback = isCorrect.map((value, i) =>
+        value ? 'correct' : isPresent[i] ? 'present' : 'absent'
+      );
+
+      setGuessHistory((history) =>
+        history.map((item) => (item.attempt === attempt ? { ...item, feedback } : item))
+      );
+    } catch (error) {
+      console.error('Error loading guess feedback:', error);
+      toast.error('Could not decrypt letter feedback');
+    }
+  };
+
+  // Feedback becomes readable once the Gateway has validated the guess
+  useEffect(() => {
+    if (!contract || !account) return;
+
+    const handleGuessValidated = (validatedGameId, player, isCorrect, attemptNumber) => {
+      if (
+        validatedGameId.toString() !== gameId.toString() ||
+        player.toLowerCase() !== account.toLowerCase()
+      ) {
+        return;
+      }
+
+      const attempt = Number(attemptNumber);
+      setGuessHistory((history) =>
+        history.map((item) =>
+          item.attempt === attempt ? { ...item, status: isCorrect ? 'correct' : 'incorrect' } : item
+        )
+      );
+      loadFeedback(attempt);
+    };
+
+    contract.on('GuessValidated', handleGuessValidated);
+    return () => {
+      contract.off('GuessValidated', handleGuessValidated);
+    };
+  }, [contract, account, gameId]);
+
   const handleSubmitGuess = async (e) => {
     e.preventDefault();
 
@@ -121,33 +236,45 @@ const GamePlay = () => {
     const loadingToast = toast.loading('Encrypting and submitting guess...');
 
     try {
-      // Convert guess to number (could be improved with better encoding)
-      const guessValue = guess
-        .toLowerCase()
-        .split('')
-        .reduce((acc, char) => acc * 26 + (char.charCodeAt(0) - 96), 0);
-
-      // Encrypt the guess
-      const encryptedGuess = fhevmInstance.encrypt32(guessValue);
+      // Encrypt each letter as its ASCII code (65-90 for A-Z)
+      const encryptedLetters = [];
+      const inputProofs = [];
+      for (const letter of guess.toUpperCase()) {
+        const encrypted = fhevmInstance.encrypt8(letter.charCodeAt(0));
+        encryptedLetters.push(encrypted.data);
+        inputProofs.push(encrypted.signature);
+      }
 
       console.log('Submitting encrypted guess:', {
         guess: guess.toLowerCase(),
-        guessValue,
         gameId,
       });
 
-      const tx = await contract.submitGuess(gameId, encryptedGuess, {
-        gasLimit: 500000,
+      const tx = await contract.submitGuess(gameId, encryptedLetters, inputProofs, {
+        gasLimit: 2000000,
       });
 
       toast.loading('Validating guess...', { id: loadingToast });
       const receipt = await tx.wait();
 
+      const submitted = receipt.logs
+        .map(log => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(parsed => parsed && parsed.name === 'GuessSubmitted');
+      const attempt = submitted ? Number(submitted.args.attemptNumber) : null;
+
       // Add to local history
       setGuessHistory([
         ...guessHistory,
         {
           guess: guess.toLowerCase(),
+          attempt,
+          feedback: null,
           timestamp: Date.now(),
           status: 'pending',
         },
@@ -234,7 +361,9 @@ const GamePlay = () => {
               <span className="badge bg-gray-600">Game Ended</span>
             ) : (
               <>
-                <span className="badge bg-green-600">Round {game.round}</span>
+                <span className="badge bg-green-600">
+                  Stage {game.stageNumber} of {game.totalStages}
+                </span>
                 <span className="badge bg-yellow-600">
                   <Clock className="w-4 h-4 mr-1" />
                   {game.timeRemaining || 60}s
@@ -252,6 +381,22 @@ const GamePlay = () => {
           <div className="card bg-gradient-to-br from-primary-900/40 to-purple-900/40 border border-primary-700/30">
             <div className="text-center">
               <h2 className="text-xl font-bold mb-2">Secret Word</h2>
+              <div className="flex justify-center space-x-2 mb-4">
+                {Array.from({ length: game.totalStages || 0 }).map((_, i) => (
+                  <span
+                    key={i}
+                    className={`badge ${
+                      i + 1 === game.stageNumber
+                        ? 'bg-primary-600'
+                        : i + 1 < game.stageNumber
+                        ? 'bg-green-600'
+                        : 'bg-gray-700'
+                    }`}
+                  >
+                    {game.currentStage - game.stageNumber + 1 + i} letters
+                  </span>
+                ))}
+              </div>
               <div className="flex justify-center space-x-2 mb-4">
                 {Array.from({ length: game.wordLength || 5 }).map((_, i) => (
                   <div
@@ -269,6 +414,22 @@ const GamePlay = () => {
             </div>
           </div>
 
+          {/* Unpaid Entry Fee */}
+          {!gameEnded && feePaid === false && (
+            <div className="card border border-red-700/50 bg-red-900/20">
+              <div className="flex items-start">
+                <AlertCircle className="w-5 h-5 text-red-400 mr-3 mt-0.5 flex-shrink-0" />
+                <div>
+                  <h3 className="font-bold text-red-300">Entry fee not covered</h3>
+                  <p className="text-sm text-gray-400">
+                    Your balance was too low when the game started, so nothing was deducted.
+                    Your guesses will not count and you cannot win this game.
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Guess Input */}
           {!gameEnded && isPlayer && (
             <div className="card">
@@ -335,20 +496,87 @@ const GamePlay = () => {
                   <p className="text-gray-400">No winner this round</p>
                 </div>
               )}
+
+              {/* Revealed Word */}
+              <div className="mt-6 pt-6 border-t border-gray-700 text-center">
+                {wordReveal ? (
+                  <>
+                    <p className="text-sm text-gray-400 mb-3">The word was</p>
+                    <div className="flex justify-center space-x-2 mb-4">
+                      {wordReveal.word.split('').map((letter, i) => (
+                        <div
+                          key={i}
+                          className="w-12 h-12 bg-primary-900/50 rounded-lg flex items-center justify-center text-2xl font-bold"
+                        >
+                          {letter}
+                        </div>
+                      ))}
+                    </div>
+                    {!wordReveal.verified ? (
+                      <span className="badge bg-red-600">
+                        <ShieldAlert className="w-4 h-4 mr-1" />
+                        Does not match commitment
+                      </span>
+                    ) : wordReveal.lettersMatch === null ? (
+                      <span className="badge bg-gray-600">
+                        <Loader className="w-4 h-4 mr-1 animate-spin" />
+                        Checking against the letters played...
+                      </span>
+                    ) : wordReveal.lettersMatch ? (
+                      <span className="badge bg-green-600">
+                        <ShieldCheck className="w-4 h-4 mr-1" />
+                        Verified against the drawn word and the letters played
+                      </span>
+                    ) : (
+                      <span className="badge bg-red-600">
+                        <ShieldAlert className="w-4 h-4 mr-1" />
+                        Does not match the letters played
+                      </span>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-400">
+                    <Lock className="w-4 h-4 inline mr-1" />
+                    Waiting for the owner to reveal the word...
+                  </p>
+                )}
+              </div>
             </div>
           )}
 
           {/* Guess History */}
           {guessHistory.length > 0 && (
             <div className="card">
-              <h3 className="text-lg font-bold mb-4">Your Guesses</h3>
+              <h3 className="text-lg font-bold mb-1">Your Guesses</h3>
+              <p className="text-xs text-gray-400 mb-4">
+                <span className="text-green-400">Green</span>: right place ·{' '}
+                <span className="text-yellow-400">Yellow</span>: elsewhere in the word.
+                Letter feedback is encrypted and only visible to you.
+              </p>
               <div className="space-y-2">
                 {guessHistory.map((item, index) => (
                   <div
                     key={index}
                     className="flex items-center justify-between bg-gray-800/50 rounded-lg p-3"
                   >
-                    <span className="font-mono uppercase">{item.guess}</span>
+                    <div className="flex space-x-1">
+                      {item.guess.split('').map((letter, i) => (
+                        <span
+                          key={i}
+                          className={`w-8 h-8 flex items-center justify-center rounded font-mono font-bold uppercase ${
+                            item.feedback?.[i] === 'correct'
+                              ? 'bg-green-600 text-white'
+                              : item.feedback?.[i] === 'present'
+                              ? 'bg-yellow-500 text-gray-900'
+                              : item.feedback?.[i] === 'absent'
+                              ? 'bg-gray-700 text-gray-400'
+                              : 'bg-gray-800 border border-gray-600'
+                          }`}
+                        >
+                          {letter}
+                        </span>
+                      ))}
+                    </div>
                     <span className="text-sm text-gray-400">
                       {item.status === 'pending' ? (
                         <Clock className="w-4 h-4 text-yellow-400" />
@@ -397,8 +625,10 @@ const GamePlay = () => {
             <h3 className="text-lg font-bold mb-4">Stats</h3>
             <div className="space-y-3">
               <div className="flex justify-between">
-                <span className="text-gray-400">Round</span>
-                <span className="font-bold">{game.round || 0}</span>
+                <span className="text-gray-400">Stage</span>
+                <span className="font-bold">
+                  {game.stageNumber || 0} / {game.totalStages || 0}
+                </span>
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-400">Qualified Players</span>
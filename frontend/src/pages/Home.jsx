@@ -163,15 +163,23 @@ const Home = () => {
                         {new Date(room.createdAt).toLocaleDateString()}
                       </p>
                     </div>
-                    <div className={`badge ${room.currentGameId > 0 ? 'badge-success' : 'badge-warning'}`}>
-                      {room.currentGameId > 0 ? 'In Game' : 'Waiting'}
+                    <div className="flex items-center space-x-2">
+                      {room.isPrivate && (
+                        <div className="badge bg-gray-200 text-gray-700">
+                          <Lock className="w-3 h-3 inline mr-1" />
+                          Private
+                        </div>
+                      )}
+                      <div className={`badge ${room.currentGameId > 0 ? 'badge-success' : 'badge-warning'}`}>
+                        {room.currentGameId > 0 ? 'In Game' : 'Waiting'}
+                      </div>
                     </div>
                   </div>
 
                   <div className="space-y-3 mb-4">
                     <div className="flex items-center text-sm text-gray-600">
                       <Users className="w-4 h-4 mr-2" />
-                      <span>{room.playerCount} / 5 players</span>
+                      <span>{room.playerCount} / {room.rules.maxPlayers} players</span>
                     </div>
                     <div className="flex items-center text-sm text-gray-600">
                       <Clock className="w-4 h-4 mr-2" />
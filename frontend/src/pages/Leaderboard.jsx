@@ -1,61 +1,46 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useWallet } from '../contexts/WalletContext';
-import { Trophy, Award, Star, TrendingUp, Loader } from 'lucide-react';
+import { useGame } from '../contexts/GameContext';
+import { Trophy, Award, Star, TrendingUp, Loader, Calendar } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const Leaderboard = () => {
   const { contract, account } = useWallet();
+  const { seasonsContract, fetchSeasons, fetchLeaderboard } = useGame();
   const [leaderboardData, setLeaderboardData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [filter, setFilter] = useState('xp'); // 'xp' or 'wins'
+  const [seasons, setSeasons] = useState([]);
+  const [selectedSeasonId, setSelectedSeasonId] = useState(null); // null = all time
 
+  const selectedSeason = seasons.find((season) => season.seasonId === selectedSeasonId) || null;
+
+  // Default to the open season when there is one
   useEffect(() => {
-    if (contract) {
-      loadLeaderboard();
-    }
-  }, [contract]);
+    fetchSeasons().then((list) => {
+      setSeasons(list);
+      const open = list.find((season) => season.isOpen);
+      setSelectedSeasonId(open ? open.seasonId : null);
+    });
+  }, [seasonsContract, fetchSeasons]);
 
-  const loadLeaderboard = async () => {
+  const loadLeaderboard = useCallback(async () => {
     setIsLoading(true);
     try {
-      // In a real implementation, you would:
-      // 1. Query PlayerRegistered events to get all players
-      // 2. Fetch XP and stats for each player
-      // 3. Sort and display
-
-      // For now, we'll use mock data
-      const mockData = [
-        {
-          address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
-          xp: 1250,
-          gamesPlayed: 15,
-          gamesWon: 8,
-          winRate: 53.3,
-        },
-        {
-          address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
-          xp: 980,
-          gamesPlayed: 12,
-          gamesWon: 6,
-          winRate: 50.0,
-        },
-        {
-          address: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
-          xp: 750,
-          gamesPlayed: 10,
-          gamesWon: 4,
-          winRate: 40.0,
-        },
-      ];
-
-      setLeaderboardData(mockData);
+      setLeaderboardData(await fetchLeaderboard(selectedSeason));
     } catch (error) {
       console.error('Error loading leaderboard:', error);
       toast.error('Failed to load leaderboard');
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [fetchLeaderboard, selectedSeason]);
+
+  useEffect(() => {
+    if (contract) {
+      loadLeaderboard();
+    }
+  }, [contract, loadLeaderboard]);
 
   const sortedData = [...leaderboardData].sort((a, b) => {
     if (filter === 'xp') {
@@ -131,6 +116,35 @@ const Leaderboard = () => {
         <p className="text-gray-400">
           Top players competing in encrypted word games
         </p>
+
+        {seasons.length > 0 && (
+          <div className="flex items-center mt-4 space-x-3">
+            <Calendar className="w-5 h-5 text-gray-400" />
+            <select
+              value={selectedSeasonId ?? ''}
+              onChange={(e) =>
+                setSelectedSeasonId(e.target.value ? Number(e.target.value) : null)
+              }
+              className="input max-w-xs"
+            >
+              <option value="">All time</option>
+              {seasons.map((season) => (
+                <option key={season.seasonId} value={season.seasonId}>
+                  {season.name}
+                  {season.isOpen ? ' (current)' : ''}
+                </option>
+              ))}
+            </select>
+            {selectedSeason && (
+              <span className="text-sm text-gray-400">
+                {selectedSeason.startTime.toLocaleDateString()} –{' '}
+                {selectedSeason.endTime
+                  ? selectedSeason.endTime.toLocaleDateString()
+                  : 'now'}
+              </span>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Top 3 Podium */}
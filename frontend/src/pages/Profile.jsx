@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useWallet } from '../contexts/WalletContext';
+import { useGame } from '../contexts/GameContext';
 import {
   User,
   DollarSign,
@@ -9,17 +11,46 @@ import {
   Lock,
   Eye,
   Loader,
-  RefreshCw
+  RefreshCw,
+  Medal,
+  ArrowDownToLine,
+  Target,
+  Zap,
+  Crown,
+  Award,
+  Users
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { ethers } from 'ethers';
 
+const formatPosition = (position) => {
+  const suffix = position === 1 ? 'st' : position === 2 ? 'nd' : position === 3 ? 'rd' : 'th';
+  return `${position}${suffix}`;
+};
+
+// AchievementBadges.Badge enum, in order
+const BADGES = [
+  { name: 'First-Try Solve', description: 'Solve a word on the first attempt', Icon: Target, color: 'text-green-400' },
+  { name: 'Speed Solver', description: 'Solve a word in under 20 seconds', Icon: Zap, color: 'text-blue-400' },
+  { name: 'First Win', description: 'Win your first game', Icon: Star, color: 'text-yellow-400' },
+  { name: '5-Letter Champion', description: 'Win a game after solving a 5-letter word', Icon: Crown, color: 'text-orange-400' },
+  { name: '10 Wins', description: 'Win 10 games', Icon: Award, color: 'text-purple-400' },
+];
+
 const Profile = () => {
-  const { isConnected, account, contract, fhevmInstance } = useWallet();
+  const { isConnected, account, contract, fhevmInstance, encrypt32, userDecrypt } = useWallet();
+  const { creditUnit, badgesContract, fetchBadges, fetchPlayerRooms } = useGame();
   const [profile, setProfile] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [showBalance, setShowBalance] = useState(false);
+  const [decryptedBalance, setDecryptedBalance] = useState(null);
+  const [isDecrypting, setIsDecrypting] = useState(false);
+  const [placements, setPlacements] = useState([]);
+  const [myRooms, setMyRooms] = useState([]);
+  const [earnedBadges, setEarnedBadges] = useState({}); // badge => tokenId
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [isWithdrawing, setIsWithdrawing] = useState(false);
 
   useEffect(() => {
     if (isConnected && contract && account) {
@@ -27,10 +58,60 @@ const Profile = () => {
     }
   }, [isConnected, contract, account]);
 
+  useEffect(() => {
+    loadBadges();
+
+    if (!badgesContract || !account) return;
+
+    const handleBadgeAwarded = (player) => {
+      if (player.toLowerCase() !== account.toLowerCase()) return;
+      loadBadges();
+    };
+
+    badgesContract.on('BadgeAwarded', handleBadgeAwarded);
+    return () => {
+      badgesContract.off('BadgeAwarded', handleBadgeAwarded);
+    };
+  }, [badgesContract, account, fetchBadges]);
+
+  // Withdrawals settle in a Gateway callback, so report the outcome from events
+  useEffect(() => {
+    if (!contract || !account) return;
+
+    const isMine = (player) => player.toLowerCase() === account.toLowerCase();
+
+    const handleWithdrawn = (player, credits, amountWei) => {
+      if (!isMine(player)) return;
+      toast.success(`Withdrew ${ethers.formatEther(amountWei)} ETH (${credits} credits)`);
+      setIsWithdrawing(false);
+      loadProfile();
+    };
+
+    const handleFailed = (player, gatewayRequestId, credits) => {
+      if (!isMine(player)) return;
+      toast.error(
+        Number(credits) === 0
+          ? 'Withdrawal exceeded your balance'
+          : 'Payout failed, credits were returned to your balance'
+      );
+      setIsWithdrawing(false);
+    };
+
+    contract.on('BalanceWithdrawn', handleWithdrawn);
+    contract.on('WithdrawalFailed', handleFailed);
+
+    return () => {
+      contract.off('BalanceWithdrawn', handleWithdrawn);
+      contract.off('WithdrawalFailed', handleFailed);
+    };
+  }, [contract, account]);
+
   const loadProfile = async () => {
     if (!contract || !account) return;
 
     setIsLoading(true);
+    loadPlacements();
+    fetchPlayerRooms(account).then(setMyRooms);
     try {
       // Fetch player data
       const [xp, gamesPlayed, encryptedBalance] = await Promise.all([
@@ -70,6 +151,33 @@ const Profile = () => {
     }
   };
 
+  const loadPlacements = async () => {
+    try {
+      const history = await contract.getPlayerPlacements(account);
+      setPlacements(
+        history
+          .map((p) => ({
+            gameId: p.gameId.toString(),
+            roomId: p.roomId.toString(),
+            position: Number(p.position),
+            stageReached: Number(p.stageReached),
+            timestamp: Number(p.timestamp),
+          }))
+          .reverse()
+      );
+    } catch (error) {
+      console.error('Error loading placements:', error);
+      setPlacements([]);
+    }
+  };
+
+  const loadBadges = async () => {
+    const badges = await fetchBadges(account);
+    setEarnedBadges(
+      Object.fromEntries(badges.map(({ badge, tokenId }) => [badge, tokenId]))
+    );
+  };
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
     await loadProfile();
@@ -78,13 +186,69 @@ const Profile = () => {
   };
 
   const handleDecryptBalance = async () => {
+    if (showBalance) {
+      setShowBalance(false);
+      return;
+    }
+
     if (!fhevmInstance) {
       toast.error('FHE instance not initialized');
       return;
     }
 
-    toast.info('Balance decryption would require gateway callback in production');
-    setShowBalance(!showBalance);
+    // An unset handle means no deposit yet
+    if (BigInt(profile?.encryptedBalance || 0) === 0n) {
+      setDecryptedBalance(0n);
+      setShowBalance(true);
+      return;
+    }
+
+    setIsDecrypting(true);
+    try {
+      const [credits] = await userDecrypt([profile.encryptedBalance]);
+      setDecryptedBalance(credits);
+      setShowBalance(true);
+    } catch (error) {
+      console.error('Error decrypting balance:', error);
+      toast.error(error.message || 'Could not decrypt balance');
+    } finally {
+      setIsDecrypting(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    const credits = parseInt(withdrawAmount, 10);
+    if (!credits || credits <= 0) {
+      toast.error('Enter a number of credits to withdraw');
+      return;
+    }
+
+    const loadingToast = toast.loading('Encrypting withdrawal request...');
+    setIsWithdrawing(true);
+
+    try {
+      const encrypted = encrypt32(credits);
+      const tx = await contract.requestWithdrawal(encrypted.data, encrypted.signature, {
+        gasLimit: 1000000,
+      });
+
+      toast.loading('Waiting for confirmation...', { id: loadingToast });
+      await tx.wait();
+
+      toast.success('Withdrawal requested, waiting for the gateway', { id: loadingToast });
+      setWithdrawAmount('');
+    } catch (error) {
+      console.error('Error requesting withdrawal:', error);
+      setIsWithdrawing(false);
+
+      if (error.code === 'ACTION_REJECTED') {
+        toast.error('Transaction rejected', { id: loadingToast });
+      } else {
+        toast.error(error.reason || error.message || 'Failed to request withdrawal', {
+          id: loadingToast,
+        });
+      }
+    }
   };
 
   if (!isConnected) {
@@ -193,6 +357,7 @@ const Profile = () => {
               </h3>
               <button
                 onClick={handleDecryptBalance}
+                disabled={isDecrypting}
                 className="btn btn-secondary btn-sm"
               >
                 <Eye className="w-4 h-4 mr-2" />
@@ -204,10 +369,12 @@ const Profile = () => {
               {showBalance ? (
                 <div className="text-center">
                   <div className="text-3xl font-bold text-primary-400 mb-2">
-                    ??? Tokens
+                    {decryptedBalance?.toString()} Credits
                   </div>
                   <p className="text-sm text-gray-400">
-                    Balance decryption requires gateway callback
+                    {creditUnit !== null && decryptedBalance !== null
+                      ? `${ethers.formatEther(creditUnit * decryptedBalance)} ETH`
+                      : 'Decrypted locally, visible only to you'}
                   </p>
                 </div>
               ) : (
@@ -240,6 +407,43 @@ const Profile = () => {
             </div>
           </div>
 
+          {/* Withdraw */}
+          <div className="card">
+            <h3 className="text-xl font-bold mb-4 flex items-center">
+              <ArrowDownToLine className="w-6 h-6 text-primary-400 mr-2" />
+              Withdraw to ETH
+            </h3>
+            <div className="flex space-x-3">
+              <input
+                type="number"
+                min="1"
+                value={withdrawAmount}
+                onChange={(e) => setWithdrawAmount(e.target.value)}
+                placeholder="Credits"
+                className="input flex-1"
+                disabled={isWithdrawing}
+              />
+              <button
+                onClick={handleWithdraw}
+                disabled={isWithdrawing || !withdrawAmount}
+                className="btn btn-primary"
+              >
+                {isWithdrawing ? (
+                  <Loader className="w-5 h-5 animate-spin" />
+                ) : (
+                  'Withdraw'
+                )}
+              </button>
+            </div>
+            <p className="text-sm text-gray-400 mt-3">
+              {creditUnit !== null && withdrawAmount > 0
+                ? `You will receive ${ethers.formatEther(creditUnit * BigInt(parseInt(withdrawAmount, 10)))} ETH. `
+                : ''}
+              The amount is checked against your encrypted balance on-chain; requests
+              larger than your balance pay out nothing.
+            </p>
+          </div>
+
           {/* Game Stats */}
           <div className="card">
             <h3 className="text-xl font-bold mb-4">Game Statistics</h3>
@@ -294,6 +498,90 @@ const Profile = () => {
               </div>
             </div>
           </div>
+
+          {/* Placement History */}
+          <div className="card">
+            <h3 className="text-xl font-bold mb-4 flex items-center">
+              <Medal className="w-6 h-6 text-yellow-400 mr-2" />
+              Placement History
+            </h3>
+            {placements.length === 0 ? (
+              <p className="text-sm text-gray-400">
+                No placements yet. Finish in the top three to earn a share of the prize pool.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {placements.map((p) => (
+                  <div
+                    key={p.gameId}
+                    className="flex items-center justify-between bg-gray-800/50 rounded-lg p-3"
+                  >
+                    <div className="flex items-center space-x-3">
+                      <span className={`font-bold text-lg w-12 ${
+                        p.position === 1
+                          ? 'text-yellow-400'
+                          : p.position === 2
+                          ? 'text-gray-300'
+                          : p.position === 3
+                          ? 'text-orange-400'
+                          : 'text-gray-500'
+                      }`}>
+                        {formatPosition(p.position)}
+                      </span>
+                      <div>
+                        <div className="text-sm font-medium">
+                          Room #{p.roomId} · Game #{p.gameId}
+                        </div>
+                        <div className="text-xs text-gray-400">
+                          Reached {p.stageReached}-letter stage
+                        </div>
+                      </div>
+                    </div>
+                    <span className="text-xs text-gray-500">
+                      {new Date(p.timestamp * 1000).toLocaleDateString()}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* My Rooms */}
+          <div className="card">
+            <h3 className="text-xl font-bold mb-4 flex items-center">
+              <Users className="w-6 h-6 text-primary-400 mr-2" />
+              My Rooms
+            </h3>
+            {myRooms.length === 0 ? (
+              <p className="text-sm text-gray-400">
+                No rooms yet. Create or join one from the lobby.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {myRooms.map((room) => (
+                  <Link
+                    key={room.roomId}
+                    to={`/room/${room.roomId}`}
+                    className="flex items-center justify-between bg-gray-800/50 rounded-lg p-3 hover:bg-gray-700/50"
+                  >
+                    <div>
+                      <div className="text-sm font-medium">Room #{room.roomId}</div>
+                      <div className="text-xs text-gray-400">
+                        {room.playerCount} / {room.rules.maxPlayers} players
+                      </div>
+                    </div>
+                    {!room.isActive ? (
+                      <span className="badge bg-gray-600">Closed</span>
+                    ) : room.currentGameId > 0 ? (
+                      <span className="badge bg-yellow-600">Playing</span>
+                    ) : (
+                      <span className="badge bg-green-600">Waiting</span>
+                    )}
+                  </Link>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
 
         {/* Sidebar */}
@@ -331,46 +619,37 @@ const Profile = () => {
             </div>
           </div>
 
-          {/* Achievements */}
+          {/* Badges */}
           <div className="card">
-            <h3 className="text-lg font-bold mb-4">Achievements</h3>
-            <div className="space-y-3">
-              <div className={`flex items-center space-x-3 p-3 rounded-lg ${
-                (profile?.gamesPlayed || 0) >= 1
-                  ? 'bg-primary-600/20 border border-primary-700/30'
-                  : 'bg-gray-800/30 opacity-50'
-              }`}>
-                <Trophy className="w-6 h-6 text-yellow-400" />
-                <div>
-                  <div className="font-bold text-sm">First Game</div>
-                  <div className="text-xs text-gray-400">Play your first game</div>
-                </div>
+            <h3 className="text-lg font-bold mb-4">Badges</h3>
+            {badgesContract ? (
+              <div className="space-y-3">
+                {BADGES.map(({ name, description, Icon, color }, badge) => {
+                  const tokenId = earnedBadges[badge];
+                  return (
+                    <div
+                      key={name}
+                      className={`flex items-center space-x-3 p-3 rounded-lg ${
+                        tokenId
+                          ? 'bg-primary-600/20 border border-primary-700/30'
+                          : 'bg-gray-800/30 opacity-50'
+                      }`}
+                    >
+                      <Icon className={`w-6 h-6 ${color}`} />
+                      <div className="flex-1">
+                        <div className="font-bold text-sm">{name}</div>
+                        <div className="text-xs text-gray-400">{description}</div>
+                      </div>
+                      {tokenId && (
+                        <span className="text-xs text-gray-400 font-mono">#{tokenId}</span>
+                      )}
+                    </div>
+                  );
+                })}
               </div>
-
-              <div className={`flex items-center space-x-3 p-3 rounded-lg ${
-                (profile?.gamesWon || 0) >= 1
-                  ? 'bg-primary-600/20 border border-primary-700/30'
-                  : 'bg-gray-800/30 opacity-50'
-              }`}>
-                <Star className="w-6 h-6 text-green-400" />
-                <div>
-                  <div className="font-bold text-sm">First Win</div>
-                  <div className="text-xs text-gray-400">Win your first game</div>
-                </div>
-              </div>
-
-              <div className={`flex items-center space-x-3 p-3 rounded-lg ${
-                (profile?.xp || 0) >= 1000
-                  ? 'bg-primary-600/20 border border-primary-700/30'
-                  : 'bg-gray-800/30 opacity-50'
-              }`}>
-                <TrendingUp className="w-6 h-6 text-purple-400" />
-                <div>
-                  <div className="font-bold text-sm">1000 XP</div>
-                  <div className="text-xs text-gray-400">Earn 1000 XP</div>
-                </div>
-              </div>
-            </div>
+            ) : (
+              <p className="text-sm text-gray-400">Badges are not enabled for this game</p>
+            )}
           </div>
 
           {/* Account Info */}
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useWallet } from '../contexts/WalletContext';
 import { useGame } from '../contexts/GameContext';
 import toast from 'react-hot-toast';
+import { ethers } from 'ethers';
 import {
   Users,
   Clock,
@@ -11,19 +12,40 @@ import {
   Loader,
   ArrowLeft,
   UserPlus,
-  Lock
+  UserMinus,
+  LogOut,
+  Lock,
+  Target,
+  KeyRound,
+  Copy
 } from 'lucide-react';
 
+// Hash a join code the way joinRoom checks it
+const hashJoinCode = (roomId, code) =>
+  ethers.solidityPackedKeccak256(['uint256', 'string'], [roomId, code]);
+
 const Room = () => {
   const { roomId } = useParams();
   const navigate = useNavigate();
-  const { isConnected, contract, account, fhevmInstance } = useWallet();
-  const { rooms, fetchRoomInfo } = useGame();
+  const [searchParams] = useSearchParams();
+  const { isConnected, contract, account } = useWallet();
+  const { rooms, fetchRoomInfo, creditUnit } = useGame();
 
   const [room, setRoom] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isJoining, setIsJoining] = useState(false);
-  const [depositAmount, setDepositAmount] = useState('100');
+  const [depositAmount, setDepositAmount] = useState('10');
+  const [displayName, setDisplayName] = useState('');
+  // Invite links carry the join code as ?code=
+  const [joinCode, setJoinCode] = useState(searchParams.get('code') || '');
+  const [allowlistAddress, setAllowlistAddress] = useState('');
+  const [isUpdatingAccess, setIsUpdatingAccess] = useState(false);
+  const [isLeaving, setIsLeaving] = useState(false);
+
+  // Entry fee in wei, set by this room's rules
+  const entryFee = room && creditUnit
+    ? BigInt(room.rules.entryFeeCredits) * creditUnit
+    : null;
 
   useEffect(() => {
     if (roomId && contract) {
@@ -50,31 +72,51 @@ const Room = () => {
       return;
     }
 
-    if (!fhevmInstance) {
-      toast.error('FHE instance not initialized');
+    if (!displayName.trim()) {
+      toast.error('Please enter a display name');
+      return;
+    }
+
+    if (room.isPrivate && !joinCode.trim()) {
+      toast.error('This room is private. Enter the join code from your invite.');
       return;
     }
 
-    const amount = parseFloat(depositAmount);
-    if (isNaN(amount) || amount < 10) {
-      toast.error('Minimum deposit is 10 tokens');
+    let depositWei;
+    try {
+      depositWei = ethers.parseEther(depositAmount || '0');
+    } catch {
+      toast.error('Enter a valid ETH amount');
+      return;
+    }
+
+    if (entryFee && depositWei < entryFee) {
+      toast.error(`Minimum deposit is ${ethers.formatEther(entryFee)} ETH`);
+      return;
+    }
+
+    if (creditUnit && depositWei % creditUnit !== 0n) {
+      toast.error(`Deposit must be a multiple of ${ethers.formatEther(creditUnit)} ETH`);
       return;
     }
 
     setIsJoining(true);
-    const loadingToast = toast.loading('Joining room with encrypted deposit...');
+    const loadingToast = toast.loading('Joining room with ETH deposit...');
 
     try {
-      // Encrypt the deposit
-      const encryptedDeposit = fhevmInstance.encrypt32(Math.floor(amount));
-
-      const tx = await contract.depositBalance(encryptedDeposit, {
+      // ETH is converted to encrypted balance credits on-chain
+      const tx = await contract.depositBalance({
+        value: depositWei,
         gasLimit: 500000,
       });
 
       toast.loading('Confirming transaction...', { id: loadingToast });
       await tx.wait();
 
+      toast.loading('Joining room...', { id: loadingToast });
+      const joinTx = await contract.joinRoom(roomId, displayName.trim(), joinCode.trim());
+      await joinTx.wait();
+
       toast.success('Successfully joined the room!', { id: loadingToast });
 
       // Reload room info
@@ -96,6 +138,107 @@ const Room = () => {
     }
   };
 
+  const handleLeaveRoom = async () => {
+    setIsLeaving(true);
+    const loadingToast = toast.loading('Leaving room...');
+
+    try {
+      const tx = await contract.leaveRoom(roomId);
+      await tx.wait();
+
+      toast.success('You left the room', { id: loadingToast });
+      navigate('/');
+    } catch (error) {
+      console.error('Error leaving room:', error);
+      toast.error(error.reason || error.message || 'Failed to leave room', { id: loadingToast });
+    } finally {
+      setIsLeaving(false);
+    }
+  };
+
+  const handleKickPlayer = async (player) => {
+    const loadingToast = toast.loading('Removing player...');
+
+    try {
+      const tx = await contract.kickPlayer(roomId, player);
+      await tx.wait();
+
+      toast.success('Player removed', { id: loadingToast });
+      await loadRoomInfo();
+    } catch (error) {
+      console.error('Error kicking player:', error);
+      toast.error(error.reason || error.message || 'Failed to remove player', { id: loadingToast });
+    }
+  };
+
+  const handleSetJoinCode = async () => {
+    if (!joinCode.trim()) {
+      toast.error('Enter a join code');
+      return;
+    }
+
+    setIsUpdatingAccess(true);
+    const loadingToast = toast.loading('Updating join code...');
+
+    try {
+      const tx = await contract.setRoomAccess(roomId, true, hashJoinCode(roomId, joinCode.trim()));
+      await tx.wait();
+
+      toast.success('Join code set. Share the invite link!', { id: loadingToast });
+      await loadRoomInfo();
+    } catch (error) {
+      console.error('Error setting join code:', error);
+      toast.error(error.reason || error.message || 'Failed to set join code', { id: loadingToast });
+    } finally {
+      setIsUpdatingAccess(false);
+    }
+  };
+
+  const handleAllowPlayer = async () => {
+    if (!ethers.isAddress(allowlistAddress)) {
+      toast.error('Enter a valid wallet address');
+      return;
+    }
+
+    setIsUpdatingAccess(true);
+    const loadingToast = toast.loading('Adding to allowlist...');
+
+    try {
+      const tx = await contract.setRoomAllowlist(roomId, [allowlistAddress], true);
+      await tx.wait();
+
+      toast.success('Player can now join without a code', { id: loadingToast });
+      setAllowlistAddress('');
+    } catch (error) {
+      console.error('Error updating allowlist:', error);
+      toast.error(error.reason || error.message || 'Failed to update allowlist', { id: loadingToast });
+    } finally {
+      setIsUpdatingAccess(false);
+    }
+  };
+
+  const inviteLink = joinCode.trim()
+    ? `${window.location.origin}/room/${roomId}?code=${encodeURIComponent(joinCode.trim())}`
+    : '';
+
+  const handleCopyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      toast.success('Invite link copied');
+    } catch {
+      toast.error('Could not copy the invite link');
+    }
+  };
+
+  let depositCredits = '0';
+  try {
+    if (creditUnit) {
+      depositCredits = (ethers.parseEther(depositAmount || '0') / creditUnit).toString();
+    }
+  } catch {
+    // Invalid input, keep showing 0 credits
+  }
+
   const handleStartGame = () => {
     if (room?.currentGameId > 0) {
       navigate(`/game/${room.currentGameId}`);
@@ -133,7 +276,8 @@ const Room = () => {
   const isInRoom = room.players?.some(
     p => p.toLowerCase() === account?.toLowerCase()
   );
-  const canJoin = !isInRoom && room.playerCount < room.maxPlayers;
+  const isCreator = room.creator?.toLowerCase() === account?.toLowerCase();
+  const canJoin = !isInRoom && room.playerCount < room.rules.maxPlayers;
   const gameActive = room.currentGameId > 0;
 
   return (
@@ -148,7 +292,15 @@ const Room = () => {
             <ArrowLeft className="w-4 h-4 mr-2" />
             Back to Lobby
           </button>
-          <h1 className="text-3xl font-bold">Room #{roomId}</h1>
+          <h1 className="text-3xl font-bold flex items-center">
+            Room #{roomId}
+            {room.isPrivate && (
+              <span className="badge bg-gray-700 text-sm ml-3">
+                <KeyRound className="w-4 h-4 inline mr-1" />
+                Private
+              </span>
+            )}
+          </h1>
         </div>
         {gameActive && isInRoom && (
           <button
@@ -180,7 +332,7 @@ const Room = () => {
                   <span className="text-sm">Players</span>
                 </div>
                 <p className="text-2xl font-bold">
-                  {room.playerCount} / {room.maxPlayers}
+                  {room.playerCount} / {room.rules.maxPlayers}
                 </p>
               </div>
 
@@ -189,27 +341,44 @@ const Room = () => {
                   <DollarSign className="w-4 h-4 mr-2" />
                   <span className="text-sm">Entry Fee</span>
                 </div>
-                <p className="text-2xl font-bold">10</p>
+                <p className="text-2xl font-bold">
+                  {entryFee ? `${ethers.formatEther(entryFee)} ETH` : '-'}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {room.rules.entryFeeCredits} credits
+                </p>
               </div>
 
-              {gameActive && (
-                <>
-                  <div className="bg-gray-800/50 rounded-lg p-4">
-                    <div className="flex items-center text-gray-400 mb-1">
-                      <Play className="w-4 h-4 mr-2" />
-                      <span className="text-sm">Game ID</span>
-                    </div>
-                    <p className="text-2xl font-bold">#{room.currentGameId}</p>
-                  </div>
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <div className="flex items-center text-gray-400 mb-1">
+                  <Clock className="w-4 h-4 mr-2" />
+                  <span className="text-sm">Round Time</span>
+                </div>
+                <p className="text-2xl font-bold">{room.rules.roundTimeLimit}s</p>
+              </div>
 
-                  <div className="bg-gray-800/50 rounded-lg p-4">
-                    <div className="flex items-center text-gray-400 mb-1">
-                      <Clock className="w-4 h-4 mr-2" />
-                      <span className="text-sm">Round Time</span>
-                    </div>
-                    <p className="text-2xl font-bold">60s</p>
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <div className="flex items-center text-gray-400 mb-1">
+                  <Target className="w-4 h-4 mr-2" />
+                  <span className="text-sm">Attempts per Round</span>
+                </div>
+                <p className="text-2xl font-bold">{room.rules.maxAttempts}</p>
+              </div>
+
+              {gameActive && (
+                <div className="bg-gray-800/50 rounded-lg p-4">
+                  <div className="flex items-center text-gray-400 mb-1">
+                    <Play className="w-4 h-4 mr-2" />
+                    <span className="text-sm">Game ID</span>
                   </div>
-                </>
+                  <p className="text-2xl font-bold">#{room.currentGameId}</p>
+                  <button
+                    onClick={() => navigate(`/spectate/${room.currentGameId}`)}
+                    className="text-sm text-primary-400 hover:text-primary-300 mt-1"
+                  >
+                    Watch as spectator
+                  </button>
+                </div>
               )}
             </div>
           </div>
@@ -237,7 +406,17 @@ const Room = () => {
                         </span>
                       )}
                     </div>
-                    <Lock className="w-4 h-4 text-gray-400" />
+                    {isCreator && !gameActive && player.toLowerCase() !== account?.toLowerCase() ? (
+                      <button
+                        onClick={() => handleKickPlayer(player)}
+                        className="text-gray-400 hover:text-red-400"
+                        title="Remove player"
+                      >
+                        <UserMinus className="w-4 h-4" />
+                      </button>
+                    ) : (
+                      <Lock className="w-4 h-4 text-gray-400" />
+                    )}
                   </div>
                 ))
               ) : (
@@ -273,7 +452,7 @@ const Room = () => {
                     : 'Waiting for more players to join...'}
                 </p>
               </div>
-              {gameActive && (
+              {gameActive ? (
                 <button
                   onClick={handleStartGame}
                   className="btn btn-primary w-full"
@@ -281,6 +460,19 @@ const Room = () => {
                   <Play className="w-5 h-5 mr-2" />
                   Join Game
                 </button>
+              ) : (
+                <button
+                  onClick={handleLeaveRoom}
+                  disabled={isLeaving}
+                  className="btn btn-secondary w-full"
+                >
+                  {isLeaving ? (
+                    <Loader className="w-5 h-5 animate-spin mr-2" />
+                  ) : (
+                    <LogOut className="w-5 h-5 mr-2" />
+                  )}
+                  Leave Room
+                </button>
               )}
             </div>
           ) : canJoin ? (
@@ -288,19 +480,50 @@ const Room = () => {
               <h3 className="font-bold mb-4">Join Room</h3>
               <div className="mb-4">
                 <label className="block text-sm font-medium mb-2">
-                  Deposit Amount
+                  Display Name
+                </label>
+                <input
+                  type="text"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  maxLength={20}
+                  className="input w-full"
+                  placeholder="Enter your display name"
+                />
+              </div>
+              {room.isPrivate && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium mb-2">
+                    Join Code
+                  </label>
+                  <input
+                    type="text"
+                    value={joinCode}
+                    onChange={(e) => setJoinCode(e.target.value)}
+                    className="input w-full font-mono"
+                    placeholder="From your invite link"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">
+                    Leave empty if the creator added your wallet to the allowlist
+                  </p>
+                </div>
+              )}
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-2">
+                  Deposit Amount (ETH)
                 </label>
                 <input
                   type="number"
                   value={depositAmount}
                   onChange={(e) => setDepositAmount(e.target.value)}
-                  min="10"
-                  step="1"
+                  min={entryFee ? ethers.formatEther(entryFee) : '0'}
+                  step={creditUnit ? ethers.formatEther(creditUnit) : 'any'}
                   className="input w-full"
-                  placeholder="100"
+                  placeholder="10"
                 />
                 <p className="text-xs text-gray-400 mt-1">
-                  Min: 10 tokens (encrypted)
+                  {entryFee ? `Min: ${ethers.formatEther(entryFee)} ETH` : 'Min: entry fee'}
+                  {creditUnit ? ` · ${depositCredits} credits (encrypted)` : ''}
                 </p>
               </div>
               <button
@@ -331,6 +554,79 @@ const Room = () => {
             </div>
           )}
 
+          {/* Invite Card */}
+          {isCreator && room.isActive && (
+            <div className="card">
+              <h3 className="font-bold mb-4 flex items-center">
+                <KeyRound className="w-5 h-5 mr-2" />
+                Invite Players
+              </h3>
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-2">
+                  Join Code
+                </label>
+                <input
+                  type="text"
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value)}
+                  maxLength={32}
+                  className="input w-full font-mono"
+                  placeholder="Choose a join code"
+                />
+                <button
+                  onClick={handleSetJoinCode}
+                  disabled={isUpdatingAccess}
+                  className="btn btn-secondary w-full mt-2"
+                >
+                  {room.isPrivate ? 'Change Join Code' : 'Make Private'}
+                </button>
+              </div>
+              {room.isPrivate && inviteLink && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium mb-2">
+                    Invite Link
+                  </label>
+                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      value={inviteLink}
+                      readOnly
+                      className="input w-full text-xs font-mono"
+                    />
+                    <button onClick={handleCopyInvite} className="btn btn-secondary">
+                      <Copy className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Anyone with this link can join
+                  </p>
+                </div>
+              )}
+              {room.isPrivate && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Allowlist a Wallet
+                  </label>
+                  <input
+                    type="text"
+                    value={allowlistAddress}
+                    onChange={(e) => setAllowlistAddress(e.target.value)}
+                    className="input w-full font-mono text-xs"
+                    placeholder="0x..."
+                  />
+                  <button
+                    onClick={handleAllowPlayer}
+                    disabled={isUpdatingAccess}
+                    className="btn btn-secondary w-full mt-2"
+                  >
+                    <UserPlus className="w-4 h-4 mr-2" />
+                    Allow Without Code
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Info Card */}
           <div className="card bg-primary-900/20 border border-primary-700/30">
             <div className="flex items-start space-x-3">
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useWallet } from '../contexts/WalletContext';
+import { useGame } from '../contexts/GameContext';
+import { WordGameSDK } from '../../WordGameSDK';
+import CONTRACT_ABI from '../contracts/ConfidentialWordGame.json';
+import toast from 'react-hot-toast';
+import {
+  Loader,
+  ArrowLeft,
+  Clock,
+  Users,
+  Eye,
+  CheckCircle,
+  XCircle,
+  Activity
+} from 'lucide-react';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Activity entries are keyed so backfilled and streamed events never double count
+const activityKey = (entry) => `${entry.type}-${entry.player}-${entry.attemptNumber}`;
+
+const Spectate = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+  const { readOnlyProvider, contractAddress } = useWallet();
+  const { fetchGameInfo, fetchRoomInfo } = useGame();
+
+  const [game, setGame] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [timeRemaining, setTimeRemaining] = useState(0);
+
+  const loadGameInfo = useCallback(async () => {
+    const gameInfo = await fetchGameInfo(gameId);
+    setGame(gameInfo);
+    if (gameInfo) {
+      setRoom(await fetchRoomInfo(gameInfo.roomId));
+    }
+    setIsLoading(false);
+  }, [gameId, fetchGameInfo, fetchRoomInfo]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    loadGameInfo();
+  }, [loadGameInfo]);
+
+  // Backfill the game's guesses, then stream new ones through the SDK
+  useEffect(() => {
+    const sdk = new WordGameSDK(contractAddress, CONTRACT_ABI.abi);
+    let stopWatching = () => {};
+    let cancelled = false;
+
+    const addActivity = (entries) => {
+      setActivity((prev) => {
+        const seen = new Set(prev.map(activityKey));
+        return [...prev, ...entries.filter((entry) => !seen.has(activityKey(entry)))];
+      });
+    };
+
+    setActivity([]);
+    sdk
+      .initializeReadOnly(readOnlyProvider)
+      .then(() => sdk.getGameActivity(gameId))
+      .then((past) => {
+        if (cancelled) return;
+        addActivity(past);
+
+        stopWatching = sdk.watchGame(gameId, {
+          onActivity: (entry) => {
+            addActivity([entry]);
+            if (entry.type === 'GuessValidated') loadGameInfo();
+          },
+          onRoundCompleted: () => loadGameInfo(),
+          onStageAdvanced: ({ gameId: nextGameId, stage }) => {
+            toast.success(`Stage advanced! Next word has ${stage} letters.`);
+            navigate(`/spectate/${nextGameId}`);
+          },
+          onRoomEmergencyPaused: ({ roomId }) => {
+            toast.error(`Room #${roomId} was closed by the owner; entry fees are refunded`);
+            stopWatching();
+            loadGameInfo();
+          },
+        });
+      })
+      .catch((error) => {
+        console.error('Error watching game:', error);
+        toast.error('Failed to load game activity');
+      });
+
+    return () => {
+      cancelled = true;
+      stopWatching();
+    };
+  }, [gameId, contractAddress, readOnlyProvider, loadGameInfo, navigate]);
+
+  // Countdown timer
+  useEffect(() => {
+    if (!game || game.isComplete) return;
+
+    const calculateTimeRemaining = () => {
+      const now = Math.floor(Date.now() / 1000);
+      const endTime = Math.floor(game.roundEndTime.getTime() / 1000);
+      setTimeRemaining(Math.max(0, endTime - now));
+    };
+
+    calculateTimeRemaining();
+    const timer = setInterval(calculateTimeRemaining, 1000);
+    return () => clearInterval(timer);
+  }, [game]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader className="w-8 h-8 animate-spin text-primary-500" />
+      </div>
+    );
+  }
+
+  if (!game) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="card text-center">
+          <h2 className="text-2xl font-bold mb-2">Game Not Found</h2>
+          <p className="text-gray-400 mb-6">
+            The game you're looking for doesn't exist.
+          </p>
+          <button onClick={() => navigate('/')} className="btn btn-primary">
+            <ArrowLeft className="w-5 h-5 mr-2" />
+            Back to Lobby
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const maxAttempts = room?.rules.maxAttempts || 0;
+  const players = (room?.players || []).map((address) => {
+    const mine = activity.filter((entry) => entry.player.toLowerCase() === address.toLowerCase());
+    const attempts = mine.filter((entry) => entry.type === 'GuessSubmitted').length;
+    const checked = mine.filter((entry) => entry.type === 'GuessValidated').length;
+    const qualified =
+      game.qualifiedPlayers.some((player) => player.toLowerCase() === address.toLowerCase()) ||
+      mine.some((entry) => entry.isCorrect);
+
+    let status = 'Guessing';
+    if (qualified) status = 'Qualified';
+    else if (checked < attempts) status = 'Checking guess...';
+    else if (game.isComplete) status = 'Eliminated';
+    else if (maxAttempts && attempts >= maxAttempts) status = 'Out of attempts';
+
+    return { address, attempts, qualified, status };
+  });
+
+  const feed = [...activity].reverse().slice(0, 20);
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <button
+          onClick={() => navigate('/')}
+          className="text-gray-400 hover:text-white flex items-center mb-2"
+        >
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Lobby
+        </button>
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold flex items-center">
+              <Eye className="w-7 h-7 mr-3 text-primary-400" />
+              Watching Game #{gameId}
+            </h1>
+            <p className="text-gray-400">
+              Room #{game.roomId} · {game.wordLength}-letter word · Guesses stay encrypted
+            </p>
+          </div>
+          <div className="flex items-center space-x-4">
+            {game.isComplete ? (
+              <span className="badge bg-gray-600">Round Complete</span>
+            ) : (
+              <>
+                <span className="badge bg-green-600">
+                  Stage {game.stageNumber} of {game.totalStages}
+                </span>
+                <div
+                  className={`flex items-center text-2xl font-bold ${
+                    timeRemaining <= 10 ? 'text-red-400' : 'text-white'
+                  }`}
+                >
+                  <Clock className="w-6 h-6 mr-2" />
+                  {timeRemaining}s
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        {/* Players */}
+        <div className="lg:col-span-2 card">
+          <h2 className="text-xl font-bold mb-4 flex items-center">
+            <Users className="w-5 h-5 mr-2" />
+            Players ({players.length})
+          </h2>
+          <div className="space-y-3">
+            {players.map((player) => (
+              <div
+                key={player.address}
+                className={`flex items-center justify-between p-4 rounded-lg ${
+                  player.qualified
+                    ? 'bg-green-600/10 border border-green-600/30'
+                    : 'bg-gray-800/50'
+                }`}
+              >
+                <span className="font-mono text-sm">{shortAddress(player.address)}</span>
+                <div className="flex items-center space-x-4">
+                  <span className="text-sm text-gray-400">
+                    {player.attempts}
+                    {maxAttempts ? ` / ${maxAttempts}` : ''} attempts
+                  </span>
+                  <span
+                    className={`text-sm font-bold ${
+                      player.qualified
+                        ? 'text-green-400'
+                        : player.status === 'Guessing' || player.status === 'Checking guess...'
+                          ? 'text-yellow-400'
+                          : 'text-gray-500'
+                    }`}
+                  >
+                    {player.status}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Live Feed */}
+        <div className="card">
+          <h2 className="text-xl font-bold mb-4 flex items-center">
+            <Activity className="w-5 h-5 mr-2" />
+            Live Feed
+          </h2>
+          {feed.length === 0 ? (
+            <p className="text-sm text-gray-400">No guesses yet</p>
+          ) : (
+            <div className="space-y-2">
+              {feed.map((entry) => (
+                <div key={activityKey(entry)} className="flex items-center text-sm">
+                  {entry.type === 'GuessSubmitted' ? (
+                    <Loader className="w-4 h-4 mr-2 text-gray-400" />
+                  ) : entry.isCorrect ? (
+                    <CheckCircle className="w-4 h-4 mr-2 text-green-400" />
+                  ) : (
+                    <XCircle className="w-4 h-4 mr-2 text-red-400" />
+                  )}
+                  <span className="font-mono mr-2">{shortAddress(entry.player)}</span>
+                  <span className="text-gray-400">
+                    {entry.type === 'GuessSubmitted'
+                      ? `guessed (attempt ${entry.attemptNumber})`
+                      : entry.isCorrect
+                        ? `solved it on attempt ${entry.attemptNumber}`
+                        : `missed attempt ${entry.attemptNumber}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Spectate;
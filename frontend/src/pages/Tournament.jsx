@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { useWallet } from '../contexts/WalletContext';
+import { useGame } from '../contexts/GameContext';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Crown, Loader, Swords, Users, Clock, ExternalLink } from 'lucide-react';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const Tournament = () => {
+  const { tournamentId } = useParams();
+  const navigate = useNavigate();
+  const { isConnected, account } = useWallet();
+  const { tournamentsContract, fetchTournament } = useGame();
+  const [tournament, setTournament] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadTournament = useCallback(async () => {
+    setTournament(await fetchTournament(tournamentId));
+    setIsLoading(false);
+  }, [tournamentId, fetchTournament]);
+
+  useEffect(() => {
+    loadTournament();
+    const interval = setInterval(loadTournament, 10000);
+    return () => clearInterval(interval);
+  }, [loadTournament]);
+
+  const handleRegister = async () => {
+    setIsSubmitting(true);
+    try {
+      const tx = await tournamentsContract.register(tournamentId, { value: tournament.entryFee });
+      toast.loading('Registering...', { id: 'register' });
+      await tx.wait();
+      toast.success('Registered for the tournament!', { id: 'register' });
+      await loadTournament();
+    } catch (error) {
+      console.error('Error registering:', error);
+      toast.error(error.reason || 'Failed to register', { id: 'register' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleClaimRefund = async () => {
+    setIsSubmitting(true);
+    try {
+      const tx = await tournamentsContract.claimRefund(tournamentId);
+      toast.loading('Claiming refund...', { id: 'refund' });
+      await tx.wait();
+      toast.success('Entry fee refunded!', { id: 'refund' });
+      await loadTournament();
+    } catch (error) {
+      console.error('Error claiming refund:', error);
+      toast.error(error.reason || 'Failed to claim refund', { id: 'refund' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleClaimPrize = async () => {
+    setIsSubmitting(true);
+    try {
+      const tx = await tournamentsContract.claimPrize(tournamentId);
+      toast.loading('Claiming prize...', { id: 'prize' });
+      await tx.wait();
+      toast.success('Prize credited to your game balance!', { id: 'prize' });
+      await loadTournament();
+    } catch (error) {
+      console.error('Error claiming prize:', error);
+      toast.error(error.reason || 'Failed to claim prize', { id: 'prize' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader className="w-8 h-8 animate-spin text-primary-500" />
+      </div>
+    );
+  }
+
+  if (!tournament) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="card text-center">
+          <h2 className="text-2xl font-bold mb-2">Tournament Not Found</h2>
+          <p className="text-gray-400 mb-6">
+            The tournament you're looking for doesn't exist.
+          </p>
+          <button onClick={() => navigate('/tournaments')} className="btn btn-primary">
+            <ArrowLeft className="w-5 h-5 mr-2" />
+            Back to Tournaments
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const registrationOpen =
+    tournament.status === 'registration' && tournament.registrationEnds > new Date();
+
+  // The connected player's undecided match in the current round, if any
+  const currentMatches = tournament.rounds[tournament.currentRound - 1] || [];
+  const myMatch = currentMatches.find(
+    (match) => !match.winner && match.players.some((player) => sameAddress(player, account))
+  );
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <button
+          onClick={() => navigate('/tournaments')}
+          className="text-gray-400 hover:text-white flex items-center mb-2"
+        >
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Tournaments
+        </button>
+        <h1 className="text-3xl font-bold flex items-center">
+          <Swords className="w-7 h-7 mr-3 text-primary-400" />
+          {tournament.name}
+        </h1>
+        <p className="text-gray-400">
+          {tournament.roomSize} players per match · Prize pool{' '}
+          {ethers.formatEther(tournament.prizePool)} ETH
+        </p>
+      </div>
+
+      {/* Champion */}
+      {tournament.champion && (
+        <div className="card mb-6 bg-yellow-500/10 border-yellow-500/30 flex items-center">
+          <Crown className="w-8 h-8 mr-4 text-yellow-400" />
+          <div className="flex-1">
+            <p className="text-sm text-gray-400">Champion</p>
+            <p className="font-mono text-lg">{tournament.champion}</p>
+          </div>
+          {/* The prize is credited as encrypted game balance, so a paused game blocks the claim */}
+          {sameAddress(tournament.champion, account) && tournament.prizePool > 0n && (
+            <button onClick={handleClaimPrize} disabled={isSubmitting} className="btn btn-primary">
+              {isSubmitting ? <Loader className="w-5 h-5 animate-spin" /> : 'Claim as Game Balance'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Registration */}
+      {tournament.status === 'registration' && (
+        <div className="card mb-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-bold flex items-center">
+                <Users className="w-5 h-5 mr-2" />
+                {tournament.playerCount} / {tournament.maxPlayers} registered
+              </p>
+              <p className="text-sm text-gray-400 flex items-center mt-1">
+                <Clock className="w-4 h-4 mr-1" />
+                Registration ends {tournament.registrationEnds.toLocaleString()}
+              </p>
+            </div>
+            {tournament.isRegistered ? (
+              <span className="badge bg-green-600">Registered</span>
+            ) : (
+              <button
+                onClick={handleRegister}
+                disabled={!isConnected || !registrationOpen || isSubmitting ||
+                  tournament.playerCount >= tournament.maxPlayers}
+                className="btn btn-primary"
+              >
+                {isSubmitting ? (
+                  <Loader className="w-5 h-5 animate-spin" />
+                ) : tournament.entryFee === 0n ? (
+                  'Register (Free)'
+                ) : (
+                  `Register (${ethers.formatEther(tournament.entryFee)} ETH)`
+                )}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Refunds */}
+      {tournament.status === 'cancelled' && tournament.isRegistered && (
+        <div className="card mb-6 flex items-center justify-between">
+          <p className="text-gray-400">This tournament was cancelled. Entry fees are refundable.</p>
+          {tournament.refundClaimed ? (
+            <span className="badge bg-gray-600">Refunded</span>
+          ) : (
+            <button onClick={handleClaimRefund} disabled={isSubmitting} className="btn btn-primary">
+              {isSubmitting ? <Loader className="w-5 h-5 animate-spin" /> : 'Claim Refund'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Next match */}
+      {myMatch && myMatch.roomId === 0 && (
+        <div className="card mb-6 bg-primary-600/10 border-primary-600/30 flex items-center justify-between">
+          <p>
+            Your round {tournament.currentRound} match is waiting for a room. Create one and the
+            relayer will link it to the bracket.
+          </p>
+          <Link to="/create-room" className="btn btn-primary">
+            Create Room
+          </Link>
+        </div>
+      )}
+
+      {/* Bracket */}
+      {tournament.rounds.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-400">The bracket is drawn when registration closes</p>
+        </div>
+      ) : (
+        <div className="flex gap-6 overflow-x-auto pb-4">
+          {tournament.rounds.map((matches, roundIndex) => (
+            <div key={roundIndex} className="min-w-[240px] flex-1">
+              <h2 className="text-lg font-bold mb-4">
+                {matches.length === 1 ? 'Final' : `Round ${roundIndex + 1}`}
+              </h2>
+              <div className="space-y-4">
+                {matches.map((match, matchIndex) => (
+                  <div key={matchIndex} className="card p-4">
+                    <div className="space-y-1 mb-3">
+                      {match.players.map((player) => (
+                        <div
+                          key={player}
+                          className={`flex items-center justify-between font-mono text-sm ${
+                            sameAddress(player, match.winner)
+                              ? 'text-green-400 font-bold'
+                              : match.winner
+                                ? 'text-gray-500 line-through'
+                                : ''
+                          }`}
+                        >
+                          <span>
+                            {shortAddress(player)}
+                            {sameAddress(player, account) && ' (You)'}
+                          </span>
+                          {sameAddress(player, match.winner) && <Crown className="w-4 h-4" />}
+                        </div>
+                      ))}
+                    </div>
+                    {match.players.length === 1 ? (
+                      <span className="text-xs text-gray-400">Bye</span>
+                    ) : match.roomId > 0 ? (
+                      <Link
+                        to={`/room/${match.roomId}`}
+                        className="text-xs text-primary-400 hover:text-primary-300 flex items-center"
+                      >
+                        Room #{match.roomId}
+                        <ExternalLink className="w-3 h-3 ml-1" />
+                      </Link>
+                    ) : (
+                      <span className="text-xs text-gray-400">Waiting for a room</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Tournament;
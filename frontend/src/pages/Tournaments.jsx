@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { useGame } from '../contexts/GameContext';
+import { Swords, Users, Clock, Crown, Loader } from 'lucide-react';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const STATUS_BADGES = {
+  registration: { label: 'Registration Open', className: 'bg-green-600' },
+  running: { label: 'In Progress', className: 'bg-yellow-600' },
+  finished: { label: 'Finished', className: 'bg-gray-600' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-600' },
+};
+
+const Tournaments = () => {
+  const { tournamentsContract, fetchTournaments } = useGame();
+  const [tournaments, setTournaments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadTournaments = useCallback(async () => {
+    setTournaments(await fetchTournaments());
+    setIsLoading(false);
+  }, [fetchTournaments]);
+
+  useEffect(() => {
+    loadTournaments();
+    const interval = setInterval(loadTournaments, 10000);
+    return () => clearInterval(interval);
+  }, [loadTournaments]);
+
+  if (!tournamentsContract) {
+    return (
+      <div className="max-w-2xl mx-auto card text-center">
+        <Swords className="w-12 h-12 mx-auto mb-4 text-gray-600" />
+        <h2 className="text-2xl font-bold mb-2">Tournaments Unavailable</h2>
+        <p className="text-gray-400">
+          Set VITE_TOURNAMENTS_ADDRESS to the deployed Tournaments contract to enable brackets.
+        </p>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader className="w-8 h-8 animate-spin text-primary-500" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold mb-2 flex items-center">
+          <Swords className="w-8 h-8 mr-3 text-primary-400" />
+          Tournaments
+        </h1>
+        <p className="text-gray-400">
+          Knockout brackets played across many rooms. The champion claims the whole prize pool,
+          in ETH or as encrypted game balance.
+        </p>
+      </div>
+
+      {tournaments.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-400">No tournaments yet</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {tournaments.map((tournament) => {
+            const status = STATUS_BADGES[tournament.status];
+            return (
+              <Link
+                key={tournament.tournamentId}
+                to={`/tournaments/${tournament.tournamentId}`}
+                className="card block hover:border-primary-500 transition-colors"
+              >
+                <div className="flex items-center justify-between mb-3">
+                  <h2 className="text-xl font-bold">{tournament.name}</h2>
+                  <span className={`badge ${status.className}`}>{status.label}</span>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-400">Entry Fee</p>
+                    <p className="font-bold">
+                      {tournament.entryFee === 0n ? 'Free' : `${ethers.formatEther(tournament.entryFee)} ETH`}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Prize Pool</p>
+                    <p className="font-bold">{ethers.formatEther(tournament.prizePool)} ETH</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400 flex items-center">
+                      <Users className="w-4 h-4 mr-1" />
+                      Players
+                    </p>
+                    <p className="font-bold">
+                      {tournament.playerCount} / {tournament.maxPlayers}
+                    </p>
+                  </div>
+                  <div>
+                    {tournament.champion ? (
+                      <>
+                        <p className="text-gray-400 flex items-center">
+                          <Crown className="w-4 h-4 mr-1 text-yellow-400" />
+                          Champion
+                        </p>
+                        <p className="font-mono">{shortAddress(tournament.champion)}</p>
+                      </>
+                    ) : tournament.status === 'registration' ? (
+                      <>
+                        <p className="text-gray-400 flex items-center">
+                          <Clock className="w-4 h-4 mr-1" />
+                          Registration Ends
+                        </p>
+                        <p className="font-bold">{tournament.registrationEnds.toLocaleString()}</p>
+                      </>
+                    ) : (
+                      <>
+                        <p className="text-gray-400">Round</p>
+                        <p className="font-bold">{tournament.currentRound || '-'}</p>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </Link>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Tournaments;
@@ -0,0 +1,179 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Admin CLI for Confidential Word Game
+ *
+ * Emergency actions for the owner (and the guardian, which may only pause).
+ * Run with the account configured for the network, e.g.:
+ *
+ *   GAME_CONTRACT_ADDRESS=0x... npx hardhat run scripts/admin.js --network zamaDevnet
+ *   GAME_CONTRACT_ADDRESS=0x... node scripts/admin.js pause-room 3
+ */
+
+const COMMANDS = {
+  "pause-room": {
+    usage: "pause-room <roomId>",
+    description: "Close a room and refund the entry fees escrowed by its current game",
+  },
+  pause: {
+    usage: "pause",
+    description: "Pause deposits, room creation, joins, game starts and guesses",
+  },
+  unpause: {
+    usage: "unpause",
+    description: "Lift the contract-wide pause (owner only)",
+  },
+  "set-guardian": {
+    usage: "set-guardian <address>",
+    description: "Set the guardian allowed to pause (0x0 to remove)",
+  },
+};
+
+class GameAdmin {
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * Emergency pause a room and report the refund
+   */
+  async pauseRoom(roomId) {
+    const room = await this.contract.getRoomInfo(roomId);
+
+    if (!room.isActive) {
+      throw new Error(`Room ${roomId} is not active`);
+    }
+
+    console.log(`⏸️  Pausing room ${roomId}...`);
+    console.log(`   Players: ${room.playerAddresses.length}`);
+    console.log(`   Current game: ${room.currentGameId > 0n ? room.currentGameId : "none"}`);
+
+    const tx = await this.contract.emergencyPauseRoom(roomId);
+    console.log(`   Transaction: ${tx.hash}`);
+    const receipt = await tx.wait();
+
+    const paused = receipt.logs
+      .map(log => {
+        try {
+          return this.contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event?.name === "RoomEmergencyPaused");
+
+    console.log(`✅ Room ${roomId} paused (block ${receipt.blockNumber})`);
+
+    if (paused && paused.args.gameId > 0n) {
+      console.log(`💸 Game ${paused.args.gameId} ended without prizes. Refunded ${room.rules.entryFeeCredits} credits to each player who paid the entry fee:`);
+      for (const player of room.playerAddresses) {
+        console.log(`   - ${player}`);
+      }
+    } else {
+      console.log("   No game had started, so no entry fees were escrowed");
+    }
+  }
+
+  /**
+   * Pause or unpause the whole contract
+   */
+  async setPaused(paused) {
+    if ((await this.contract.paused()) === paused) {
+      console.log(`ℹ️  Contract is already ${paused ? "paused" : "running"}`);
+      return;
+    }
+
+    console.log(paused ? "⏸️  Pausing contract..." : "▶️  Unpausing contract...");
+    const tx = paused ? await this.contract.pause() : await this.contract.unpause();
+    console.log(`   Transaction: ${tx.hash}`);
+    const receipt = await tx.wait();
+
+    if (paused) {
+      console.log(`✅ Contract paused (block ${receipt.blockNumber})`);
+      console.log("   Gateway callbacks, withdrawals and round timeouts keep working");
+    } else {
+      console.log(`✅ Contract unpaused (block ${receipt.blockNumber})`);
+    }
+  }
+
+  /**
+   * Set the guardian allowed to pause the contract
+   */
+  async setGuardian(guardian) {
+    const previous = await this.contract.guardian();
+
+    console.log(`🛡️  Setting guardian to ${guardian}...`);
+    const tx = await this.contract.setGuardian(guardian);
+    await tx.wait();
+    console.log(`✅ Guardian updated (previously ${previous})`);
+  }
+}
+
+function printUsage() {
+  console.log("\nUsage:");
+  console.log("  export GAME_CONTRACT_ADDRESS=0x...");
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  node scripts/admin.js ${command.usage.padEnd(24)} ${command.description}`);
+  }
+}
+
+async function main() {
+  const contractAddress = process.env.GAME_CONTRACT_ADDRESS;
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!contractAddress) {
+    console.error("❌ GAME_CONTRACT_ADDRESS environment variable not set");
+    printUsage();
+    process.exit(1);
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(command ? `❌ Unknown command: ${command}` : "❌ No command given");
+    printUsage();
+    process.exit(1);
+  }
+
+  const [signer] = await ethers.getSigners();
+  const contract = await ethers.getContractAt("ConfidentialWordGame", contractAddress, signer);
+
+  console.log("🛠️  Word Game Admin");
+  console.log("===================");
+  console.log("Contract:", contractAddress);
+  console.log("Account:", signer.address);
+  console.log();
+
+  const admin = new GameAdmin(contract);
+
+  switch (command) {
+    case "pause-room":
+      if (!args[0]) {
+        console.error("❌ Room ID required");
+        printUsage();
+        process.exit(1);
+      }
+      await admin.pauseRoom(BigInt(args[0]));
+      break;
+    case "pause":
+    case "unpause":
+      await admin.setPaused(command === "pause");
+      break;
+    case "set-guardian":
+      if (!args[0] || !ethers.isAddress(args[0])) {
+        console.error("❌ Guardian address required");
+        printUsage();
+        process.exit(1);
+      }
+      await admin.setGuardian(args[0]);
+      break;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Fatal error:", error.reason || error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { GameAdmin };
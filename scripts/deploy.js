@@ -13,15 +13,26 @@ async function main() {
   // For development, we use deployer as relayer
   const relayerAddress = deployer.address;
 
+  // Optional guardian that can pause the contract in an emergency
+  const guardianAddress = process.env.GUARDIAN_ADDRESS || null;
+
   console.log("\n📝 Contract Parameters:");
   console.log("- Relayer address:", relayerAddress);
-  console.log("- Entry fee: 10 ETH");
-  console.log("- Max players per room: 5");
-  console.log("- Round time limit: 60 seconds");
+  console.log("- Guardian address:", guardianAddress || "none (owner only)");
+
+  // Deploy the linked round logic library
+  console.log("\n⏳ Deploying RoundLogic library...");
+  const RoundLogic = await ethers.getContractFactory("RoundLogic");
+  const roundLogic = await RoundLogic.deploy();
+  await roundLogic.waitForDeployment();
+  const roundLogicAddress = await roundLogic.getAddress();
+  console.log("📚 RoundLogic:", roundLogicAddress);
 
   // Deploy the contract
   console.log("\n⏳ Deploying contract...");
-  const ConfidentialWordGame = await ethers.getContractFactory("ConfidentialWordGame");
+  const ConfidentialWordGame = await ethers.getContractFactory("ConfidentialWordGame", {
+    libraries: { RoundLogic: roundLogicAddress },
+  });
   const game = await ConfidentialWordGame.deploy(relayerAddress);
 
   await game.waitForDeployment();
@@ -31,11 +42,49 @@ async function main() {
   console.log("\n✅ Contract deployed successfully!");
   console.log("📍 Contract address:", gameAddress);
 
+  if (guardianAddress) {
+    await (await game.setGuardian(guardianAddress)).wait();
+    console.log("🛡️  Guardian:", guardianAddress);
+  }
+
+  // Deploy the season XP ledger and connect it to the game
+  console.log("\n⏳ Deploying XPSeasons...");
+  const XPSeasons = await ethers.getContractFactory("XPSeasons");
+  const seasons = await XPSeasons.deploy(gameAddress);
+  await seasons.waitForDeployment();
+  const seasonsAddress = await seasons.getAddress();
+  await (await game.setSeasons(seasonsAddress)).wait();
+  console.log("🗓️  XPSeasons:", seasonsAddress);
+
+  // Deploy the soulbound badge registry and connect it to the game
+  console.log("\n⏳ Deploying AchievementBadges...");
+  const AchievementBadges = await ethers.getContractFactory("AchievementBadges");
+  const badges = await AchievementBadges.deploy(gameAddress);
+  await badges.waitForDeployment();
+  const badgesAddress = await badges.getAddress();
+  await (await game.setBadges(badgesAddress)).wait();
+  console.log("🏅 AchievementBadges:", badgesAddress);
+
+  // Deploy the tournament layer; it reads rooms and results from the game
+  // and reserves match rooms for their seeded players
+  console.log("\n⏳ Deploying Tournaments...");
+  const Tournaments = await ethers.getContractFactory("Tournaments");
+  const tournaments = await Tournaments.deploy(gameAddress);
+  await tournaments.waitForDeployment();
+  const tournamentsAddress = await tournaments.getAddress();
+  await (await game.setTournaments(tournamentsAddress)).wait();
+  console.log("🏟️  Tournaments:", tournamentsAddress);
+
   // Save deployment info
   const deploymentInfo = {
     network: hre.network.name,
     contractAddress: gameAddress,
+    roundLogicAddress: roundLogicAddress,
+    seasonsAddress: seasonsAddress,
+    badgesAddress: badgesAddress,
+    tournamentsAddress: tournamentsAddress,
     relayerAddress: relayerAddress,
+    guardianAddress: guardianAddress,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString(),
     blockNumber: await ethers.provider.getBlockNumber(),
@@ -47,14 +96,21 @@ async function main() {
   // Verify contract params
   console.log("\n🔍 Verifying contract parameters...");
   const maxPlayers = await game.MAX_PLAYERS_PER_ROOM();
-  const entryFee = await game.ENTRY_FEE();
-  const roundTimeLimit = await game.ROUND_TIME_LIMIT();
+  const creditUnit = await game.CREDIT_UNIT();
+  const defaults = await game.getDefaultRoomRules();
   const relayer = await game.relayer();
 
-  console.log("✓ Max players per room:", maxPlayers.toString());
-  console.log("✓ Entry fee:", ethers.formatEther(entryFee), "ETH");
-  console.log("✓ Round time limit:", roundTimeLimit.toString(), "seconds");
+  console.log("✓ Player cap per room:", maxPlayers.toString());
+  console.log("✓ Credit unit:", ethers.formatEther(creditUnit), "ETH per credit");
   console.log("✓ Relayer:", relayer);
+  console.log("✓ Guardian:", await game.guardian());
+
+  // Each room sets its own rules when created; these are what the UI offers by default
+  console.log("\n🎲 Default room rules (per room, not global):");
+  console.log("- Entry fee:", ethers.formatEther(defaults.entryFeeCredits * creditUnit), "ETH");
+  console.log("- Max players:", defaults.maxPlayers.toString());
+  console.log("- Round time limit:", defaults.roundTimeLimit.toString(), "seconds");
+  console.log("- Attempts per round:", defaults.maxAttempts.toString());
 
   // Write deployment info to file
   const fs = require("fs");
@@ -105,9 +161,13 @@ async function main() {
   console.log("📋 Next Steps:");
   console.log("1. Set environment variable:");
   console.log(`   export GAME_CONTRACT_ADDRESS=${gameAddress}`);
+  console.log(`   export TOURNAMENTS_CONTRACT_ADDRESS=${tournamentsAddress}`);
+  console.log(`   (frontend: VITE_TOURNAMENTS_ADDRESS=${tournamentsAddress})`);
   console.log("\n2. Run relayer service:");
   console.log("   node scripts/relayer.js");
-  console.log("\n3. Test the deployment:");
+  console.log("\n3. Open the first XP season (optional):");
+  console.log(`   XPSeasons at ${seasonsAddress} -> startSeason("Season 1")`);
+  console.log("\n4. Test the deployment:");
   console.log("   npx hardhat test --network", hre.network.name);
 
   return gameAddress;
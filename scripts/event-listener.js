@@ -9,6 +9,7 @@ const path = require("path");
  * - Pretty console output with colors
  * - JSON file logging for analysis
  * - Filtering by room/game/player
+ * - Per-player placement history
  */
 
 // ANSI color codes for terminal
@@ -42,6 +43,8 @@ const emojis = {
   prize: '💰',
   balance: '💵',
   xp: '⭐',
+  season: '🗓️',
+  badge: '🏅',
   relayer: '🤖',
   error: '❌',
   success: '✅',
@@ -49,6 +52,9 @@ const emojis = {
   warning: '⚠️',
 };
 
+// AchievementBadges.Badge enum order
+const BADGE_NAMES = ['First-try solve', 'Speed solver', 'First win', '5-letter champion', '10 wins'];
+
 class EventListener {
   constructor(contractAddress, options = {}) {
     this.contractAddress = contractAddress;
@@ -62,9 +68,12 @@ class EventListener {
     };
 
     this.contract = null;
+    this.seasonsContract = null;
+    this.badgesContract = null;
     this.provider = null;
     this.startTime = Date.now();
     this.eventCount = 0;
+    this.placementHistory = new Map(); // player => [{ gameId, position, stageReached }]
 
     // Ensure logs directory exists
     if (this.options.logToFile) {
@@ -104,6 +113,28 @@ class EventListener {
       this.log('success', `Connected to network: ${network.name} (chainId: ${network.chainId})`);
       this.log('success', `Listening to contract: ${this.contractAddress}`);
 
+      // Season events come from the XPSeasons contract, if the game has one
+      const seasonsAddress = await this.contract.seasons();
+      if (seasonsAddress !== ethers.ZeroAddress) {
+        const seasonsArtifact = JSON.parse(fs.readFileSync(
+          path.join(__dirname, '..', 'artifacts', 'contracts', 'XPSeasons.sol', 'XPSeasons.json'),
+          'utf8'
+        ));
+        this.seasonsContract = new ethers.Contract(seasonsAddress, seasonsArtifact.abi, this.provider);
+        this.log('success', `Listening to seasons: ${seasonsAddress}`);
+      }
+
+      // Badge events come from the AchievementBadges contract, if the game has one
+      const badgesAddress = await this.contract.badges();
+      if (badgesAddress !== ethers.ZeroAddress) {
+        const badgesArtifact = JSON.parse(fs.readFileSync(
+          path.join(__dirname, '..', 'artifacts', 'contracts', 'AchievementBadges.sol', 'AchievementBadges.json'),
+          'utf8'
+        ));
+        this.badgesContract = new ethers.Contract(badgesAddress, badgesArtifact.abi, this.provider);
+        this.log('success', `Listening to badges: ${badgesAddress}`);
+      }
+
       // Display filters if any
       if (this.options.filterRoomId) {
         this.log('info', `Filtering by Room ID: ${this.options.filterRoomId}`);
@@ -132,15 +163,35 @@ class EventListener {
       this.handleRoomCreated(roomId, creator, timestamp, event);
     });
 
+    this.contract.on('RoomRulesSet', (roomId, entryFeeCredits, maxPlayers, roundTimeLimit, maxAttempts, event) => {
+      this.handleRoomRulesSet(roomId, entryFeeCredits, maxPlayers, roundTimeLimit, maxAttempts, event);
+    });
+
+    this.contract.on('RoomAccessUpdated', (roomId, isPrivate, hasJoinCode, event) => {
+      this.handleRoomAccessUpdated(roomId, isPrivate, hasJoinCode, event);
+    });
+
+    this.contract.on('RoomAllowlistUpdated', (roomId, player, allowed, event) => {
+      this.handleRoomAllowlistUpdated(roomId, player, allowed, event);
+    });
+
     this.contract.on('PlayerJoined', (roomId, player, displayName, event) => {
       this.handlePlayerJoined(roomId, player, displayName, event);
     });
 
+    this.contract.on('PlayerLeft', (roomId, player, kicked, event) => {
+      this.handlePlayerLeft(roomId, player, kicked, event);
+    });
+
     // Game events
     this.contract.on('GameStarted', (roomId, gameId, wordLength, startTime, event) => {
       this.handleGameStarted(roomId, gameId, wordLength, startTime, event);
     });
 
+    this.contract.on('StageAdvanced', (roomId, previousGameId, gameId, stage, event) => {
+      this.handleStageAdvanced(roomId, previousGameId, gameId, stage, event);
+    });
+
     this.contract.on('EncryptedWordSet', (gameId, wordLength, event) => {
       this.handleEncryptedWordSet(gameId, wordLength, event);
     });
@@ -159,33 +210,97 @@ class EventListener {
       this.handleRoundCompleted(gameId, qualifiedPlayerCount, qualifiedPlayers, event);
     });
 
+    this.contract.on('QualifiedPlayersRanked', (gameId, ranking, guessTimes, attempts, event) => {
+      this.handleQualifiedPlayersRanked(gameId, ranking, guessTimes, attempts, event);
+    });
+
     this.contract.on('GameEnded', (gameId, winner, timestamp, event) => {
       this.handleGameEnded(gameId, winner, timestamp, event);
     });
 
+    this.contract.on('RoomEmergencyPaused', (roomId, gameId, event) => {
+      this.handleRoomEmergencyPaused(roomId, gameId, event);
+    });
+
+    this.contract.on('WordIndexRevealed', (gameId, wordIndex, wordCommitment, event) => {
+      this.handleWordIndexRevealed(gameId, wordIndex, wordCommitment, event);
+    });
+
+    this.contract.on('WordBankLoaded', (wordLength, wordsAdded, bankSize, event) => {
+      this.handleWordBankLoaded(wordLength, wordsAdded, bankSize, event);
+    });
+
+    this.contract.on('WordRevealed', (gameId, word, salt, event) => {
+      this.handleWordRevealed(gameId, word, salt, event).catch((error) => {
+        console.error('Error checking word reveal:', error.message);
+      });
+    });
+
+    this.contract.on('WordRevealVerified', (gameId, matchesPlayedWord, event) => {
+      this.handleWordRevealVerified(gameId, matchesPlayedWord, event);
+    });
+
     // Prize events
     this.contract.on('PrizeDistributed', (gameId, player, position, event) => {
       this.handlePrizeDistributed(gameId, player, position, event);
     });
 
+    this.contract.on('PlacementRecorded', (gameId, player, position, stageReached, event) => {
+      this.handlePlacementRecorded(gameId, player, position, stageReached, event);
+    });
+
     // Balance events
     this.contract.on('BalanceDeposited', (player, timestamp, event) => {
       this.handleBalanceDeposited(player, timestamp, event);
     });
 
-    this.contract.on('BalanceWithdrawn', (player, amount, timestamp, event) => {
-      this.handleBalanceWithdrawn(player, amount, timestamp, event);
+    this.contract.on('BalanceRevealed', (player, amount, timestamp, event) => {
+      this.handleBalanceRevealed(player, amount, timestamp, event);
+    });
+
+    this.contract.on('WithdrawalRequested', (player, gatewayRequestId, event) => {
+      this.handleWithdrawalRequested(player, gatewayRequestId, event);
+    });
+
+    this.contract.on('BalanceWithdrawn', (player, credits, amountWei, timestamp, event) => {
+      this.handleBalanceWithdrawn(player, credits, amountWei, timestamp, event);
+    });
+
+    this.contract.on('WithdrawalFailed', (player, gatewayRequestId, credits, event) => {
+      this.handleWithdrawalFailed(player, gatewayRequestId, credits, event);
     });
 
     this.contract.on('BalanceCheckRequested', (player, gatewayRequestId, event) => {
       this.handleBalanceCheckRequested(player, gatewayRequestId, event);
     });
 
+    this.contract.on('GatewayRequestCancelled', (gatewayRequestId, player, gameId, event) => {
+      this.handleGatewayRequestCancelled(gatewayRequestId, player, gameId, event);
+    });
+
     // XP events
-    this.contract.on('XPAwarded', (player, amount, reason, event) => {
-      this.handleXPAwarded(player, amount, reason, event);
+    this.contract.on('XPAwarded', (player, amount, reason, season, event) => {
+      this.handleXPAwarded(player, amount, reason, season, event);
     });
 
+    // Season events
+    if (this.seasonsContract) {
+      this.seasonsContract.on('SeasonStarted', (seasonId, name, startTime, event) => {
+        this.handleSeasonStarted(seasonId, name, startTime, event);
+      });
+
+      this.seasonsContract.on('SeasonEnded', (seasonId, endTime, topPlayers, topXP, event) => {
+        this.handleSeasonEnded(seasonId, endTime, topPlayers, topXP, event);
+      });
+    }
+
+    // Badge events
+    if (this.badgesContract) {
+      this.badgesContract.on('BadgeAwarded', (player, badge, tokenId, event) => {
+        this.handleBadgeAwarded(player, badge, tokenId, event);
+      });
+    }
+
     // Relayer events
     this.contract.on('RelayerProposed', (currentRelayer, proposedRelayer, effectiveTime, event) => {
       this.handleRelayerProposed(currentRelayer, proposedRelayer, effectiveTime, event);
@@ -198,6 +313,19 @@ class EventListener {
     this.contract.on('RelayerTransferCanceled', (canceledRelayer, event) => {
       this.handleRelayerTransferCanceled(canceledRelayer, event);
     });
+
+    // Circuit breaker events
+    this.contract.on('Paused', (account, event) => {
+      this.handlePauseChanged(true, account, event);
+    });
+
+    this.contract.on('Unpaused', (account, event) => {
+      this.handlePauseChanged(false, account, event);
+    });
+
+    this.contract.on('GuardianUpdated', (previousGuardian, newGuardian, event) => {
+      this.handleGuardianUpdated(previousGuardian, newGuardian, event);
+    });
   }
 
   // Event Handlers
@@ -218,6 +346,56 @@ class EventListener {
     });
   }
 
+  handleRoomRulesSet(roomId, entryFeeCredits, maxPlayers, roundTimeLimit, maxAttempts, event) {
+    if (this.shouldFilter({ roomId })) return;
+
+    this.logEvent({
+      type: 'RoomRulesSet',
+      emoji: emojis.room,
+      color: colors.cyan,
+      data: {
+        roomId: roomId.toString(),
+        entryFeeCredits: entryFeeCredits.toString(),
+        maxPlayers: Number(maxPlayers),
+        roundTimeLimit: `${roundTimeLimit.toString()}s`,
+        maxAttempts: Number(maxAttempts),
+      },
+      event,
+    });
+  }
+
+  handleRoomAccessUpdated(roomId, isPrivate, hasJoinCode, event) {
+    if (this.shouldFilter({ roomId })) return;
+
+    this.logEvent({
+      type: 'RoomAccessUpdated',
+      emoji: emojis.room,
+      color: colors.yellow,
+      data: {
+        roomId: roomId.toString(),
+        isPrivate,
+        hasJoinCode,
+      },
+      event,
+    });
+  }
+
+  handleRoomAllowlistUpdated(roomId, player, allowed, event) {
+    if (this.shouldFilter({ roomId })) return;
+
+    this.logEvent({
+      type: 'RoomAllowlistUpdated',
+      emoji: emojis.player,
+      color: colors.yellow,
+      data: {
+        roomId: roomId.toString(),
+        player,
+        allowed,
+      },
+      event,
+    });
+  }
+
   handlePlayerJoined(roomId, player, displayName, event) {
     if (this.shouldFilter({ roomId })) return;
 
@@ -234,6 +412,22 @@ class EventListener {
     });
   }
 
+  handlePlayerLeft(roomId, player, kicked, event) {
+    if (this.shouldFilter({ roomId })) return;
+
+    this.logEvent({
+      type: kicked ? 'PlayerKicked' : 'PlayerLeft',
+      emoji: emojis.player,
+      color: kicked ? colors.red : colors.yellow,
+      data: {
+        roomId: roomId.toString(),
+        player,
+        kicked,
+      },
+      event,
+    });
+  }
+
   handleGameStarted(roomId, gameId, wordLength, startTime, event) {
     if (this.shouldFilter({ roomId, gameId })) return;
 
@@ -251,6 +445,23 @@ class EventListener {
     });
   }
 
+  handleStageAdvanced(roomId, previousGameId, gameId, stage, event) {
+    if (this.shouldFilter({ roomId, gameId })) return;
+
+    this.logEvent({
+      type: 'StageAdvanced',
+      emoji: '⏭️',
+      color: colors.magenta,
+      data: {
+        roomId: roomId.toString(),
+        previousGameId: previousGameId.toString(),
+        gameId: gameId.toString(),
+        stage: stage.toString(),
+      },
+      event,
+    });
+  }
+
   handleEncryptedWordSet(gameId, wordLength, event) {
     if (this.shouldFilter({ gameId })) return;
 
@@ -266,6 +477,71 @@ class EventListener {
     });
   }
 
+  handleWordIndexRevealed(gameId, wordIndex, wordCommitment, event) {
+    if (this.shouldFilter({ gameId })) return;
+
+    this.logEvent({
+      type: 'WordIndexRevealed',
+      emoji: '🔢',
+      color: colors.cyan,
+      data: {
+        gameId: gameId.toString(),
+        wordIndex: wordIndex.toString(),
+        wordCommitment,
+      },
+      event,
+    });
+  }
+
+  handleWordBankLoaded(wordLength, wordsAdded, bankSize, event) {
+    this.logEvent({
+      type: 'WordBankLoaded',
+      emoji: '📚',
+      color: colors.blue,
+      data: {
+        wordLength: wordLength.toString(),
+        wordsAdded: wordsAdded.toString(),
+        bankSize: bankSize.toString(),
+      },
+      event,
+    });
+  }
+
+  async handleWordRevealed(gameId, word, salt, event) {
+    if (this.shouldFilter({ gameId })) return;
+
+    const round = await this.contract.gameRounds(gameId);
+    const computed = ethers.solidityPackedKeccak256(['string', 'bytes32'], [word, salt]);
+
+    this.logEvent({
+      type: 'WordRevealed',
+      emoji: '🔓',
+      color: colors.green,
+      data: {
+        gameId: gameId.toString(),
+        word,
+        salt,
+        matchesCommitment: computed === round.wordCommitment,
+      },
+      event,
+    });
+  }
+
+  handleWordRevealVerified(gameId, matchesPlayedWord, event) {
+    if (this.shouldFilter({ gameId })) return;
+
+    this.logEvent({
+      type: 'WordRevealVerified',
+      emoji: matchesPlayedWord ? '✅' : '❌',
+      color: matchesPlayedWord ? colors.green : colors.red,
+      data: {
+        gameId: gameId.toString(),
+        matchesPlayedWord,
+      },
+      event,
+    });
+  }
+
   handleGuessSubmitted(gameId, player, gatewayRequestId, attemptNumber, event) {
     if (this.shouldFilter({ gameId, player })) return;
 
@@ -316,6 +592,26 @@ class EventListener {
     });
   }
 
+  handleQualifiedPlayersRanked(gameId, ranking, guessTimes, attempts, event) {
+    if (this.shouldFilter({ gameId })) return;
+
+    this.logEvent({
+      type: 'QualifiedPlayersRanked',
+      emoji: '📊',
+      color: colors.blue,
+      data: {
+        gameId: gameId.toString(),
+        ranking: ranking.map((player, idx) => ({
+          position: idx + 1,
+          player,
+          guessTime: new Date(Number(guessTimes[idx]) * 1000).toISOString(),
+          attempt: Number(attempts[idx]),
+        })),
+      },
+      event,
+    });
+  }
+
   handleGameEnded(gameId, winner, timestamp, event) {
     if (this.shouldFilter({ gameId })) return;
 
@@ -332,6 +628,30 @@ class EventListener {
     });
   }
 
+  async handleRoomEmergencyPaused(roomId, gameId, event) {
+    if (this.shouldFilter({ roomId, gameId })) return;
+
+    const data = {
+      roomId: roomId.toString(),
+      gameId: gameId > 0n ? gameId.toString() : 'No game started',
+    };
+
+    // Only players whose encrypted feePaid flag is set actually get credits back
+    if (gameId > 0n) {
+      const room = await this.contract.getRoomInfo(roomId);
+      data.refund = `${room.rules.entryFeeCredits} credits per fee-paying player`;
+      data.players = room.playerAddresses.join(', ');
+    }
+
+    this.logEvent({
+      type: 'RoomEmergencyPaused',
+      emoji: '🚨',
+      color: colors.bright + colors.red,
+      data,
+      event,
+    });
+  }
+
   handlePrizeDistributed(gameId, player, position, event) {
     if (this.shouldFilter({ gameId, player })) return;
 
@@ -348,6 +668,32 @@ class EventListener {
     });
   }
 
+  handlePlacementRecorded(gameId, player, position, stageReached, event) {
+    const history = this.placementHistory.get(player) || [];
+    history.push({
+      gameId: gameId.toString(),
+      position: Number(position),
+      stageReached: Number(stageReached),
+    });
+    this.placementHistory.set(player, history);
+
+    if (this.shouldFilter({ gameId, player })) return;
+
+    this.logEvent({
+      type: 'PlacementRecorded',
+      emoji: '🏅',
+      color: colors.yellow,
+      data: {
+        gameId: gameId.toString(),
+        player,
+        position: this.formatPosition(position),
+        stageReached: `${stageReached} letters`,
+        history: this.formatPlacementHistory(player),
+      },
+      event,
+    });
+  }
+
   handleBalanceDeposited(player, timestamp, event) {
     if (this.shouldFilter({ player })) return;
 
@@ -363,12 +709,12 @@ class EventListener {
     });
   }
 
-  handleBalanceWithdrawn(player, amount, timestamp, event) {
+  handleBalanceRevealed(player, amount, timestamp, event) {
     if (this.shouldFilter({ player })) return;
 
     this.logEvent({
-      type: 'BalanceWithdrawn',
-      emoji: '💸',
+      type: 'BalanceRevealed',
+      emoji: '🔓',
       color: colors.yellow,
       data: {
         player,
@@ -379,6 +725,55 @@ class EventListener {
     });
   }
 
+  handleWithdrawalRequested(player, gatewayRequestId, event) {
+    if (this.shouldFilter({ player })) return;
+
+    this.logEvent({
+      type: 'WithdrawalRequested',
+      emoji: '🏧',
+      color: colors.cyan,
+      data: {
+        player,
+        gatewayRequestId: gatewayRequestId.toString(),
+      },
+      event,
+    });
+  }
+
+  handleBalanceWithdrawn(player, credits, amountWei, timestamp, event) {
+    if (this.shouldFilter({ player })) return;
+
+    this.logEvent({
+      type: 'BalanceWithdrawn',
+      emoji: '💸',
+      color: colors.green,
+      data: {
+        player,
+        credits: credits.toString(),
+        amount: `${ethers.formatEther(amountWei)} ETH`,
+        timestamp: new Date(Number(timestamp) * 1000).toISOString(),
+      },
+      event,
+    });
+  }
+
+  handleWithdrawalFailed(player, gatewayRequestId, credits, event) {
+    if (this.shouldFilter({ player })) return;
+
+    this.logEvent({
+      type: 'WithdrawalFailed',
+      emoji: emojis.error,
+      color: colors.red,
+      data: {
+        player,
+        gatewayRequestId: gatewayRequestId.toString(),
+        credits: credits.toString(),
+        reason: credits.toString() === '0' ? 'Insufficient balance' : 'Payout failed, credits restored',
+      },
+      event,
+    });
+  }
+
   handleBalanceCheckRequested(player, gatewayRequestId, event) {
     if (this.shouldFilter({ player })) return;
 
@@ -394,7 +789,25 @@ class EventListener {
     });
   }
 
-  handleXPAwarded(player, amount, reason, event) {
+  handleGatewayRequestCancelled(gatewayRequestId, player, gameId, event) {
+    if (this.shouldFilter({ gameId, player })) return;
+
+    const isGuess = gameId.toString() !== '0';
+
+    this.logEvent({
+      type: 'GatewayRequestCancelled',
+      emoji: '🧹',
+      color: colors.yellow,
+      data: {
+        gatewayRequestId: gatewayRequestId.toString(),
+        player,
+        request: isGuess ? `Guess in game ${gameId.toString()}` : 'Balance check or withdrawal',
+      },
+      event,
+    });
+  }
+
+  handleXPAwarded(player, amount, reason, season, event) {
     if (this.shouldFilter({ player })) return;
 
     this.logEvent({
@@ -405,6 +818,49 @@ class EventListener {
         player,
         amount: amount.toString(),
         reason,
+        season: season.toString() === '0' ? 'none' : season.toString(),
+      },
+      event,
+    });
+  }
+
+  handleSeasonStarted(seasonId, name, startTime, event) {
+    this.logEvent({
+      type: 'SeasonStarted',
+      emoji: emojis.season,
+      color: colors.bright + colors.magenta,
+      data: {
+        seasonId: seasonId.toString(),
+        name,
+        startTime: new Date(Number(startTime) * 1000).toISOString(),
+      },
+      event,
+    });
+  }
+
+  handleSeasonEnded(seasonId, endTime, topPlayers, topXP, event) {
+    this.logEvent({
+      type: 'SeasonEnded',
+      emoji: emojis.season,
+      color: colors.bright + colors.magenta,
+      data: {
+        seasonId: seasonId.toString(),
+        endTime: new Date(Number(endTime) * 1000).toISOString(),
+        standings: topPlayers.map((player, i) => `${i + 1}. ${player} (${topXP[i]} XP)`),
+      },
+      event,
+    });
+  }
+
+  handleBadgeAwarded(player, badge, tokenId, event) {
+    this.logEvent({
+      type: 'BadgeAwarded',
+      emoji: emojis.badge,
+      color: colors.bright + colors.yellow,
+      data: {
+        player,
+        badge: BADGE_NAMES[Number(badge)] || `#${badge}`,
+        tokenId: tokenId.toString(),
       },
       event,
     });
@@ -449,6 +905,34 @@ class EventListener {
     });
   }
 
+  handlePauseChanged(paused, account, event) {
+    this.logEvent({
+      type: paused ? 'Paused' : 'Unpaused',
+      emoji: paused ? '⏸️' : '▶️',
+      color: paused ? colors.bright + colors.red : colors.green,
+      data: {
+        by: account,
+        status: paused
+          ? 'Deposits, rooms, joins, game starts and guesses blocked'
+          : 'All actions available',
+      },
+      event,
+    });
+  }
+
+  handleGuardianUpdated(previousGuardian, newGuardian, event) {
+    this.logEvent({
+      type: 'GuardianUpdated',
+      emoji: emojis.warning,
+      color: colors.yellow,
+      data: {
+        previousGuardian,
+        newGuardian: newGuardian === ethers.ZeroAddress ? 'None' : newGuardian,
+      },
+      event,
+    });
+  }
+
   // Utility Methods
 
   shouldFilter({ roomId, gameId, player }) {
@@ -520,6 +1004,19 @@ class EventListener {
     return value;
   }
 
+  formatPosition(position) {
+    const n = Number(position);
+    const suffix = n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th';
+    return `${n}${suffix}`;
+  }
+
+  formatPlacementHistory(player) {
+    const history = this.placementHistory.get(player) || [];
+    return history
+      .map(p => `${this.formatPosition(p.position)} (game ${p.gameId})`)
+      .join(', ');
+  }
+
   formatAddress(address) {
     if (address === ethers.ZeroAddress) {
       return '0x0 (zero address)';
@@ -543,6 +1040,13 @@ class EventListener {
     console.log(`${emojis.info} Events captured: ${this.eventCount}`);
     console.log(`${emojis.info} Uptime: ${uptime}s`);
     console.log(`${emojis.info} Log file: ${this.options.logFilePath}`);
+
+    if (this.placementHistory.size > 0) {
+      console.log(`\n${colors.bright}=== Placement History ===${colors.reset}`);
+      for (const player of this.placementHistory.keys()) {
+        console.log(`  ${this.formatAddress(player)}: ${this.formatPlacementHistory(player)}`);
+      }
+    }
   }
 
   stop() {
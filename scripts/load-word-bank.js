@@ -0,0 +1,273 @@
+const { ethers, network } = require("hardhat");
+const { createInstance } = require("fhevmjs");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Word Bank Loader for Confidential Word Game
+ *
+ * Encrypts words from a file and loads them into the contract's word bank in
+ * batches (owner only). Each word is stored with a salted commitment; the
+ * words and salts are saved to secrets/<network>-word-bank.json (or
+ * WORD_BANK_SECRETS) so the owner can reveal each round's word with
+ * scripts/reveal-words.js. Keep that file off the relayer host.
+ *
+ * Word files are plain text (one word per line, # for comments) or JSON
+ * (an array of words, or an object of arrays keyed by length).
+ */
+
+const DEFAULT_WORD_FILE = path.join(__dirname, "wordlists", "default.txt");
+const DEFAULT_BATCH_SIZE = 8;
+
+/**
+ * Where the word bank's words and salts live; never under deployments/
+ */
+function wordSecretsPath() {
+  return process.env.WORD_BANK_SECRETS ||
+    path.join(__dirname, "..", "secrets", `${network.name}-word-bank.json`);
+}
+
+/**
+ * Read words from a text or JSON file
+ */
+function readWordFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+
+  if (path.extname(filePath) === ".json") {
+    const data = JSON.parse(content);
+    return Array.isArray(data) ? data : Object.values(data).flat();
+  }
+
+  return content
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"));
+}
+
+/**
+ * Group valid, unique words by length
+ */
+function groupWordsByLength(words, minLength, maxLength) {
+  const groups = new Map();
+
+  for (const raw of words) {
+    const word = String(raw).trim().toUpperCase();
+
+    if (!/^[A-Z]+$/.test(word) || word.length < minLength || word.length > maxLength) {
+      console.log(`⚠️  Skipping invalid word: ${raw}`);
+      continue;
+    }
+
+    if (!groups.has(word.length)) groups.set(word.length, new Set());
+    groups.get(word.length).add(word);
+  }
+
+  return groups;
+}
+
+class WordBankLoader {
+  constructor(contractAddress, signer, provider) {
+    this.contractAddress = contractAddress;
+    this.signer = signer;
+    this.provider = provider;
+    this.fhevmInstance = null;
+    this.contract = null;
+
+    // Word and salt per commitment, read by scripts/reveal-words.js
+    this.secretsPath = wordSecretsPath();
+    this.secrets = {};
+  }
+
+  async initialize() {
+    const artifactPath = path.join(
+      __dirname,
+      "..",
+      "artifacts",
+      "contracts",
+      "ConfidentialWordGame.sol",
+      "ConfidentialWordGame.json"
+    );
+
+    const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+    this.contract = new ethers.Contract(
+      this.contractAddress,
+      artifact.abi,
+      this.signer
+    );
+
+    try {
+      this.fhevmInstance = await createInstance({
+        chainId: await this.provider.getNetwork().then(n => Number(n.chainId)),
+        networkUrl: this.provider.connection?.url || "http://localhost:8545",
+        gatewayUrl: process.env.GATEWAY_URL || "http://localhost:7077"
+      });
+      console.log("✅ FHE instance initialized");
+    } catch (error) {
+      console.error("❌ Failed to initialize FHE instance:", error.message);
+      console.log("⚠️  Continuing without FHE (for local testing)");
+    }
+
+    if (fs.existsSync(this.secretsPath)) {
+      this.secrets = JSON.parse(fs.readFileSync(this.secretsPath, "utf8"));
+    }
+  }
+
+  saveSecrets() {
+    fs.mkdirSync(path.dirname(this.secretsPath), { recursive: true });
+    fs.writeFileSync(this.secretsPath, JSON.stringify(this.secrets, null, 2));
+  }
+
+  /**
+   * Salted hash commitment of a word, matching the contract's reveal check
+   */
+  commitWord(word) {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = ethers.solidityPackedKeccak256(["string", "bytes32"], [word, salt]);
+    return { salt, commitment };
+  }
+
+  /**
+   * Encrypt word letters using FHE
+   */
+  encryptWord(word) {
+    const encryptedLetters = [];
+    const inputProofs = [];
+
+    for (const letter of word.split("")) {
+      const letterCode = letter.charCodeAt(0); // 65-90 for A-Z
+
+      if (this.fhevmInstance) {
+        const encrypted = this.fhevmInstance.encrypt8(letterCode);
+        encryptedLetters.push(encrypted.data);
+        inputProofs.push(encrypted.signature || "0x");
+      } else {
+        // Mock encryption for local testing
+        encryptedLetters.push(ethers.toBeHex(letterCode, 32));
+        inputProofs.push("0x");
+      }
+    }
+
+    return { encryptedLetters, inputProofs };
+  }
+
+  /**
+   * Load one word length's words, skipping any already in the bank
+   */
+  async loadWords(wordLength, words, batchSize) {
+    const maxSize = Number(await this.contract.MAX_WORD_BANK_SIZE());
+    const bankSize = Number(await this.contract.getWordBankSize(wordLength));
+
+    const loaded = new Set(
+      Object.values(this.secrets)
+        .filter(secret => secret.loaded && secret.word.length === wordLength)
+        .map(secret => secret.word)
+    );
+    let pending = words.filter(word => !loaded.has(word));
+
+    const room = maxSize - bankSize;
+    if (pending.length > room) {
+      console.log(`⚠️  Bank for ${wordLength} letters has room for ${room} more; skipping ${pending.length - room}`);
+      pending = pending.slice(0, room);
+    }
+
+    if (pending.length === 0) {
+      console.log(`✓ ${wordLength}-letter bank: nothing to load (${bankSize}/${maxSize})`);
+      return;
+    }
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      const encryptedLetters = [];
+      const inputProofs = [];
+      const commitments = [];
+
+      for (const word of batch) {
+        const encrypted = this.encryptWord(word);
+        const { salt, commitment } = this.commitWord(word);
+
+        encryptedLetters.push(...encrypted.encryptedLetters);
+        inputProofs.push(...encrypted.inputProofs);
+        commitments.push(commitment);
+        this.secrets[commitment] = { word, salt, loaded: false };
+      }
+
+      // Save salts before submitting so a crash can't lose them
+      this.saveSecrets();
+
+      const tx = await this.contract.addWordsToBank(
+        wordLength,
+        encryptedLetters,
+        inputProofs,
+        commitments,
+        {
+          gasLimit: 10000000 // High gas limit for FHE operations
+        }
+      );
+      const receipt = await tx.wait();
+
+      for (const commitment of commitments) {
+        this.secrets[commitment].loaded = true;
+      }
+      this.saveSecrets();
+
+      console.log(`📥 Loaded ${batch.length} ${wordLength}-letter word(s). Gas used: ${receipt.gasUsed}`);
+    }
+
+    const newSize = await this.contract.getWordBankSize(wordLength);
+    console.log(`✅ ${wordLength}-letter bank: ${newSize}/${maxSize} words`);
+  }
+
+  async load(filePath, batchSize) {
+    await this.initialize();
+
+    const minLength = Number(await this.contract.INITIAL_WORD_LENGTH());
+    const maxLength = Number(await this.contract.MAX_WORD_LENGTH());
+    const groups = groupWordsByLength(readWordFile(filePath), minLength, maxLength);
+
+    for (const [wordLength, words] of [...groups.entries()].sort((a, b) => a[0] - b[0])) {
+      await this.loadWords(wordLength, [...words], batchSize);
+    }
+
+    console.log(`\n🔏 Word secrets saved to ${this.secretsPath}`);
+    console.log("   Keep this file private; reveal words with scripts/reveal-words.js.");
+  }
+}
+
+// Main execution
+async function main() {
+  const contractAddress = process.env.GAME_CONTRACT_ADDRESS;
+
+  if (!contractAddress) {
+    console.error("❌ GAME_CONTRACT_ADDRESS environment variable not set");
+    console.log("\nUsage:");
+    console.log("  export GAME_CONTRACT_ADDRESS=0x...");
+    console.log("  node scripts/load-word-bank.js [word-file] [batch-size]");
+    process.exit(1);
+  }
+
+  const filePath = process.argv[2] || process.env.WORD_BANK_FILE || DEFAULT_WORD_FILE;
+  const batchSize = Number(process.argv[3] || process.env.WORD_BANK_BATCH_SIZE || DEFAULT_BATCH_SIZE);
+
+  const [signer] = await ethers.getSigners();
+
+  console.log("📚 Word Bank Loader");
+  console.log("===================");
+  console.log("Contract:", contractAddress);
+  console.log("Owner:", signer.address);
+  console.log("Word file:", filePath);
+  console.log("Batch size:", batchSize);
+  console.log();
+
+  const loader = new WordBankLoader(contractAddress, signer, signer.provider);
+  await loader.load(filePath, batchSize);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { WordBankLoader, readWordFile, groupWordsByLength, wordSecretsPath };
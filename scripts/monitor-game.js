@@ -9,9 +9,13 @@ const path = require("path");
  * - Active rooms and player counts
  * - Ongoing games with countdown timers
  * - Recent winners and prize distributions
+ * - Final qualifier rankings for completed rounds
  * - Game statistics and analytics
  */
 
+// IDs per call to the contract's paginated views
+const PAGE_SIZE = 50;
+
 // ANSI color codes
 const colors = {
   reset: '\x1b[0m',
@@ -38,6 +42,7 @@ class GameMonitor {
       activeRooms: [],
       activeGames: [],
       recentWinners: [],
+      recentRankings: [],
       totalPlayersActive: 0,
     };
   }
@@ -71,9 +76,7 @@ class GameMonitor {
       console.log(`${colors.green}✅ Connected to network: ${network.name}${colors.reset}`);
       console.log(`${colors.green}✅ Contract: ${this.contractAddress}${colors.reset}\n`);
 
-      // Get initial counters
-      this.stats.totalRooms = await this.contract.roomCounter();
-      this.stats.totalGames = await this.contract.gameCounter();
+      await this.fetchCounters();
 
     } catch (error) {
       console.error(`${colors.red}❌ Failed to initialize: ${error.message}${colors.reset}`);
@@ -81,64 +84,78 @@ class GameMonitor {
     }
   }
 
-  async fetchActiveRooms() {
-    const activeRooms = [];
-
-    for (let roomId = 1; roomId <= this.stats.totalRooms; roomId++) {
-      try {
-        const roomInfo = await this.contract.getRoomInfo(roomId);
-
-        if (roomInfo.isActive) {
-          activeRooms.push({
-            roomId,
-            creator: roomInfo.creator,
-            playerCount: roomInfo.playerCount,
-            createdAt: new Date(roomInfo.createdAt.toNumber() * 1000),
-            currentGameId: roomInfo.currentGameId.toNumber(),
-            players: roomInfo.playerAddresses,
-          });
-        }
-      } catch (error) {
-        // Room might not exist or error fetching
-        continue;
-      }
-    }
+  async fetchCounters() {
+    [this.stats.totalRooms, this.stats.totalGames] = await Promise.all([
+      this.contract.roomCounter(),
+      this.contract.gameCounter(),
+    ]);
+  }
+
+  /**
+   * Collect every ID from a paginated (offset, limit) => (ids, total) view
+   */
+  async fetchAllIds(fetchPage) {
+    const ids = [];
+    let total;
+    do {
+      const [page, pageTotal] = await fetchPage(ids.length, PAGE_SIZE);
+      if (page.length === 0) break;
+      ids.push(...page.map(Number));
+      total = Number(pageTotal);
+    } while (ids.length < total);
+    return ids;
+  }
 
-    this.stats.activeRooms = activeRooms;
+  async fetchActiveRooms() {
+    const roomIds = await this.fetchAllIds(
+      (offset, limit) => this.contract.getActiveRooms(offset, limit)
+    );
+
+    const activeRooms = await Promise.all(roomIds.map(async (roomId) => {
+      const roomInfo = await this.contract.getRoomInfo(roomId);
+
+      return {
+        roomId,
+        creator: roomInfo.creator,
+        playerCount: Number(roomInfo.playerCount),
+        createdAt: new Date(Number(roomInfo.createdAt) * 1000),
+        currentGameId: Number(roomInfo.currentGameId),
+        players: roomInfo.playerAddresses,
+        maxPlayers: Number(roomInfo.rules.maxPlayers),
+      };
+    }));
+
+    // The active room list is unordered
+    this.stats.activeRooms = activeRooms.sort((a, b) => a.roomId - b.roomId);
     this.stats.totalPlayersActive = activeRooms.reduce((sum, room) => sum + room.playerCount, 0);
   }
 
   async fetchActiveGames() {
-    const activeGames = [];
-
-    for (let gameId = 1; gameId <= this.stats.totalGames; gameId++) {
-      try {
-        const gameInfo = await this.contract.getGameInfo(gameId);
-
-        if (!gameInfo.isComplete) {
-          const now = Math.floor(Date.now() / 1000);
-          const endTime = gameInfo.roundEndTime.toNumber();
-          const timeLeft = Math.max(0, endTime - now);
-
-          const qualifiedPlayers = await this.contract.getQualifiedPlayers(gameId);
-
-          activeGames.push({
-            gameId,
-            roomId: gameInfo.roomId.toNumber(),
-            wordLength: gameInfo.wordLength,
-            startTime: new Date(gameInfo.roundStartTime.toNumber() * 1000),
-            endTime: new Date(endTime * 1000),
-            timeLeft,
-            qualifiedPlayerCount: gameInfo.qualifiedPlayerCount,
-            qualifiedPlayers,
-          });
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-
-    this.stats.activeGames = activeGames;
+    const gameIds = await this.fetchAllIds(
+      (offset, limit) => this.contract.getActiveGames(offset, limit)
+    );
+    const now = Math.floor(Date.now() / 1000);
+
+    const activeGames = await Promise.all(gameIds.map(async (gameId) => {
+      const [gameInfo, qualifiedPlayers] = await Promise.all([
+        this.contract.getGameInfo(gameId),
+        this.contract.getQualifiedPlayers(gameId),
+      ]);
+      const endTime = Number(gameInfo.roundEndTime);
+
+      return {
+        gameId,
+        roomId: Number(gameInfo.roomId),
+        wordLength: Number(gameInfo.wordLength),
+        startTime: new Date(Number(gameInfo.roundStartTime) * 1000),
+        endTime: new Date(endTime * 1000),
+        timeLeft: Math.max(0, endTime - now),
+        qualifiedPlayerCount: Number(gameInfo.qualifiedPlayerCount),
+        qualifiedPlayers,
+      };
+    }));
+
+    this.stats.activeGames = activeGames.sort((a, b) => a.gameId - b.gameId);
   }
 
   async fetchRecentWinners(limit = 5) {
@@ -171,6 +188,38 @@ class GameMonitor {
     this.stats.recentWinners = winners.reverse(); // Most recent first
   }
 
+  async fetchRecentRankings(limit = 3) {
+    const rankings = [];
+
+    const currentBlock = await this.provider.getBlockNumber();
+    const fromBlock = Math.max(0, currentBlock - 1000); // Last ~1000 blocks
+
+    try {
+      const filter = this.contract.filters.QualifiedPlayersRanked();
+      const events = await this.contract.queryFilter(filter, fromBlock, currentBlock);
+
+      for (const event of events.slice(-limit)) {
+        const [gameId, ranking, guessTimes, attempts] = event.args;
+        const gameInfo = await this.contract.getGameInfo(gameId);
+        const roundStart = Number(gameInfo.roundStartTime);
+
+        rankings.push({
+          gameId: gameId.toString(),
+          roomId: Number(gameInfo.roomId),
+          players: ranking.map((player, idx) => ({
+            player,
+            secondsIn: Number(guessTimes[idx]) - roundStart,
+            attempt: Number(attempts[idx]),
+          })),
+        });
+      }
+    } catch (error) {
+      // Might fail on some networks
+    }
+
+    this.stats.recentRankings = rankings.reverse(); // Most recent first
+  }
+
   clearScreen() {
     console.clear();
   }
@@ -209,7 +258,7 @@ class GameMonitor {
           `${colors.yellow}Waiting${colors.reset}`;
 
         console.log(`  ${colors.bright}Room #${room.roomId}${colors.reset}`);
-        console.log(`    Players: ${room.playerCount}/5`);
+        console.log(`    Players: ${room.playerCount}/${room.maxPlayers}`);
         console.log(`    Status: ${gameStatus}`);
         console.log(`    Creator: ${this.formatAddress(room.creator)}`);
         console.log(`    Age: ${this.getAge(room.createdAt)}`);
@@ -265,6 +314,30 @@ class GameMonitor {
     }
   }
 
+  displayRecentRankings() {
+    console.log(`${colors.bright}${colors.green}🏁 ROUND RANKINGS${colors.reset}`);
+    console.log(`${colors.dim}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+
+    if (this.stats.recentRankings.length === 0) {
+      console.log(`  ${colors.dim}No ranked rounds yet${colors.reset}`);
+    } else {
+      this.stats.recentRankings.forEach(round => {
+        console.log(`  ${colors.bright}Game #${round.gameId}${colors.reset} ${colors.dim}(Room #${round.roomId})${colors.reset}`);
+
+        if (round.players.length === 0) {
+          console.log(`    ${colors.dim}No qualified players${colors.reset}`);
+        }
+        round.players.forEach((entry, idx) => {
+          console.log(
+            `    ${idx + 1}. ${this.formatAddress(entry.player)} ` +
+            `${colors.dim}+${entry.secondsIn}s, attempt ${entry.attempt}${colors.reset}`
+          );
+        });
+        console.log();
+      });
+    }
+  }
+
   displayFooter() {
     console.log(`${colors.dim}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
     console.log(`${colors.dim}Press Ctrl+C to exit${colors.reset}\n`);
@@ -273,9 +346,11 @@ class GameMonitor {
   async refresh() {
     try {
       await Promise.all([
+        this.fetchCounters(),
         this.fetchActiveRooms(),
         this.fetchActiveGames(),
         this.fetchRecentWinners(),
+        this.fetchRecentRankings(),
       ]);
 
       this.clearScreen();
@@ -284,6 +359,7 @@ class GameMonitor {
       this.displayActiveRooms();
       this.displayActiveGames();
       this.displayRecentWinners();
+      this.displayRecentRankings();
       this.displayFooter();
 
     } catch (error) {
@@ -1,5 +1,4 @@
-const { ethers } = require("hardhat");
-const { createInstance } = require("fhevmjs");
+const { ethers, network } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
@@ -7,29 +6,66 @@ const path = require("path");
  * Relayer Service for Confidential Word Game
  *
  * Responsibilities:
- * 1. Generate random words for each round
- * 2. Encrypt words using FHE
- * 3. Submit encrypted words to contract
- * 4. Monitor game state and trigger round progression
+ * 1. Start games; the contract draws each word from its encrypted word bank
+ * 2. Monitor game state and trigger round progression
+ * 3. Advance qualified players to the next stage (3 -> 4 -> 5 letters)
+ * 4. Cancel Gateway requests that never got a callback
+ * 5. Drive tournament brackets: start tournaments, link match rooms, record results
+ * 6. Hold game starts while the contract is paused, resuming them on unpause
+ * 7. Catch up after downtime: open rooms and games are read from the
+ *    contract's active lists, and round completions are replayed from a
+ *    persisted block checkpoint
+ *
+ * Words are loaded into the bank with scripts/load-word-bank.js, so the
+ * relayer never knows which word a round is using. It never holds the word
+ * list either: the owner reveals words with scripts/reveal-words.js.
  */
 
+// Seeded players get this long to join a tournament match room before it
+// starts with whoever is there
+const TOURNAMENT_JOIN_WINDOW = 300; // seconds
+
+// Page size for the contract's active room and game lists
+const PAGE_SIZE = 50;
+
+// Tournaments.TournamentStatus
+const TOURNAMENT_REGISTRATION = 0n;
+const TOURNAMENT_RUNNING = 1n;
+
 class WordGameRelayer {
-  constructor(contractAddress, signer, provider) {
+  constructor(contractAddress, signer, provider, tournamentsAddress = null) {
     this.contractAddress = contractAddress;
     this.signer = signer;
     this.provider = provider;
-    this.fhevmInstance = null;
     this.contract = null;
 
-    // Word pools for different lengths
-    this.wordPools = {
-      3: ["CAT", "DOG", "BAT", "RAT", "HAT", "MAT", "SUN", "RUN", "FUN", "BUN",
-          "CAR", "BAR", "JAR", "TAR", "BOX", "FOX", "MAN", "CAN", "FAN", "PAN"],
-      4: ["WORD", "GAME", "PLAY", "CASH", "WINS", "LUCK", "COIN", "BURN", "MOON",
-          "STAR", "FIRE", "WIND", "RAIN", "SNOW", "LEAF", "TREE", "BIRD", "FISH"],
-      5: ["HOUSE", "MOUSE", "LIGHT", "FIGHT", "RIGHT", "MIGHT", "PLANT", "BRAIN",
-          "TRAIN", "CHAIN", "GLASS", "GRASS", "BLOOD", "FLOOD", "BREAD", "DREAM"]
-    };
+    // Optional Tournaments contract driven alongside the game
+    this.tournamentsAddress = tournamentsAddress;
+    this.tournaments = null;
+    this.tournamentInterval = null;
+    this.checkpointInterval = null;
+
+    // Rooms waiting to start: roomId -> { check, stop }
+    this.roomMonitors = new Map();
+
+    // Games watched for round timeouts: gameId -> stop function
+    this.gameMonitors = new Map();
+
+    // Completed rounds whose next stage waits for the contract to be unpaused
+    this.heldStages = new Set();
+
+    // Gateway requests awaiting a callback: requestId -> { kind, player }
+    this.pendingRequests = new Map();
+    this.sweepInterval = null;
+
+    // Last block whose events were seen, so a restart can replay what it missed
+    this.checkpointPath = path.join(
+      __dirname,
+      "..",
+      "deployments",
+      `${network.name}-relayer-checkpoint.json`
+    );
+    this.checkpointBlock = null;
   }
 
   async initialize() {
@@ -52,86 +88,61 @@ class WordGameRelayer {
       this.signer
     );
 
-    // Initialize FHE instance
-    console.log("🔐 Initializing FHE instance...");
-
-    try {
-      this.fhevmInstance = await createInstance({
-        chainId: await this.provider.getNetwork().then(n => Number(n.chainId)),
-        networkUrl: this.provider.connection?.url || "http://localhost:8545",
-        gatewayUrl: process.env.GATEWAY_URL || "http://localhost:7077"
-      });
-
-      console.log("✅ FHE instance initialized");
-    } catch (error) {
-      console.error("❌ Failed to initialize FHE instance:", error.message);
-      console.log("⚠️  Continuing without FHE (for local testing)");
+    if (this.tournamentsAddress) {
+      const tournamentsArtifact = JSON.parse(fs.readFileSync(
+        path.join(__dirname, "..", "artifacts", "contracts", "Tournaments.sol", "Tournaments.json"),
+        "utf8"
+      ));
+      this.tournaments = new ethers.Contract(
+        this.tournamentsAddress,
+        tournamentsArtifact.abi,
+        this.signer
+      );
+      console.log("🏟️  Driving tournaments at", this.tournamentsAddress);
     }
 
     console.log("✅ Relayer initialized");
   }
 
   /**
-   * Select random word from pool
+   * Load the block checkpoint saved by a previous run for this contract
    */
-  selectRandomWord(length) {
-    const pool = this.wordPools[length];
-    if (!pool || pool.length === 0) {
-      throw new Error(`No words available for length ${length}`);
+  loadCheckpoint() {
+    if (!fs.existsSync(this.checkpointPath)) return null;
+
+    const saved = JSON.parse(fs.readFileSync(this.checkpointPath, "utf8"));
+    if (saved.contract?.toLowerCase() !== this.contractAddress.toLowerCase()) {
+      console.log(`⚠️  Checkpoint is for ${saved.contract}, not this contract; ignoring it`);
+      return null;
     }
-    const randomIndex = Math.floor(Math.random() * pool.length);
-    return pool[randomIndex];
+
+    this.checkpointBlock = saved.block;
+    return saved.block;
   }
 
   /**
-   * Encrypt word letters using FHE
+   * Record that events up to a block have been seen
    */
-  async encryptWord(word) {
-    const letters = word.toUpperCase().split("");
-    const encryptedLetters = [];
-    const inputProofs = [];
-
-    for (const letter of letters) {
-      const letterCode = letter.charCodeAt(0); // 65-90 for A-Z
-
-      if (this.fhevmInstance) {
-        // Use real FHE encryption
-        const encrypted = this.fhevmInstance.encrypt8(letterCode);
-        encryptedLetters.push(encrypted.data);
-        inputProofs.push(encrypted.signature || "0x");
-      } else {
-        // Mock encryption for local testing
-        console.log("⚠️  Using mock encryption for letter:", letter);
-        encryptedLetters.push(letterCode);
-        inputProofs.push("0x");
-      }
-    }
-
-    return { encryptedLetters, inputProofs };
+  saveCheckpoint(blockNumber) {
+    if (this.checkpointBlock !== null && blockNumber <= this.checkpointBlock) return;
+
+    this.checkpointBlock = blockNumber;
+    fs.writeFileSync(this.checkpointPath, JSON.stringify({
+      contract: this.contractAddress,
+      block: blockNumber,
+      updatedAt: new Date().toISOString(),
+    }, null, 2));
   }
 
   /**
-   * Start a game with encrypted word
+   * Start a game; the contract draws a word from its bank
    */
   async startGame(roomId, wordLength = 3) {
-    console.log(`\n🎮 Starting game for room ${roomId}...`);
-
-    // Select random word
-    const word = this.selectRandomWord(wordLength);
-    console.log(`📝 Selected word (length ${wordLength}):`, word);
-
-    // Encrypt word
-    console.log("🔐 Encrypting word...");
-    const { encryptedLetters, inputProofs } = await this.encryptWord(word);
-
-    // Submit to contract
-    console.log("📤 Submitting to contract...");
+    console.log(`\n🎮 Starting game for room ${roomId} (${wordLength}-letter word)...`);
 
     try {
       const tx = await this.contract.startGame(
         roomId,
-        encryptedLetters,
-        inputProofs,
         wordLength,
         {
           gasLimit: 5000000 // High gas limit for FHE operations
@@ -143,81 +154,183 @@ class WordGameRelayer {
 
       console.log("✅ Game started! Gas used:", receipt.gasUsed.toString());
 
-      // Extract game ID from event
-      const gameStartedEvent = receipt.logs.find(
-        log => {
-          try {
-            const parsed = this.contract.interface.parseLog(log);
-            return parsed?.name === "GameStarted";
-          } catch {
-            return false;
-          }
+      return this.extractGameId(receipt);
+
+    } catch (error) {
+      console.error("❌ Failed to start game:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the next stage for qualified players; the contract draws a word one letter longer
+   */
+  async startNextStage(previousGameId) {
+    const gameInfo = await this.contract.getGameInfo(previousGameId);
+    const nextLength = Number(gameInfo.currentStage) + 1;
+
+    console.log(`\n⏭️  Advancing game ${previousGameId} to stage ${nextLength}...`);
+
+    try {
+      const tx = await this.contract.startNextStage(
+        previousGameId,
+        {
+          gasLimit: 5000000 // High gas limit for FHE operations
         }
       );
 
-      if (gameStartedEvent) {
-        const parsed = this.contract.interface.parseLog(gameStartedEvent);
-        const gameId = parsed.args.gameId;
-        console.log("🎯 Game ID:", gameId.toString());
-        return gameId;
-      }
+      console.log("⏳ Transaction submitted:", tx.hash);
+      const receipt = await tx.wait();
+
+      console.log("✅ Next stage started! Gas used:", receipt.gasUsed.toString());
+
+      return this.extractGameId(receipt);
 
     } catch (error) {
-      console.error("❌ Failed to start game:", error.message);
+      console.error("❌ Failed to start next stage:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Extract the new game ID from a GameStarted event in a receipt
+   */
+  extractGameId(receipt) {
+    const gameStartedEvent = receipt.logs.find(
+      log => {
+        try {
+          const parsed = this.contract.interface.parseLog(log);
+          return parsed?.name === "GameStarted";
+        } catch {
+          return false;
+        }
+      }
+    );
+
+    if (gameStartedEvent) {
+      const parsed = this.contract.interface.parseLog(gameStartedEvent);
+      const gameId = parsed.args.gameId;
+      console.log("🎯 Game ID:", gameId.toString());
+      return gameId;
+    }
+  }
+
   /**
    * Monitor room and auto-start game when ready
    */
   async monitorRoom(roomId) {
+    const key = roomId.toString();
+    if (this.roomMonitors.has(key)) return;
+
     console.log(`\n👀 Monitoring room ${roomId}...`);
 
-    const checkInterval = setInterval(async () => {
+    let checkInterval;
+    let monitorTimeout;
+    const stop = () => {
+      clearInterval(checkInterval);
+      clearTimeout(monitorTimeout);
+      this.roomMonitors.delete(key);
+    };
+
+    const check = async () => {
       try {
         const roomInfo = await this.contract.getRoomInfo(roomId);
 
         if (!roomInfo.isActive) {
           console.log("Room is no longer active");
-          clearInterval(checkInterval);
+          stop();
           return;
         }
 
-        console.log(`Room ${roomId}: ${roomInfo.playerCount}/5 players`);
+        console.log(`Room ${roomId}: ${roomInfo.playerCount}/${roomInfo.rules.maxPlayers} players`);
+
+        // Tournament matches wait for their seeded players, up to the join window
+        const match = await this.getTournamentMatch(roomId);
+        if (match) {
+          const waited = Math.floor(Date.now() / 1000) - Number(roomInfo.createdAt);
+          if (roomInfo.playerCount < match.players.length && waited < TOURNAMENT_JOIN_WINDOW) {
+            return;
+          }
+        }
 
         // Auto-start when we have at least 2 players
         if (roomInfo.playerCount >= 2 && roomInfo.currentGameId.toString() === "0") {
+          if (await this.contract.paused()) {
+            console.log(`⏸️  Contract paused; room ${roomId} will start once unpaused`);
+            return;
+          }
+
           console.log("🚀 Room ready! Starting game...");
           await this.startGame(roomId, 3);
-          clearInterval(checkInterval);
+          stop();
         }
 
       } catch (error) {
         console.error("Error monitoring room:", error.message);
       }
-    }, 5000); // Check every 5 seconds
+    };
+
+    this.roomMonitors.set(key, { check, stop });
+    checkInterval = setInterval(check, 5000); // Check every 5 seconds
 
     // Stop monitoring after 10 minutes
-    setTimeout(() => {
-      clearInterval(checkInterval);
+    monitorTimeout = setTimeout(() => {
+      stop();
       console.log("Monitoring timeout for room", roomId);
     }, 600000);
   }
 
+  /**
+   * Re-check a room right away after someone leaves or is kicked
+   */
+  async handleRoomDeparture(roomId) {
+    const monitor = this.roomMonitors.get(roomId.toString());
+    if (monitor) {
+      await monitor.check();
+      return;
+    }
+
+    // Monitoring may have timed out; resume it while the room still waits for players
+    const roomInfo = await this.contract.getRoomInfo(roomId);
+    if (roomInfo.isActive && roomInfo.currentGameId.toString() === "0") {
+      this.monitorRoom(roomId);
+    }
+  }
+
   /**
    * Monitor game and force complete if timed out
    */
   async monitorGame(gameId) {
-    console.log(`\n⏰ Monitoring game ${gameId} for timeout...`);
+    const key = gameId.toString();
+    if (this.gameMonitors.has(key)) return;
+    this.gameMonitors.set(key, () => this.gameMonitors.delete(key));
+
+    // Round length is a per-room rule
+    const { roomId } = await this.contract.getGameInfo(gameId);
+    const { rules } = await this.contract.getRoomInfo(roomId);
+    const roundTimeLimit = Number(rules.roundTimeLimit);
+
+    // Stopped while reading the rules (e.g. the room was emergency paused)
+    if (!this.gameMonitors.has(key)) return;
 
-    const checkInterval = setInterval(async () => {
+    console.log(`\n⏰ Monitoring game ${gameId} for timeout (${roundTimeLimit}s rounds)...`);
+
+    let checkInterval;
+    let monitorTimeout;
+    const stop = () => {
+      clearInterval(checkInterval);
+      clearTimeout(monitorTimeout);
+      this.gameMonitors.delete(key);
+    };
+    this.gameMonitors.set(key, stop);
+
+    checkInterval = setInterval(async () => {
       try {
         const gameInfo = await this.contract.getGameInfo(gameId);
 
         if (gameInfo.isComplete) {
           console.log(`Game ${gameId} complete`);
-          clearInterval(checkInterval);
+          stop();
           return;
         }
 
@@ -233,7 +346,7 @@ class WordGameRelayer {
 
           await tx.wait();
           console.log("✅ Round completed");
-          clearInterval(checkInterval);
+          stop();
         } else {
           console.log(`Game ${gameId}: ${timeLeft}s remaining`);
         }
@@ -243,10 +356,374 @@ class WordGameRelayer {
       }
     }, 10000); // Check every 10 seconds
 
-    // Stop monitoring after 5 minutes
-    setTimeout(() => {
-      clearInterval(checkInterval);
-    }, 300000);
+    // Stop monitoring 4 minutes after the round should have ended
+    monitorTimeout = setTimeout(stop, (roundTimeLimit + 240) * 1000);
+  }
+
+  /**
+   * Track a Gateway request so it can be cancelled if the callback never arrives
+   */
+  trackRequest(requestId, kind, player) {
+    this.pendingRequests.set(requestId.toString(), { kind, player });
+  }
+
+  /**
+   * Cancel tracked Gateway requests the contract lets us cancel: guesses after
+   * STALE_GUESS_TIMEOUT, balance requests after GATEWAY_CALLBACK_TIMEOUT
+   */
+  async sweepStaleRequests() {
+    if (this.pendingRequests.size === 0) return;
+
+    const guessTimeout = Number(await this.contract.STALE_GUESS_TIMEOUT());
+    const balanceTimeout = Number(await this.contract.GATEWAY_CALLBACK_TIMEOUT());
+    const { timestamp: now } = await this.provider.getBlock("latest");
+
+    for (const [requestId, { kind, player }] of this.pendingRequests) {
+      try {
+        let pending;
+        if (kind === "guess") {
+          pending = await this.contract.pendingGuessRequests(requestId);
+        } else if (kind === "withdrawal") {
+          pending = await this.contract.pendingWithdrawals(requestId);
+        } else {
+          pending = await this.contract.pendingBalanceChecks(requestId);
+        }
+
+        // Callback already arrived (or the request was cancelled elsewhere)
+        if (pending.player === ethers.ZeroAddress) {
+          this.pendingRequests.delete(requestId);
+          continue;
+        }
+
+        const timeout = kind === "guess" ? guessTimeout : balanceTimeout;
+        if (now <= Number(pending.timestamp) + timeout) continue;
+
+        console.log(`🧹 Cancelling stale ${kind} request ${requestId} for ${player}...`);
+
+        const tx = kind === "guess"
+          ? await this.contract.cancelStaleGuess(requestId, { gasLimit: 1000000 })
+          : await this.contract.cancelStaleBalanceRequest(requestId, { gasLimit: 1000000 });
+
+        await tx.wait();
+        this.pendingRequests.delete(requestId);
+        console.log(`✅ Request ${requestId} cancelled`);
+
+      } catch (error) {
+        console.error(`Error sweeping request ${requestId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Pick up requests made while the relayer was down, then sweep periodically
+   */
+  async startRequestSweeper(lookbackBlocks = 1000) {
+    const currentBlock = await this.provider.getBlockNumber();
+    const fromBlock = Math.max(0, currentBlock - lookbackBlocks);
+
+    const requestEvents = [
+      ["GuessSubmitted", "guess"],
+      ["BalanceCheckRequested", "balance"],
+      ["WithdrawalRequested", "withdrawal"],
+    ];
+
+    for (const [eventName, kind] of requestEvents) {
+      const events = await this.contract.queryFilter(eventName, fromBlock, currentBlock);
+      for (const event of events) {
+        this.trackRequest(event.args.gatewayRequestId, kind, event.args.player);
+      }
+    }
+
+    console.log(`🧹 Tracking ${this.pendingRequests.size} Gateway request(s) for stale callbacks`);
+
+    this.sweepInterval = setInterval(() => {
+      this.sweepStaleRequests().catch((error) => {
+        console.error("Error sweeping stale requests:", error.message);
+      });
+    }, 30000); // Check every 30 seconds
+  }
+
+  /**
+   * Get the tournament match a room was linked to, or null
+   */
+  async getTournamentMatch(roomId) {
+    if (!this.tournaments) return null;
+
+    const ref = await this.tournaments.matchOfRoom(roomId);
+    if (ref.tournamentId === 0n) return null;
+
+    const matches = await this.tournaments.getRoundMatches(ref.tournamentId, ref.round);
+    return { ...ref.toObject(), ...matches[Number(ref.matchIndex)].toObject() };
+  }
+
+  /**
+   * Whether a match's room is open and which game it started; a match with no
+   * room reads as closed with no game
+   */
+  async getMatchRoomState(match) {
+    if (match.roomId === 0n) return { isActive: false, currentGameId: 0n };
+
+    const { isActive, currentGameId } = await this.contract.getRoomInfo(match.roomId);
+    return { isActive, currentGameId };
+  }
+
+  /**
+   * Link a new room to its creator's pending tournament match, if they have one.
+   * A match whose room closed before its game started takes a new room.
+   */
+  async linkTournamentRoom(roomId, creator) {
+    if (!this.tournaments) return;
+    if ((await this.tournaments.matchOfRoom(roomId)).tournamentId !== 0n) return;
+
+    const tournamentCount = Number(await this.tournaments.tournamentCount());
+    for (let id = 1; id <= tournamentCount; id++) {
+      const info = await this.tournaments.getTournamentInfo(id);
+      if (info.status !== TOURNAMENT_RUNNING) continue;
+
+      const matches = await this.tournaments.getRoundMatches(id, info.currentRound);
+      let matchIndex = -1;
+      for (let i = 0; i < matches.length && matchIndex === -1; i++) {
+        const match = matches[i];
+        if (match.winner !== ethers.ZeroAddress || !match.players.includes(creator)) continue;
+
+        const room = await this.getMatchRoomState(match);
+        if (!room.isActive && room.currentGameId === 0n) matchIndex = i;
+      }
+      if (matchIndex === -1) continue;
+
+      const tx = await this.tournaments.linkMatchRoom(id, info.currentRound, matchIndex, roomId);
+      await tx.wait();
+      console.log(`🏟️  Room ${roomId} linked to tournament ${id}, round ${info.currentRound}, match ${matchIndex}`);
+      return;
+    }
+  }
+
+  /**
+   * Record a tournament match result once its room's game has ended
+   */
+  async recordTournamentResult(roomId) {
+    const match = await this.getTournamentMatch(roomId);
+    if (!match || match.winner !== ethers.ZeroAddress) return;
+
+    const tx = await this.tournaments.recordMatchResult(match.tournamentId, match.round, match.matchIndex);
+    await tx.wait();
+    console.log(`🏟️  Recorded result of tournament ${match.tournamentId}, round ${match.round}, match ${match.matchIndex}`);
+  }
+
+  /**
+   * Start tournaments whose registration is over and settle matches that
+   * finished or timed out, including any missed while the relayer was down
+   */
+  async progressTournaments() {
+    const tournamentCount = Number(await this.tournaments.tournamentCount());
+    const timeout = Number(await this.tournaments.MATCH_START_TIMEOUT());
+    const now = (await this.provider.getBlock("latest")).timestamp;
+
+    for (let id = 1; id <= tournamentCount; id++) {
+      const info = await this.tournaments.getTournamentInfo(id);
+
+      if (info.status === TOURNAMENT_REGISTRATION) {
+        const full = info.playerCount === BigInt(info.maxPlayers);
+        if ((now >= Number(info.registrationEnds) || full) && info.playerCount >= 2n) {
+          await (await this.tournaments.startTournament(id)).wait();
+          console.log(`🏟️  Tournament ${id} started with ${info.playerCount} players`);
+        }
+        continue;
+      }
+
+      if (info.status !== TOURNAMENT_RUNNING) continue;
+
+      const matches = await this.tournaments.getRoundMatches(id, info.currentRound);
+      for (let i = 0; i < matches.length; i++) {
+        if (matches[i].winner !== ethers.ZeroAddress) continue;
+
+        // Matches that never started a game go to the best seed who showed up after the timeout
+        let ready;
+        const room = await this.getMatchRoomState(matches[i]);
+        if (room.currentGameId === 0n) {
+          const seeded = await this.tournaments.queryFilter(
+            this.tournaments.filters.MatchSeeded(id, info.currentRound)
+          );
+          const seededAt = (await seeded[0].getBlock()).timestamp;
+          ready = now >= seededAt + timeout;
+        } else {
+          ready = !room.isActive;
+        }
+
+        if (ready) {
+          await (await this.tournaments.recordMatchResult(id, info.currentRound, i)).wait();
+          console.log(`🏟️  Settled tournament ${id}, round ${info.currentRound}, match ${i}`);
+          break; // The bracket may have advanced; re-read it next pass
+        }
+      }
+    }
+  }
+
+  /**
+   * Check on tournaments every minute
+   */
+  startTournamentLoop() {
+    if (!this.tournaments) return;
+
+    const tick = () => {
+      this.progressTournaments().catch((error) => {
+        console.error("Error progressing tournaments:", error.message);
+      });
+    };
+
+    tick();
+    this.tournamentInterval = setInterval(tick, 60000);
+  }
+
+  /**
+   * Link a new room to its tournament match and wait for it to fill
+   */
+  async handleRoomCreated(roomId, creator) {
+    try {
+      await this.linkTournamentRoom(roomId, creator);
+    } catch (error) {
+      console.error("Error linking tournament room:", error.message);
+    }
+
+    this.monitorRoom(roomId);
+  }
+
+  /**
+   * Start the next stage when 2-4 qualified below the final stage; other outcomes end the game
+   */
+  async handleRoundCompleted(gameId, qualifiedCount) {
+    const gameInfo = await this.contract.getGameInfo(gameId);
+    const maxWordLength = Number(await this.contract.MAX_WORD_LENGTH());
+    if (Number(qualifiedCount) < 2 || Number(gameInfo.currentStage) >= maxWordLength) return;
+
+    // Already advanced, or the room was closed since (e.g. replayed after a restart)
+    const round = await this.contract.gameRounds(gameId);
+    const roomInfo = await this.contract.getRoomInfo(gameInfo.roomId);
+    if (round.nextGameId !== 0n || !roomInfo.isActive || roomInfo.currentGameId !== BigInt(gameId)) return;
+
+    if (await this.contract.paused()) {
+      console.log(`⏸️  Contract paused; game ${gameId} advances once unpaused`);
+      this.heldStages.add(gameId.toString());
+      return;
+    }
+    await this.startNextStage(gameId);
+  }
+
+  /**
+   * Stop managing an emergency-paused room. The contract emits no GameEnded
+   * for its refunded game, so this is the only signal to stop monitoring it.
+   */
+  async handleRoomEmergencyPaused(roomId, gameId) {
+    this.roomMonitors.get(roomId.toString())?.stop();
+
+    // A match room paused before its game started is settled by the
+    // tournament loop once the start timeout passes
+    if (gameId.toString() === "0") return;
+
+    this.gameMonitors.get(gameId.toString())?.();
+    this.heldStages.delete(gameId.toString());
+    await this.recordTournamentResult(roomId);
+  }
+
+  /**
+   * Collect every ID from a paginated (offset, limit) => (ids, total) view
+   */
+  async fetchAllIds(fetchPage) {
+    const ids = [];
+    let total;
+    do {
+      const [page, pageTotal] = await fetchPage(ids.length, PAGE_SIZE);
+      if (page.length === 0) break;
+      ids.push(...page);
+      total = Number(pageTotal);
+    } while (ids.length < total);
+    return ids;
+  }
+
+  /**
+   * Resume managing every room and game the contract still lists as active,
+   * however long ago it was opened
+   */
+  async resumeActiveRoomsAndGames() {
+    const roomIds = await this.fetchAllIds(
+      (offset, limit) => this.contract.getActiveRooms(offset, limit)
+    );
+    for (const roomId of roomIds) {
+      try {
+        const roomInfo = await this.contract.getRoomInfo(roomId);
+        if (roomInfo.currentGameId === 0n) {
+          await this.handleRoomCreated(roomId, roomInfo.creator);
+        }
+      } catch (error) {
+        console.error(`Error resuming room ${roomId}:`, error.message);
+      }
+    }
+
+    const gameIds = await this.fetchAllIds(
+      (offset, limit) => this.contract.getActiveGames(offset, limit)
+    );
+    for (const gameId of gameIds) {
+      try {
+        await this.monitorGame(gameId);
+      } catch (error) {
+        console.error(`Error resuming game ${gameId}:`, error.message);
+      }
+    }
+
+    console.log(`🔁 Resumed ${this.roomMonitors.size} waiting room(s) and ${this.gameMonitors.size} game(s)`);
+  }
+
+  /**
+   * Replay RoundCompleted events since the checkpoint. Without a checkpoint,
+   * looks back a fixed number of blocks.
+   *
+   * A completed round leaves the active game list, so a stage advance missed
+   * while the relayer was down is only found through its event. The
+   * checkpointed block itself is replayed, since its events may not all have
+   * been handled when it was saved; handleRoundCompleted re-checks contract
+   * state, so replaying a round that already advanced does nothing.
+   */
+  async replayCompletedRounds(lookbackBlocks = 1000) {
+    const currentBlock = await this.provider.getBlockNumber();
+    let checkpoint = this.loadCheckpoint();
+
+    // A restarted local node redeploys to the same address from block 0
+    if (checkpoint !== null && checkpoint > currentBlock) {
+      console.log(`⚠️  Checkpoint block ${checkpoint} is ahead of the chain (${currentBlock}); ignoring it`);
+      checkpoint = this.checkpointBlock = null;
+    }
+    const fromBlock = checkpoint ?? Math.max(0, currentBlock - lookbackBlocks);
+
+    console.log(`⏪ Replaying completed rounds from block ${fromBlock} to ${currentBlock}...`);
+
+    const events = await this.contract.queryFilter("RoundCompleted", fromBlock, currentBlock);
+    for (const event of events) {
+      try {
+        await this.handleRoundCompleted(event.args.gameId, event.args.qualifiedPlayerCount);
+      } catch (error) {
+        console.error(`Error replaying RoundCompleted at block ${event.blockNumber}:`, error.message);
+      }
+    }
+
+    console.log(`⏪ Replayed ${events.length} completed round(s)`);
+    this.saveCheckpoint(currentBlock);
+  }
+
+  /**
+   * Advance the checkpoint every 15 seconds. Each tick saves the block seen on
+   * the tick before, so the live listeners have had time to receive its events.
+   */
+  startCheckpointing() {
+    let seenBlock = null;
+
+    this.checkpointInterval = setInterval(async () => {
+      try {
+        if (seenBlock !== null) this.saveCheckpoint(seenBlock);
+        seenBlock = await this.provider.getBlockNumber();
+      } catch (error) {
+        console.error("Error saving checkpoint:", error.message);
+      }
+    }, 15000);
   }
 
   /**
@@ -256,9 +733,9 @@ class WordGameRelayer {
     console.log("\n👂 Listening to contract events...\n");
 
     // Room created
-    this.contract.on("RoomCreated", (roomId, creator, timestamp) => {
+    this.contract.on("RoomCreated", async (roomId, creator, timestamp) => {
       console.log(`\n🏠 New room created: ${roomId} by ${creator}`);
-      this.monitorRoom(roomId);
+      await this.handleRoomCreated(roomId, creator);
     });
 
     // Player joined
@@ -266,15 +743,26 @@ class WordGameRelayer {
       console.log(`👤 Player ${displayName} (${player}) joined room ${roomId}`);
     });
 
+    // Player left or was kicked before the game started
+    this.contract.on("PlayerLeft", (roomId, player, kicked) => {
+      console.log(`🚪 Player ${player} ${kicked ? "was kicked from" : "left"} room ${roomId}`);
+      this.handleRoomDeparture(roomId).catch((error) => {
+        console.error("Error re-checking room:", error.message);
+      });
+    });
+
     // Game started
     this.contract.on("GameStarted", (roomId, gameId, wordLength, startTime) => {
       console.log(`🎮 Game ${gameId} started in room ${roomId} (${wordLength} letters)`);
-      this.monitorGame(gameId);
+      this.monitorGame(gameId).catch((error) => {
+        console.error("Error monitoring game:", error.message);
+      });
     });
 
     // Guess submitted
     this.contract.on("GuessSubmitted", (gameId, player, requestId, attemptNumber) => {
       console.log(`🎯 Guess submitted for game ${gameId} by ${player} (attempt ${attemptNumber})`);
+      this.trackRequest(requestId, "guess", player);
     });
 
     // Guess validated
@@ -283,9 +771,58 @@ class WordGameRelayer {
       console.log(`${result} - Game ${gameId}, Player ${player}, Attempt ${attemptNumber}`);
     });
 
+    // Balance Gateway requests
+    this.contract.on("BalanceCheckRequested", (player, requestId) => {
+      this.trackRequest(requestId, "balance", player);
+    });
+
+    this.contract.on("WithdrawalRequested", (player, requestId) => {
+      this.trackRequest(requestId, "withdrawal", player);
+    });
+
+    // Stale requests cancelled (by this relayer or anyone else)
+    this.contract.on("GatewayRequestCancelled", (requestId, player, gameId) => {
+      this.pendingRequests.delete(requestId.toString());
+      const scope = gameId.toString() === "0" ? "balance request" : `guess in game ${gameId}`;
+      console.log(`🧹 Stale ${scope} cancelled for ${player} (request ${requestId})`);
+    });
+
     // Round completed
-    this.contract.on("RoundCompleted", (gameId, qualifiedCount, qualifiedPlayers) => {
+    this.contract.on("RoundCompleted", async (gameId, qualifiedCount, qualifiedPlayers) => {
       console.log(`🏁 Round complete for game ${gameId}: ${qualifiedCount} qualified`);
+
+      try {
+        await this.handleRoundCompleted(gameId, qualifiedCount);
+      } catch (error) {
+        console.error("Error advancing stage:", error.message);
+      }
+    });
+
+    // Contract-wide pause; rooms keep being monitored and start after unpause
+    this.contract.on("Paused", (account) => {
+      console.log(`⏸️  Contract paused by ${account}`);
+    });
+
+    this.contract.on("Unpaused", async (account) => {
+      console.log(`▶️  Contract unpaused by ${account}`);
+
+      for (const gameId of this.heldStages) {
+        this.heldStages.delete(gameId);
+        try {
+          await this.startNextStage(gameId);
+        } catch (error) {
+          console.error(`Error advancing held game ${gameId}:`, error.message);
+        }
+      }
+
+      for (const { check } of this.roomMonitors.values()) {
+        await check();
+      }
+    });
+
+    // Stage advanced
+    this.contract.on("StageAdvanced", (roomId, previousGameId, gameId, stage) => {
+      console.log(`⏭️  Room ${roomId} advanced from game ${previousGameId} to game ${gameId} (${stage} letters)`);
     });
 
     // Game ended
@@ -295,6 +832,27 @@ class WordGameRelayer {
       } else {
         console.log(`⚠️  Game ${gameId} ended with no winner`);
       }
+
+      this.contract.getGameInfo(gameId)
+        .then(({ roomId }) => this.recordTournamentResult(roomId))
+        .catch((error) => {
+          console.error("Error recording tournament result:", error.message);
+        });
+    });
+
+    // Room emergency paused; its game (if any) was refunded without a GameEnded
+    this.contract.on("RoomEmergencyPaused", (roomId, gameId) => {
+      const refunded = gameId.toString() === "0" ? "no game started" : `game ${gameId} refunded`;
+      console.log(`🚨 Room ${roomId} emergency paused (${refunded})`);
+
+      this.handleRoomEmergencyPaused(roomId, gameId).catch((error) => {
+        console.error("Error closing paused room:", error.message);
+      });
+    });
+
+    // Word index decrypted; the owner reveals the word with scripts/reveal-words.js
+    this.contract.on("WordIndexRevealed", (gameId, wordIndex) => {
+      console.log(`🔢 Game ${gameId} drew bank word #${wordIndex}`);
     });
 
     console.log("✅ Event listeners registered\n");
@@ -306,6 +864,11 @@ class WordGameRelayer {
   async start() {
     await this.initialize();
     await this.listenToEvents();
+    await this.resumeActiveRoomsAndGames();
+    await this.replayCompletedRounds();
+    this.startCheckpointing();
+    await this.startRequestSweeper();
+    this.startTournamentLoop();
 
     console.log("🟢 Relayer service running...\n");
     console.log("Press Ctrl+C to stop\n");
@@ -313,6 +876,9 @@ class WordGameRelayer {
     // Keep process alive
     process.on("SIGINT", () => {
       console.log("\n\n👋 Shutting down relayer...");
+      clearInterval(this.sweepInterval);
+      clearInterval(this.tournamentInterval);
+      clearInterval(this.checkpointInterval);
       process.exit(0);
     });
   }
@@ -330,17 +896,19 @@ async function main() {
     process.exit(1);
   }
 
+  const tournamentsAddress = process.env.TOURNAMENTS_CONTRACT_ADDRESS || null;
   const [signer] = await ethers.getSigners();
   const provider = signer.provider;
 
   console.log("🤖 Word Game Relayer");
   console.log("===================");
   console.log("Contract:", contractAddress);
+  console.log("Tournaments:", tournamentsAddress || "(not set)");
   console.log("Relayer:", signer.address);
   console.log("Network:", (await provider.getNetwork()).name);
   console.log();
 
-  const relayer = new WordGameRelayer(contractAddress, signer, provider);
+  const relayer = new WordGameRelayer(contractAddress, signer, provider, tournamentsAddress);
   await relayer.start();
 }
 
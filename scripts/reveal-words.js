@@ -0,0 +1,206 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { wordSecretsPath } = require("./load-word-bank");
+
+/**
+ * Word Revealer for Confidential Word Game
+ *
+ * Publishes each finished game's words (owner only). It reads the words and
+ * salts saved by scripts/load-word-bank.js, so run it where that file lives
+ * rather than on the relayer host. Each round's word is revealed once its
+ * bank index is decrypted (WordIndexRevealed) and its game has ended.
+ *
+ *   GAME_CONTRACT_ADDRESS=0x... node scripts/reveal-words.js [lookback-blocks] [--watch]
+ */
+
+const DEFAULT_LOOKBACK_BLOCKS = 1000;
+
+class WordRevealer {
+  constructor(contractAddress, signer, provider) {
+    this.contractAddress = contractAddress;
+    this.signer = signer;
+    this.provider = provider;
+    this.contract = null;
+
+    this.secretsPath = wordSecretsPath();
+    this.secrets = new Map();
+  }
+
+  async initialize() {
+    const artifactPath = path.join(
+      __dirname,
+      "..",
+      "artifacts",
+      "contracts",
+      "ConfidentialWordGame.sol",
+      "ConfidentialWordGame.json"
+    );
+
+    const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+    this.contract = new ethers.Contract(
+      this.contractAddress,
+      artifact.abi,
+      this.signer
+    );
+
+    if (!fs.existsSync(this.secretsPath)) {
+      throw new Error(`No word bank secrets at ${this.secretsPath}`);
+    }
+
+    const saved = JSON.parse(fs.readFileSync(this.secretsPath, "utf8"));
+    this.secrets = new Map(Object.entries(saved));
+    console.log(`🔏 Loaded ${this.secrets.size} word bank secret(s)`);
+  }
+
+  /**
+   * Whether the game a round belongs to has ended
+   */
+  async isGameOver(gameId) {
+    const gameInfo = await this.contract.getGameInfo(gameId);
+    const roomInfo = await this.contract.getRoomInfo(gameInfo.roomId);
+    return gameInfo.isComplete && !roomInfo.isActive;
+  }
+
+  /**
+   * Reveal one round's word, if its bank index has been decrypted
+   */
+  async revealRoundWord(gameId) {
+    const round = await this.contract.gameRounds(gameId);
+    if (round.wordCommitment === ethers.ZeroHash) return; // Index not decrypted yet
+
+    const revealed = await this.contract.queryFilter(this.contract.filters.WordRevealed(gameId));
+    if (revealed.length > 0) return;
+
+    const secret = this.secrets.get(round.wordCommitment);
+    if (!secret) {
+      console.error(`❌ No word bank secret for game ${gameId} (${round.wordCommitment})`);
+      return;
+    }
+
+    const tx = await this.contract.revealWord(gameId, secret.word, secret.salt);
+    await tx.wait();
+    console.log(`🔓 Revealed word for game ${gameId}: ${secret.word}`);
+  }
+
+  /**
+   * Reveal the word of every stage of a finished game
+   */
+  async revealGameWords(finalGameId) {
+    let gameId = finalGameId.toString();
+
+    while (gameId !== "0") {
+      try {
+        await this.revealRoundWord(gameId);
+      } catch (error) {
+        console.error(`Error revealing word for game ${gameId}:`, error.message);
+      }
+
+      const round = await this.contract.gameRounds(gameId);
+      gameId = round.previousGameId.toString();
+    }
+  }
+
+  /**
+   * Reveal words whose index was decrypted in the last `lookbackBlocks` blocks
+   */
+  async revealPendingWords(lookbackBlocks) {
+    const currentBlock = await this.provider.getBlockNumber();
+    const fromBlock = Math.max(0, currentBlock - lookbackBlocks);
+
+    const decrypted = await this.contract.queryFilter(
+      this.contract.filters.WordIndexRevealed(),
+      fromBlock,
+      currentBlock
+    );
+
+    for (const event of decrypted) {
+      const gameId = event.args.gameId;
+
+      try {
+        if (await this.isGameOver(gameId)) {
+          await this.revealRoundWord(gameId);
+        }
+      } catch (error) {
+        console.error(`Error checking game ${gameId} for reveal:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Keep revealing words as games end and their indexes are decrypted
+   */
+  watch() {
+    this.contract.on("GameEnded", (gameId) => {
+      this.revealGameWords(gameId).catch((error) => {
+        console.error("Error revealing words:", error.message);
+      });
+    });
+
+    // An emergency-paused room's game ends without a GameEnded
+    this.contract.on("RoomEmergencyPaused", (roomId, gameId) => {
+      if (gameId === 0n) return;
+      this.revealGameWords(gameId).catch((error) => {
+        console.error("Error revealing words:", error.message);
+      });
+    });
+
+    // The final round's index usually lands after GameEnded
+    this.contract.on("WordIndexRevealed", async (gameId) => {
+      try {
+        if (await this.isGameOver(gameId)) {
+          await this.revealRoundWord(gameId);
+        }
+      } catch (error) {
+        console.error(`Error revealing word for game ${gameId}:`, error.message);
+      }
+    });
+
+    console.log("👀 Watching for finished games... (Ctrl+C to stop)");
+  }
+}
+
+// Main execution
+async function main() {
+  const contractAddress = process.env.GAME_CONTRACT_ADDRESS;
+
+  if (!contractAddress) {
+    console.error("❌ GAME_CONTRACT_ADDRESS environment variable not set");
+    console.log("\nUsage:");
+    console.log("  export GAME_CONTRACT_ADDRESS=0x...");
+    console.log("  node scripts/reveal-words.js [lookback-blocks] [--watch]");
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const watch = args.includes("--watch");
+  const lookbackBlocks = Number(args.find(arg => arg !== "--watch") || DEFAULT_LOOKBACK_BLOCKS);
+
+  const [signer] = await ethers.getSigners();
+
+  console.log("🔓 Word Revealer");
+  console.log("================");
+  console.log("Contract:", contractAddress);
+  console.log("Owner:", signer.address);
+  console.log();
+
+  const revealer = new WordRevealer(contractAddress, signer, signer.provider);
+  await revealer.initialize();
+  await revealer.revealPendingWords(lookbackBlocks);
+
+  if (watch) {
+    revealer.watch();
+  } else {
+    process.exit(0);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { WordRevealer };
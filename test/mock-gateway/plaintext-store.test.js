@@ -0,0 +1,350 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PlaintextStore, executorInterface } = require("../../docker/mock-gateway/plaintext-store");
+const { DecryptionWatcher, GATEWAY_ABI } = require("../../docker/mock-gateway/decryption-watcher");
+const { RequestStore } = require("../../docker/mock-gateway/request-store");
+const { FaultInjector } = require("../../docker/mock-gateway/faults");
+
+// FHE types, as encoded in byte 30 of a handle
+const EBOOL = 0;
+const EUINT8 = 2;
+const EUINT64 = 5;
+
+// Handle number n of an FHE type
+const handle = (n, type) => ethers.toBeHex((BigInt(n) << 16n) | (BigInt(type) << 8n), 32);
+
+const typeByte = (type) => ethers.toBeHex(type, 1);
+
+// Mock TFHEExecutor log, as the watcher reads it from the chain
+const executorLog = (name, args) => executorInterface.encodeEventLog(name, args);
+
+const binaryLog = (name, lhs, rhs, result, scalar = false) =>
+  executorLog(name, [lhs, rhs, scalar ? "0x01" : "0x00", result]);
+
+describe("Mock Gateway PlaintextStore", function () {
+  let store;
+
+  beforeEach(function () {
+    store = new PlaintextStore();
+  });
+
+  describe("Trivial Encryption", function () {
+    it("Should record the plaintext of a trivially encrypted value", async function () {
+      expect(store.applyLog(executorLog("TrivialEncrypt", [1000, typeByte(EUINT64), handle(1, EUINT64)]))).to.equal(true);
+
+      expect(store.decrypt(handle(1, EUINT64))).to.deep.equal({ type: "uint256", value: 1000n });
+    });
+
+    it("Should reduce the plaintext to the handle's type", async function () {
+      store.applyLog(executorLog("TrivialEncrypt", [300, typeByte(EUINT8), handle(1, EUINT8)]));
+
+      expect(store.get(handle(1, EUINT8))).to.equal(44n);
+    });
+
+    it("Should decrypt booleans as bool", async function () {
+      store.applyLog(executorLog("TrivialEncrypt", [1, typeByte(EBOOL), handle(1, EBOOL)]));
+      store.applyLog(executorLog("TrivialEncrypt", [0, typeByte(EBOOL), handle(2, EBOOL)]));
+
+      expect(store.decrypt(handle(1, EBOOL))).to.deep.equal({ type: "bool", value: true });
+      expect(store.decrypt(handle(2, EBOOL))).to.deep.equal({ type: "bool", value: false });
+    });
+
+    it("Should ignore logs that are not FHE operations", async function () {
+      const other = new ethers.Interface(["event Other(uint256 value)"]).encodeEventLog("Other", [1]);
+
+      expect(store.applyLog(other)).to.equal(false);
+      expect(store.size).to.equal(0);
+    });
+  });
+
+  describe("Arithmetic", function () {
+    beforeEach(function () {
+      store.applyLog(executorLog("TrivialEncrypt", [200, typeByte(EUINT8), handle(1, EUINT8)]));
+      store.applyLog(executorLog("TrivialEncrypt", [100, typeByte(EUINT8), handle(2, EUINT8)]));
+    });
+
+    it("Should add two encrypted values, wrapping at the type's width", async function () {
+      store.applyLog(binaryLog("FheAdd", handle(1, EUINT8), handle(2, EUINT8), handle(3, EUINT8)));
+
+      expect(store.get(handle(3, EUINT8))).to.equal(44n); // 300 mod 256
+    });
+
+    it("Should add a scalar", async function () {
+      store.applyLog(binaryLog("FheAdd", handle(2, EUINT8), 5, handle(3, EUINT8), true));
+
+      expect(store.get(handle(3, EUINT8))).to.equal(105n);
+    });
+
+    it("Should subtract, wrapping below zero", async function () {
+      store.applyLog(binaryLog("FheSub", handle(2, EUINT8), handle(1, EUINT8), handle(3, EUINT8)));
+
+      expect(store.get(handle(3, EUINT8))).to.equal(156n); // -100 mod 256
+    });
+
+    it("Should compare into an ebool", async function () {
+      store.applyLog(binaryLog("FheLe", handle(2, EUINT8), handle(1, EUINT8), handle(3, EBOOL)));
+      store.applyLog(binaryLog("FheEq", handle(2, EUINT8), 99, handle(4, EBOOL), true));
+
+      expect(store.decrypt(handle(3, EBOOL)).value).to.equal(true);
+      expect(store.decrypt(handle(4, EBOOL)).value).to.equal(false);
+    });
+
+    it("Should leave a result unknown when an operand is unknown", async function () {
+      store.applyLog(binaryLog("FheAdd", handle(1, EUINT8), handle(9, EUINT8), handle(3, EUINT8)));
+
+      expect(store.has(handle(3, EUINT8))).to.equal(false);
+      expect(() => store.decrypt(handle(3, EUINT8))).to.throw("No plaintext");
+    });
+  });
+
+  describe("Select", function () {
+    beforeEach(function () {
+      store.applyLog(executorLog("TrivialEncrypt", [7, typeByte(EUINT64), handle(1, EUINT64)]));
+      store.applyLog(executorLog("TrivialEncrypt", [9, typeByte(EUINT64), handle(2, EUINT64)]));
+      store.applyLog(executorLog("TrivialEncrypt", [1, typeByte(EBOOL), handle(3, EBOOL)]));
+      store.applyLog(executorLog("TrivialEncrypt", [0, typeByte(EBOOL), handle(4, EBOOL)]));
+    });
+
+    it("Should pick ifTrue when the condition is true", async function () {
+      store.applyLog(executorLog("FheIfThenElse", [handle(3, EBOOL), handle(1, EUINT64), handle(2, EUINT64), handle(5, EUINT64)]));
+
+      expect(store.get(handle(5, EUINT64))).to.equal(7n);
+    });
+
+    it("Should pick ifFalse when the condition is false", async function () {
+      store.applyLog(executorLog("FheIfThenElse", [handle(4, EBOOL), handle(1, EUINT64), handle(2, EUINT64), handle(5, EUINT64)]));
+
+      expect(store.get(handle(5, EUINT64))).to.equal(9n);
+    });
+
+    it("Should follow a chain of operations, as a fee check and debit would", async function () {
+      // balance >= fee ? balance - fee : balance
+      store.applyLog(binaryLog("FheGe", handle(2, EUINT64), handle(1, EUINT64), handle(6, EBOOL)));
+      store.applyLog(binaryLog("FheSub", handle(2, EUINT64), handle(1, EUINT64), handle(7, EUINT64)));
+      store.applyLog(executorLog("FheIfThenElse", [handle(6, EBOOL), handle(7, EUINT64), handle(2, EUINT64), handle(8, EUINT64)]));
+
+      expect(store.decrypt(handle(6, EBOOL)).value).to.equal(true);
+      expect(store.get(handle(8, EUINT64))).to.equal(2n);
+    });
+
+    it("Should leave the result unknown when the condition is unknown", async function () {
+      store.applyLog(executorLog("FheIfThenElse", [handle(9, EBOOL), handle(1, EUINT64), handle(2, EUINT64), handle(5, EUINT64)]));
+
+      expect(store.has(handle(5, EUINT64))).to.equal(false);
+    });
+  });
+
+  describe("Inputs and Randomness", function () {
+    it("Should follow a verified input only once its plaintext is registered", async function () {
+      const input = handle(1, EUINT8);
+      const verify = () => store.applyLog(executorLog("VerifyCiphertext", [input, ethers.ZeroAddress, "0x", typeByte(EUINT8), handle(2, EUINT8)]));
+
+      verify();
+      expect(store.has(handle(2, EUINT8))).to.equal(false);
+
+      store.set(handle(1, EUINT8), 65);
+      verify();
+      expect(store.get(handle(2, EUINT8))).to.equal(65n);
+    });
+
+    it("Should derive bounded random values from the seed", async function () {
+      const seed = "0x" + "ab".repeat(16);
+      store.applyLog(executorLog("FheRandBounded", [16, typeByte(EUINT8), seed, handle(1, EUINT8)]));
+
+      const replay = new PlaintextStore();
+      replay.applyLog(executorLog("FheRandBounded", [16, typeByte(EUINT8), seed, handle(1, EUINT8)]));
+
+      expect(store.get(handle(1, EUINT8))).to.be.lessThan(16n);
+      expect(replay.get(handle(1, EUINT8))).to.equal(store.get(handle(1, EUINT8)));
+    });
+  });
+});
+
+describe("Mock Gateway DecryptionWatcher", function () {
+  const EXECUTOR = "0x0000000000000000000000000000000000000e0e";
+  const GATEWAY = "0x0000000000000000000000000000000000000ca7";
+  const GAME = "0x0000000000000000000000000000000000000a11";
+  const PLAYER = "0x0000000000000000000000000000000000000b0b";
+  const CALLBACK = "callbackGuessResult(uint256,bool)";
+
+  const gatewayInterface = new ethers.Interface(GATEWAY_ABI);
+
+  let dir;
+  let requests;
+  let faults;
+  let watcher;
+  let chainLogs;
+  let fulfilled;
+
+  // Log as the provider returns it, in block order
+  function onChain(encoded, address) {
+    chainLogs.push({
+      ...encoded,
+      address,
+      blockNumber: 1,
+      index: chainLogs.length,
+      transactionHash: ethers.id(`tx-${chainLogs.length}`)
+    });
+  }
+
+  function requestDecryption(requestID, cts) {
+    onChain(
+      gatewayInterface.encodeEventLog("EventDecryption", [
+        requestID, cts, GAME, ethers.id(CALLBACK).slice(0, 10), 0, 0, false
+      ]),
+      GATEWAY
+    );
+  }
+
+  // Deliveries run on a timer, even with no latency
+  async function waitForRequest(requestId, predicate) {
+    for (let i = 0; i < 50; i++) {
+      const request = requests.get(requestId);
+      if (request && predicate(request)) return request;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error(`${requestId} never reached the expected state`);
+  }
+
+  const isFulfilled = (request) => request.status === "fulfilled";
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "decryption-watcher-"));
+    requests = new RequestStore(path.join(dir, "requests.json"));
+    faults = new FaultInjector();
+    faults.setGlobal({ latencyMs: 0 });
+    chainLogs = [];
+    fulfilled = [];
+
+    const provider = {
+      getLogs: async ({ fromBlock, toBlock }) =>
+        chainLogs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock),
+      getTransaction: async () => ({ from: PLAYER })
+    };
+
+    watcher = new DecryptionWatcher({
+      provider,
+      relayer: null,
+      gatewayAddress: GATEWAY,
+      executorAddress: EXECUTOR,
+      store: new PlaintextStore(),
+      requests,
+      faults
+    });
+
+    // Gateway contract that accepts every fulfillRequest and calls back successfully
+    watcher.gateway = {
+      target: GATEWAY,
+      interface: gatewayInterface,
+      fulfillRequest: async (requestID, decryptedCts, signatures) => {
+        fulfilled.push({ requestID, decryptedCts, signatures });
+        const hash = ethers.id(`fulfill-${fulfilled.length}`);
+        return {
+          hash,
+          wait: async () => ({
+            logs: [gatewayInterface.encodeEventLog("ResultCallback", [requestID, true, "0x"])]
+          })
+        };
+      }
+    };
+  });
+
+  afterEach(function () {
+    requests.save(); // Clears a pending batched save
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should fulfill a request with the ABI-encoded plaintexts", async function () {
+    onChain(executorLog("TrivialEncrypt", [1, typeByte(EBOOL), handle(1, EBOOL)]), EXECUTOR);
+    onChain(executorLog("TrivialEncrypt", [42, typeByte(EUINT64), handle(2, EUINT64)]), EXECUTOR);
+    requestDecryption(7, [handle(2, EUINT64), handle(1, EBOOL)]);
+
+    await watcher.processUpTo(1);
+    const request = await waitForRequest("chain-7", isFulfilled);
+
+    expect(fulfilled).to.have.length(1);
+    expect(fulfilled[0].requestID).to.equal("7");
+    expect(fulfilled[0].decryptedCts).to.equal(
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bool"], [42, true])
+    );
+    expect(request.from).to.equal(PLAYER);
+    expect(request.decryptedValues).to.deep.equal(["42", true]);
+    expect(request.deliveries).to.have.length(1);
+    expect(request.fulfillTx).to.equal(request.deliveries[0].tx);
+  });
+
+  it("Should decrypt values computed by earlier operations", async function () {
+    onChain(executorLog("TrivialEncrypt", [5, typeByte(EUINT64), handle(1, EUINT64)]), EXECUTOR);
+    onChain(binaryLog("FheAdd", handle(1, EUINT64), 10, handle(2, EUINT64), true), EXECUTOR);
+    requestDecryption(1, [handle(2, EUINT64)]);
+
+    await watcher.processUpTo(1);
+    await waitForRequest("chain-1", isFulfilled);
+
+    expect(fulfilled[0].decryptedCts).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [15]));
+  });
+
+  it("Should answer a forced result instead of the plaintext", async function () {
+    onChain(executorLog("TrivialEncrypt", [0, typeByte(EBOOL), handle(1, EBOOL)]), EXECUTOR);
+    requestDecryption(1, [handle(1, EBOOL)]);
+    faults.addRule({ match: { from: PLAYER, callback: CALLBACK }, result: true });
+
+    await watcher.processUpTo(1);
+    await waitForRequest("chain-1", isFulfilled);
+
+    expect(fulfilled[0].decryptedCts).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [true]));
+  });
+
+  it("Should not answer a dropped request", async function () {
+    onChain(executorLog("TrivialEncrypt", [1, typeByte(EBOOL), handle(1, EBOOL)]), EXECUTOR);
+    requestDecryption(1, [handle(1, EBOOL)]);
+    faults.addRule({ match: { requestId: 1 }, drop: true });
+
+    await watcher.processUpTo(1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(requests.get("chain-1").status).to.equal("dropped");
+    expect(fulfilled).to.have.length(0);
+  });
+
+  it("Should fail a request for a handle the store never learned", async function () {
+    requestDecryption(1, [handle(9, EBOOL)]);
+
+    await watcher.processUpTo(1);
+
+    const request = requests.get("chain-1");
+    expect(request.status).to.equal("failed");
+    expect(request.error).to.include("No plaintext");
+    expect(fulfilled).to.have.length(0);
+  });
+
+  it("Should log both deliveries of a duplicated request", async function () {
+    onChain(executorLog("TrivialEncrypt", [1, typeByte(EBOOL), handle(1, EBOOL)]), EXECUTOR);
+    requestDecryption(1, [handle(1, EBOOL)]);
+    faults.addRule({ match: { requestId: 1 }, duplicate: true });
+
+    await watcher.processUpTo(1);
+    const request = await waitForRequest(
+      "chain-1",
+      ({ deliveries }) => deliveries?.length === 2 && deliveries.every((delivery) => delivery.status)
+    );
+
+    expect(fulfilled).to.have.length(2);
+    expect(request.deliveries.map((delivery) => delivery.status)).to.deep.equal(["fulfilled", "fulfilled"]);
+    expect(request.fulfillTx).to.equal(request.deliveries[0].tx);
+  });
+
+  it("Should not answer a request the saved log already settled", async function () {
+    requests.set("chain-1", { requestId: "chain-1", ciphertexts: [handle(1, EBOOL)], status: "fulfilled" });
+    onChain(executorLog("TrivialEncrypt", [1, typeByte(EBOOL), handle(1, EBOOL)]), EXECUTOR);
+    requestDecryption(1, [handle(1, EBOOL)]);
+
+    await watcher.processUpTo(1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(fulfilled).to.have.length(0);
+  });
+});
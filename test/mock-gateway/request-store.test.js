@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RequestStore, isOpen } = require("../../docker/mock-gateway/request-store");
+
+describe("Mock Gateway RequestStore", function () {
+  let dir;
+  let filePath;
+  let store;
+
+  const chainRequest = (id) => ({
+    requestId: `chain-${id}`,
+    source: "chain",
+    gatewayRequestId: String(id),
+    ciphertexts: ["0x" + "00".repeat(30) + "0000"],
+    timestamp: Date.now(),
+    status: "pending"
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "request-store-"));
+    filePath = path.join(dir, "requests.json");
+    store = new RequestStore(filePath);
+  });
+
+  afterEach(function () {
+    store.save(); // Clears a pending batched save
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Copies", function () {
+    it("Should not let a read change the stored request", async function () {
+      store.set("chain-1", chainRequest(1));
+
+      const read = store.get("chain-1");
+      read.status = "fulfilled";
+      read.ciphertexts.push("0x01");
+
+      expect(store.get("chain-1").status).to.equal("pending");
+      expect(store.get("chain-1").ciphertexts).to.have.length(1);
+
+      for (const request of store.values()) {
+        request.status = "dropped";
+      }
+      expect(store.get("chain-1").status).to.equal("pending");
+    });
+
+    it("Should not let the caller's objects change the stored request", async function () {
+      const request = chainRequest(1);
+      store.set("chain-1", request);
+      request.status = "fulfilled";
+
+      const deliveries = [{ sentAt: "now" }];
+      const updated = store.update("chain-1", { status: "scheduled", deliveries });
+      deliveries.push({ sentAt: "later" });
+      updated.deliveries.push({ sentAt: "later" });
+
+      expect(store.get("chain-1").status).to.equal("scheduled");
+      expect(store.get("chain-1").deliveries).to.have.length(1);
+    });
+
+    it("Should not let a change listener change the stored request", async function () {
+      store.on("change", (change) => {
+        if (change.request) change.request.status = "failed";
+      });
+
+      store.set("chain-1", chainRequest(1));
+      store.update("chain-1", { status: "scheduled" });
+
+      expect(store.get("chain-1").status).to.equal("scheduled");
+    });
+
+    it("Should return null when updating an unknown request", async function () {
+      expect(store.update("chain-404", { status: "fulfilled" })).to.equal(null);
+    });
+  });
+
+  describe("Lifecycle Events", function () {
+    it("Should emit created, updated, deleted and cleared in order", async function () {
+      const changes = [];
+      store.on("change", (change) => changes.push(change));
+
+      store.set("chain-1", chainRequest(1));
+      store.update("chain-1", { status: "scheduled", deliveries: [] });
+      store.update("chain-1", { status: "fulfilled", fulfillTx: "0xabc" });
+      store.set("chain-2", chainRequest(2));
+      store.delete("chain-2");
+      store.delete("chain-404"); // Unknown: no event
+      store.clear();
+
+      expect(changes.map((change) => change.type)).to.deep.equal([
+        "created", "updated", "updated", "created", "deleted", "cleared"
+      ]);
+      expect(changes[0].request.status).to.equal("pending");
+      expect(changes[1].request.status).to.equal("scheduled");
+      expect(changes[2].request).to.include({ status: "fulfilled", fulfillTx: "0xabc" });
+      expect(changes[4]).to.deep.equal({ type: "deleted", requestId: "chain-2" });
+      expect(store.size).to.equal(0);
+    });
+
+    it("Should emit each change as it was at the time", async function () {
+      const changes = [];
+      store.on("change", (change) => changes.push(change));
+
+      store.set("chain-1", chainRequest(1));
+      store.update("chain-1", { status: "scheduled" });
+      store.update("chain-1", { status: "fulfilled" });
+
+      expect(changes.map((change) => change.request.status)).to.deep.equal([
+        "pending", "scheduled", "fulfilled"
+      ]);
+    });
+
+    it("Should track which requests are still open", async function () {
+      store.set("chain-1", chainRequest(1));
+      expect(isOpen(store.get("chain-1"))).to.equal(true);
+
+      store.update("chain-1", { status: "scheduled" });
+      expect(isOpen(store.get("chain-1"))).to.equal(true);
+
+      store.update("chain-1", { status: "dropped" });
+      expect(isOpen(store.get("chain-1"))).to.equal(false);
+    });
+  });
+
+  describe("Persistence", function () {
+    it("Should reload the saved log in a new store", async function () {
+      store.set("chain-1", chainRequest(1));
+      store.update("chain-1", {
+        status: "fulfilled",
+        decryptedValues: ["true"],
+        deliveries: [{ sentAt: "now", status: "fulfilled", tx: "0xabc" }]
+      });
+      const httpId = store.nextId();
+      store.set(httpId, { ...chainRequest(httpId), requestId: httpId, source: "http" });
+      store.save();
+
+      expect(fs.existsSync(`${filePath}.tmp`)).to.equal(false);
+
+      const reloaded = new RequestStore(filePath).load();
+      expect(reloaded.size).to.equal(2);
+      expect(reloaded.get("chain-1")).to.deep.equal(store.get("chain-1"));
+      expect(reloaded.get(httpId).source).to.equal("http");
+      expect(reloaded.nextId()).to.equal(httpId + 1);
+      reloaded.save();
+    });
+
+    it("Should batch changes into one save", async function () {
+      store.set("chain-1", chainRequest(1));
+      store.update("chain-1", { status: "scheduled" });
+      expect(fs.existsSync(filePath)).to.equal(false);
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      expect(saved.requests).to.have.length(1);
+      expect(saved.requests[0].status).to.equal("scheduled");
+    });
+
+    it("Should reload a cleared log as empty", async function () {
+      store.set("chain-1", chainRequest(1));
+      store.clear();
+      store.save();
+
+      expect(new RequestStore(filePath).load().size).to.equal(0);
+    });
+
+    it("Should start empty without a saved log", async function () {
+      const fresh = new RequestStore(path.join(dir, "missing.json")).load();
+      expect(fresh.size).to.equal(0);
+      expect(fresh.nextId()).to.equal(1);
+      fresh.save();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { ethers } = require("hardhat");
+const { WordGameRelayer } = require("../scripts/relayer");
+
+describe("Relayer", function () {
+  const ROOM_ID = 1n;
+  const GAME_ID = 7n;
+
+  let relayer;
+  let contract;
+  let activeTimers;
+  let realTimers;
+
+  // Stands in for the game contract: emits events and answers the views the monitors read
+  const stubContract = () => {
+    const stub = new EventEmitter();
+    stub.getRoomInfo = async () => ({
+      isActive: true,
+      playerCount: 1,
+      currentGameId: GAME_ID,
+      createdAt: 0n,
+      creator: ethers.ZeroAddress,
+      rules: { maxPlayers: 4, roundTimeLimit: 60n }
+    });
+    stub.getGameInfo = async () => ({
+      roomId: ROOM_ID,
+      isComplete: false,
+      roundEndTime: BigInt(Math.floor(Date.now() / 1000) + 60),
+      currentStage: 3
+    });
+    return stub;
+  };
+
+  beforeEach(async function () {
+    // Track the monitors' timers so the test can tell whether they were cleared
+    activeTimers = new Set();
+    realTimers = {
+      setInterval: global.setInterval,
+      setTimeout: global.setTimeout,
+      clearInterval: global.clearInterval,
+      clearTimeout: global.clearTimeout
+    };
+    const track = (create) => (...args) => {
+      const timer = create(...args);
+      activeTimers.add(timer);
+      return timer;
+    };
+    const untrack = (clear) => (timer) => {
+      activeTimers.delete(timer);
+      clear(timer);
+    };
+    global.setInterval = track(realTimers.setInterval);
+    global.setTimeout = track(realTimers.setTimeout);
+    global.clearInterval = untrack(realTimers.clearInterval);
+    global.clearTimeout = untrack(realTimers.clearTimeout);
+
+    contract = stubContract();
+    relayer = new WordGameRelayer(ethers.ZeroAddress, null, null);
+    relayer.contract = contract;
+    await relayer.listenToEvents();
+  });
+
+  afterEach(function () {
+    Object.assign(global, realTimers);
+    for (const timer of activeTimers) clearTimeout(timer);
+  });
+
+  describe("Emergency pauses", function () {
+    it("Should stop monitoring a paused room and its game", async function () {
+      await relayer.monitorRoom(ROOM_ID);
+      await relayer.monitorGame(GAME_ID);
+      relayer.heldStages.add(GAME_ID.toString());
+
+      expect(relayer.roomMonitors.has(ROOM_ID.toString())).to.equal(true);
+      expect(relayer.gameMonitors.has(GAME_ID.toString())).to.equal(true);
+      expect(activeTimers.size).to.equal(4);
+
+      contract.emit("RoomEmergencyPaused", ROOM_ID, GAME_ID);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(relayer.roomMonitors.size).to.equal(0);
+      expect(relayer.gameMonitors.size).to.equal(0);
+      expect(relayer.heldStages.size).to.equal(0);
+      expect(activeTimers.size).to.equal(0);
+    });
+
+    it("Should stop monitoring a room paused before its game started", async function () {
+      await relayer.monitorRoom(ROOM_ID);
+
+      contract.emit("RoomEmergencyPaused", ROOM_ID, 0n);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(relayer.roomMonitors.size).to.equal(0);
+      expect(activeTimers.size).to.equal(0);
+    });
+
+    it("Should not start monitoring a game paused while its rules were being read", async function () {
+      const monitoring = relayer.monitorGame(GAME_ID);
+
+      contract.emit("RoomEmergencyPaused", ROOM_ID, GAME_ID);
+      await monitoring;
+
+      expect(relayer.gameMonitors.size).to.equal(0);
+      expect(activeTimers.size).to.equal(0);
+    });
+  });
+});